@@ -0,0 +1,119 @@
+/**
+ * Contact requests component - pending friend requests in the left panel
+ */
+export class ContactRequests {
+  constructor(containerElement) {
+    this.container = containerElement;
+    this.requests = [];
+  }
+
+  /**
+   * Replace the displayed requests
+   *
+   * @param {object[]} requests - Requests from ContactRequestsStorage
+   */
+  setRequests(requests) {
+    this.requests = requests;
+    this.render();
+  }
+
+  /**
+   * Render the request list
+   */
+  render() {
+    this.container.innerHTML = '';
+
+    if (this.requests.length === 0) {
+      const emptyEl = document.createElement('div');
+      emptyEl.className = 'contact-requests-empty';
+      emptyEl.textContent = 'No pending requests';
+      this.container.appendChild(emptyEl);
+      return;
+    }
+
+    this.requests.forEach(request => {
+      this.container.appendChild(this.createRequestElement(request));
+    });
+  }
+
+  /**
+   * Create request element
+   *
+   * @param {object} request - Request information
+   * @returns {HTMLElement} Request element
+   */
+  createRequestElement(request) {
+    const requestEl = document.createElement('div');
+    requestEl.className = `contact-request ${request.direction}`;
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'contact-request-name';
+    nameEl.textContent = request.direction === 'incoming'
+      ? `From ${request.nickname || this.shortenPeerId(request.peerId)}`
+      : `To ${this.shortenPeerId(request.peerId)}`;
+    nameEl.title = request.peerId;
+    requestEl.appendChild(nameEl);
+
+    if (request.note) {
+      const noteEl = document.createElement('div');
+      noteEl.className = 'contact-request-note';
+      noteEl.textContent = request.note;
+      requestEl.appendChild(noteEl);
+    }
+
+    // DMs they sent before the request was accepted
+    if (request.held?.length) {
+      const heldEl = document.createElement('div');
+      heldEl.className = 'contact-request-note';
+      heldEl.textContent = `${request.held.length} held message(s)`;
+      requestEl.appendChild(heldEl);
+    }
+
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'contact-request-actions';
+    if (request.direction === 'incoming') {
+      actionsEl.appendChild(this.createButton('Accept', () => this.onAccept?.(request.peerId)));
+      actionsEl.appendChild(this.createButton('Reject', () => this.onReject?.(request.peerId)));
+    } else {
+      actionsEl.appendChild(this.createButton('Cancel', () => this.onReject?.(request.peerId)));
+    }
+    requestEl.appendChild(actionsEl);
+
+    return requestEl;
+  }
+
+  /**
+   * Create an action button
+   *
+   * @param {string} label - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} Button element
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'terminal-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Set accept/reject handlers. Reject on an outgoing request cancels it.
+   *
+   * @param {object} handlers - { onAccept(peerId), onReject(peerId) }
+   */
+  setActionHandlers(handlers) {
+    Object.assign(this, handlers);
+  }
+
+  /**
+   * Shorten peer ID for display
+   *
+   * @param {string} peerId - Full peer ID
+   * @returns {string} Shortened peer ID
+   */
+  shortenPeerId(peerId) {
+    if (peerId.length <= 16) return peerId;
+    return `${peerId.slice(0, 6)}...${peerId.slice(-6)}`;
+  }
+}
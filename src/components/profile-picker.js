@@ -0,0 +1,65 @@
+/**
+ * Profile picker shown at startup when the browser holds several profiles
+ */
+export class ProfilePicker {
+  constructor(modalElement) {
+    this.modal = modalElement;
+    this.list = modalElement.querySelector('#profile-list');
+    this.form = modalElement.querySelector('#profile-create-form');
+    this.input = modalElement.querySelector('#profile-name-input');
+    this.error = modalElement.querySelector('#profile-error');
+  }
+
+  /**
+   * Ask which profile to open
+   *
+   * @param {object[]} profiles - Profiles ({ name, peerId })
+   * @param {object} options - { selected, onCreate(name) -> normalized name, throws if invalid }
+   * @returns {Promise<string>} Chosen profile name
+   */
+  pick(profiles, options = {}) {
+    return new Promise((resolve) => {
+      const choose = (name) => {
+        this.form.removeEventListener('submit', onSubmit);
+        this.modal.classList.add('hidden');
+        resolve(name);
+      };
+
+      const onSubmit = (e) => {
+        e.preventDefault();
+        try {
+          choose(options.onCreate(this.input.value));
+        } catch (error) {
+          this.error.textContent = error.message;
+        }
+      };
+
+      this.list.innerHTML = '';
+      profiles.forEach(profile => {
+        const button = document.createElement('button');
+        button.className = 'terminal-button profile-option';
+        button.classList.toggle('selected', profile.name === options.selected);
+        button.textContent = `${profile.name} (${profile.peerId ? this.shortenPeerId(profile.peerId) : 'no identity yet'})`;
+        button.addEventListener('click', () => choose(profile.name));
+        this.list.appendChild(button);
+      });
+
+      this.form.addEventListener('submit', onSubmit);
+      this.input.value = '';
+      this.error.textContent = '';
+      this.modal.classList.remove('hidden');
+      this.list.querySelector('.selected')?.focus();
+    });
+  }
+
+  /**
+   * Shorten peer ID for display
+   *
+   * @param {string} peerId - Full peer ID
+   * @returns {string} Shortened peer ID
+   */
+  shortenPeerId(peerId) {
+    if (peerId.length <= 16) return peerId;
+    return `${peerId.slice(0, 6)}...${peerId.slice(-6)}`;
+  }
+}
@@ -270,9 +270,9 @@ export class Settings {
       </div>
       
       <div class="setting-group">
-        <label>File sharing is a planned feature</label>
+        <label>Sending files</label>
         <div style="color: var(--text-dim); font-size: 0.9rem;">
-          File sharing will be available in a future update
+          Use /file send [peer] in the terminal, or drop a file on the terminal (or paste an image) while in a DM. Received files are saved through your browser's downloads.
         </div>
       </div>
     `;
@@ -1,3 +1,11 @@
+import { compareEvents } from '../lib/event-order.js';
+
+// Longest parent text shown in a reply's quote
+const QUOTE_LENGTH = 80;
+
+// Image types shown inline; anything else (including SVG) is only downloaded
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+
 /**
  * Terminal UI component for displaying messages and handling commands
  */
@@ -9,6 +17,11 @@ export class Terminal {
     this.commandHistory = [];
     this.historyIndex = -1;
     this.commands = new Map();
+    this.messageElements = new Map(); // event_id -> rendered chat line
+    this.progressElements = new Map(); // progress id -> progress line
+    this.objectUrls = []; // Blob URLs of inline images, revoked on clear
+    this.historyAnchor = null; // Older history is inserted after this element
+    this.loadOlderEl = null;
     
     // Set up input handling
     this.setupInputHandling();
@@ -36,6 +49,37 @@ export class Terminal {
           break;
       }
     });
+    
+    // Pasted images (e.g. screenshots) become attachments; text pastes as usual
+    this.input.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length > 0) {
+        e.preventDefault();
+        this.onAttach?.(files);
+      }
+    });
+    
+    // Files dropped on the output become attachments
+    this.output.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.output.classList.add('drag-over');
+    });
+    
+    this.output.addEventListener('dragleave', (e) => {
+      if (!this.output.contains(e.relatedTarget)) {
+        this.output.classList.remove('drag-over');
+      }
+    });
+    
+    this.output.addEventListener('drop', (e) => {
+      this.output.classList.remove('drag-over');
+      const files = Array.from(e.dataTransfer?.files || []);
+      if (files.length === 0) return;
+      e.preventDefault();
+      this.onAttach?.(files);
+    });
   }
   
   /**
@@ -165,6 +209,44 @@ export class Terminal {
       this.onNickname?.(args.join(' '));
     }, 'Change your nickname');
     
+    // Edit and delete commands; n counts back from our last message (1 = last)
+    this.registerCommand('edit', (args) => {
+      const index = args.length > 1 && /^\d+$/.test(args[0]) ? parseInt(args.shift(), 10) : 1;
+      if (args.length === 0 || index < 1) {
+        this.displayError('Usage: /edit [n] <new text>');
+        return;
+      }
+      this.onEdit?.(index, args.join(' '));
+    }, 'Edit your last message, or your nth last with /edit <n> <text>');
+    
+    this.registerCommand('delete', (args) => {
+      const index = args.length > 0 ? Number(args[0]) : 1;
+      if (!Number.isInteger(index) || index < 1) {
+        this.displayError('Usage: /delete [n]');
+        return;
+      }
+      this.onDelete?.(index);
+    }, 'Delete your last message, or your nth last with /delete <n>');
+    
+    // Reply and thread commands; n counts back from the room's last message (1 = last)
+    this.registerCommand('reply', (args) => {
+      const index = Number(args[0]);
+      if (args.length < 2 || !Number.isInteger(index) || index < 1) {
+        this.displayError('Usage: /reply <n> <text>');
+        return;
+      }
+      this.onReply?.(index, args.slice(1).join(' '));
+    }, 'Reply to the nth last message in the current room (/reply 1 <text> answers the last one)');
+    
+    this.registerCommand('thread', (args) => {
+      const index = Number(args[0]);
+      if (args.length === 0 || !Number.isInteger(index) || index < 1) {
+        this.displayError('Usage: /thread <n>');
+        return;
+      }
+      this.onThread?.(index);
+    }, 'Show only the thread that the nth last message belongs to');
+    
     // Join command
     this.registerCommand('join', (args) => {
       if (args.length === 0) {
@@ -174,6 +256,16 @@ export class Terminal {
       this.onJoin?.(args[0]);
     }, 'Join a channel');
     
+    // Part command
+    this.registerCommand('part', (args) => {
+      this.onPart?.(args[0]);
+    }, 'Leave a channel (the current one if none is given)');
+    
+    // Channels command
+    this.registerCommand('channels', () => {
+      this.onChannels?.();
+    }, 'List joined channels');
+    
     // DM command
     this.registerCommand('dm', (args) => {
       if (args.length < 2) {
@@ -185,6 +277,64 @@ export class Terminal {
       this.onDirectMessage?.(peerId, message);
     }, 'Send a direct message');
     
+    // Contact request commands
+    this.registerCommand('addfriend', (args) => {
+      if (args.length === 0) {
+        this.displayError('Usage: /addfriend <peer-id> [note]');
+        return;
+      }
+      this.onAddFriend?.(args[0], args.slice(1).join(' '));
+    }, 'Send a friend request with an optional note');
+    
+    this.registerCommand('accept', (args) => {
+      this.onContactRequest?.('accept', args[0]);
+    }, 'Accept a friend request (/accept <peer>), or list pending requests');
+    
+    this.registerCommand('reject', (args) => {
+      this.onContactRequest?.('reject', args[0]);
+    }, 'Reject a friend request, or cancel one you sent');
+    
+    // File command
+    this.registerCommand('file', (args) => {
+      const action = args[0] || 'list';
+      if (!['send', 'accept', 'decline', 'list'].includes(action)) {
+        this.displayError('Usage: /file send [peer] | /file accept [id] | /file decline [id] | /file list');
+        return;
+      }
+      this.onFile?.(action, args[1]);
+    }, 'Send a file (/file send [peer]), answer offers (/file accept|decline [id]) or list transfers');
+    
+    // Transfers command
+    this.registerCommand('transfers', (args) => {
+      const action = args[0] || 'list';
+      if (!['list', 'pause', 'resume', 'cancel'].includes(action)) {
+        this.displayError('Usage: /transfers [list] | /transfers pause|resume|cancel [id]');
+        return;
+      }
+      this.onTransfers?.(action, args[1]);
+    }, 'List file transfers, or pause, resume or cancel one');
+    
+    // Block commands
+    this.registerCommand('block', (args) => {
+      if (args.length === 0) {
+        this.displayError('Usage: /block <peer-id|nickname>');
+        return;
+      }
+      this.onBlock?.(args[0]);
+    }, 'Refuse all connections and messages from a peer');
+    
+    this.registerCommand('unblock', (args) => {
+      if (args.length === 0) {
+        this.displayError('Usage: /unblock <peer-id|nickname>');
+        return;
+      }
+      this.onUnblock?.(args[0]);
+    }, 'Allow a blocked peer again');
+    
+    this.registerCommand('blocklist', () => {
+      this.onBlocklist?.();
+    }, 'List blocked peers');
+    
     // Reset keys command
     this.registerCommand('resetkeys', () => {
       if (confirm('This will delete your current identity and generate a new one. Continue?')) {
@@ -192,6 +342,46 @@ export class Terminal {
       }
     }, 'Reset identity keys (WARNING: This will change your Peer ID)');
     
+    // Profile command
+    this.registerCommand('profile', (args) => {
+      const action = args[0] || 'list';
+      if (!['list', 'new', 'switch'].includes(action) || (action !== 'list' && !args[1])) {
+        this.displayError('Usage: /profile list | /profile new <name> | /profile switch <name>');
+        return;
+      }
+      this.onProfile?.(action, args[1]);
+    }, 'List, create or switch profiles (separate identities in this browser)');
+    
+    // Backup command
+    this.registerCommand('backup', () => {
+      this.onBackup?.();
+    }, 'Show the 24-word recovery phrase for your identity');
+    
+    // Rotate keys command
+    this.registerCommand('rotatekeys', () => {
+      if (confirm('Generate a new identity and tell your friends to follow it? Your old key will be retired.')) {
+        this.onRotateKeys?.();
+      }
+    }, 'Move to a new identity key; friends are notified with a notice signed by the old key');
+    
+    // Verify command
+    this.registerCommand('verify', (args) => {
+      if (args.length === 0 || (args[1] && !['confirm', 'clear'].includes(args[1]))) {
+        this.displayError('Usage: /verify <peer-id|nickname> [confirm|clear]');
+        return;
+      }
+      this.onVerify?.(args[0], args[1] || 'show');
+    }, 'Compare safety numbers with a friend (/verify <peer> confirm marks them verified)');
+    
+    // Lock command
+    this.registerCommand('lock', (args) => {
+      if (args.length > 0 && !['change', 'off'].includes(args[0])) {
+        this.displayError('Usage: /lock [change|off]');
+        return;
+      }
+      this.onLock?.(args[0] || 'on');
+    }, 'Encrypt your stored identity with a passphrase (/lock change, /lock off)');
+    
     // Info command
     this.registerCommand('info', () => {
       this.onInfo?.();
@@ -205,6 +395,29 @@ export class Terminal {
       }
       this.onChat?.(args[0]);
     }, 'Start chat session with a peer');
+    
+    // Outbox command
+    this.registerCommand('outbox', (args) => {
+      if (args.length > 0 && args[0] !== 'cancel') {
+        this.displayError('Usage: /outbox [cancel <number|all>]');
+        return;
+      }
+      if (args[0] === 'cancel' && args.length < 2) {
+        this.displayError('Usage: /outbox cancel <number|all>');
+        return;
+      }
+      this.onOutbox?.(args[0] === 'cancel' ? args[1] : null);
+    }, 'List queued messages, or cancel one with /outbox cancel <number|all>');
+    
+    // History command
+    this.registerCommand('history', (args) => {
+      const count = args.length > 0 ? parseInt(args[0], 10) : undefined;
+      if (args.length > 0 && !(count > 0)) {
+        this.displayError('Usage: /history [number of messages]');
+        return;
+      }
+      this.onHistory?.(count);
+    }, 'Show recent messages in the current room or DM');
   }
   
   /**
@@ -213,6 +426,60 @@ export class Terminal {
    * @param {object} message - Message object
    */
   displayMessage(message) {
+    const messageEl = this.createMessageElement(message);
+    
+    // Chat lines that belong to a room are placed in event order, so a late
+    // arrival shows up before newer lines of the same room
+    const laterEl = message.type === 'chat' && message.roomId ? this.findLaterMessage(messageEl) : null;
+    if (laterEl) {
+      this.output.insertBefore(messageEl, laterEl);
+    } else {
+      this.output.appendChild(messageEl);
+      this.scrollToBottom();
+    }
+  }
+  
+  /**
+   * Find the earliest displayed line of the same room that should come after
+   * a new line, walking back from the bottom
+   * 
+   * @param {HTMLElement} messageEl - New chat line
+   * @returns {HTMLElement|null} Line to insert before, or null to append
+   */
+  findLaterMessage(messageEl) {
+    const key = this.getOrderKey(messageEl);
+    let laterEl = null;
+    
+    for (let el = this.output.lastElementChild; el; el = el.previousElementSibling) {
+      if (el.dataset.roomId !== messageEl.dataset.roomId) continue;
+      if (compareEvents(this.getOrderKey(el), key) <= 0) break;
+      laterEl = el;
+    }
+    
+    return laterEl;
+  }
+  
+  /**
+   * Get the ordering fields stored on a chat line
+   * 
+   * @param {HTMLElement} messageEl - Chat line
+   * @returns {object} Ordering fields ({ lamport, origin_ts, event_id })
+   */
+  getOrderKey(messageEl) {
+    return {
+      lamport: Number(messageEl.dataset.lamport) || 0,
+      origin_ts: Number(messageEl.dataset.ts) || 0,
+      event_id: messageEl.dataset.eventId
+    };
+  }
+  
+  /**
+   * Create the element for a message
+   * 
+   * @param {object} message - Message object
+   * @returns {HTMLElement} Message element
+   */
+  createMessageElement(message) {
     const messageEl = document.createElement('div');
     messageEl.className = 'chat-message fade-in';
     
@@ -233,6 +500,26 @@ export class Terminal {
           <span class="message-sender">${this.escapeHtml(message.sender)}:</span>
           <span class="message-content">${this.escapeHtml(message.content)}</span>
         `;
+        if (message.quote) {
+          messageEl.prepend(this.createQuoteElement(message.quote));
+        }
+        if (message.edited || message.deleted) {
+          this.renderMessageBody(messageEl, { body: message.content, edited: message.edited, deleted: message.deleted });
+        }
+        if (message.status) {
+          messageEl.appendChild(this.createStatusElement(message.status));
+        }
+        if (message.eventId) {
+          messageEl.dataset.eventId = message.eventId;
+          this.messageElements.set(message.eventId, messageEl);
+        }
+        if (message.roomId) {
+          messageEl.dataset.roomId = message.roomId;
+          messageEl.dataset.ts = message.timestamp;
+          if (message.lamport) {
+            messageEl.dataset.lamport = message.lamport;
+          }
+        }
         break;
         
       case 'system':
@@ -254,10 +541,79 @@ export class Terminal {
         break;
     }
     
-    this.output.appendChild(messageEl);
+    return messageEl;
+  }
+  
+  /**
+   * Display a block of room history, newest last, followed by a separator.
+   * Only the most recent block offers "load older".
+   * 
+   * @param {string} title - Block title (e.g. room name)
+   * @param {object[]} entries - Chat entries ({ sender, content, timestamp, eventId, status })
+   * @param {boolean} hasMore - Whether older messages are available
+   */
+  displayHistory(title, entries, hasMore) {
+    this.loadOlderEl?.remove();
+    this.loadOlderEl = null;
+    
+    const headerEl = this.createSeparator(title);
+    this.output.appendChild(headerEl);
+    this.historyAnchor = headerEl;
+    
+    if (hasMore) {
+      this.loadOlderEl = this.createSeparator('load older messages');
+      this.loadOlderEl.classList.add('history-load-older');
+      this.loadOlderEl.addEventListener('click', () => this.onLoadOlderHistory?.());
+      this.output.appendChild(this.loadOlderEl);
+      this.historyAnchor = this.loadOlderEl;
+    }
+    
+    if (entries.length === 0) {
+      this.output.appendChild(this.createMessageElement({ type: 'system', content: 'No messages yet' }));
+    }
+    
+    entries.forEach(entry => {
+      this.output.appendChild(this.createMessageElement({ type: 'chat', ...entry }));
+    });
+    
+    this.output.appendChild(this.createSeparator('end of history'));
     this.scrollToBottom();
   }
   
+  /**
+   * Insert older history above the current history block
+   * 
+   * @param {object[]} entries - Chat entries in chronological order
+   * @param {boolean} hasMore - Whether even older messages are available
+   */
+  prependHistory(entries, hasMore) {
+    if (!this.historyAnchor) return;
+    
+    const insertBefore = this.historyAnchor.nextSibling;
+    entries.forEach(entry => {
+      this.output.insertBefore(this.createMessageElement({ type: 'chat', ...entry }), insertBefore);
+    });
+    
+    if (!hasMore && this.loadOlderEl) {
+      this.historyAnchor = this.loadOlderEl.previousSibling;
+      this.loadOlderEl.remove();
+      this.loadOlderEl = null;
+    }
+  }
+  
+  /**
+   * Create a history separator line
+   * 
+   * @param {string} label - Separator label
+   * @returns {HTMLElement} Separator element
+   */
+  createSeparator(label) {
+    const separatorEl = document.createElement('div');
+    separatorEl.className = 'history-separator';
+    separatorEl.textContent = `── ${label} ──`;
+    return separatorEl;
+  }
+  
   /**
    * Display system message
    * 
@@ -294,27 +650,188 @@ export class Terminal {
     });
   }
   
+  /**
+   * Display or update a progress line, e.g. for a file transfer
+   * 
+   * @param {string} id - Progress ID; later calls with it update the same line
+   * @param {string} content - Label
+   * @param {number} fraction - Progress from 0 to 1
+   */
+  displayProgress(id, content, fraction) {
+    let progressEl = this.progressElements.get(id);
+    if (!progressEl) {
+      progressEl = document.createElement('div');
+      progressEl.className = 'chat-message progress-message';
+      progressEl.innerHTML = '<span class="system-message"></span>';
+      this.progressElements.set(id, progressEl);
+      this.output.appendChild(progressEl);
+      this.scrollToBottom();
+    }
+    
+    const percent = Math.floor(Math.min(Math.max(fraction, 0), 1) * 100);
+    const filled = Math.round(percent / 5);
+    progressEl.firstChild.textContent = `${content} [${'#'.repeat(filled)}${'-'.repeat(20 - filled)}] ${percent}%`;
+    
+    if (percent === 100) {
+      this.progressElements.delete(id);
+    }
+  }
+  
+  /**
+   * Display a received image as an inline thumbnail. Blobs that are not a
+   * common raster image type are ignored.
+   * 
+   * @param {string} caption - Line shown above the image (plain text)
+   * @param {Blob} blob - Image data
+   * @returns {boolean} True if the image was shown
+   */
+  displayImage(caption, blob) {
+    if (!INLINE_IMAGE_TYPES.includes(blob.type)) return false;
+    
+    // Built from elements rather than markup so nothing in the caption or
+    // file is ever parsed as HTML
+    const messageEl = document.createElement('div');
+    messageEl.className = 'chat-message image-message';
+    
+    const captionEl = document.createElement('span');
+    captionEl.className = 'system-message';
+    captionEl.textContent = caption;
+    
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.push(url);
+    const imageEl = document.createElement('img');
+    imageEl.className = 'inline-image';
+    imageEl.alt = caption;
+    imageEl.src = url;
+    imageEl.addEventListener('load', () => this.scrollToBottom(), { once: true });
+    
+    messageEl.append(captionEl, document.createElement('br'), imageEl);
+    this.output.appendChild(messageEl);
+    this.scrollToBottom();
+    return true;
+  }
+  
   /**
    * Display chat message
    * 
    * @param {string} sender - Message sender
    * @param {string} content - Message content
    * @param {number} timestamp - Message timestamp
+   * @param {object} options - Optional event ID, delivery status (own messages),
+   *   room ID / Lamport clock used to place the line in event order, and the
+   *   quote of the message it replies to
    */
-  displayChat(sender, content, timestamp) {
+  displayChat(sender, content, timestamp, options = {}) {
     this.displayMessage({
       type: 'chat',
       sender,
       content,
-      timestamp
+      timestamp,
+      eventId: options.eventId,
+      status: options.status,
+      roomId: options.roomId,
+      lamport: options.lamport,
+      quote: options.quote
     });
   }
   
+  /**
+   * Create the quoted preview shown above a reply
+   * 
+   * @param {object} quote - Parent message ({ sender, body, deleted }), or
+   *   { sender: null } if the parent is not in our history
+   * @returns {HTMLElement} Quote element
+   */
+  createQuoteElement(quote) {
+    const quoteEl = document.createElement('div');
+    quoteEl.className = 'message-quote';
+    
+    if (!quote.sender) {
+      quoteEl.textContent = '↪ reply to a message not in history';
+    } else {
+      const body = quote.deleted ? '[deleted]' : quote.body;
+      const preview = body.length > QUOTE_LENGTH ? `${body.slice(0, QUOTE_LENGTH - 1)}…` : body;
+      quoteEl.textContent = `↪ ${quote.sender}: ${preview}`;
+    }
+    
+    return quoteEl;
+  }
+  
+  /**
+   * Create the delivery status marker shown next to our own messages
+   * 
+   * @param {string} status - Delivery status (sent, delivered, read)
+   * @returns {HTMLElement} Status element
+   */
+  createStatusElement(status) {
+    const statusEl = document.createElement('span');
+    statusEl.className = `message-status ${status}`;
+    statusEl.textContent = `[${status}]`;
+    return statusEl;
+  }
+  
+  /**
+   * Update the delivery status marker of a displayed message
+   * 
+   * @param {string} eventId - Event ID of the message
+   * @param {string} status - New delivery status
+   */
+  updateMessageStatus(eventId, status) {
+    const messageEl = this.messageElements.get(eventId);
+    if (!messageEl) return;
+    
+    const statusEl = messageEl.querySelector('.message-status');
+    if (statusEl) {
+      statusEl.replaceWith(this.createStatusElement(status));
+    } else {
+      messageEl.appendChild(this.createStatusElement(status));
+    }
+  }
+  
+  /**
+   * Show the edited or deleted text of a displayed message
+   * 
+   * @param {string} eventId - Event ID of the message
+   * @param {object} change - { body, edited, deleted } from getMessageBody
+   */
+  updateMessageContent(eventId, change) {
+    const messageEl = this.messageElements.get(eventId);
+    if (!messageEl) return;
+    
+    this.renderMessageBody(messageEl, change);
+  }
+  
+  /**
+   * Fill in a chat line's text with its "(edited)" or "[deleted]" marker
+   * 
+   * @param {HTMLElement} messageEl - Chat line
+   * @param {object} change - { body, edited, deleted }
+   */
+  renderMessageBody(messageEl, { body, edited, deleted }) {
+    const contentEl = messageEl.querySelector('.message-content');
+    contentEl.textContent = deleted ? '[deleted]' : body;
+    contentEl.classList.toggle('deleted', Boolean(deleted));
+    
+    messageEl.querySelector('.message-edited')?.remove();
+    if (edited && !deleted) {
+      const editedEl = document.createElement('span');
+      editedEl.className = 'message-edited';
+      editedEl.textContent = '(edited)';
+      contentEl.after(editedEl);
+    }
+  }
+  
   /**
    * Clear the terminal output
    */
   clear() {
     this.output.innerHTML = '';
+    this.messageElements.clear();
+    this.progressElements.clear();
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+    this.historyAnchor = null;
+    this.loadOlderEl = null;
     this.displaySystem('Terminal cleared');
   }
   
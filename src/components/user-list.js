@@ -6,6 +6,9 @@ export class UserList {
     this.container = containerElement;
     this.users = new Map();
     this.selectedUser = null;
+    this.memberFilter = null; // Set of peer IDs to show, or null for everyone
+    this.contextActions = []; // Right-click actions ({ label, handler(user) })
+    this.contextMenu = null;
   }
   
   /**
@@ -63,16 +66,30 @@ export class UserList {
     this.render();
   }
   
+  /**
+   * Only show the given peers (e.g. members of the current channel)
+   * 
+   * @param {string[]|null} peerIds - Peer IDs to show, or null to show everyone
+   */
+  setMemberFilter(peerIds) {
+    this.memberFilter = peerIds ? new Set(peerIds) : null;
+    this.render();
+  }
+  
   /**
    * Render the user list
    */
   render() {
     this.container.innerHTML = '';
     
-    if (this.users.size === 0) {
+    const visibleUsers = Array.from(this.users.values()).filter(user =>
+      !this.memberFilter || this.memberFilter.has(user.peerId)
+    );
+    
+    if (visibleUsers.length === 0) {
       const emptyEl = document.createElement('div');
       emptyEl.className = 'user-list-empty';
-      emptyEl.textContent = 'No users online';
+      emptyEl.textContent = this.memberFilter ? 'No other members in channel' : 'No users online';
       emptyEl.style.color = 'var(--text-dim)';
       emptyEl.style.textAlign = 'center';
       emptyEl.style.padding = '1rem';
@@ -81,7 +98,7 @@ export class UserList {
     }
     
     // Sort users by nickname
-    const sortedUsers = Array.from(this.users.values()).sort((a, b) => 
+    const sortedUsers = visibleUsers.sort((a, b) => 
       a.nickname.localeCompare(b.nickname)
     );
     
@@ -106,7 +123,7 @@ export class UserList {
     
     userEl.innerHTML = `
       <div class="user-info">
-        <div class="user-name">${this.escapeHtml(user.nickname)}</div>
+        <div class="user-name">${this.escapeHtml(user.nickname)}${user.verified ? '<span class="verified-badge" title="Safety number verified">✓</span>' : ''}</div>
         <div class="user-id" style="font-size: 0.7rem; color: var(--text-dim);">
           ${this.shortenPeerId(user.peerId)}
         </div>
@@ -124,6 +141,14 @@ export class UserList {
       this.onUserDoubleClick?.(user);
     });
     
+    // Right click for user actions (block, ...)
+    userEl.addEventListener('contextmenu', (e) => {
+      if (this.contextActions.length > 0) {
+        e.preventDefault();
+        this.showContextMenu(user, e.clientX, e.clientY);
+      }
+    });
+    
     return userEl;
   }
   
@@ -188,6 +213,58 @@ export class UserList {
     this.onUserDoubleClick = handler;
   }
   
+  /**
+   * Set the actions offered when right-clicking a user
+   * 
+   * @param {object[]} actions - Actions ({ label, handler(user) })
+   */
+  setContextActions(actions) {
+    this.contextActions = actions;
+  }
+  
+  /**
+   * Show the context menu for a user
+   * 
+   * @param {object} user - User information
+   * @param {number} x - Viewport X position
+   * @param {number} y - Viewport Y position
+   */
+  showContextMenu(user, x, y) {
+    this.hideContextMenu();
+    
+    const menu = document.createElement('div');
+    menu.className = 'user-context-menu';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    
+    this.contextActions.forEach(action => {
+      const item = document.createElement('button');
+      item.className = 'user-context-item';
+      item.textContent = action.label;
+      item.addEventListener('click', () => {
+        this.hideContextMenu();
+        action.handler(user);
+      });
+      menu.appendChild(item);
+    });
+    
+    document.body.appendChild(menu);
+    this.contextMenu = menu;
+    
+    // Any click elsewhere closes the menu
+    setTimeout(() => {
+      document.addEventListener('click', () => this.hideContextMenu(), { once: true });
+    }, 0);
+  }
+  
+  /**
+   * Close the context menu if open
+   */
+  hideContextMenu() {
+    this.contextMenu?.remove();
+    this.contextMenu = null;
+  }
+  
   /**
    * Shorten peer ID for display
    * 
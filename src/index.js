@@ -1,30 +1,71 @@
-import { createP2PNode, connectToPeer, getNodeStats, stopNode, announceToNetwork } from './lib/p2p-node.js';
+import {
+  createP2PNode,
+  createBlocklistGater,
+  connectToPeer,
+  getNodeStats,
+  stopNode,
+  announceToNetwork
+} from './lib/p2p-node.js';
 import { KeyManager } from './lib/key-manager.js';
-import { Storage, ChatHistoryStorage, SettingsStorage, FriendsStorage } from './lib/storage.js';
-import { ChatProtocol, CHAT_PROTOCOL } from './lib/chat-protocol.js';
+import {
+  Storage,
+  SettingsStorage,
+  FriendsStorage,
+  OutboxStorage,
+  ContactRequestsStorage,
+  BlocklistStorage,
+  ProfilesStorage,
+  DEFAULT_PROFILE,
+  profilePrefix,
+  normalizeProfileName
+} from './lib/storage.js';
+import { createChatHistoryStorage } from './lib/idb-storage.js';
+import { computeSafetyNumber } from './lib/safety-number.js';
+import { ChatProtocol, CHAT_PROTOCOLS, CLOSE_REASONS } from './lib/chat-protocol.js';
+import { MessageOutbox } from './lib/outbox.js';
+import { ChannelManager, normalizeChannel } from './lib/channels.js';
+import { HistorySync, SYNC_PROTOCOL } from './lib/history-sync.js';
+import { FileTransfer, PAUSE_REASONS, formatFileSize, transferPercent } from './lib/file-transfer.js';
+import { createTransferStore } from './lib/transfer-store.js';
+import { getMessageBody } from './lib/message-edits.js';
+import { getReplyTo, getThread } from './lib/replies.js';
 import { Terminal } from './components/terminal.js';
 import { UserList } from './components/user-list.js';
 import { Settings } from './components/settings.js';
 import { DebugPanel } from './components/debug-panel.js';
+import { ProfilePicker } from './components/profile-picker.js';
+import { ContactRequests } from './components/contact-requests.js';
 import { UIManager } from './lib/ui-manager.js';
 import { multiaddr } from '@multiformats/multiaddr';
+import { peerIdFromString } from '@libp2p/peer-id';
 
 // Import styles
 import './styles.css';
 
+// Number of messages shown per history page
+const HISTORY_PAGE_SIZE = 50;
+
+// Storage key for a key-rotation notice still owed to offline friends
+const MIGRATION_KEY = 'identity-migration';
+
 /**
  * Main application class
  */
 class P2PChatApp {
   constructor() {
-    // Initialize storage
-    this.storage = new Storage();
-    this.chatHistory = new ChatHistoryStorage();
-    this.settings = new SettingsStorage();
-    this.friends = new FriendsStorage();
+    // Profile registry; the chosen profile's storage is opened in openProfile()
+    this.profiles = new ProfilesStorage();
+    this.profile = null;
     
-    // Initialize key manager
-    this.keyManager = new KeyManager(this.storage);
+    // Per-profile storage and keys
+    this.storage = null;
+    this.chatHistory = null; // IndexedDB or localStorage, opened in start()
+    this.settings = null;
+    this.friends = null;
+    this.outboxStorage = null;
+    this.contactRequests = null;
+    this.blocklist = null;
+    this.keyManager = null;
     
     // Event emitter for cross-component communication
     this.events = new EventTarget();
@@ -32,10 +73,20 @@ class P2PChatApp {
     // P2P components (initialized in start())
     this.node = null;
     this.chatProtocol = null;
+    this.outbox = null;
+    this.channels = null;
+    this.historySync = null;
+    
+    // Received DMs awaiting a read receipt (peerId -> [{ roomId, eventId }])
+    this.unreadMessages = new Map();
+    
+    // Room whose history is currently shown ({ roomId, loaded })
+    this.historyView = null;
     
     // UI components
     this.terminal = null;
     this.userList = null;
+    this.contactRequestList = null;
     this.settingsPanel = null;
     this.debugPanel = null;
     this.uiManager = null;
@@ -46,11 +97,21 @@ class P2PChatApp {
    */
   async start() {
     try {
+      // Pick the profile (identity and data namespace) for this tab
+      this.openProfile(await this.selectProfile());
+      
       // Initialize UI components
       this.initializeUI();
+      this.uiManager.updateProfile(this.profile);
       
       // Display startup message
       this.terminal.displaySystem('Initializing P2P Chat Terminal...');
+      if (this.profile !== DEFAULT_PROFILE) {
+        this.terminal.displaySystem(`Profile: ${this.profile}`);
+      }
+      
+      // Open chat history (migrates old localStorage history on first run)
+      this.chatHistory = await createChatHistoryStorage({ profile: this.profile });
       
       // Initialize or load keys
       const keys = await this.initializeKeys();
@@ -60,14 +121,46 @@ class P2PChatApp {
       
       // Create and start P2P node
       this.terminal.displaySystem('Starting P2P node...');
-      this.node = await createP2PNode(keys.privateKey);
+      const isBlocked = (peerId) => this.blocklist.isBlocked(peerId);
+      const isContact = (peerId) => this.friends.isFriend(peerId);
+      this.node = await createP2PNode(keys.privateKey, {
+        connectionGater: createBlocklistGater(isBlocked)
+      });
       
       // Initialize chat protocol
-      this.chatProtocol = new ChatProtocol(this.node, this.chatHistory, this.events);
+      this.chatProtocol = new ChatProtocol(this.node, this.chatHistory, this.events, {
+        privateKey: keys.privateKey,
+        isBlocked,
+        isContact,
+        friends: this.friends
+      });
       
       // Expose chat protocol for debugging
       window.chatProtocol = this.chatProtocol;
       
+      // Initialize outbox for messages to unreachable peers
+      this.outbox = new MessageOutbox(this.chatProtocol, this.outboxStorage, this.events);
+      
+      // Initialize gossipsub-backed channels
+      this.channels = new ChannelManager(this.node, this.chatProtocol, this.chatHistory, this.events);
+      
+      // Initialize history sync so peers can catch up after being apart
+      this.historySync = new HistorySync(this.node, this.chatHistory, this.events, {
+        channels: this.channels,
+        isContact,
+        friends: this.friends
+      });
+      
+      // Initialize file transfer; offers are checked against the Files settings
+      this.fileTransfer = new FileTransfer(this.node, this.chatProtocol, this.events, {
+        store: await createTransferStore({ profile: this.profile }),
+        getMaxFileSize: () => this.settings.getSetting('maxFileSize') * 1024 * 1024,
+        shouldAutoAccept: (peerId) => this.settings.getSetting('autoAcceptFiles') && this.friends.isFriend(peerId)
+      });
+      
+      // Downloads interrupted last session resume when their sender connects
+      await this.fileTransfer.load();
+      
       // Set up P2P event handlers
       this.setupP2PEventHandlers();
       
@@ -133,6 +226,17 @@ class P2PChatApp {
       // Load friends list
       this.loadFriends();
       
+      // Rejoin saved channels
+      this.settings.getSetting('channels').forEach(channel => this.channels.join(channel));
+      this.updateMemberFilter();
+      
+      // Start retrying queued messages
+      this.outbox.start();
+      const pending = this.outbox.list().length;
+      if (pending > 0) {
+        this.terminal.displaySystem(`${pending} queued message(s) waiting for delivery. Type /outbox to list them.`);
+      }
+      
       // Auto-connect if enabled
       if (this.settings.getSetting('autoConnect')) {
         this.terminal.displaySystem('Auto-connecting to network...');
@@ -151,6 +255,127 @@ class P2PChatApp {
     }
   }
   
+  /**
+   * Decide which profile to open: ?profile= in the URL (created if new, so
+   * testers can open one persona per tab), otherwise the picker when more
+   * than one profile exists
+   * 
+   * @returns {Promise<string>} Profile name
+   */
+  async selectProfile() {
+    const requested = new URLSearchParams(window.location.search).get('profile');
+    if (requested) {
+      try {
+        const name = normalizeProfileName(requested);
+        if (!this.profiles.hasProfile(name)) {
+          this.profiles.create(name);
+        }
+        return name;
+      } catch (error) {
+        console.warn('Ignoring invalid profile in URL:', requested, error.message);
+      }
+    }
+    
+    const profiles = this.profiles.list();
+    if (profiles.length === 1) {
+      return profiles[0].name;
+    }
+    
+    const picker = new ProfilePicker(document.getElementById('profile-modal'));
+    return picker.pick(
+      profiles.map(profile => ({ ...profile, peerId: this.getProfilePeerId(profile.name) })),
+      {
+        selected: this.profiles.getLastUsed(),
+        onCreate: (name) => this.profiles.create(name)
+      }
+    );
+  }
+  
+  /**
+   * Open the storage namespaces and key manager of a profile
+   * 
+   * @param {string} name - Profile name
+   */
+  openProfile(name) {
+    this.profile = name;
+    this.profiles.setLastUsed(name);
+    
+    this.storage = new Storage(profilePrefix('libp2p', name));
+    this.settings = new SettingsStorage(name);
+    this.friends = new FriendsStorage(name);
+    this.outboxStorage = new OutboxStorage(name);
+    this.contactRequests = new ContactRequestsStorage(name);
+    this.blocklist = new BlocklistStorage(name);
+    this.keyManager = new KeyManager(this.storage);
+  }
+  
+  /**
+   * Get the peer ID stored in a profile without loading its key
+   * 
+   * @param {string} name - Profile name
+   * @returns {string|null} Peer ID or null
+   */
+  getProfilePeerId(name) {
+    return new KeyManager(new Storage(profilePrefix('libp2p', name))).getPeerId();
+  }
+  
+  /**
+   * Handle /profile list|new|switch
+   * 
+   * @param {string} action - 'list', 'new' or 'switch'
+   * @param {string} name - Profile name for new/switch
+   */
+  async handleProfileCommand(action, name) {
+    if (action === 'list') {
+      const lines = this.profiles.list().map(profile => {
+        const marker = profile.name === this.profile ? '*' : ' ';
+        const peerId = this.getProfilePeerId(profile.name);
+        return `${marker} ${profile.name} - ${peerId ? this.userList.shortenPeerId(peerId) : 'no identity yet'}`;
+      });
+      this.terminal.displaySystem(['Profiles (* = active):', ...lines].join('\n'));
+      return;
+    }
+    
+    try {
+      if (action === 'new') {
+        const created = this.profiles.create(name);
+        this.terminal.displaySuccess(`Created profile ${created}`);
+        await this.switchProfile(created);
+        return;
+      }
+      
+      const target = normalizeProfileName(name);
+      if (!this.profiles.hasProfile(target)) {
+        this.terminal.displayError(`Unknown profile: ${target}. Create it with /profile new ${target}`);
+        return;
+      }
+      if (target === this.profile) {
+        this.terminal.displaySystem(`Already using profile ${target}`);
+        return;
+      }
+      await this.switchProfile(target);
+    } catch (error) {
+      this.terminal.displayError(error.message);
+    }
+  }
+  
+  /**
+   * Restart this tab with another profile
+   * 
+   * @param {string} name - Profile name
+   */
+  async switchProfile(name) {
+    this.terminal.displaySystem(`Switching to profile ${name}...`);
+    
+    if (this.node) {
+      await stopNode(this.node);
+    }
+    
+    const url = new URL(window.location.href);
+    url.searchParams.set('profile', name);
+    window.location.assign(url.toString());
+  }
+  
   /**
    * Initialize UI components
    */
@@ -167,6 +392,12 @@ class P2PChatApp {
       document.getElementById('user-list')
     );
     
+    // Initialize contact requests
+    this.contactRequestList = new ContactRequests(
+      document.getElementById('contact-requests')
+    );
+    this.contactRequestList.setRequests(this.contactRequests.getRequests());
+    
     // Initialize settings panel
     this.settingsPanel = new Settings(
       document.getElementById('settings-content'),
@@ -201,6 +432,13 @@ class P2PChatApp {
    * Initialize or load cryptographic keys
    */
   async initializeKeys() {
+    // Locked identities need the passphrase before the node can start
+    if (this.keyManager.isLocked()) {
+      const keys = await this.unlockKeys();
+      this.terminal.displaySystem('Unlocked existing identity');
+      return keys;
+    }
+    
     // Try to load existing keys
     let keys = await this.keyManager.loadKeys();
     
@@ -219,6 +457,33 @@ class P2PChatApp {
     return keys;
   }
   
+  /**
+   * Prompt until the stored identity unlocks
+   * 
+   * @returns {Promise<{privateKey: object, peerId: object}>} Unlocked keys
+   */
+  async unlockKeys() {
+    let error = '';
+    
+    while (true) {
+      const passphrase = await this.uiManager.promptPassphrase({
+        title: 'Unlock Identity',
+        message: `Your identity ${this.userList.shortenPeerId(this.keyManager.getPeerId())} is locked. Enter its passphrase.`,
+        error
+      });
+      
+      if (passphrase === null) {
+        throw new Error('Identity is locked. Reload the page to unlock it.');
+      }
+      
+      try {
+        return await this.keyManager.loadKeys({ passphrase });
+      } catch (err) {
+        error = err.message;
+      }
+    }
+  }
+  
   /**
    * Set up P2P event handlers
    */
@@ -243,8 +508,22 @@ class P2PChatApp {
       // Check if friend
       const friend = this.friends.getFriend(peerId);
       if (friend) {
-        this.userList.updateUser(peerId, { nickname: friend.nickname });
+        this.userList.updateUser(peerId, { nickname: friend.nickname, verified: Boolean(friend.verified) });
       }
+      
+      // Tell friends we missed about our key rotation before anything else
+      await this.sendMigrationNotices([peerId]);
+      
+      // Friend requests stay pending until answered
+      await this.sendContactRequests([peerId]);
+      
+      // Retry queued messages now that the peer is reachable
+      if (this.outboxStorage.getQueue(peerId).length > 0) {
+        this.outbox.flush(peerId);
+      }
+      
+      // Pick up downloads that broke off with the last connection
+      this.fileTransfer.resumeInterrupted(peerId);
     });
     
     // Peer disconnection
@@ -265,9 +544,163 @@ class P2PChatApp {
       this.handleIncomingMessage(message);
     });
     
+    this.events.addEventListener('message:held', (evt) => {
+      this.handleHeldMessage(evt.detail);
+    });
+    
+    this.events.addEventListener('message:receipt', (evt) => {
+      const { eventIds, receiptType } = evt.detail;
+      eventIds.forEach(eventId => this.terminal.updateMessageStatus(eventId, receiptType));
+    });
+    
+    // Edits and redactions, ours or others'; re-render the line if it is shown
+    ['message:edited', 'message:redacted'].forEach(type => {
+      this.events.addEventListener(type, (evt) => {
+        const { message } = evt.detail;
+        this.terminal.updateMessageContent(message.event_id, getMessageBody(message));
+      });
+    });
+    
+    this.events.addEventListener('contact:request', (evt) => {
+      this.handleContactRequest(evt.detail);
+    });
+    
+    this.events.addEventListener('contact:accept', async (evt) => {
+      await this.handleContactAnswer(evt.detail, true);
+    });
+    
+    this.events.addEventListener('contact:reject', async (evt) => {
+      await this.handleContactAnswer(evt.detail, false);
+    });
+    
+    this.events.addEventListener('identity:migrate', (evt) => {
+      this.handleIdentityMigration(evt.detail);
+    });
+    
+    this.events.addEventListener('message:rejected', (evt) => {
+      const { peerId, reason } = evt.detail;
+      this.terminal.displayError(`Rejected message from ${this.userList.shortenPeerId(peerId)} (${reason})`);
+    });
+    
+    this.events.addEventListener('channel:members', (evt) => {
+      const { channel } = evt.detail;
+      if (!this.uiManager.currentDM && channel === normalizeChannel(this.uiManager.currentChannel)) {
+        this.updateMemberFilter();
+      }
+    });
+    
+    // Catch up on missed history once we know the peer speaks the sync protocol
+    this.node.addEventListener('peer:identify', (evt) => {
+      const { peerId, protocols } = evt.detail;
+      if (protocols.includes(SYNC_PROTOCOL)) {
+        this.syncHistory(peerId.toString());
+      }
+    });
+    
+    // Channel membership is only known after gossipsub subscriptions arrive
+    this.events.addEventListener('channel:joined', (evt) => {
+      const { channel, peerId } = evt.detail;
+      this.syncHistory(peerId, [channel]);
+    });
+    
+    this.events.addEventListener('sync:room', (evt) => {
+      this.handleSyncedRoom(evt.detail);
+    });
+    
+    // File transfer events
+    this.events.addEventListener('file:offer', (evt) => {
+      this.handleFileOffer(evt.detail.transfer);
+    });
+    
+    this.events.addEventListener('file:accepted', (evt) => {
+      const { transfer } = evt.detail;
+      this.terminal.displaySystem(`${this.getDisplayName(transfer.peerId)} accepted ${transfer.name}, sending...`);
+    });
+    
+    this.events.addEventListener('file:declined', (evt) => {
+      const { transfer } = evt.detail;
+      const who = this.getDisplayName(transfer.peerId);
+      if (transfer.status === 'cancelled') {
+        this.terminal.displaySystem(`${who} cancelled the transfer of ${transfer.name}`);
+      } else {
+        this.terminal.displaySystem(transfer.direction === 'outgoing'
+          ? `${who} declined ${transfer.name} (${transfer.reason})`
+          : `${who} cancelled the offer of ${transfer.name}`);
+      }
+    });
+    
+    this.events.addEventListener('file:paused', (evt) => {
+      const { transfer } = evt.detail;
+      const at = `${transferPercent(transfer)}%`;
+      if (transfer.reason === PAUSE_REASONS.LOCAL) {
+        this.terminal.displaySystem(`Paused ${transfer.name} at ${at}. Use /transfers resume ${transfer.id} to continue.`);
+      } else if (transfer.reason === PAUSE_REASONS.PEER) {
+        this.terminal.displaySystem(`${this.getDisplayName(transfer.peerId)} paused ${transfer.name} at ${at}`);
+      } else {
+        this.terminal.displaySystem(`Transfer of ${transfer.name} interrupted at ${at}; it resumes when ${this.getDisplayName(transfer.peerId)} reconnects (or use /transfers resume ${transfer.id})`);
+      }
+    });
+    
+    this.events.addEventListener('file:progress', (evt) => {
+      const { transfer } = evt.detail;
+      const verb = transfer.direction === 'outgoing' ? 'Sending' : 'Receiving';
+      this.terminal.displayProgress(transfer.id, `${verb} ${transfer.name}`, transferPercent(transfer) / 100);
+    });
+    
+    this.events.addEventListener('file:complete', (evt) => {
+      const { transfer, blob } = evt.detail;
+      if (transfer.direction === 'incoming') {
+        this.saveFile(blob, transfer.name);
+        this.terminal.displaySuccess(`Received ${transfer.name} (${formatFileSize(transfer.size)}) and handed it to your browser's downloads`);
+        this.terminal.displayImage(`${this.getDisplayName(transfer.peerId)} sent ${transfer.name}`, blob);
+      } else {
+        this.terminal.displaySuccess(`Sent ${transfer.name} to ${this.getDisplayName(transfer.peerId)}`);
+      }
+    });
+    
+    this.events.addEventListener('file:failed', (evt) => {
+      const { transfer, error } = evt.detail;
+      this.terminal.displayError(`Transfer of ${transfer.name} failed: ${error}`);
+    });
+    
+    this.events.addEventListener('peer:throttled', (evt) => {
+      const { peerId, type, scope, strikes } = evt.detail;
+      // Only the first drop is worth a line; the rest would be the flood itself
+      if (strikes === 1) {
+        const cause = { peer: 'too many events', invalid: 'malformed frames' }[scope] || `too many ${type} events`;
+        this.terminal.displaySystem(`Dropping events from ${this.getDisplayName(peerId)}: ${cause}`);
+      }
+    });
+    
+    this.events.addEventListener('chat:disconnected', (evt) => {
+      const { peerId, reason, error } = evt.detail;
+      if (reason === CLOSE_REASONS.RATE_LIMITED) {
+        this.terminal.displayError(`Closed chat session with ${this.getDisplayName(peerId)}: rate limit exceeded`);
+      } else if (reason) {
+        this.terminal.displayError(`Closed chat session with ${this.getDisplayName(peerId)}: ${error || reason}`);
+      }
+    });
+    
+    this.events.addEventListener('peer:bye', (evt) => {
+      const { peerId, reason, error } = evt.detail;
+      this.terminal.displaySystem(`${this.getDisplayName(peerId)} closed the chat session (${error || reason || 'no reason given'})`);
+    });
+    
     this.events.addEventListener('chat:connected', (evt) => {
       const { peerId } = evt.detail;
       console.log('Chat session established with:', peerId);
+      
+      // Deliver anything queued while the peer was offline
+      if (this.outboxStorage.getQueue(peerId).length > 0) {
+        this.outbox.flush(peerId);
+      }
+    });
+    
+    // Outbox events
+    this.events.addEventListener('outbox:sent', (evt) => {
+      const { item } = evt.detail;
+      this.terminal.updateMessageStatus(item.id, 'sent');
+      this.terminal.displaySuccess(`Queued message delivered to ${this.userList.shortenPeerId(item.peerId)}`);
     });
     
     this.events.addEventListener('peer:nickname', (evt) => {
@@ -277,6 +710,8 @@ class P2PChatApp {
       // Update friend info if friend
       if (this.friends.isFriend(peerId)) {
         this.friends.updateFriend(peerId, { nickname });
+      } else {
+        this.warnNicknameCollision(peerId, nickname);
       }
     });
   }
@@ -302,10 +737,32 @@ class P2PChatApp {
       onConnect: (peerId) => this.connectToPeer(peerId),
       onNickname: (nickname) => this.changeNickname(nickname),
       onJoin: (channel) => this.joinChannel(channel),
+      onPart: (channel) => this.partChannel(channel),
+      onChannels: () => this.listChannels(),
       onDirectMessage: (peerId, message) => this.sendDirectMessage(peerId, message),
+      onAddFriend: (peerId, note) => this.addFriend(peerId, note),
+      onContactRequest: (action, peer) => this.handleContactCommand(action, peer),
+      onFile: (action, arg) => this.handleFileCommand(action, arg),
+      onTransfers: (action, id) => this.handleTransfersCommand(action, id),
+      onEdit: (index, body) => this.changeOwnMessage(index, body),
+      onDelete: (index) => this.changeOwnMessage(index, null),
+      onReply: (index, body) => this.replyToMessage(index, body),
+      onThread: (index) => this.showThread(index),
+      onAttach: (files) => this.attachFiles(files),
+      onBlock: (peer) => this.blockPeer(peer),
+      onUnblock: (peer) => this.unblockPeer(peer),
+      onBlocklist: () => this.listBlocked(),
       onResetKeys: () => this.resetKeys(),
+      onRotateKeys: () => this.rotateKeys(),
+      onBackup: () => this.uiManager.showRecoveryPhrase(),
+      onProfile: (action, name) => this.handleProfileCommand(action, name),
+      onLock: (action) => this.handleLockCommand(action),
+      onVerify: (peer, action) => this.handleVerifyCommand(peer, action),
       onInfo: () => this.displayNodeInfo(),
-      onChat: (peerId) => this.startChatSession(peerId)
+      onChat: (peerId) => this.startChatSession(peerId),
+      onOutbox: (cancelTarget) => this.handleOutboxCommand(cancelTarget),
+      onHistory: (count) => this.showCurrentHistory(count),
+      onLoadOlderHistory: () => this.loadOlderHistory()
     });
     
     // User list handlers
@@ -314,11 +771,34 @@ class P2PChatApp {
       // Switch to DM mode when user is selected
       this.uiManager.switchToDM(user.peerId, user.nickname || user.peerId);
       this.terminal.displaySystem(`Switched to DM with ${this.userList.shortenPeerId(user.peerId)}`);
+      this.updateMemberFilter();
+      this.showCurrentHistory();
+      this.sendReadReceipts(user.peerId);
     });
     
+    this.userList.setContextActions([
+      { label: 'Block', handler: (user) => this.blockPeer(user.peerId) }
+    ]);
+    
     this.userList.setUserDoubleClickHandler((user) => {
       // Also handle double-click
       this.uiManager.switchToDM(user.peerId, user.nickname || user.peerId);
+      this.updateMemberFilter();
+      this.showCurrentHistory();
+      this.sendReadReceipts(user.peerId);
+    });
+    
+    // Messages in the open DM count as read once the window regains focus
+    window.addEventListener('focus', () => {
+      if (this.uiManager.currentDM) {
+        this.sendReadReceipts(this.uiManager.currentDM);
+      }
+    });
+    
+    // Contact request handlers
+    this.contactRequestList.setActionHandlers({
+      onAccept: (peerId) => this.acceptContactRequest(peerId),
+      onReject: (peerId) => this.rejectContactRequest(peerId)
     });
     
     // Settings handlers
@@ -331,8 +811,11 @@ class P2PChatApp {
     this.uiManager.setEventHandlers({
       onNicknameChange: (nickname) => this.changeNickname(nickname),
       onAddFriend: (peerId) => this.addFriend(peerId),
-      onExportKeys: () => this.keyManager.exportKeys(),
-      onImportKeys: (keyData) => this.importKeys(keyData)
+      onExportKeys: (passphrase) => passphrase
+        ? this.keyManager.exportEncryptedKeys(passphrase)
+        : this.keyManager.exportKeys(),
+      onExportMnemonic: () => this.keyManager.exportMnemonic(),
+      onImportKeys: (keyData, passphrase) => this.importKeys(keyData, passphrase)
     });
     
     // Debug panel handlers
@@ -356,14 +839,16 @@ class P2PChatApp {
   /**
    * Handle incoming chat message
    */
-  handleIncomingMessage(message) {
+  async handleIncomingMessage(message) {
     const sender = this.userList.getUser(message.sender) || { nickname: message.sender };
+    const quote = await this.getReplyQuote(message.room_id, getReplyTo(message));
     
     // Display in terminal
     this.terminal.displayChat(
       sender.nickname,
       message.content.body,
-      message.origin_ts
+      message.origin_ts,
+      { eventId: message.event_id, roomId: message.room_id, lamport: message.lamport, quote }
     );
     
     // Show notification if not focused
@@ -376,160 +861,1325 @@ class P2PChatApp {
     
     // Play sound
     this.uiManager.playSound('message');
+    
+    // Track for read receipt
+    this.queueReadReceipt(message);
   }
   
   /**
-   * Send direct message to peer
+   * Sync missed history with a peer, logging (not surfacing) failures
+   * 
+   * @param {string} peerId - Remote peer ID
+   * @param {string[]} rooms - Rooms to sync (defaults to every shared room)
    */
-  async sendDirectMessage(peerId, content) {
+  async syncHistory(peerId, rooms = null) {
     try {
-      console.log('[SendDM] Attempting to send message to:', peerId);
-      
-      // First ensure we have a chat session
-      const session = await this.chatProtocol.openStream(peerId);
-      
-      // Generate room ID and send message
-      const roomId = await ChatProtocol.generateRoomId(this.node.peerId.toString(), peerId);
-      const message = await this.chatProtocol.sendMessage(peerId, content, roomId);
-      
-      // Don't display here - terminal already displayed the input
-      // The chat protocol will handle echoing back our sent messages if needed
-      
-      console.log('[SendDM] Message sent successfully');
-      
+      await this.historySync.syncWithPeer(peerId, rooms);
     } catch (error) {
-      console.error('[SendDM] Failed to send message:', error);
-      this.terminal.displayError(`Failed to send message: ${error.message}`);
-      
-      if (error.message.includes('protocol not supported')) {
-        this.terminal.displaySystem('The peer might not support the chat protocol. Try /connect first.');
-      }
+      console.log('[App] ⚠️ History sync with', peerId, 'failed:', error.message);
     }
   }
   
   /**
-   * Broadcast message to all connected peers
+   * Report events fetched by history sync, refreshing the view if it is the current room
    */
-  async broadcastMessage(content) {
-    try {
-      const roomId = this.uiManager.currentChannel;
-      await this.chatProtocol.broadcast(content, roomId);
-      
-      // Display our message
-      const ourNickname = this.settings.getSetting('nickname');
-      this.terminal.displayChat(ourNickname, content, Date.now());
-      
-    } catch (error) {
-      this.terminal.displayError(`Failed to broadcast: ${error.message}`);
+  async handleSyncedRoom({ peerId, roomId, events, changes = [] }) {
+    const room = roomId.startsWith('#') ? roomId : `DM with ${this.getDisplayName(peerId)}`;
+    const edits = changes.length > 0 ? ` and ${changes.length} edit(s) or deletion(s)` : '';
+    this.terminal.displaySystem(`Synced ${events.length} missed message(s)${edits} in ${room} from ${this.getDisplayName(peerId)}`);
+    
+    if (roomId === await this.getCurrentRoomId()) {
+      this.showCurrentHistory();
     }
   }
   
   /**
-   * Connect to a specific peer
+   * Get a display name for a peer
    */
-  async connectToPeer(peerId) {
-    try {
-      this.terminal.displaySystem(`Connecting to ${peerId}...`);
-      
-      // First check if we're already connected
-      const existingConnections = this.node.getConnections(peerId);
-      if (existingConnections.length > 0) {
-        this.terminal.displaySuccess('Already connected to this peer!');
-        const isRelay = existingConnections[0].limitedConnection;
-        this.terminal.displaySystem(`Connection type: ${isRelay ? 'RELAY (limited)' : 'DIRECT'}`);
-        return;
-      }
-      
-      // Just establish basic connection without specific protocol
-      await connectToPeer(this.node, peerId);
-      
-      // Check connection type
-      const newConnections = this.node.getConnections(peerId);
-      if (newConnections.length > 0) {
-        const isRelay = newConnections[0].limitedConnection;
-        this.terminal.displaySuccess(`Connection established! Type: ${isRelay ? 'RELAY' : 'DIRECT'}`);
-        
-        if (isRelay) {
-          this.terminal.displaySystem('Connected via circuit relay. You can now chat!');
-        }
-      }
-    } catch (error) {
-      this.terminal.displayError(`Failed to connect: ${error.message}`);
-      
-      // Provide helpful suggestions
-      if (error.message.includes('Not found')) {
-        this.terminal.displaySystem('Peer not found in DHT. Make sure:');
-        this.terminal.displaySystem('  1. Both peers are connected to the bootstrap node');
-        this.terminal.displaySystem('  2. The peer ID is correct');
-        this.terminal.displaySystem('  3. Try again in a few seconds (DHT needs time to propagate)');
-      }
+  getDisplayName(peerId) {
+    if (this.node && peerId === this.node.peerId.toString()) {
+      return this.settings.getSetting('nickname');
     }
+    
+    return this.userList.getUser(peerId)?.nickname ||
+      this.friends.getFriend(peerId)?.nickname ||
+      this.userList.shortenPeerId(peerId);
   }
   
   /**
-   * Change nickname
+   * Get the DM room ID shared with a peer. Friends who rotated keys (or
+   * whom we rotated away from) keep the room ID pinned in their entry.
+   * 
+   * @param {string} peerId - Remote peer ID
+   * @returns {Promise<string>} Room ID
    */
-  changeNickname(nickname) {
-    this.settings.setSetting('nickname', nickname);
-    this.terminal.displaySuccess(`Nickname changed to: ${nickname}`);
-    
-    // Broadcast nickname to connected peers
-    this.broadcastNicknameUpdate(nickname);
+  async getDirectRoomId(peerId) {
+    const pinned = this.friends.getFriend(peerId)?.room_id;
+    return pinned || ChatProtocol.generateRoomId(this.node.peerId.toString(), peerId);
   }
   
   /**
-   * Broadcast nickname update to peers
+   * Get the room ID of the current DM or channel
    */
-  async broadcastNicknameUpdate(nickname) {
-    const sessions = this.chatProtocol.getActiveSessions();
-    
-    for (const [peerId, session] of sessions) {
-      try {
-        await session.send({
-          type: 'm.nickname',
-          sender: this.node.peerId.toString(),
-          nickname: nickname
-        });
-      } catch (error) {
-        console.error('Failed to send nickname update:', error);
-      }
+  async getCurrentRoomId() {
+    if (this.uiManager.currentDM) {
+      return this.getDirectRoomId(this.uiManager.currentDM);
     }
+    
+    return normalizeChannel(this.uiManager.currentChannel);
   }
   
   /**
-   * Join a channel
+   * Build the quoted preview of the message a reply answers
+   * 
+   * @param {string} roomId - Room of the reply
+   * @param {string|null} parentId - Event ID of the parent message
+   * @returns {Promise<object|undefined>} Quote for Terminal.displayChat, or
+   *   undefined if the message is not a reply
    */
-  joinChannel(channel) {
-    if (!channel.startsWith('#')) {
-      channel = '#' + channel;
+  async getReplyQuote(roomId, parentId) {
+    if (!parentId) return undefined;
+    
+    const parent = await this.chatHistory.getMessage(roomId, parentId);
+    if (!parent) {
+      return { sender: null };
     }
     
-    this.uiManager.switchToPublic();
-    this.uiManager.updateChannelDisplay(channel);
-    this.terminal.displaySystem(`Joined channel: ${channel}`);
+    const { body, deleted } = getMessageBody(parent);
+    return { sender: this.getDisplayName(parent.sender), body, deleted };
   }
   
   /**
-   * Add friend
+   * Convert a stored message into a terminal history entry
    */
-  addFriend(peerId) {
-    // Check if valid peer ID
-    if (!peerId || peerId.length < 10) {
-      this.terminal.displayError('Invalid peer ID');
-      return;
-    }
-    
-    // Add to friends storage
-    this.friends.addFriend(peerId);
-    this.terminal.displaySuccess(`Added friend: ${peerId}`);
+  async toHistoryEntry(message) {
+    const isOwn = message.sender === this.node.peerId.toString();
+    const { body, edited, deleted } = getMessageBody(message);
     
-    // Try to connect if not already connected
+    return {
+      sender: this.getDisplayName(message.sender),
+      content: body,
+      edited,
+      deleted,
+      timestamp: message.origin_ts,
+      eventId: message.event_id,
+      status: isOwn ? message.unsigned?.status : undefined,
+      roomId: message.room_id,
+      lamport: message.lamport,
+      quote: await this.getReplyQuote(message.room_id, getReplyTo(message))
+    };
+  }
+  
+  /**
+   * Replay recent history of the current DM or channel
+   * 
+   * @param {number} count - Number of messages to show
+   */
+  async showCurrentHistory(count = HISTORY_PAGE_SIZE) {
+    const roomId = await this.getCurrentRoomId();
+    const title = this.uiManager.currentDM
+      ? `History: DM with ${this.getDisplayName(this.uiManager.currentDM)}`
+      : `History: ${this.uiManager.currentChannel}`;
+    
+    const { messages, hasMore } = await this.chatHistory.getHistoryPage(roomId, count);
+    this.historyView = { roomId, loaded: messages.length };
+    
+    this.terminal.displayHistory(title, await Promise.all(messages.map(m => this.toHistoryEntry(m))), hasMore);
+  }
+  
+  /**
+   * Load the next page of older messages into the history view
+   */
+  async loadOlderHistory() {
+    if (!this.historyView) return;
+    
+    const { roomId, loaded } = this.historyView;
+    const { messages, hasMore } = await this.chatHistory.getHistoryPage(roomId, HISTORY_PAGE_SIZE, loaded);
+    this.historyView.loaded += messages.length;
+    
+    this.terminal.prependHistory(await Promise.all(messages.map(m => this.toHistoryEntry(m))), hasMore);
+  }
+  
+  /**
+   * Remember a received DM until it has been read, then acknowledge it
+   */
+  async queueReadReceipt(message) {
+    const peerId = message.sender;
+    const dmRoomId = await this.getDirectRoomId(peerId);
+    
+    // Read receipts are only sent for direct messages
+    if (message.room_id !== dmRoomId) {
+      return;
+    }
+    
+    const pending = this.unreadMessages.get(peerId) || [];
+    pending.push({ roomId: message.room_id, eventId: message.event_id });
+    this.unreadMessages.set(peerId, pending);
+    
+    if (this.uiManager.currentDM === peerId && document.hasFocus()) {
+      await this.sendReadReceipts(peerId);
+    }
+  }
+  
+  /**
+   * Send read receipts for all unread DMs from a peer
+   */
+  async sendReadReceipts(peerId) {
+    const pending = this.unreadMessages.get(peerId);
+    if (!pending || pending.length === 0) {
+      return;
+    }
+    
+    this.unreadMessages.delete(peerId);
+    
+    const byRoom = new Map();
+    pending.forEach(({ roomId, eventId }) => {
+      byRoom.set(roomId, [...(byRoom.get(roomId) || []), eventId]);
+    });
+    
+    for (const [roomId, eventIds] of byRoom) {
+      try {
+        await this.chatProtocol.sendReceipt(peerId, roomId, eventIds, 'read');
+      } catch (error) {
+        console.error('Failed to send read receipt:', error);
+      }
+    }
+  }
+  
+  /**
+   * Send direct message to peer
+   * 
+   * @param {string} peerId - Target peer ID
+   * @param {string} content - Message text
+   * @param {string} [replyTo] - Event ID of the message this one answers
+   */
+  async sendDirectMessage(peerId, content, replyTo) {
+    const ourNickname = this.settings.getSetting('nickname');
+    const roomId = await this.getDirectRoomId(peerId);
+    const quote = await this.getReplyQuote(roomId, replyTo);
+    
+    // Keep ordering: if messages are already waiting for this peer, queue behind them
+    if (this.outboxStorage.getQueue(peerId).length > 0) {
+      this.queueDirectMessage(peerId, roomId, content, replyTo, quote);
+      this.outbox.flush(peerId);
+      return;
+    }
+    
+    try {
+      console.log('[SendDM] Attempting to send message to:', peerId);
+      
+      // First ensure we have a chat session
+      await this.chatProtocol.openStream(peerId);
+      
+      // Send message
+      const message = await this.chatProtocol.sendMessage(peerId, content, roomId, { replyTo });
+      
+      // Display our message with its delivery status
+      this.terminal.displayChat(ourNickname, content, message.origin_ts, {
+        eventId: message.event_id,
+        status: 'sent',
+        roomId,
+        lamport: message.lamport,
+        quote
+      });
+      
+      console.log('[SendDM] Message sent successfully');
+      
+    } catch (error) {
+      console.error('[SendDM] Failed to send message:', error);
+      this.terminal.displayError(`Failed to send message: ${error.message}`);
+      
+      if (error.message.includes('protocol not supported')) {
+        this.terminal.displaySystem('The peer might not support the chat protocol. Try /connect first.');
+      }
+      
+      this.queueDirectMessage(peerId, roomId, content, replyTo, quote);
+    }
+  }
+  
+  /**
+   * Put a direct message in the outbox and show it as queued
+   */
+  queueDirectMessage(peerId, roomId, content, replyTo, quote) {
+    const item = this.outbox.queue(peerId, roomId, content, replyTo);
+    
+    this.terminal.displayChat(this.settings.getSetting('nickname'), content, item.queued_at, {
+      eventId: item.id,
+      status: 'queued',
+      quote
+    });
+    this.terminal.displaySystem('Message queued. It will be sent when the peer is reachable.');
+  }
+  
+  /**
+   * List queued messages or cancel them
+   * 
+   * @param {string|null} cancelTarget - 1-based index from the list, 'all', or null to list
+   */
+  handleOutboxCommand(cancelTarget) {
+    const items = this.outbox.list();
+    
+    if (cancelTarget === null) {
+      if (items.length === 0) {
+        this.terminal.displaySystem('Outbox is empty');
+        return;
+      }
+      
+      const lines = ['Queued messages:'];
+      items.forEach((item, index) => {
+        const peer = this.userList.getUser(item.peerId)?.nickname || this.userList.shortenPeerId(item.peerId);
+        const retry = item.attempts > 0 ? ` (${item.attempts} failed attempt(s))` : '';
+        lines.push(`  ${index + 1}. to ${peer}: ${item.content}${retry}`);
+      });
+      this.terminal.displaySystem(lines.join('\n'));
+      return;
+    }
+    
+    const targets = cancelTarget === 'all' ? items : [items[parseInt(cancelTarget, 10) - 1]];
+    if (targets.some(item => !item)) {
+      this.terminal.displayError(`No queued message #${cancelTarget}`);
+      return;
+    }
+    
+    targets.forEach(item => {
+      this.outbox.cancel(item.id);
+      this.terminal.updateMessageStatus(item.id, 'cancelled');
+    });
+    this.terminal.displaySuccess(`Cancelled ${targets.length} queued message(s)`);
+  }
+  
+  /**
+   * Publish message to the current channel
+   * 
+   * @param {string} content - Message text
+   * @param {string} [replyTo] - Event ID of the message this one answers
+   */
+  async broadcastMessage(content, replyTo) {
+    try {
+      const message = await this.channels.publish(this.uiManager.currentChannel, content, { replyTo });
+      
+      // Display our message
+      const ourNickname = this.settings.getSetting('nickname');
+      this.terminal.displayChat(ourNickname, content, message.origin_ts, {
+        eventId: message.event_id,
+        roomId: message.room_id,
+        lamport: message.lamport,
+        quote: await this.getReplyQuote(message.room_id, replyTo)
+      });
+      
+    } catch (error) {
+      this.terminal.displayError(`Failed to broadcast: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Edit or delete one of our messages in the current DM or channel
+   * 
+   * @param {number} index - 1 for our last message, 2 for the one before, ...
+   * @param {string|null} body - New text, or null to delete
+   */
+  async changeOwnMessage(index, body) {
+    const action = body === null ? 'delete' : 'edit';
+    const roomId = await this.getCurrentRoomId();
+    const ownId = this.node.peerId.toString();
+    const ownMessages = (await this.chatHistory.getHistory(roomId, 0))
+      .filter(m => m.sender === ownId && !m.unsigned?.redacted_by);
+    const message = ownMessages[ownMessages.length - index];
+    
+    if (!message) {
+      this.terminal.displayError(index === 1
+        ? `No message of yours to ${action} here`
+        : `You have only ${ownMessages.length} message(s) here to ${action}`);
+      return;
+    }
+    
+    try {
+      const change = body === null
+        ? await this.chatProtocol.createRedaction(roomId, message.event_id)
+        : await this.chatProtocol.createEdit(roomId, message.event_id, body);
+      
+      if (this.uiManager.currentDM) {
+        await this.chatProtocol.sendMessageChange(this.uiManager.currentDM, change);
+      } else {
+        await this.channels.publishChange(roomId, change);
+      }
+    } catch (error) {
+      this.terminal.displayError(`Failed to ${action} message: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Reply to a recent message in the current DM or channel
+   * 
+   * @param {number} index - 1 for the last message, 2 for the one before, ...
+   * @param {string} body - Reply text
+   */
+  async replyToMessage(index, body) {
+    const roomId = await this.getCurrentRoomId();
+    const messages = await this.chatHistory.getHistory(roomId, 0);
+    const parent = messages[messages.length - index];
+    
+    if (!parent) {
+      this.terminal.displayError(`No message #${index} to reply to here (${messages.length} in history)`);
+      return;
+    }
+    
+    if (this.uiManager.currentDM) {
+      await this.sendDirectMessage(this.uiManager.currentDM, body, parent.event_id);
+    } else {
+      await this.broadcastMessage(body, parent.event_id);
+    }
+  }
+  
+  /**
+   * Show only the thread a recent message of the current room belongs to
+   * 
+   * @param {number} index - 1 for the last message, 2 for the one before, ...
+   */
+  async showThread(index) {
+    const roomId = await this.getCurrentRoomId();
+    const messages = await this.chatHistory.getHistory(roomId, 0);
+    const message = messages[messages.length - index];
+    
+    if (!message) {
+      this.terminal.displayError(`No message #${index} here (${messages.length} in history)`);
+      return;
+    }
+    
+    const thread = getThread(messages, message.event_id);
+    const entries = await Promise.all(thread.map(m => this.toHistoryEntry(m)));
+    this.terminal.displayHistory(`Thread: ${thread.length} message(s)`, entries, false);
+  }
+  
+  /**
+   * Connect to a specific peer
+   */
+  async connectToPeer(peerId) {
+    try {
+      this.terminal.displaySystem(`Connecting to ${peerId}...`);
+      
+      // First check if we're already connected
+      const existingConnections = this.node.getConnections(peerId);
+      if (existingConnections.length > 0) {
+        this.terminal.displaySuccess('Already connected to this peer!');
+        const isRelay = existingConnections[0].limitedConnection;
+        this.terminal.displaySystem(`Connection type: ${isRelay ? 'RELAY (limited)' : 'DIRECT'}`);
+        return;
+      }
+      
+      // Just establish basic connection without specific protocol
+      await connectToPeer(this.node, peerId);
+      
+      // Check connection type
+      const newConnections = this.node.getConnections(peerId);
+      if (newConnections.length > 0) {
+        const isRelay = newConnections[0].limitedConnection;
+        this.terminal.displaySuccess(`Connection established! Type: ${isRelay ? 'RELAY' : 'DIRECT'}`);
+        
+        if (isRelay) {
+          this.terminal.displaySystem('Connected via circuit relay. You can now chat!');
+        }
+      }
+    } catch (error) {
+      this.terminal.displayError(`Failed to connect: ${error.message}`);
+      
+      // Provide helpful suggestions
+      if (error.message.includes('Not found')) {
+        this.terminal.displaySystem('Peer not found in DHT. Make sure:');
+        this.terminal.displaySystem('  1. Both peers are connected to the bootstrap node');
+        this.terminal.displaySystem('  2. The peer ID is correct');
+        this.terminal.displaySystem('  3. Try again in a few seconds (DHT needs time to propagate)');
+      }
+    }
+  }
+  
+  /**
+   * Change nickname
+   */
+  changeNickname(nickname) {
+    this.settings.setSetting('nickname', nickname);
+    this.terminal.displaySuccess(`Nickname changed to: ${nickname}`);
+    
+    // Broadcast nickname to connected peers
+    this.broadcastNicknameUpdate(nickname);
+  }
+  
+  /**
+   * Broadcast nickname update to peers
+   */
+  async broadcastNicknameUpdate(nickname) {
+    const sessions = this.chatProtocol.getActiveSessions();
+    
+    for (const [peerId, session] of sessions) {
+      try {
+        await session.send({
+          type: 'm.nickname',
+          sender: this.node.peerId.toString(),
+          nickname: nickname
+        });
+      } catch (error) {
+        console.error('Failed to send nickname update:', error);
+      }
+    }
+  }
+  
+  /**
+   * Join a channel
+   */
+  joinChannel(channel) {
+    try {
+      channel = this.channels.join(channel);
+    } catch (error) {
+      this.terminal.displayError(error.message);
+      return;
+    }
+    this.saveChannels();
+    
+    this.uiManager.switchToPublic();
+    this.uiManager.updateChannelDisplay(channel);
+    this.updateMemberFilter();
+    this.terminal.displaySystem(`Joined channel: ${channel}`);
+    this.showCurrentHistory();
+  }
+  
+  /**
+   * Leave a channel (the current one if none is given)
+   */
+  partChannel(channel) {
+    if (!channel && this.uiManager.currentDM) {
+      this.terminal.displayError('Usage: /part <channel> (you are in a DM)');
+      return;
+    }
+    
+    try {
+      channel = normalizeChannel(channel || this.uiManager.currentChannel);
+    } catch (error) {
+      this.terminal.displayError(error.message);
+      return;
+    }
+    
+    if (!this.channels.leave(channel)) {
+      this.terminal.displayError(`You are not in ${channel}`);
+      return;
+    }
+    this.saveChannels();
+    this.terminal.displaySystem(`Left channel: ${channel}`);
+    
+    // Move to another joined channel if we just left the one we were viewing
+    if (!this.uiManager.currentDM && channel === normalizeChannel(this.uiManager.currentChannel)) {
+      const [next] = this.channels.getChannels();
+      if (next) {
+        this.joinChannel(next);
+      } else {
+        this.updateMemberFilter();
+        this.terminal.displaySystem('You are not in any channel. Use /join <channel> to join one.');
+      }
+    }
+  }
+  
+  /**
+   * List joined channels with their member counts
+   */
+  listChannels() {
+    const channels = this.channels.getChannels();
+    if (channels.length === 0) {
+      this.terminal.displaySystem('You are not in any channel. Use /join <channel> to join one.');
+      return;
+    }
+    
+    const lines = ['Joined channels:'];
+    channels.forEach(channel => {
+      const current = !this.uiManager.currentDM && channel === normalizeChannel(this.uiManager.currentChannel);
+      const members = this.channels.getMembers(channel).length;
+      lines.push(`  ${current ? '*' : ' '} ${channel} (${members} other member${members === 1 ? '' : 's'})`);
+    });
+    this.terminal.displaySystem(lines.join('\n'));
+  }
+  
+  /**
+   * Persist joined channels so they are rejoined on next start
+   */
+  saveChannels() {
+    this.settings.setSetting('channels', this.channels.getChannels());
+  }
+  
+  /**
+   * Show only members of the current channel in the user list (everyone in DMs)
+   */
+  updateMemberFilter() {
+    if (this.uiManager.currentDM) {
+      this.userList.setMemberFilter(null);
+      return;
+    }
+    
+    const channel = this.uiManager.currentChannel;
+    const members = this.channels.isJoined(channel) ? this.channels.getMembers(channel) : [];
+    members.forEach(peerId => {
+      if (!this.userList.getUser(peerId)) {
+        this.userList.addUser(peerId, { status: 'online' });
+      }
+    });
+    this.userList.setMemberFilter(members);
+  }
+  
+  /**
+   * Send a friend request; the peer becomes a friend once they accept
+   * 
+   * @param {string} peerId - Peer ID to add
+   * @param {string} note - Optional note shown with the request
+   */
+  async addFriend(peerId, note = '') {
+    // Check if valid peer ID
+    if (!peerId || peerId.length < 10) {
+      this.terminal.displayError('Invalid peer ID');
+      return;
+    }
+    
+    if (this.node && peerId === this.node.peerId.toString()) {
+      this.terminal.displayError('You cannot add yourself');
+      return;
+    }
+    
+    if (this.friends.isFriend(peerId)) {
+      this.terminal.displaySystem(`${this.getDisplayName(peerId)} is already a friend`);
+      return;
+    }
+    
+    // They asked first, so adding them answers their request
+    if (this.contactRequests.getRequest(peerId, 'incoming')) {
+      await this.acceptContactRequest(peerId);
+      return;
+    }
+    
+    this.contactRequests.addRequest(peerId, 'outgoing', { note });
+    this.refreshContactRequests();
+    
+    // Try to connect if not already connected; the request goes out on connect
     const user = this.userList.getUser(peerId);
-    if (!user) {
+    if (user?.status !== 'online') {
+      this.terminal.displaySystem(`Friend request for ${this.userList.shortenPeerId(peerId)} will be sent once connected`);
       this.connectToPeer(peerId);
+      return;
+    }
+    
+    const sent = await this.sendContactRequests([peerId]);
+    if (sent.includes(peerId)) {
+      this.terminal.displaySuccess(`Friend request sent to ${this.getDisplayName(peerId)}`);
+    } else {
+      this.terminal.displayError(`Could not send friend request to ${this.getDisplayName(peerId)}; it will be retried when they reconnect`);
+    }
+  }
+  
+  /**
+   * Send our pending friend requests to online peers. Requests are resent on
+   * every connect until answered, so a lost request or answer heals itself.
+   * 
+   * @param {string[]} peerIds - Only these peers (defaults to all)
+   * @returns {Promise<string[]>} Peers the request was sent to
+   */
+  async sendContactRequests(peerIds = null) {
+    const nickname = this.settings.getSetting('nickname');
+    const targets = this.contactRequests.getRequests('outgoing').filter(request =>
+      (!peerIds || peerIds.includes(request.peerId)) &&
+      this.userList.getUser(request.peerId)?.status === 'online'
+    );
+    
+    const sent = [];
+    for (const request of targets) {
+      try {
+        await this.chatProtocol.sendContactEvent(request.peerId, 'm.contact.request', {
+          nickname,
+          note: request.note
+        });
+        sent.push(request.peerId);
+      } catch (error) {
+        console.error('Failed to send contact request to', request.peerId, error);
+      }
+    }
+    
+    return sent;
+  }
+  
+  /**
+   * Handle an incoming m.contact.request
+   * 
+   * @param {object} detail - { peerId, nickname, note }
+   */
+  async handleContactRequest({ peerId, nickname, note }) {
+    // Already friends here: their side missed our answer, so answer again
+    if (this.friends.isFriend(peerId)) {
+      await this.answerContactRequest(peerId, 'm.contact.accept');
+      return;
+    }
+    
+    // We asked each other; treat theirs as the answer to ours
+    if (this.contactRequests.getRequest(peerId, 'outgoing')) {
+      await this.completeFriendship(peerId, nickname);
+      this.terminal.displaySuccess(`${this.getDisplayName(peerId)} is now a friend`);
+      await this.answerContactRequest(peerId, 'm.contact.accept');
+      return;
+    }
+    
+    // Resent request we are still deciding on
+    if (this.contactRequests.getRequest(peerId, 'incoming')) {
+      return;
+    }
+    
+    if (!this.contactRequests.addRequest(peerId, 'incoming', { nickname, note })) {
+      console.warn('Too many pending friend requests, ignoring one from', peerId);
+      return;
+    }
+    this.refreshContactRequests();
+    
+    const name = nickname || this.userList.shortenPeerId(peerId);
+    this.terminal.displaySystem([
+      `Friend request from ${name} (${this.userList.shortenPeerId(peerId)})${note ? `: "${note}"` : ''}`,
+      `Use /accept ${peerId} or /reject ${peerId}`
+    ].join('\n'));
+    this.uiManager.playSound('message');
+    
+    if (!document.hasFocus()) {
+      this.uiManager.showNotification(`Friend request from ${name}`, note || '');
+    }
+  }
+  
+  /**
+   * Hold a DM from someone who is not a friend with the pending request
+   * between us, starting an incoming one (a message request) if there is
+   * none. The messages are shown once the request is accepted.
+   * 
+   * @param {object} detail - { peerId, message }
+   */
+  handleHeldMessage({ peerId, message }) {
+    const request = this.contactRequests.getRequest(peerId);
+    if (!request && !this.contactRequests.addRequest(peerId, 'incoming', {
+      nickname: this.userList.getUser(peerId)?.nickname || null,
+      note: ''
+    })) {
+      console.warn('Too many pending friend requests, dropping message from', peerId);
+      return;
+    }
+    
+    if (!this.contactRequests.holdMessage(peerId, message)) {
+      // A message request only exists for the messages it holds
+      if (!request) {
+        this.contactRequests.removeRequest(peerId);
+      }
+      return;
+    }
+    this.refreshContactRequests();
+    
+    // One notice per request; further messages only add to the held count
+    if (request?.held?.length) {
+      return;
+    }
+    
+    const name = this.getDisplayName(peerId);
+    if (request) {
+      this.terminal.displaySystem(request.direction === 'incoming'
+        ? `${name} sent you a message; it is held until you accept their friend request`
+        : `${name} sent you a message; it is held until they accept your friend request`);
+      return;
+    }
+    
+    this.terminal.displaySystem([
+      `Message request from ${name} (${this.userList.shortenPeerId(peerId)}); their messages are held until you accept`,
+      `Use /accept ${peerId} or /reject ${peerId}`
+    ].join('\n'));
+    this.uiManager.playSound('message');
+    
+    if (!document.hasFocus()) {
+      this.uiManager.showNotification(`Message request from ${name}`, '');
+    }
+  }
+  
+  /**
+   * Handle m.contact.accept / m.contact.reject for a request we sent
+   * 
+   * @param {object} detail - { peerId, nickname }
+   * @param {boolean} accepted - True for accept
+   */
+  async handleContactAnswer({ peerId, nickname }, accepted) {
+    if (!this.contactRequests.getRequest(peerId, 'outgoing')) {
+      console.log('Ignoring contact answer without a pending request from', peerId);
+      return;
+    }
+    
+    if (accepted) {
+      await this.completeFriendship(peerId, nickname);
+      this.terminal.displaySuccess(`${this.getDisplayName(peerId)} accepted your friend request`);
+    } else {
+      this.contactRequests.removeRequest(peerId);
+      this.refreshContactRequests();
+      this.terminal.displaySystem(`${nickname || this.userList.shortenPeerId(peerId)} declined your friend request`);
+    }
+  }
+  
+  /**
+   * Accept a pending incoming friend request
+   * 
+   * @param {string} peerId - Requesting peer ID
+   */
+  async acceptContactRequest(peerId) {
+    const request = this.contactRequests.getRequest(peerId, 'incoming');
+    if (!request) {
+      this.terminal.displayError(`No friend request from ${this.userList.shortenPeerId(peerId)}`);
+      return;
+    }
+    
+    await this.completeFriendship(peerId, request.nickname);
+    this.terminal.displaySuccess(`Added friend: ${this.getDisplayName(peerId)}`);
+    await this.answerContactRequest(peerId, 'm.contact.accept');
+  }
+  
+  /**
+   * Reject an incoming friend request, or cancel one we sent
+   * 
+   * @param {string} peerId - Other peer ID
+   */
+  async rejectContactRequest(peerId) {
+    const request = this.contactRequests.getRequest(peerId);
+    if (!request) {
+      this.terminal.displayError(`No friend request with ${this.userList.shortenPeerId(peerId)}`);
+      return;
+    }
+    
+    this.contactRequests.removeRequest(peerId);
+    this.refreshContactRequests();
+    
+    if (request.direction === 'outgoing') {
+      this.terminal.displaySystem(`Cancelled friend request to ${this.getDisplayName(peerId)}`);
+      return;
+    }
+    
+    const discarded = request.held?.length ? ` and discarded ${request.held.length} held message(s)` : '';
+    this.terminal.displaySystem(`Rejected friend request from ${request.nickname || this.userList.shortenPeerId(peerId)}${discarded}`);
+    await this.answerContactRequest(peerId, 'm.contact.reject');
+  }
+  
+  /**
+   * Store a peer as friend once a request is accepted by either side
+   * 
+   * @param {string} peerId - Peer ID
+   * @param {string|null} nickname - Nickname from their contact event
+   */
+  async completeFriendship(peerId, nickname) {
+    const held = this.contactRequests.getRequest(peerId)?.held || [];
+    this.friends.addFriend(peerId, nickname ? { nickname } : {});
+    this.contactRequests.removeRequest(peerId);
+    this.refreshContactRequests();
+    
+    if (nickname && this.userList.getUser(peerId)) {
+      this.userList.updateUser(peerId, { nickname });
+    }
+    
+    await this.releaseHeldMessages(peerId, held);
+    
+    // DM history was not pulled while they were not a contact
+    if (this.userList.getUser(peerId)?.status === 'online') {
+      this.syncHistory(peerId, [await this.getDirectRoomId(peerId)]);
+    }
+  }
+  
+  /**
+   * Move DMs held with a friend request into history once it is accepted
+   * 
+   * @param {string} peerId - New friend's peer ID
+   * @param {object[]} messages - Held m.room.message events
+   */
+  async releaseHeldMessages(peerId, messages) {
+    let released = 0;
+    for (const message of messages) {
+      if (await this.chatHistory.addMessage(message.room_id, message)) {
+        released++;
+        this.queueReadReceipt(message);
+      }
+    }
+    
+    if (released === 0) {
+      return;
+    }
+    
+    this.terminal.displaySystem(`${released} message(s) from ${this.getDisplayName(peerId)} sent before you became friends are now in your DM`);
+    if (this.uiManager.currentDM === peerId) {
+      this.showCurrentHistory();
+    }
+  }
+  
+  /**
+   * Answer a peer's request, logging (not surfacing) failures; an unanswered
+   * request is resent when they reconnect
+   * 
+   * @param {string} peerId - Requesting peer ID
+   * @param {string} type - 'm.contact.accept' or 'm.contact.reject'
+   */
+  async answerContactRequest(peerId, type) {
+    try {
+      await this.chatProtocol.sendContactEvent(peerId, type, {
+        nickname: this.settings.getSetting('nickname')
+      });
+    } catch (error) {
+      console.error(`Failed to send ${type} to`, peerId, error);
+    }
+  }
+  
+  /**
+   * Handle /accept and /reject; without a peer, list pending requests
+   * 
+   * @param {string} action - 'accept' or 'reject'
+   * @param {string} peer - Peer ID or nickname from the request
+   */
+  async handleContactCommand(action, peer) {
+    const requests = this.contactRequests.getRequests();
+    
+    if (!peer) {
+      if (requests.length === 0) {
+        this.terminal.displaySystem('No pending friend requests');
+        return;
+      }
+      
+      const lines = requests.map(request => (request.direction === 'incoming'
+        ? `  from ${request.nickname || '?'} (${request.peerId})${request.note ? `: "${request.note}"` : ''}`
+        : `  to ${request.peerId} (awaiting reply)`
+      ) + (request.held?.length ? ` - ${request.held.length} held message(s)` : ''));
+      this.terminal.displaySystem(['Pending friend requests:', ...lines, `Use /${action} <peer>`].join('\n'));
+      return;
+    }
+    
+    const wanted = peer.toLowerCase();
+    const byNickname = requests.filter(request => request.nickname?.toLowerCase() === wanted);
+    const peerId = this.contactRequests.getRequest(peer)
+      ? peer
+      : (byNickname.length === 1 ? byNickname[0].peerId : this.resolvePeerArg(peer));
+    
+    if (!peerId) {
+      this.terminal.displayError(`Unknown or ambiguous peer: ${peer}. Use the full peer ID.`);
+      return;
+    }
+    
+    if (action === 'accept') {
+      await this.acceptContactRequest(peerId);
+    } else {
+      await this.rejectContactRequest(peerId);
+    }
+  }
+  
+  /**
+   * Handle /file. `send` opens the file picker, so it has to run in the same
+   * tick as the keypress for the browser to allow it.
+   * 
+   * @param {string} action - 'send', 'accept', 'decline' or 'list'
+   * @param {string} arg - Peer for send, transfer ID for accept/decline
+   */
+  handleFileCommand(action, arg) {
+    if (action === 'send') {
+      const peerId = arg ? this.resolvePeerArg(arg) : this.uiManager.currentDM;
+      if (!peerId) {
+        this.terminal.displayError(arg ? `Unknown or ambiguous peer: ${arg}` : 'Usage: /file send <peer> (or open a DM first)');
+        return;
+      }
+      this.pickFile((file) => this.sendFile(peerId, file));
+      return;
+    }
+    
+    if (action === 'list') {
+      this.listTransfers();
+      return;
+    }
+    
+    const pending = this.fileTransfer.getTransfers({ direction: 'incoming', status: 'offered' });
+    const transfer = arg
+      ? this.fileTransfer.getTransfer(arg)
+      : (pending.length === 1 ? pending[0] : null);
+    if (!transfer) {
+      if (arg || pending.length === 0) {
+        this.terminal.displayError(arg ? `No file offer ${arg}` : 'No pending file offers');
+      } else {
+        this.listTransfers();
+      }
+      return;
+    }
+    
+    this.answerFileOffer(transfer, action === 'accept');
+  }
+  
+  /**
+   * Let the user choose a file with the hidden file input
+   * 
+   * @param {Function} onPick - Called with the chosen File
+   */
+  pickFile(onPick) {
+    const input = document.getElementById('file-input');
+    input.value = '';
+    input.onchange = () => {
+      if (input.files.length > 0) {
+        onPick(input.files[0]);
+      }
+    };
+    input.click();
+  }
+  
+  /**
+   * Offer dropped or pasted files to the peer of the open DM
+   * 
+   * @param {File[]} files - Files to send
+   */
+  attachFiles(files) {
+    const peerId = this.uiManager.currentDM;
+    if (!peerId) {
+      this.terminal.displayError('Open a DM to send files; in channels use /file send <peer>');
+      return;
+    }
+    
+    files.forEach(file => this.sendFile(peerId, file));
+  }
+  
+  /**
+   * Offer a file to a peer
+   * 
+   * @param {string} peerId - Target peer ID
+   * @param {File} file - File to send
+   */
+  async sendFile(peerId, file) {
+    this.terminal.displaySystem(`Offering ${file.name} (${formatFileSize(file.size)}) to ${this.getDisplayName(peerId)}...`);
+    try {
+      await this.fileTransfer.offerFile(peerId, file);
+    } catch (error) {
+      this.terminal.displayError(`Could not offer ${file.name}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Announce an incoming offer, or what the Files settings already did with it
+   * 
+   * @param {object} transfer - Incoming transfer
+   */
+  handleFileOffer(transfer) {
+    const who = this.getDisplayName(transfer.peerId);
+    const description = `${transfer.name} (${formatFileSize(transfer.size)})`;
+    
+    if (transfer.status === 'declined') {
+      this.terminal.displaySystem(`Declined ${description} from ${who}: larger than your ${this.settings.getSetting('maxFileSize')} MB limit`);
+      return;
+    }
+    
+    if (transfer.status === 'accepted') {
+      this.terminal.displaySystem(`Accepting ${description} from ${who} (auto-accept from friends is on)`);
+      return;
+    }
+    
+    this.terminal.displaySystem([
+      `${who} wants to send you ${description}`,
+      `Use /file accept ${transfer.id} or /file decline ${transfer.id}`
+    ].join('\n'));
+    this.uiManager.playSound('message');
+    
+    if (!document.hasFocus()) {
+      this.uiManager.showNotification(`File from ${who}`, description);
+    }
+  }
+  
+  /**
+   * Accept or decline a pending incoming offer
+   * 
+   * @param {object} transfer - Incoming transfer
+   * @param {boolean} accept - True to accept
+   */
+  async answerFileOffer(transfer, accept) {
+    try {
+      if (accept) {
+        await this.fileTransfer.acceptTransfer(transfer.id);
+        this.terminal.displaySystem(`Accepted ${transfer.name}, waiting for ${this.getDisplayName(transfer.peerId)} to send it...`);
+      } else {
+        await this.fileTransfer.declineTransfer(transfer.id);
+        this.terminal.displaySystem(`Declined ${transfer.name}`);
+      }
+    } catch (error) {
+      this.terminal.displayError(error.message);
+    }
+  }
+  
+  /**
+   * Handle /transfers: list, pause, resume or cancel file transfers
+   * 
+   * @param {string} action - 'list', 'pause', 'resume' or 'cancel'
+   * @param {string} id - Transfer ID; may be left out when only one transfer fits
+   */
+  async handleTransfersCommand(action, id) {
+    if (action === 'list') {
+      this.listTransfers();
+      return;
+    }
+    
+    const statuses = {
+      pause: ['accepted', 'transferring'],
+      resume: ['paused'],
+      cancel: ['offered', 'accepted', 'transferring', 'paused']
+    }[action];
+    const candidates = this.fileTransfer.getTransfers().filter(transfer => statuses.includes(transfer.status));
+    const transfer = id
+      ? this.fileTransfer.getTransfer(id)
+      : (candidates.length === 1 ? candidates[0] : null);
+    if (!transfer) {
+      if (id || candidates.length === 0) {
+        this.terminal.displayError(id ? `No file transfer ${id}` : `No transfers to ${action}`);
+      } else {
+        this.terminal.displayError(`Several transfers could be meant; use /transfers ${action} <id>`);
+        this.listTransfers();
+      }
+      return;
+    }
+    
+    try {
+      if (action === 'pause') {
+        await this.fileTransfer.pauseTransfer(transfer.id);
+      } else if (action === 'resume') {
+        await this.fileTransfer.resumeTransfer(transfer.id);
+        this.terminal.displaySystem(`Resuming ${transfer.name} from ${formatFileSize(transfer.bytes)}...`);
+      } else {
+        await this.fileTransfer.cancelTransfer(transfer.id);
+        this.terminal.displaySystem(`Cancelled ${transfer.name}`);
+      }
+    } catch (error) {
+      this.terminal.displayError(error.message);
+    }
+  }
+  
+  /**
+   * Show file transfers, with progress and why paused ones stopped
+   */
+  listTransfers() {
+    const transfers = this.fileTransfer.getTransfers();
+    if (transfers.length === 0) {
+      this.terminal.displaySystem('No file transfers');
+      return;
+    }
+    
+    const lines = transfers.map(transfer => {
+      const arrow = transfer.direction === 'incoming' ? 'from' : 'to';
+      let status = transfer.status;
+      if (['transferring', 'paused'].includes(transfer.status)) {
+        status += ` ${transferPercent(transfer)}%`;
+      }
+      if (transfer.reason) {
+        status += ` (${transfer.reason})`;
+      }
+      return `  ${transfer.id}  ${transfer.name} (${formatFileSize(transfer.size)}) ${arrow} ${this.getDisplayName(transfer.peerId)}: ${status}`;
+    });
+    this.terminal.displaySystem(['File transfers:', ...lines].join('\n'));
+  }
+  
+  /**
+   * Save a received file through a Blob download
+   * 
+   * @param {Blob} blob - File contents
+   * @param {string} name - File name
+   */
+  saveFile(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+  
+  /**
+   * Block a peer: close their connections and refuse them from now on
+   * 
+   * @param {string} peer - Peer ID or nickname
+   */
+  async blockPeer(peer) {
+    let peerId = this.resolvePeerArg(peer);
+    if (!peerId) {
+      try {
+        peerId = peerIdFromString(peer).toString();
+      } catch {
+        this.terminal.displayError(`Unknown or ambiguous peer: ${peer}. Use the full peer ID.`);
+        return;
+      }
+    }
+    
+    if (this.node && peerId === this.node.peerId.toString()) {
+      this.terminal.displayError('You cannot block yourself');
+      return;
+    }
+    
+    const name = this.getDisplayName(peerId);
+    if (this.blocklist.isBlocked(peerId)) {
+      this.terminal.displaySystem(`${name} is already blocked`);
+      return;
+    }
+    
+    this.blocklist.block(peerId, {
+      nickname: this.userList.getUser(peerId)?.nickname || this.friends.getFriend(peerId)?.nickname || null
+    });
+    
+    // Pending friend requests with them go too
+    if (this.contactRequests.removeRequest(peerId)) {
+      this.refreshContactRequests();
+    }
+    
+    this.chatProtocol?.closeSession(peerId);
+    this.userList.removeUser(peerId);
+    
+    // The gater only checks new connections; drop the open ones
+    try {
+      await this.node?.hangUp(peerIdFromString(peerId));
+    } catch (error) {
+      console.error('Failed to close connections to blocked peer', peerId, error);
+    }
+    
+    this.terminal.displaySuccess(`Blocked ${name}. Their connections and messages are refused until you /unblock them.`);
+  }
+  
+  /**
+   * Unblock a peer
+   * 
+   * @param {string} peer - Peer ID or nickname recorded when blocking
+   */
+  unblockPeer(peer) {
+    const wanted = peer.toLowerCase();
+    const matches = this.blocklist.getBlocked().filter(entry =>
+      entry.peerId === peer || entry.nickname?.toLowerCase() === wanted
+    );
+    
+    if (matches.length !== 1) {
+      this.terminal.displayError(matches.length === 0
+        ? `${peer} is not blocked`
+        : `Several blocked peers are called ${peer}. Use the full peer ID.`);
+      return;
+    }
+    
+    const [entry] = matches;
+    this.blocklist.unblock(entry.peerId);
+    this.terminal.displaySuccess(`Unblocked ${entry.nickname || this.userList.shortenPeerId(entry.peerId)}`);
+  }
+  
+  /**
+   * Show blocked peers
+   */
+  listBlocked() {
+    const blocked = this.blocklist.getBlocked();
+    if (blocked.length === 0) {
+      this.terminal.displaySystem('No blocked peers');
+      return;
+    }
+    
+    const lines = blocked.map(entry =>
+      `  ${entry.nickname || '?'} (${entry.peerId}) since ${new Date(entry.blocked_at).toLocaleString()}`
+    );
+    this.terminal.displaySystem(['Blocked peers:', ...lines].join('\n'));
+  }
+  
+  /**
+   * Redraw the contact requests section
+   */
+  refreshContactRequests() {
+    this.contactRequestList.setRequests(this.contactRequests.getRequests());
+  }
+  
+  /**
+   * Resolve a /command peer argument: a peer ID, or the nickname of a
+   * known user or friend
+   * 
+   * @param {string} peer - Peer ID or nickname
+   * @returns {string|null} Peer ID, or null if unknown or ambiguous
+   */
+  resolvePeerArg(peer) {
+    if (this.userList.getUser(peer) || this.friends.isFriend(peer)) {
+      return peer;
+    }
+    
+    const wanted = peer.toLowerCase();
+    const matches = new Set(this.friends.findByNickname(peer).map(friend => friend.peerId));
+    this.userList.getUsers().forEach(user => {
+      if (user.nickname.toLowerCase() === wanted) {
+        matches.add(user.peerId);
+      }
+    });
+    
+    if (matches.size === 1) {
+      return [...matches][0];
+    }
+    // Fall back to treating it as a raw peer ID
+    return matches.size === 0 && peer.length >= 10 ? peer : null;
+  }
+  
+  /**
+   * Handle /verify: show the safety number, or mark the friend verified
+   * 
+   * @param {string} peer - Peer ID or nickname
+   * @param {string} action - 'show', 'confirm' or 'clear'
+   */
+  async handleVerifyCommand(peer, action) {
+    const peerId = this.resolvePeerArg(peer);
+    if (!peerId) {
+      this.terminal.displayError(`Unknown or ambiguous peer: ${peer}. Use the full peer ID.`);
+      return;
+    }
+    
+    const name = this.getDisplayName(peerId);
+    
+    if (action !== 'show') {
+      const verified = action === 'confirm';
+      if (!this.friends.setVerified(peerId, verified)) {
+        this.terminal.displayError(`${name} is not a friend. Add them as a friend first.`);
+        return;
+      }
+      
+      this.userList.updateUser(peerId, { verified });
+      if (verified) {
+        this.terminal.displaySuccess(`Marked ${name} as verified`);
+      } else {
+        this.terminal.displaySystem(`Cleared verification for ${name}`);
+      }
+      return;
+    }
+    
+    try {
+      const safetyNumber = await computeSafetyNumber(this.node.peerId.toString(), peerId);
+      const friend = this.friends.getFriend(peerId);
+      const status = friend?.verified
+        ? `Verified on ${new Date(friend.verified_at).toLocaleString()}`
+        : 'Not verified';
+      
+      this.terminal.displaySystem([
+        `Safety number with ${name} (${this.userList.shortenPeerId(peerId)}):`,
+        `  ${safetyNumber}`,
+        `Status: ${status}`,
+        'Compare this number with your contact in person or over a call. ' +
+          `If it matches, run /verify ${peerId} confirm`
+      ].join('\n'));
+    } catch (error) {
+      this.terminal.displayError(`Cannot compute safety number: ${error.message}`);
     }
   }
   
+  /**
+   * Warn when a peer that is not a friend announces a friend's nickname.
+   * Peer IDs are derived from public keys, so a different peer ID means a
+   * different key, no matter what the nickname says.
+   * 
+   * @param {string} peerId - Announcing peer
+   * @param {string} nickname - Announced nickname
+   */
+  warnNicknameCollision(peerId, nickname) {
+    this.friends.findByNickname(nickname)
+      .filter(friend => friend.peerId !== peerId)
+      .forEach(friend => {
+        const verified = friend.verified ? 'verified ' : '';
+        this.terminal.displayError(
+          `Warning: ${this.userList.shortenPeerId(peerId)} is using the nickname "${nickname}" of your ` +
+          `${verified}friend ${this.userList.shortenPeerId(friend.peerId)}, but with a different key. ` +
+          'It may not be the same person.'
+        );
+      });
+  }
+  
   /**
    * Load friends list
    */
@@ -540,17 +2190,38 @@ class P2PChatApp {
       // Add to user list as offline initially
       this.userList.addUser(peerId, {
         nickname: friend.nickname || peerId,
-        status: 'offline'
+        status: 'offline',
+        verified: Boolean(friend.verified)
       });
     });
   }
   
   /**
    * Import keys and restart
+   * 
+   * @param {object} keyData - Plain or encrypted key export, or { mnemonic }
+   * @param {string} passphrase - Passphrase for encrypted exports
    */
-  async importKeys(keyData) {
+  async importKeys(keyData, passphrase) {
     try {
-      await this.keyManager.importKeys(keyData);
+      // Keep lock mode on for the imported identity
+      let lockPassphrase;
+      if (this.keyManager.isLocked()) {
+        lockPassphrase = await this.uiManager.promptPassphrase({
+          title: 'Lock Imported Identity',
+          message: 'Lock mode is on. Choose a passphrase for the imported identity.',
+          isNew: true
+        });
+        if (lockPassphrase === null) {
+          throw new Error('Import cancelled');
+        }
+      }
+      
+      if (keyData.mnemonic) {
+        await this.keyManager.importMnemonic(keyData.mnemonic, { lockPassphrase });
+      } else {
+        await this.keyManager.importKeys(keyData, { passphrase, lockPassphrase });
+      }
       this.terminal.displaySuccess('Keys imported. Restarting...');
       
       // Stop current node
@@ -568,6 +2239,201 @@ class P2PChatApp {
     }
   }
   
+  /**
+   * Handle /lock: enable lock mode, change its passphrase or turn it off
+   * 
+   * @param {string} action - 'on', 'change' or 'off'
+   */
+  async handleLockCommand(action) {
+    const locked = this.keyManager.isLocked();
+    
+    try {
+      if (action === 'on') {
+        if (locked) {
+          this.terminal.displaySystem('Identity is already locked. Use /lock change or /lock off.');
+          return;
+        }
+        
+        const passphrase = await this.uiManager.promptPassphrase({
+          title: 'Lock Identity',
+          message: 'Your private key will be stored encrypted. You will need this passphrase every time the app starts.',
+          isNew: true
+        });
+        if (passphrase === null) {
+          return;
+        }
+        
+        await this.keyManager.lock(passphrase);
+        this.terminal.displaySuccess('Identity locked. The passphrase cannot be recovered - keep it safe.');
+        return;
+      }
+      
+      if (!locked) {
+        this.terminal.displaySystem('Identity is not locked. Use /lock to lock it.');
+        return;
+      }
+      
+      const current = await this.uiManager.promptPassphrase({
+        title: action === 'change' ? 'Change Passphrase' : 'Remove Lock',
+        message: 'Enter your current passphrase.'
+      });
+      if (current === null) {
+        return;
+      }
+      
+      if (action === 'change') {
+        const next = await this.uiManager.promptPassphrase({
+          title: 'Change Passphrase',
+          message: 'Choose a new passphrase.',
+          isNew: true
+        });
+        if (next === null) {
+          return;
+        }
+        
+        await this.keyManager.changePassphrase(current, next);
+        this.terminal.displaySuccess('Passphrase changed');
+      } else {
+        await this.keyManager.removeLock(current);
+        this.terminal.displaySystem('Lock removed. Your private key is stored unencrypted again.');
+      }
+    } catch (error) {
+      this.terminal.displayError(error.message);
+    }
+  }
+  
+  /**
+   * Rotate to a new key, tell friends where we went, and restart
+   */
+  async rotateKeys() {
+    try {
+      // Keep lock mode on for the new key
+      let lockPassphrase;
+      if (this.keyManager.isLocked()) {
+        lockPassphrase = await this.uiManager.promptPassphrase({
+          title: 'Lock New Identity',
+          message: 'Lock mode is on. Choose a passphrase for the new identity.',
+          isNew: true
+        });
+        if (lockPassphrase === null) {
+          return;
+        }
+      }
+      
+      this.terminal.displaySystem('Rotating identity keys...');
+      const oldPeerId = this.node.peerId.toString();
+      const friendIds = Object.keys(this.friends.getAllFriends());
+      
+      // Keep every DM on its current room ID once our peer ID changes
+      for (const peerId of friendIds) {
+        this.friends.pinDirectRoom(peerId, await this.getDirectRoomId(peerId), oldPeerId);
+      }
+      
+      const { statement, peerId } = await this.keyManager.rotateKeys({ lockPassphrase });
+      this.storage.set(MIGRATION_KEY, { statement, peers: friendIds });
+      this.terminal.displaySuccess(`New identity: ${peerId.toString()}`);
+      
+      // Friends online now hear it from the old identity; the rest get it
+      // from the new one when they reconnect
+      await this.sendMigrationNotices();
+      const remaining = this.storage.get(MIGRATION_KEY)?.peers.length || 0;
+      if (remaining > 0) {
+        this.terminal.displaySystem(`${remaining} offline friend(s) will be notified when they reconnect`);
+      }
+      
+      this.terminal.displaySystem('Restarting with the new identity...');
+      if (this.node) {
+        await stopNode(this.node);
+      }
+      setTimeout(() => {
+        window.location.reload();
+      }, 1000);
+    } catch (error) {
+      this.terminal.displayError(`Key rotation failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Deliver a pending key-rotation notice to friends that are online
+   * 
+   * @param {string[]} peerIds - Peers to try (defaults to every pending friend)
+   */
+  async sendMigrationNotices(peerIds = null) {
+    const pending = this.storage.get(MIGRATION_KEY);
+    if (!pending) {
+      return;
+    }
+    
+    const targets = (peerIds || pending.peers).filter(peerId =>
+      pending.peers.includes(peerId) && this.userList.getUser(peerId)?.status === 'online'
+    );
+    
+    const notified = [];
+    for (const peerId of targets) {
+      try {
+        await this.chatProtocol.sendEvent(peerId, pending.statement);
+        notified.push(peerId);
+      } catch (error) {
+        console.error('Failed to send identity migration to', peerId, error);
+      }
+    }
+    
+    const peers = pending.peers.filter(peerId => !notified.includes(peerId));
+    if (peers.length > 0) {
+      this.storage.set(MIGRATION_KEY, { ...pending, peers });
+    } else {
+      this.storage.remove(MIGRATION_KEY);
+    }
+  }
+  
+  /**
+   * Handle a verified m.identity.migrate statement from a friend
+   * 
+   * @param {object} detail - { oldPeerId, newPeerId }
+   */
+  async handleIdentityMigration({ oldPeerId, newPeerId }) {
+    const friend = this.friends.getFriend(oldPeerId);
+    if (!friend) {
+      // Resent notices for a move we already accepted, or not a friend at all
+      console.log('Ignoring identity migration for', oldPeerId);
+      return;
+    }
+    
+    const name = friend.nickname || this.userList.shortenPeerId(oldPeerId);
+    const accepted = confirm(
+      `${name} says they moved to a new identity:\n${newPeerId}\n\n` +
+      'The notice is signed by their old key. Update your friend entry? ' +
+      'You will need to verify them again.'
+    );
+    if (!accepted) {
+      this.terminal.displaySystem(`Ignored identity change from ${name}`);
+      return;
+    }
+    
+    // Keep the DM history under the room we shared with the old key
+    const roomId = await this.getDirectRoomId(oldPeerId);
+    this.friends.migrateFriend(oldPeerId, newPeerId, roomId);
+    
+    const oldUser = this.userList.getUser(oldPeerId);
+    this.userList.removeUser(oldPeerId);
+    if (this.userList.getUser(newPeerId)) {
+      this.userList.updateUser(newPeerId, { nickname: friend.nickname || newPeerId, verified: false });
+    } else {
+      this.userList.addUser(newPeerId, {
+        nickname: friend.nickname || newPeerId,
+        status: oldUser?.status || 'offline',
+        verified: false
+      });
+    }
+    
+    if (this.uiManager.currentDM === oldPeerId) {
+      this.uiManager.switchToDM(newPeerId, friend.nickname || newPeerId);
+      this.updateMemberFilter();
+    }
+    
+    this.terminal.displaySuccess(`${name} is now ${this.userList.shortenPeerId(newPeerId)}. Your DM history was kept.`);
+  }
+  
   /**
    * Reset keys and restart
    */
@@ -655,13 +2521,15 @@ class P2PChatApp {
       this.terminal.displaySystem(`Starting chat session with ${peerId}...`);
       
       // Try to connect using the chat protocol directly
-      await connectToPeer(this.node, peerId, CHAT_PROTOCOL);
+      await connectToPeer(this.node, peerId, CHAT_PROTOCOLS);
       
       this.terminal.displaySuccess('Chat session established!');
       this.terminal.displaySystem('You can now send messages directly.');
       
       // Switch to DM mode with this peer
       this.uiManager.switchToDM(peerId, peerId);
+      this.updateMemberFilter();
+      this.showCurrentHistory();
     } catch (error) {
       this.terminal.displayError(`Failed to start chat session: ${error.message}`);
       
@@ -675,6 +2543,10 @@ class P2PChatApp {
    * Clean up on shutdown
    */
   async shutdown() {
+    if (this.outbox) {
+      this.outbox.stop();
+    }
+    
     if (this.chatProtocol) {
       this.chatProtocol.closeAllSessions();
     }
@@ -716,7 +2588,9 @@ console.log('  /chat <peer-id> - Start chat session');
 window.checkProtocols = async () => {
   const protocols = await app.node.getProtocols();
   console.log('[DEBUG] 📋 Node protocols:', protocols);
-  console.log('[DEBUG] 📋 Chat protocol registered:', protocols.includes(CHAT_PROTOCOL));
+  CHAT_PROTOCOLS.forEach(protocol => {
+    console.log(`[DEBUG] 📋 Chat protocol ${protocol} registered:`, protocols.includes(protocol));
+  });
   
   // Check connections
   const connections = app.node.getConnections();
@@ -0,0 +1,317 @@
+/**
+ * Minimal CBOR (RFC 8949) encoder/decoder for chat frames.
+ *
+ * Covers what JSON events need plus byte strings: unsigned/negative
+ * integers, floats, strings, byte strings, arrays, maps with string keys,
+ * booleans and null. Tags and indefinite lengths are rejected.
+ */
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_STRING = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_SIMPLE = 7;
+
+const SIMPLE_FALSE = 20;
+const SIMPLE_TRUE = 21;
+const SIMPLE_NULL = 22;
+const SIMPLE_UNDEFINED = 23;
+
+// Nesting deeper than any real event; stops stack exhaustion on hostile input
+const MAX_DEPTH = 64;
+
+/**
+ * Growable byte buffer
+ */
+class Writer {
+  constructor() {
+    this.buffer = new Uint8Array(256);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value;
+  }
+
+  bytes(data) {
+    this.ensure(data.length);
+    this.buffer.set(data, this.length);
+    this.length += data.length;
+  }
+
+  result() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Write a major type with its argument (a length or an integer value)
+ *
+ * @param {Writer} writer - Output
+ * @param {number} major - Major type
+ * @param {number} value - Non-negative safe integer
+ */
+function writeHead(writer, major, value) {
+  const type = major << 5;
+  if (value < 24) {
+    writer.byte(type | value);
+  } else if (value < 0x100) {
+    writer.byte(type | 24);
+    writer.byte(value);
+  } else if (value < 0x10000) {
+    writer.byte(type | 25);
+    writer.byte(value >> 8);
+    writer.byte(value & 0xff);
+  } else if (value < 0x100000000) {
+    writer.byte(type | 26);
+    const view = new DataView(new ArrayBuffer(4));
+    view.setUint32(0, value);
+    writer.bytes(new Uint8Array(view.buffer));
+  } else {
+    writer.byte(type | 27);
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint32(0, Math.floor(value / 0x100000000));
+    view.setUint32(4, value >>> 0);
+    writer.bytes(new Uint8Array(view.buffer));
+  }
+}
+
+/**
+ * Encode one value
+ *
+ * @param {Writer} writer - Output
+ * @param {any} value - Value to encode
+ * @param {number} depth - Current nesting depth
+ */
+function writeValue(writer, value, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR value nested too deeply');
+  }
+
+  if (value === null || value === undefined) {
+    // Like JSON.stringify, undefined becomes null inside arrays
+    writer.byte((MAJOR_SIMPLE << 5) | SIMPLE_NULL);
+  } else if (value === false || value === true) {
+    writer.byte((MAJOR_SIMPLE << 5) | (value ? SIMPLE_TRUE : SIMPLE_FALSE));
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value >= 0) {
+        writeHead(writer, MAJOR_UNSIGNED, value);
+      } else {
+        writeHead(writer, MAJOR_NEGATIVE, -1 - value);
+      }
+    } else {
+      writer.byte((MAJOR_SIMPLE << 5) | 27);
+      const view = new DataView(new ArrayBuffer(8));
+      view.setFloat64(0, value);
+      writer.bytes(new Uint8Array(view.buffer));
+    }
+  } else if (typeof value === 'string') {
+    const data = new TextEncoder().encode(value);
+    writeHead(writer, MAJOR_STRING, data.length);
+    writer.bytes(data);
+  } else if (value instanceof Uint8Array) {
+    writeHead(writer, MAJOR_BYTES, value.length);
+    writer.bytes(value);
+  } else if (Array.isArray(value)) {
+    writeHead(writer, MAJOR_ARRAY, value.length);
+    for (const item of value) {
+      writeValue(writer, item, depth + 1);
+    }
+  } else if (typeof value === 'object') {
+    // Like JSON.stringify, undefined and function members are left out
+    const entries = Object.entries(value)
+      .filter(([, item]) => item !== undefined && typeof item !== 'function');
+    writeHead(writer, MAJOR_MAP, entries.length);
+    for (const [key, item] of entries) {
+      writeValue(writer, key, depth + 1);
+      writeValue(writer, item, depth + 1);
+    }
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as CBOR`);
+  }
+}
+
+/**
+ * Encode a value as CBOR
+ *
+ * @param {any} value - JSON-like value (Uint8Array allowed)
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeCbor(value) {
+  const writer = new Writer();
+  writeValue(writer, value, 0);
+  return writer.result();
+}
+
+/**
+ * Sequential reader over encoded bytes
+ */
+class Reader {
+  constructor(data) {
+    this.data = data;
+    this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.data.length) {
+      throw new Error('Truncated CBOR data');
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  /**
+   * Read the argument that follows an initial byte
+   *
+   * @param {number} info - Low 5 bits of the initial byte
+   * @returns {number} Argument value
+   */
+  argument(info) {
+    if (info < 24) return info;
+    if (info === 24) return this.view.getUint8(this.take(1));
+    if (info === 25) return this.view.getUint16(this.take(2));
+    if (info === 26) return this.view.getUint32(this.take(4));
+    if (info === 27) {
+      const start = this.take(8);
+      const value = this.view.getUint32(start) * 0x100000000 + this.view.getUint32(start + 4);
+      if (!Number.isSafeInteger(value)) {
+        throw new Error('CBOR integer out of range');
+      }
+      return value;
+    }
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  /**
+   * Read one item
+   *
+   * @param {number} depth - Current nesting depth
+   * @returns {any} Decoded value
+   */
+  value(depth) {
+    if (depth > MAX_DEPTH) {
+      throw new Error('CBOR value nested too deeply');
+    }
+
+    const initial = this.view.getUint8(this.take(1));
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case MAJOR_UNSIGNED:
+        return this.argument(info);
+      case MAJOR_NEGATIVE:
+        return -1 - this.argument(info);
+      case MAJOR_BYTES: {
+        const length = this.argument(info);
+        const start = this.take(length);
+        return this.data.slice(start, start + length);
+      }
+      case MAJOR_STRING: {
+        const length = this.argument(info);
+        const start = this.take(length);
+        return new TextDecoder('utf-8', { fatal: true }).decode(this.data.subarray(start, start + length));
+      }
+      case MAJOR_ARRAY: {
+        const length = this.argument(info);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(this.value(depth + 1));
+        }
+        return items;
+      }
+      case MAJOR_MAP: {
+        const length = this.argument(info);
+        const map = {};
+        for (let i = 0; i < length; i++) {
+          const key = this.value(depth + 1);
+          if (typeof key !== 'string') {
+            throw new Error('CBOR map keys must be strings');
+          }
+          // Own property even for '__proto__'
+          Object.defineProperty(map, key, {
+            value: this.value(depth + 1),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+        return map;
+      }
+      case MAJOR_SIMPLE:
+        return this.simple(info);
+      default:
+        throw new Error('CBOR tags are not supported');
+    }
+  }
+
+  /**
+   * Read a major type 7 item (booleans, null, floats)
+   *
+   * @param {number} info - Low 5 bits of the initial byte
+   * @returns {any} Decoded value
+   */
+  simple(info) {
+    switch (info) {
+      case SIMPLE_FALSE: return false;
+      case SIMPLE_TRUE: return true;
+      case SIMPLE_NULL: return null;
+      case SIMPLE_UNDEFINED: return undefined;
+      case 25: return getFloat16(this.view, this.take(2));
+      case 26: return this.view.getFloat32(this.take(4));
+      case 27: return this.view.getFloat64(this.take(8));
+      default:
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+}
+
+/**
+ * Read an IEEE 754 half-precision float
+ *
+ * @param {DataView} view - Source
+ * @param {number} offset - Byte offset
+ * @returns {number} Value
+ */
+function getFloat16(view, offset) {
+  const half = view.getUint16(offset);
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decode one CBOR item
+ *
+ * @param {Uint8Array} data - Encoded bytes
+ * @returns {any} Decoded value
+ * @throws {Error} If the data is malformed, uses unsupported features or
+ *   has trailing bytes
+ */
+export function decodeCbor(data) {
+  const reader = new Reader(data);
+  const value = reader.value(0);
+  if (reader.offset !== data.length) {
+    throw new Error('Unexpected bytes after CBOR item');
+  }
+  return value;
+}
@@ -0,0 +1,250 @@
+import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+import { EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE } from './message-edits.js';
+import { createMessageContent } from './replies.js';
+
+// Events accepted on a channel topic
+const CHANNEL_EVENT_TYPES = ['m.room.message', EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE];
+
+// Pubsub topics for channels are namespaced so they never collide with other apps
+export const CHANNEL_TOPIC_PREFIX = '/chat/channel/1.0.0/';
+
+/**
+ * Normalize a channel name to its canonical "#name" form (case-insensitive)
+ *
+ * @param {string} channel - Channel name with or without leading '#'
+ * @returns {string} Normalized channel name
+ */
+export function normalizeChannel(channel) {
+  const name = channel.trim().replace(/^#+/, '').toLowerCase();
+  if (!name) {
+    throw new Error('Channel name cannot be empty');
+  }
+  return `#${name}`;
+}
+
+/**
+ * Get the pubsub topic for a channel
+ *
+ * @param {string} channel - Channel name
+ * @returns {string} Pubsub topic
+ */
+export function channelTopic(channel) {
+  return CHANNEL_TOPIC_PREFIX + normalizeChannel(channel).substring(1);
+}
+
+/**
+ * Multi-party channels backed by libp2p gossipsub. Each channel is a pubsub
+ * topic; messages are signed chat events published to that topic, and only
+ * peers subscribed to the topic receive them.
+ */
+export class ChannelManager {
+  constructor(node, chatProtocol, storage, eventEmitter) {
+    this.node = node;
+    this.pubsub = node.services.pubsub;
+    this.chatProtocol = chatProtocol;
+    this.storage = storage;
+    this.eventEmitter = eventEmitter;
+    this.channels = new Map(); // topic -> channel name
+
+    // Same emit helper as ChatProtocol (EventEmitter or EventTarget)
+    this.emit = (eventName, detail) => {
+      if (this.eventEmitter.emit) {
+        this.eventEmitter.emit(eventName, detail);
+      } else if (this.eventEmitter.dispatchEvent) {
+        this.eventEmitter.dispatchEvent(new CustomEvent(eventName, { detail }));
+      }
+    };
+
+    this.pubsub.addEventListener('message', (evt) => {
+      this.handlePubsubMessage(evt.detail).catch(error => {
+        console.error('[Channels] Failed to handle message:', error);
+      });
+    });
+
+    this.pubsub.addEventListener('subscription-change', (evt) => {
+      this.handleSubscriptionChange(evt.detail);
+    });
+  }
+
+  /**
+   * Join a channel
+   *
+   * @param {string} channel - Channel name
+   * @returns {string} Normalized channel name
+   */
+  join(channel) {
+    const name = normalizeChannel(channel);
+    const topic = channelTopic(name);
+
+    if (!this.channels.has(topic)) {
+      this.pubsub.subscribe(topic);
+      this.channels.set(topic, name);
+      console.log('[Channels] 📢 Joined', name, 'topic:', topic);
+    }
+
+    this.emit('channel:members', { channel: name, members: this.getMembers(name) });
+    return name;
+  }
+
+  /**
+   * Leave a channel
+   *
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if we were in the channel
+   */
+  leave(channel) {
+    const name = normalizeChannel(channel);
+    const topic = channelTopic(name);
+
+    if (!this.channels.has(topic)) {
+      return false;
+    }
+
+    this.pubsub.unsubscribe(topic);
+    this.channels.delete(topic);
+    console.log('[Channels] 📢 Left', name);
+    return true;
+  }
+
+  /**
+   * Check if we are in a channel
+   *
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if joined
+   */
+  isJoined(channel) {
+    return this.channels.has(channelTopic(channel));
+  }
+
+  /**
+   * Get joined channels
+   *
+   * @returns {string[]} Channel names
+   */
+  getChannels() {
+    return Array.from(this.channels.values());
+  }
+
+  /**
+   * Get peers subscribed to a channel (excluding ourselves)
+   *
+   * @param {string} channel - Channel name
+   * @returns {string[]} Member peer IDs
+   */
+  getMembers(channel) {
+    return this.pubsub.getSubscribers(channelTopic(channel)).map(peerId => peerId.toString());
+  }
+
+  /**
+   * Publish a chat message to a channel
+   *
+   * @param {string} channel - Channel name
+   * @param {string} content - Message content
+   * @param {object} options - Optional `replyTo`, the event ID of the message this one answers
+   * @returns {Promise<object>} Published event
+   */
+  async publish(channel, content, options = {}) {
+    const name = normalizeChannel(channel);
+    const topic = channelTopic(name);
+
+    if (!this.channels.has(topic)) {
+      throw new Error(`Not in channel ${name}. Use /join ${name} first.`);
+    }
+
+    const message = await this.chatProtocol.signEvent({
+      type: 'm.room.message',
+      sender: this.node.peerId.toString(),
+      room_id: name,
+      origin_ts: Date.now(),
+      lamport: await this.storage.nextLamport(),
+      event_id: this.chatProtocol.generateEventId(),
+      content: createMessageContent(content, options.replyTo)
+    });
+
+    await this.pubsub.publish(topic, uint8ArrayFromString(JSON.stringify(message)));
+
+    await this.storage.addMessage(name, message);
+    this.emit('message:sent', message);
+
+    return message;
+  }
+
+  /**
+   * Publish an edit or redaction of one of our messages to a channel and
+   * apply it to our own copy
+   *
+   * @param {string} channel - Channel name
+   * @param {object} change - Event from chatProtocol.createEdit or createRedaction
+   * @returns {Promise<object|null>} Our updated copy of the message
+   */
+  async publishChange(channel, change) {
+    const name = normalizeChannel(channel);
+    const topic = channelTopic(name);
+
+    if (!this.channels.has(topic)) {
+      throw new Error(`Not in channel ${name}. Use /join ${name} first.`);
+    }
+
+    await this.pubsub.publish(topic, uint8ArrayFromString(JSON.stringify(change)));
+    return this.chatProtocol.applyMessageChange(change);
+  }
+
+  /**
+   * Handle a message delivered by gossipsub
+   *
+   * @param {object} pubsubMessage - Gossipsub message ({ topic, data, from })
+   */
+  async handlePubsubMessage(pubsubMessage) {
+    const channel = this.channels.get(pubsubMessage.topic);
+    if (!channel) return;
+
+    let message;
+    try {
+      message = JSON.parse(uint8ArrayToString(pubsubMessage.data));
+    } catch (error) {
+      console.error('[Channels] Message parse error:', error);
+      return;
+    }
+
+    if (!CHANNEL_EVENT_TYPES.includes(message?.type) || message.room_id !== channel) {
+      console.warn('[Channels] Ignoring unexpected event on', channel, message?.type);
+      return;
+    }
+
+    // The event must be well-formed and signed by the peer that published it to the topic
+    const publisher = pubsubMessage.from?.toString();
+    if (this.chatProtocol.isBlocked(publisher) || !this.chatProtocol.validateIncomingEvent(message, publisher)) {
+      return;
+    }
+    if (!(await this.chatProtocol.verifyIncomingEvent(message, publisher))) {
+      return;
+    }
+
+    if (message.type !== 'm.room.message') {
+      await this.chatProtocol.applyMessageChange(message);
+      return;
+    }
+
+    // Gossipsub may deliver the same event again (e.g. after a mesh change)
+    if (await this.storage.addMessage(channel, message)) {
+      this.emit('message:received', message);
+    }
+  }
+
+  /**
+   * Handle peers joining or leaving topics
+   *
+   * @param {object} detail - Subscription change ({ peerId, subscriptions })
+   */
+  handleSubscriptionChange({ peerId, subscriptions }) {
+    subscriptions.forEach(({ topic, subscribe }) => {
+      const channel = this.channels.get(topic);
+      if (channel) {
+        this.emit('channel:members', { channel, members: this.getMembers(channel) });
+        if (subscribe) {
+          this.emit('channel:joined', { channel, peerId: peerId.toString() });
+        }
+      }
+    });
+  }
+}
@@ -1,25 +1,145 @@
 import * as lp from 'it-length-prefixed';
 import { pipe } from 'it-pipe';
 import { pushable } from 'it-pushable';
-import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+import { signEvent, verifyEvent } from './event-signing.js';
+import { MIGRATE_EVENT_TYPE, verifyMigrationStatement } from './identity-migration.js';
+import { EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE, getTargetEventId } from './message-edits.js';
+import { createMessageContent } from './replies.js';
+import { PeerRateLimiter } from './rate-limiter.js';
+import { EventValidator } from './event-schemas.js';
+import {
+  FRAME_FORMATS,
+  COMPRESSION_THRESHOLD,
+  supportedCompression,
+  encodeFrame,
+  compressFrame,
+  decodeFrame
+} from './frame-codec.js';
 // Use Web Crypto API for browser compatibility
 const crypto = globalThis.crypto || window.crypto;
 
-// Chat protocol identifier
-export const CHAT_PROTOCOL = '/chat/1.0.0';
+// Chat protocol identifiers. v1 sends JSON text frames and is what the
+// Python/Go example peers speak; v2 sends CBOR with optional compression.
+export const CHAT_PROTOCOL_V1 = '/chat/1.0.0';
+export const CHAT_PROTOCOL_V2 = '/chat/2.0.0';
+export const CHAT_PROTOCOL = CHAT_PROTOCOL_V2;
+
+// Dial preference order; multistream-select falls back to the next one
+export const CHAT_PROTOCOLS = [CHAT_PROTOCOL_V2, CHAT_PROTOCOL_V1];
+
+const PROTOCOL_FRAME_FORMATS = {
+  [CHAT_PROTOCOL_V1]: FRAME_FORMATS.JSON,
+  [CHAT_PROTOCOL_V2]: FRAME_FORMATS.CBOR
+};
+
+// Receipt types, in the order a message progresses through them
+export const RECEIPT_TYPES = ['delivered', 'read'];
+
+// Contact handshake events; the last segment names the emitted event (contact:request, ...)
+export const CONTACT_EVENT_TYPES = ['m.contact.request', 'm.contact.accept', 'm.contact.reject'];
+export const MAX_CONTACT_NOTE_LENGTH = 280;
+
+// Handshake: both sides send 'hello' first and nothing else is accepted or
+// sent until the peer's hello arrives and the capabilities below agree
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+export const MAX_FRAME_SIZE = 131072; // bytes, largest frame we accept
+export const MIN_FRAME_SIZE = 1024; // smaller limits would not fit a signed event
+export const HANDSHAKE_TIMEOUT_MS = 10000;
+
+export const SESSION_STATES = {
+  HANDSHAKING: 'handshaking',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// Reason codes sent in a 'bye' frame when we close a session
+export const CLOSE_REASONS = {
+  RATE_LIMITED: 'rate_limited',
+  HANDSHAKE_TIMEOUT: 'handshake_timeout',
+  HANDSHAKE_REQUIRED: 'handshake_required',
+  INCOMPATIBLE: 'incompatible',
+  FRAME_TOO_LARGE: 'frame_too_large'
+};
+
+/**
+ * Agree on session parameters from both sides' hello capabilities
+ * 
+ * @param {object} local - Our capabilities { v, minV, maxFrame, compression }
+ * @param {object} remote - The peer's capabilities
+ * @returns {{ok: boolean, version?: number, maxFrame?: number, compression?: string|null, error?: string}}
+ *   `error` explains why the peers cannot talk
+ */
+export function negotiateCapabilities(local, remote) {
+  if (!Number.isInteger(remote?.v) || remote.v < 1) {
+    return { ok: false, error: 'peer did not advertise a protocol version' };
+  }
+  
+  // Peers from before minV existed only speak their own version
+  const remoteMin = Number.isInteger(remote.minV) ? remote.minV : remote.v;
+  const version = Math.min(local.v, remote.v);
+  if (version < local.minV || version < remoteMin) {
+    return {
+      ok: false,
+      error: `incompatible protocol versions (we support v${local.minV}-v${local.v}, peer supports v${remoteMin}-v${remote.v})`
+    };
+  }
+  
+  if (!Number.isInteger(remote.maxFrame) || remote.maxFrame < MIN_FRAME_SIZE) {
+    return { ok: false, error: `peer max frame size must be at least ${MIN_FRAME_SIZE} bytes` };
+  }
+  
+  // First algorithm we prefer that the peer also understands
+  const remoteCompression = Array.isArray(remote.compression) ? remote.compression : [];
+  const compression = (local.compression || []).find(name => remoteCompression.includes(name)) || null;
+  
+  return { ok: true, version, maxFrame: Math.min(local.maxFrame, remote.maxFrame), compression };
+}
 
 /**
- * Chat session manager - handles one session per peer
+ * Chat session manager - handles one session per peer.
+ * 
+ * Starts HANDSHAKING; becomes OPEN once the peer's hello is compatible and
+ * CLOSED when either side ends it. Sends wait for OPEN.
  */
 class ChatSession {
-  constructor(stream, peerId, onMessage, onClose) {
+  constructor(stream, peerId, onMessage, onClose, options = {}) {
     this.stream = stream;
     this.peerId = peerId;
     this.onMessage = onMessage;
     this.onClose = onClose;
+    this.rateLimiter = options.rateLimiter || null;
+    this.onThrottle = options.onThrottle || null; // (peerId, type, verdict)
+    this.protocol = options.protocol || CHAT_PROTOCOL_V1;
+    this.format = PROTOCOL_FRAME_FORMATS[this.protocol] || FRAME_FORMATS.JSON;
+    this.capabilities = {
+      v: PROTOCOL_VERSION,
+      minV: MIN_PROTOCOL_VERSION,
+      maxFrame: MAX_FRAME_SIZE,
+      // JSON frames are never compressed
+      ...(this.format === FRAME_FORMATS.CBOR && { compression: supportedCompression() })
+    };
+    this.closeReason = null;
+    this.closeError = null;
     this.outbound = pushable();
     this.isActive = true;
+    this.state = SESSION_STATES.HANDSHAKING;
+    this.negotiated = null; // { version, maxFrame, compression } once OPEN
     this.seq = 0;
+    this.sending = Promise.resolve(); // Keeps frames in order while compressing
+    this.queuedFrames = 0;
+    
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Nobody may be waiting when the handshake fails
+    this.ready.catch(() => {});
+    
+    this.handshakeTimer = setTimeout(() => {
+      this.close(CLOSE_REASONS.HANDSHAKE_TIMEOUT, 'peer did not complete the handshake');
+    }, options.handshakeTimeout ?? HANDSHAKE_TIMEOUT_MS);
+    this.handshakeTimer.unref?.();
     
     // Start handling the stream
     this.handleStream();
@@ -43,24 +163,19 @@ class ChatSession {
       // Set up inbound pipe (peer messages to us)
       await pipe(
         this.stream.source,
-        lp.decode,
+        (source) => lp.decode(source, { maxDataLength: this.capabilities.maxFrame }),
         async (source) => {
           for await (const data of source) {
-            try {
-              const message = uint8ArrayToString(data.subarray());
-              const parsed = JSON.parse(message);
-              
-              // Handle message
-              if (this.onMessage) {
-                await this.onMessage(parsed, this.peerId);
-              }
-            } catch (error) {
-              console.error('Message parse error:', error);
-            }
+            await this.handleFrame(data);
           }
         }
       );
     } catch (error) {
+      // lp.decode refuses a frame whose length prefix is over the limit
+      if (error.name === 'InvalidDataLengthError') {
+        this.close(CLOSE_REASONS.FRAME_TOO_LARGE, `peer sent a frame over ${this.capabilities.maxFrame} bytes`);
+        return;
+      }
       console.error('Stream handling error:', error);
     } finally {
       this.close();
@@ -68,7 +183,97 @@ class ChatSession {
   }
   
   /**
-   * Send message to peer
+   * Parse one inbound frame and dispatch it unless the peer is over its
+   * rate limit. Until the handshake completes only 'hello' and 'bye' are
+   * accepted.
+   * 
+   * @param {Uint8ArrayList|Uint8Array} data - Frame payload from lp.decode
+   */
+  async handleFrame(data) {
+    if (!this.isActive) {
+      return;
+    }
+    
+    if (data.byteLength > this.capabilities.maxFrame) {
+      this.close(CLOSE_REASONS.FRAME_TOO_LARGE, `peer sent a ${data.byteLength} byte frame (limit ${this.capabilities.maxFrame})`);
+      return;
+    }
+    
+    // Drop (not queue) over-limit frames so a flood cannot pile up work.
+    // The peer's allowance is charged before decoding, which is the costly
+    // part; the limit for the event type can only be checked after.
+    const peerVerdict = this.rateLimiter?.checkPeer(this.peerId);
+    if (peerVerdict && !peerVerdict.allowed) {
+      this.onThrottle?.(this.peerId, null, peerVerdict);
+      return;
+    }
+    
+    let parsed;
+    try {
+      parsed = await decodeFrame(data.subarray(), this.format, this.getMaxFrame());
+    } catch (error) {
+      console.error('Message parse error:', error);
+      // Frames that fail to decode count towards a disconnect like throttled ones
+      const strike = this.rateLimiter?.strike(this.peerId, 'invalid');
+      if (strike) {
+        this.onThrottle?.(this.peerId, null, strike);
+      }
+      return;
+    }
+    
+    const verdict = this.rateLimiter?.checkType(this.peerId, parsed.type);
+    if (verdict && !verdict.allowed) {
+      this.onThrottle?.(this.peerId, parsed.type, verdict);
+      return;
+    }
+    
+    try {
+      if (parsed.type === 'hello') {
+        // Capabilities are fixed for the life of the session
+        if (this.state !== SESSION_STATES.HANDSHAKING) {
+          return;
+        }
+        if (!this.completeHandshake(parsed)) {
+          return;
+        }
+      } else if (this.state === SESSION_STATES.HANDSHAKING && parsed.type !== 'bye') {
+        this.close(CLOSE_REASONS.HANDSHAKE_REQUIRED, `peer sent ${parsed.type} before its hello`);
+        return;
+      }
+      
+      // Handle message
+      if (this.onMessage) {
+        await this.onMessage(parsed, this.peerId);
+      }
+    } catch (error) {
+      console.error('Message handling error:', error);
+    }
+  }
+  
+  /**
+   * Negotiate with the peer's hello and open the session
+   * 
+   * @param {object} hello - Peer's hello frame
+   * @returns {boolean} True if the session is now open
+   */
+  completeHandshake(hello) {
+    const result = negotiateCapabilities(this.capabilities, hello.capabilities);
+    if (!result.ok) {
+      this.close(CLOSE_REASONS.INCOMPATIBLE, result.error);
+      return false;
+    }
+    
+    clearTimeout(this.handshakeTimer);
+    this.negotiated = { version: result.version, maxFrame: result.maxFrame, compression: result.compression };
+    this.state = SESSION_STATES.OPEN;
+    console.log('[ChatSession] 🤝 Handshake complete with', this.peerId, this.negotiated);
+    this.resolveReady(this.negotiated);
+    return true;
+  }
+  
+  /**
+   * Send message to peer. Everything except our own hello waits for the
+   * handshake to complete.
    * 
    * @param {object} message - Message object to send
    */
@@ -80,24 +285,68 @@ class ChatSession {
       throw new Error('Session is not active');
     }
     
+    if (message.type !== 'hello') {
+      await this.ready;
+    }
+    
     try {
-      const messageStr = JSON.stringify(message);
-      console.log('[ChatSession] 📮 Encoding message, length:', messageStr.length);
+      const frame = encodeFrame(message, this.format);
+      console.log('[ChatSession] 📮 Encoded', this.format, 'frame, length:', frame.byteLength);
       
-      const data = uint8ArrayFromString(messageStr);
+      // The peer only inflates frames up to maxFrame, so the limit applies
+      // before compression
+      const maxFrame = this.getMaxFrame();
+      if (frame.byteLength > maxFrame) {
+        throw new Error(`Message too large: ${frame.byteLength} bytes (limit ${maxFrame})`);
+      }
       
-      console.log('[ChatSession] 📮 Pushing to outbound stream...');
-      // Don't double-encode - the outbound pipe already handles lp.encode
-      this.outbound.push(data);
-      this.seq++;
+      const compress = Boolean(this.negotiated?.compression) && frame.byteLength >= COMPRESSION_THRESHOLD;
+      if (!compress && this.queuedFrames === 0) {
+        this.pushFrame(frame);
+        return;
+      }
       
-      console.log('[ChatSession] 📮 Message pushed successfully, new seq:', this.seq);
+      // Compression is async; queue so later frames cannot overtake this one
+      this.queuedFrames++;
+      const pushed = this.sending
+        .then(async () => this.pushFrame(compress ? await compressFrame(frame) : frame))
+        .finally(() => this.queuedFrames--);
+      this.sending = pushed.catch(() => {});
+      await pushed;
     } catch (error) {
       console.error('[ChatSession] ❌ Send error:', error);
       throw error;
     }
   }
   
+  /**
+   * Largest frame either side may send, before compression. Before the
+   * handshake only our own limit is known.
+   * 
+   * @returns {number} Size in bytes
+   */
+  getMaxFrame() {
+    return this.negotiated?.maxFrame ?? this.capabilities.maxFrame;
+  }
+  
+  /**
+   * Push an encoded frame to the outbound stream
+   * 
+   * @param {Uint8Array} data - Frame payload
+   */
+  pushFrame(data) {
+    if (!this.isActive) {
+      throw new Error('Session is not active');
+    }
+    
+    console.log('[ChatSession] 📮 Pushing to outbound stream...');
+    // Don't double-encode - the outbound pipe already handles lp.encode
+    this.outbound.push(data);
+    this.seq++;
+    
+    console.log('[ChatSession] 📮 Message pushed successfully, new seq:', this.seq);
+  }
+  
   /**
    * Send handshake message
    */
@@ -108,7 +357,7 @@ class ChatSession {
       type: 'hello',
       sender: ourPeerId,
       protocol_version: 'length-prefixed-v1',
-      capabilities: { v: 1, maxFrame: 131072 }
+      capabilities: this.capabilities
     };
     
     await this.send(handshake);
@@ -117,15 +366,30 @@ class ChatSession {
   
   /**
    * Close the session
+   * 
+   * @param {string} reason - Optional CLOSE_REASONS code, sent to the peer
+   * @param {string} error - Optional explanation, sent with the reason
    */
-  close() {
+  close(reason = null, error = null) {
     if (!this.isActive) return;
     
+    if (reason) {
+      this.closeReason = reason;
+      this.closeError = error;
+      this.outbound.push(encodeFrame({ type: 'bye', reason, ...(error && { error }) }, this.format));
+      
+      // Stop reading so the peer cannot keep feeding us frames
+      this.stream.closeRead?.().catch(err => console.error('closeRead error:', err));
+    }
+    
     this.isActive = false;
+    this.state = SESSION_STATES.CLOSED;
+    clearTimeout(this.handshakeTimer);
+    this.rejectReady(new Error(error ? `Session closed: ${error}` : 'Session is not active'));
     this.outbound.end();
     
     if (this.onClose) {
-      this.onClose(this.peerId);
+      this.onClose(this.peerId, this.closeReason, this.closeError);
     }
   }
 }
@@ -134,12 +398,20 @@ class ChatSession {
  * Chat protocol handler
  */
 export class ChatProtocol {
-  constructor(node, storage, eventEmitter) {
+  constructor(node, storage, eventEmitter, options = {}) {
     this.node = node;
     this.storage = storage;
     this.eventEmitter = eventEmitter;
+    this.privateKey = options.privateKey || null; // Signs outgoing events
+    this.isBlocked = options.isBlocked || (() => false); // (peerId) => true to ignore a peer
+    this.friends = options.friends || null; // FriendsStorage, for DM rooms kept across key rotation
+    this.isContact = options.isContact || (() => true); // (peerId) => false to hold a peer's DMs instead of storing them
     this.sessions = new Map(); // One session per peer
     this.messageHandlers = new Map();
+    this.rateLimiter = options.rateLimiter || new PeerRateLimiter(options.rateLimits);
+    this.handshakeTimeout = options.handshakeTimeout ?? HANDSHAKE_TIMEOUT_MS;
+    this.validator = new EventValidator();
+    this.invalidEventCounts = new Map(); // peerId -> events rejected by schema validation
     
     // Helper method for emitting events that works with both EventEmitter and EventTarget
     this.emit = (eventName, detail) => {
@@ -154,25 +426,28 @@ export class ChatProtocol {
       }
     };
     
-    // Register protocol handler with enhanced logging
-    console.log('[ChatProtocol] 📋 Registering protocol handler for:', CHAT_PROTOCOL);
-    
-    this.node.handle(
-      CHAT_PROTOCOL,
-      async ({ stream, connection }) => {
-        console.log('[ChatProtocol] 🎯 PROTOCOL HANDLER TRIGGERED for:', CHAT_PROTOCOL);
-        console.log('[ChatProtocol] 🎯 Connection from:', connection.remotePeer.toString());
-        console.log('[ChatProtocol] 🎯 Connection type:', connection.limitedConnection ? 'LIMITED (relay)' : 'DIRECT');
-        
-        await this.handleIncomingStream({ stream, connection });
-      },
-      {
-        maxInboundStreams: 32,
-        runOnLimitedConnection: true  // CRITICAL for circuit relay support
-      }
-    );
-    
-    console.log('[ChatProtocol] ✅ Protocol handler registered for:', CHAT_PROTOCOL);
+    // Register protocol handlers with enhanced logging; v1 stays registered
+    // so older clients can still reach us
+    for (const protocol of CHAT_PROTOCOLS) {
+      console.log('[ChatProtocol] 📋 Registering protocol handler for:', protocol);
+      
+      this.node.handle(
+        protocol,
+        async ({ stream, connection }) => {
+          console.log('[ChatProtocol] 🎯 PROTOCOL HANDLER TRIGGERED for:', protocol);
+          console.log('[ChatProtocol] 🎯 Connection from:', connection.remotePeer.toString());
+          console.log('[ChatProtocol] 🎯 Connection type:', connection.limitedConnection ? 'LIMITED (relay)' : 'DIRECT');
+          
+          await this.handleIncomingStream({ stream, connection }, protocol);
+        },
+        {
+          maxInboundStreams: 32,
+          runOnLimitedConnection: true  // CRITICAL for circuit relay support
+        }
+      );
+      
+      console.log('[ChatProtocol] ✅ Protocol handler registered for:', protocol);
+    }
     
     // Log supported protocols
     console.log('[ChatProtocol] 📋 Node protocols:', this.node.getProtocols());
@@ -183,10 +458,20 @@ export class ChatProtocol {
   
   /**
    * Handle incoming stream from peer
+   * 
+   * @param {object} data - { stream, connection } from the protocol handler
+   * @param {string} protocol - Chat protocol the stream was opened with
    */
-  async handleIncomingStream({ stream, connection }) {
+  async handleIncomingStream({ stream, connection }, protocol = CHAT_PROTOCOL_V1) {
     const peerId = connection.remotePeer.toString();
     
+    // Blocked peers get no session at all
+    if (this.isBlocked(peerId)) {
+      console.warn('[ChatProtocol] 🚫 Refusing chat stream from blocked peer:', peerId);
+      stream.abort?.(new Error('Peer is blocked'));
+      return;
+    }
+    
     // CRITICAL: Prevent duplicate sessions
     if (this.sessions.has(peerId)) {
       console.warn('Duplicate session attempt from:', peerId);
@@ -202,11 +487,12 @@ export class ChatProtocol {
       stream,
       peerId,
       this.handleMessage.bind(this),
-      this.handleSessionClose.bind(this)
+      this.handleSessionClose.bind(this),
+      this.getSessionOptions(protocol)
     );
     
     this.sessions.set(peerId, session);
-    console.log('[ChatProtocol] 📨 Session created and stored');
+    console.log('[ChatProtocol] 📨 Session created and stored, protocol:', protocol);
     
     // Send handshake
     console.log('[ChatProtocol] 📨 Sending handshake...');
@@ -224,6 +510,10 @@ export class ChatProtocol {
    * @returns {Promise<ChatSession>} Chat session
    */
   async openStream(peerId) {
+    if (this.isBlocked(peerId.toString())) {
+      throw new Error('Peer is blocked');
+    }
+    
     // Check for existing session
     if (this.sessions.has(peerId)) {
       console.log('[ChatProtocol] 📌 Reusing existing session with:', peerId);
@@ -235,7 +525,7 @@ export class ChatProtocol {
     
     try {
       console.log('[ChatProtocol] 📞 Opening chat stream to:', peerId);
-      console.log('[ChatProtocol] 📞 Using protocol:', CHAT_PROTOCOL);
+      console.log('[ChatProtocol] 📞 Offering protocols:', CHAT_PROTOCOLS);
       
       if (typeof peerId === 'string') {
         console.log('[ChatProtocol] 📞 Converting string peer ID to object...');
@@ -268,7 +558,7 @@ export class ChatProtocol {
       // libp2p will automatically handle DHT lookup and circuit relay if needed
       let stream;
       try {
-        stream = await this.node.dialProtocol(peerIdObj, CHAT_PROTOCOL);
+        stream = await this.node.dialProtocol(peerIdObj, CHAT_PROTOCOLS);
       } catch (dialError) {
         console.log('[ChatProtocol] 📞 dialProtocol failed:', dialError.message);
         
@@ -278,7 +568,7 @@ export class ChatProtocol {
           try {
             await this.node.dial(peerIdObj);
             console.log('[ChatProtocol] 📞 Connection established, retrying dialProtocol...');
-            stream = await this.node.dialProtocol(peerIdObj, CHAT_PROTOCOL);
+            stream = await this.node.dialProtocol(peerIdObj, CHAT_PROTOCOLS);
           } catch (retryError) {
             console.error('[ChatProtocol] 📞 Retry failed:', retryError.message);
             throw retryError;
@@ -288,7 +578,9 @@ export class ChatProtocol {
         }
       }
       
-      console.log('[ChatProtocol] ✅ Stream established with:', peerId);
+      // The first protocol in CHAT_PROTOCOLS that the peer supports
+      const protocol = stream.protocol || CHAT_PROTOCOL_V1;
+      console.log('[ChatProtocol] ✅ Stream established with:', peerId, 'using', protocol);
       
       // Check if this is a relay connection
       const connections = this.node.getConnections(peerIdObj);
@@ -310,7 +602,8 @@ export class ChatProtocol {
         stream,
         peerId,
         this.handleMessage.bind(this),
-        this.handleSessionClose.bind(this)
+        this.handleSessionClose.bind(this),
+        this.getSessionOptions(protocol)
       );
       
       this.sessions.set(peerId, session);
@@ -348,8 +641,10 @@ export class ChatProtocol {
    * @param {string} peerId - Target peer ID
    * @param {string} content - Message content
    * @param {string} roomId - Room/channel ID
+   * @param {object} options - Optional `eventId` to reuse (e.g. for queued messages)
+   *   and `replyTo`, the event ID of the message this one answers
    */
-  async sendMessage(peerId, content, roomId) {
+  async sendMessage(peerId, content, roomId, options = {}) {
     console.log('[ChatProtocol] 📤 sendMessage called:', {
       peerId,
       content,
@@ -371,19 +666,17 @@ export class ChatProtocol {
       hasStream: !!session.stream
     });
     
-    // Create message
-    const message = {
+    // Create and sign message
+    const message = await this.signEvent({
       type: 'm.room.message',
       sender: this.node.peerId.toString(),
       room_id: roomId,
       origin_ts: Date.now(),
       seq: session.seq,
-      event_id: this.generateEventId(),
-      content: {
-        msgtype: 'm.text',
-        body: content
-      }
-    };
+      lamport: await this.storage.nextLamport(),
+      event_id: options.eventId || this.generateEventId(),
+      content: createMessageContent(content, options.replyTo)
+    });
     
     console.log('[ChatProtocol] 📤 Sending message:', message);
     
@@ -392,8 +685,8 @@ export class ChatProtocol {
     
     console.log('[ChatProtocol] 📤 Message sent successfully');
     
-    // Store in history
-    this.storage.addMessage(roomId, message);
+    // Store in history with our local delivery state
+    await this.storage.addMessage(roomId, { ...message, unsigned: { status: 'sent' } });
     
     // Emit event
     this.emit('message:sent', message);
@@ -401,19 +694,227 @@ export class ChatProtocol {
     return message;
   }
   
+  /**
+   * Send a delivery or read receipt for messages received from a peer
+   * 
+   * @param {string} peerId - Peer that sent the messages
+   * @param {string} roomId - Room/channel ID
+   * @param {string[]} eventIds - IDs of the acknowledged events
+   * @param {string} receiptType - 'delivered' or 'read'
+   * @returns {Promise<object>} Sent receipt event
+   */
+  async sendReceipt(peerId, roomId, eventIds, receiptType) {
+    if (!RECEIPT_TYPES.includes(receiptType)) {
+      throw new Error(`Unknown receipt type: ${receiptType}`);
+    }
+    
+    const session = this.sessions.get(peerId) || await this.openStream(peerId);
+    
+    const receipt = await this.signEvent({
+      type: 'm.receipt',
+      sender: this.node.peerId.toString(),
+      room_id: roomId,
+      origin_ts: Date.now(),
+      event_id: this.generateEventId(),
+      content: {
+        receipt_type: receiptType,
+        event_ids: eventIds
+      }
+    });
+    
+    await session.send(receipt);
+    return receipt;
+  }
+  
+  /**
+   * Create a signed edit of one of our messages
+   * 
+   * @param {string} roomId - Room of the message
+   * @param {string} eventId - Event ID of the message
+   * @param {string} body - New text
+   * @returns {Promise<object>} m.room.edit event
+   */
+  async createEdit(roomId, eventId, body) {
+    return this.signEvent({
+      type: EDIT_EVENT_TYPE,
+      sender: this.node.peerId.toString(),
+      room_id: roomId,
+      origin_ts: Date.now(),
+      event_id: this.generateEventId(),
+      content: {
+        relates_to: eventId,
+        body
+      }
+    });
+  }
+  
+  /**
+   * Create a signed redaction of one of our messages
+   * 
+   * @param {string} roomId - Room of the message
+   * @param {string} eventId - Event ID of the message
+   * @param {string|null} reason - Optional reason shown to others
+   * @returns {Promise<object>} m.room.redaction event
+   */
+  async createRedaction(roomId, eventId, reason = null) {
+    return this.signEvent({
+      type: REDACTION_EVENT_TYPE,
+      sender: this.node.peerId.toString(),
+      room_id: roomId,
+      origin_ts: Date.now(),
+      event_id: this.generateEventId(),
+      content: {
+        redacts: eventId,
+        reason
+      }
+    });
+  }
+  
+  /**
+   * Send an edit or redaction to the other side of a DM and apply it to
+   * our own copy
+   * 
+   * @param {string} peerId - Peer of the DM
+   * @param {object} change - Event from createEdit or createRedaction
+   * @returns {Promise<object|null>} Our updated copy of the message
+   */
+  async sendMessageChange(peerId, change) {
+    const session = this.sessions.get(peerId) || await this.openStream(peerId);
+    await session.send(change);
+    return this.applyMessageChange(change);
+  }
+  
+  /**
+   * Apply a verified edit or redaction to history and tell the UI
+   * 
+   * @param {object} change - m.room.edit or m.room.redaction event
+   * @returns {Promise<object|null>} Updated message, or null if the change
+   *   did not apply (unknown message, or not the sender's own)
+   */
+  async applyMessageChange(change) {
+    const message = await this.storage.applyChange(change.room_id, change);
+    if (message) {
+      this.emit(change.type === EDIT_EVENT_TYPE ? 'message:edited' : 'message:redacted', {
+        roomId: change.room_id,
+        message,
+        change
+      });
+    }
+    return message;
+  }
+  
+  /**
+   * Send a contact handshake event (request, accept or reject)
+   * 
+   * @param {string} peerId - Target peer ID
+   * @param {string} type - One of CONTACT_EVENT_TYPES
+   * @param {object} details - { nickname, note }
+   * @returns {Promise<object>} Sent event
+   */
+  async sendContactEvent(peerId, type, details = {}) {
+    if (!CONTACT_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown contact event type: ${type}`);
+    }
+    
+    const session = this.sessions.get(peerId) || await this.openStream(peerId);
+    
+    const event = await this.signEvent({
+      type,
+      sender: this.node.peerId.toString(),
+      origin_ts: Date.now(),
+      event_id: this.generateEventId(),
+      content: {
+        nickname: details.nickname || null,
+        note: (details.note || '').slice(0, MAX_CONTACT_NOTE_LENGTH)
+      }
+    });
+    
+    await session.send(event);
+    return event;
+  }
+  
+  /**
+   * Send an already-built event to a peer (e.g. an identity migration
+   * statement signed by another key)
+   * 
+   * @param {string} peerId - Target peer ID
+   * @param {object} event - Event to send as-is
+   */
+  async sendEvent(peerId, event) {
+    const session = this.sessions.get(peerId) || await this.openStream(peerId);
+    await session.send(event);
+  }
+  
   /**
    * Handle incoming message
    */
   async handleMessage(message, peerId) {
-    console.log('Received message:', message.type, 'from', peerId);
+    // Drop events still arriving on a session opened before the block
+    if (this.isBlocked(peerId)) {
+      console.log('Dropped', message.type, 'from blocked peer', peerId);
+      return;
+    }
+    
+    console.log('Received message:', message?.type, 'from', peerId);
     
     // Get handler for message type
-    const handler = this.messageHandlers.get(message.type);
-    if (handler) {
-      await handler(message, peerId);
-    } else {
-      console.warn('Unknown message type:', message.type);
+    const handler = this.messageHandlers.get(message?.type);
+    if (!handler) {
+      console.warn('Unknown message type:', message?.type);
+      return;
     }
+    
+    // Handlers only ever see events that match their schema
+    if (!this.validateIncomingEvent(message, peerId)) {
+      return;
+    }
+    
+    await handler(message, peerId);
+  }
+  
+  /**
+   * Register a handler for a new event type, together with the schema its
+   * events must match
+   * 
+   * @param {string} type - Event type
+   * @param {object} schema - Event schema (see event-schemas.js)
+   * @param {Function} handler - async (event, peerId) => void
+   */
+  registerEventType(type, schema, handler) {
+    this.validator.register(type, schema);
+    this.messageHandlers.set(type, handler);
+  }
+  
+  /**
+   * Check an inbound event against its schema. Failures are logged,
+   * counted per peer and surfaced as `message:rejected`.
+   * 
+   * @param {object} event - Parsed event
+   * @param {string} peerId - Peer the event came from
+   * @returns {boolean} True if the event is well-formed
+   */
+  validateIncomingEvent(event, peerId) {
+    const result = this.validator.validate(event);
+    if (result.valid) {
+      return true;
+    }
+    
+    const count = (this.invalidEventCounts.get(peerId) || 0) + 1;
+    this.invalidEventCounts.set(peerId, count);
+    
+    console.warn('[ChatProtocol] 🚫 Invalid', event?.type, 'from', peerId, '-', result.reason, `(${count} so far)`);
+    this.emit('message:rejected', { peerId, event, reason: result.reason, invalidCount: count });
+    return false;
+  }
+  
+  /**
+   * Get how many malformed events a peer has sent
+   * 
+   * @param {string} peerId - Peer ID
+   * @returns {number} Count since we started
+   */
+  getInvalidEventCount(peerId) {
+    return this.invalidEventCounts.get(peerId) || 0;
   }
   
   /**
@@ -423,7 +924,19 @@ export class ChatProtocol {
     // Handshake handler
     this.messageHandlers.set('hello', async (message, peerId) => {
       console.log('Handshake from', peerId, message);
-      this.emit('peer:handshake', { peerId, capabilities: message.capabilities });
+      const session = this.sessions.get(peerId);
+      this.emit('peer:handshake', {
+        peerId,
+        capabilities: message.capabilities,
+        protocol: session?.protocol || null,
+        negotiated: session?.negotiated || null
+      });
+    });
+    
+    // The peer closed the session and told us why
+    this.messageHandlers.set('bye', async (message, peerId) => {
+      console.log('Peer', peerId, 'closed the chat session:', message.reason, message.error || '');
+      this.emit('peer:bye', { peerId, reason: message.reason, error: message.error || null });
     });
     
     // Chat message handler
@@ -435,12 +948,79 @@ export class ChatProtocol {
         text: message.content?.body
       });
       
-      // Store in history
-      this.storage.addMessage(message.room_id, message);
+      // Reject events that are unsigned, not signed by the sending peer, or
+      // aimed at a room other than our DM with it
+      if (!(await this.verifyIncomingEvent(message, peerId)) || !(await this.checkDirectRoom(message, peerId))) {
+        return;
+      }
+      
+      // DMs from someone who is not a contact are not stored; the app holds
+      // them until a contact request is accepted. Everything else goes into
+      // history, and re-deliveries of an event we already have are only acknowledged.
+      if (!this.isContact(peerId)) {
+        this.emit('message:held', { peerId, message });
+      } else if (await this.storage.addMessage(message.room_id, message)) {
+        // Emit event for UI
+        this.emit('message:received', message);
+        console.log('[ChatProtocol] 💬 Message event emitted');
+      } else {
+        console.log('[ChatProtocol] 💬 Duplicate event ignored:', message.event_id);
+      }
+      
+      // Let the sender know the message arrived
+      try {
+        await this.sendReceipt(peerId, message.room_id, [message.event_id], 'delivered');
+      } catch (error) {
+        console.error('[ChatProtocol] Failed to send delivery receipt:', error);
+      }
+    });
+    
+    // Delivery / read receipts for messages we sent
+    this.messageHandlers.set('m.receipt', async (message, peerId) => {
+      if (!(await this.verifyIncomingEvent(message, peerId))) {
+        return;
+      }
+      
+      const { receipt_type: receiptType, event_ids: eventIds = [] } = message.content || {};
+      if (!RECEIPT_TYPES.includes(receiptType)) {
+        console.warn('[ChatProtocol] Unknown receipt type:', receiptType);
+        return;
+      }
+      
+      // A peer can only acknowledge our messages in the DM we share with it
+      const roomId = await this.getDirectRoomId(peerId);
+      if (message.room_id !== roomId) {
+        console.warn('[ChatProtocol] Ignoring receipt from', peerId, 'for another room:', message.room_id);
+        return;
+      }
+      
+      const ownPeerId = this.node.peerId.toString();
+      const updated = [];
+      for (const eventId of eventIds) {
+        if (await this.storage.updateMessageStatus(roomId, eventId, receiptType, ownPeerId)) {
+          updated.push(eventId);
+        }
+      }
       
-      // Emit event for UI
-      this.emit('message:received', message);
-      console.log('[ChatProtocol] 💬 Message event emitted');
+      this.emit('message:receipt', {
+        peerId,
+        roomId,
+        eventIds: updated,
+        receiptType
+      });
+    });
+    
+    // Edits and redactions; only the original sender's are applied
+    [EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE].forEach(type => {
+      this.messageHandlers.set(type, async (message, peerId) => {
+        if (!(await this.verifyIncomingEvent(message, peerId)) || !(await this.checkDirectRoom(message, peerId))) {
+          return;
+        }
+        
+        if (!(await this.applyMessageChange(message))) {
+          console.log('[ChatProtocol] Ignoring', type, 'for unknown or foreign message', getTargetEventId(message));
+        }
+      });
     });
     
     // Typing indicator
@@ -452,15 +1032,158 @@ export class ChatProtocol {
     this.messageHandlers.set('m.nickname', async (message, peerId) => {
       this.emit('peer:nickname', { peerId, nickname: message.nickname });
     });
+    
+    // Contact requests and their answers
+    CONTACT_EVENT_TYPES.forEach(type => {
+      this.messageHandlers.set(type, async (message, peerId) => {
+        if (!(await this.verifyIncomingEvent(message, peerId))) {
+          return;
+        }
+        
+        const { nickname, note } = message.content || {};
+        this.emit(`contact:${type.split('.').pop()}`, {
+          peerId,
+          nickname: typeof nickname === 'string' ? nickname : null,
+          note: typeof note === 'string' ? note.slice(0, MAX_CONTACT_NOTE_LENGTH) : '',
+          event: message
+        });
+      });
+    });
+    
+    // A peer moved to a new key; the statement is signed by the old one
+    this.messageHandlers.set(MIGRATE_EVENT_TYPE, async (message, peerId) => {
+      const result = await verifyMigrationStatement(message, peerId);
+      if (!result.valid) {
+        console.warn('[ChatProtocol] 🚫 Rejected identity migration from', peerId, '-', result.reason);
+        this.emit('message:rejected', { peerId, event: message, reason: result.reason });
+        return;
+      }
+      
+      this.emit('identity:migrate', {
+        peerId,
+        oldPeerId: message.content.old_peer_id,
+        newPeerId: message.content.new_peer_id,
+        statement: message
+      });
+    });
+  }
+  
+  /**
+   * Sign an outgoing event with our private key
+   * 
+   * @param {object} event - Event to sign
+   * @returns {Promise<object>} Signed event
+   */
+  async signEvent(event) {
+    if (!this.privateKey) {
+      throw new Error('No private key available for signing');
+    }
+    
+    return signEvent(event, this.privateKey);
+  }
+  
+  /**
+   * Verify an event received over a direct session. The signature must be
+   * valid and the claimed sender must be the peer on the other end of the
+   * stream. Rejected events are surfaced as `message:rejected`.
+   * 
+   * @param {object} event - Received event
+   * @param {string} peerId - Peer the event arrived from
+   * @returns {Promise<boolean>} True if the event may be processed
+   */
+  async verifyIncomingEvent(event, peerId) {
+    let reason = null;
+    
+    if (event.sender !== peerId) {
+      reason = 'sender_mismatch';
+    } else {
+      const result = await verifyEvent(event);
+      if (!result.valid) {
+        reason = result.reason;
+      }
+    }
+    
+    if (reason) {
+      console.warn('[ChatProtocol] 🚫 Rejected event from', peerId, '-', reason);
+      this.emit('message:rejected', { peerId, event, reason });
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check that an event received over a peer's chat session belongs to the
+   * DM room we share with that peer, so it cannot write into other rooms
+   * 
+   * @param {object} event - Incoming room event
+   * @param {string} peerId - Remote peer ID
+   * @returns {Promise<boolean>} True if the event is for the DM room
+   */
+  async checkDirectRoom(event, peerId) {
+    if (event.room_id === await this.getDirectRoomId(peerId)) {
+      return true;
+    }
+    
+    console.warn('[ChatProtocol] 🚫 Rejected event from', peerId, 'for another room:', event.room_id);
+    this.emit('message:rejected', { peerId, event, reason: 'wrong_room' });
+    return false;
+  }
+  
+  /**
+   * Get the DM room ID shared with a peer
+   * 
+   * @param {string} peerId - Remote peer ID
+   * @returns {Promise<string>} Room ID
+   */
+  async getDirectRoomId(peerId) {
+    const pinned = this.friends?.getFriend(peerId)?.room_id;
+    return pinned || ChatProtocol.generateRoomId(this.node.peerId.toString(), peerId);
+  }
+  
+  /**
+   * Options for a new ChatSession
+   * 
+   * @param {string} protocol - Chat protocol the stream uses
+   * @returns {object} ChatSession options
+   */
+  getSessionOptions(protocol) {
+    return {
+      protocol,
+      rateLimiter: this.rateLimiter,
+      handshakeTimeout: this.handshakeTimeout,
+      onThrottle: this.handleThrottle.bind(this)
+    };
+  }
+  
+  /**
+   * A peer went over a rate limit or sent a frame that could not be
+   * decoded; the frame was dropped. Repeat offenders are disconnected.
+   * 
+   * @param {string} peerId - Peer ID
+   * @param {string|null} type - Type of the dropped event, null if not decoded
+   * @param {object} verdict - PeerRateLimiter verdict
+   */
+  handleThrottle(peerId, type, verdict) {
+    console.warn('[ChatProtocol] 🐢 Throttled', type || 'frame', 'from', peerId, `(${verdict.scope} limit, strike ${verdict.strikes})`);
+    this.emit('peer:throttled', { peerId, type, scope: verdict.scope, strikes: verdict.strikes });
+    
+    if (verdict.exceeded) {
+      this.closeSession(peerId, CLOSE_REASONS.RATE_LIMITED);
+    }
   }
   
   /**
    * Handle session close
+   * 
+   * @param {string} peerId - Peer ID
+   * @param {string|null} reason - CLOSE_REASONS code if we closed it on purpose
+   * @param {string|null} error - Explanation sent with the reason
    */
-  handleSessionClose(peerId) {
-    console.log('Session closed with', peerId);
+  handleSessionClose(peerId, reason = null, error = null) {
+    console.log('Session closed with', peerId, reason || '', error || '');
     this.sessions.delete(peerId);
-    this.emit('chat:disconnected', { peerId });
+    this.emit('chat:disconnected', { peerId, reason, error });
   }
   
   /**
@@ -527,11 +1250,13 @@ export class ChatProtocol {
    * Close session with peer
    * 
    * @param {string} peerId - Peer ID
+   * @param {string} reason - Optional CLOSE_REASONS code, sent to the peer
+   * @param {string} error - Optional explanation, sent with the reason
    */
-  closeSession(peerId) {
+  closeSession(peerId, reason = null, error = null) {
     const session = this.sessions.get(peerId);
     if (session) {
-      session.close();
+      session.close(reason, error);
     }
   }
   
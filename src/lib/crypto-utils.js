@@ -0,0 +1,146 @@
+import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+
+/**
+ * Passphrase-based encryption for secrets that leave the app (key exports).
+ *
+ * Envelope format (version 1):
+ * {
+ *   version: 1,
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *   cipher: { name: 'AES-GCM', iv },
+ *   ciphertext
+ * }
+ * Binary fields are base64. The version lets later formats change the KDF or
+ * cipher without breaking old backups.
+ */
+export const ENVELOPE_VERSION = 1;
+export const DEFAULT_KDF_ITERATIONS = 600000;
+// Caps the work an imported envelope can make us do
+export const MAX_KDF_ITERATIONS = 10000000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available in this environment');
+  }
+  return subtle;
+}
+
+async function deriveKey(passphrase, salt, iterations, usage) {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Check whether a value looks like an encrypted envelope
+ *
+ * @param {any} data - Parsed data to check
+ * @returns {boolean} True if data is an encrypted envelope
+ */
+export function isEncryptedEnvelope(data) {
+  return Boolean(data && typeof data === 'object' &&
+    'version' in data && data.kdf && data.cipher && typeof data.ciphertext === 'string');
+}
+
+/**
+ * Encrypt a string with a passphrase
+ *
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} passphrase - User passphrase
+ * @param {object} options - { iterations }
+ * @returns {Promise<object>} Encrypted envelope
+ */
+export async function encryptWithPassphrase(plaintext, passphrase, options = {}) {
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  const iterations = options.iterations || DEFAULT_KDF_ITERATIONS;
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, iterations, 'encrypt');
+
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    version: ENVELOPE_VERSION,
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations,
+      salt: uint8ArrayToString(salt, 'base64')
+    },
+    cipher: {
+      name: 'AES-GCM',
+      iv: uint8ArrayToString(iv, 'base64')
+    },
+    ciphertext: uint8ArrayToString(new Uint8Array(ciphertext), 'base64')
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptWithPassphrase
+ *
+ * @param {object} envelope - Encrypted envelope
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export async function decryptWithPassphrase(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new Error('Invalid encrypted data');
+  }
+
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encryption version: ${envelope.version}`);
+  }
+
+  const { kdf, cipher } = envelope;
+  if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM') {
+    throw new Error('Unsupported encryption parameters');
+  }
+
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_KDF_ITERATIONS) {
+    throw new Error(`Unsupported KDF iteration count: ${kdf.iterations}`);
+  }
+
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  const salt = uint8ArrayFromString(kdf.salt, 'base64');
+  const iv = uint8ArrayFromString(cipher.iv, 'base64');
+  const key = await deriveKey(passphrase, salt, kdf.iterations, 'decrypt');
+
+  try {
+    const plaintext = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      uint8ArrayFromString(envelope.ciphertext, 'base64')
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    // AES-GCM authentication failure: wrong passphrase or tampered data
+    throw new Error('Wrong passphrase or corrupted data');
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Compare two room events for display/storage order.
+ *
+ * Events are ordered by Lamport clock first so causally later messages
+ * (replies) always sort after what they reply to, regardless of clock skew
+ * or arrival order. Concurrent events fall back to `origin_ts`, then
+ * `event_id` so every peer ends up with the same order. Events without a
+ * clock (sent by older clients) sort by timestamp only.
+ *
+ * @param {object} a - Event ({ lamport, origin_ts, event_id })
+ * @param {object} b - Event ({ lamport, origin_ts, event_id })
+ * @returns {number} Negative if a comes first, positive if b does, 0 if equal
+ */
+export function compareEvents(a, b) {
+  const lamportA = a.lamport || 0;
+  const lamportB = b.lamport || 0;
+  if (lamportA !== lamportB) {
+    return lamportA - lamportB;
+  }
+
+  const tsA = a.origin_ts || 0;
+  const tsB = b.origin_ts || 0;
+  if (tsA !== tsB) {
+    return tsA - tsB;
+  }
+
+  if (a.event_id && b.event_id && a.event_id !== b.event_id) {
+    return a.event_id < b.event_id ? -1 : 1;
+  }
+
+  return 0;
+}
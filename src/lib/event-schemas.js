@@ -0,0 +1,312 @@
+/**
+ * Declarative schemas for inbound chat events.
+ *
+ * A schema is a plain object:
+ *   { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null',
+ *     // or an array of those, e.g. ['string', 'null']
+ *     required: [...keys], properties: { key: schema },   // objects
+ *     items: schema, maxItems,                             // arrays
+ *     minLength, maxLength, enum,                          // strings
+ *     minimum }                                            // numbers
+ *
+ * Unknown fields are allowed so newer peers can add them without breaking
+ * older ones.
+ */
+
+const PEER_ID = { type: 'string', minLength: 1, maxLength: 128 };
+const EVENT_ID = { type: 'string', minLength: 1, maxLength: 128 };
+const ROOM_ID = { type: 'string', minLength: 1, maxLength: 256 };
+const TIMESTAMP = { type: 'integer', minimum: 0 };
+const NICKNAME = { type: ['string', 'null'], maxLength: 64 };
+
+// Fields shared by signed events; signature checks happen after validation
+const SIGNED_EVENT_PROPERTIES = {
+  sender: PEER_ID,
+  origin_ts: TIMESTAMP,
+  event_id: EVENT_ID,
+  signature: { type: 'string', maxLength: 512 }
+};
+
+const CONTACT_EVENT = {
+  type: 'object',
+  required: ['sender', 'content'],
+  properties: {
+    ...SIGNED_EVENT_PROPERTIES,
+    content: {
+      type: 'object',
+      properties: {
+        nickname: NICKNAME,
+        note: { type: ['string', 'null'], maxLength: 1000 }
+      }
+    }
+  }
+};
+
+export const EVENT_SCHEMAS = {
+  hello: {
+    type: 'object',
+    required: ['sender'],
+    properties: {
+      sender: PEER_ID,
+      protocol_version: { type: 'string', maxLength: 64 },
+      capabilities: {
+        type: 'object',
+        properties: {
+          v: { type: 'integer', minimum: 1 },
+          minV: { type: 'integer', minimum: 1 },
+          maxFrame: { type: 'integer', minimum: 0 },
+          compression: { type: 'array', items: { type: 'string', maxLength: 32 }, maxItems: 8 }
+        }
+      }
+    }
+  },
+
+  bye: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', maxLength: 64 },
+      error: { type: 'string', maxLength: 512 }
+    }
+  },
+
+  'm.room.message': {
+    type: 'object',
+    required: ['sender', 'room_id', 'content'],
+    properties: {
+      ...SIGNED_EVENT_PROPERTIES,
+      room_id: ROOM_ID,
+      seq: { type: 'integer', minimum: 0 },
+      lamport: { type: 'integer', minimum: 0 },
+      content: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+          msgtype: { type: 'string', maxLength: 64 },
+          body: { type: 'string', maxLength: 65536 },
+          'm.relates_to': {
+            type: 'object',
+            required: ['m.in_reply_to'],
+            properties: {
+              'm.in_reply_to': { type: 'object', required: ['event_id'], properties: { event_id: EVENT_ID } }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  'm.room.edit': {
+    type: 'object',
+    required: ['sender', 'room_id', 'content'],
+    properties: {
+      ...SIGNED_EVENT_PROPERTIES,
+      room_id: ROOM_ID,
+      content: {
+        type: 'object',
+        required: ['relates_to', 'body'],
+        properties: {
+          relates_to: EVENT_ID,
+          body: { type: 'string', maxLength: 65536 }
+        }
+      }
+    }
+  },
+
+  'm.room.redaction': {
+    type: 'object',
+    required: ['sender', 'room_id', 'content'],
+    properties: {
+      ...SIGNED_EVENT_PROPERTIES,
+      room_id: ROOM_ID,
+      content: {
+        type: 'object',
+        required: ['redacts'],
+        properties: {
+          redacts: EVENT_ID,
+          reason: { type: ['string', 'null'], maxLength: 256 }
+        }
+      }
+    }
+  },
+
+  'm.receipt': {
+    type: 'object',
+    required: ['sender', 'room_id', 'content'],
+    properties: {
+      ...SIGNED_EVENT_PROPERTIES,
+      room_id: ROOM_ID,
+      content: {
+        type: 'object',
+        required: ['receipt_type', 'event_ids'],
+        properties: {
+          receipt_type: { type: 'string', enum: ['delivered', 'read'] },
+          event_ids: { type: 'array', items: EVENT_ID, maxItems: 1000 }
+        }
+      }
+    }
+  },
+
+  'm.typing': {
+    type: 'object',
+    required: ['typing'],
+    properties: {
+      sender: PEER_ID,
+      typing: { type: 'boolean' }
+    }
+  },
+
+  'm.nickname': {
+    type: 'object',
+    required: ['nickname'],
+    properties: {
+      sender: PEER_ID,
+      nickname: NICKNAME
+    }
+  },
+
+  'm.contact.request': CONTACT_EVENT,
+  'm.contact.accept': CONTACT_EVENT,
+  'm.contact.reject': CONTACT_EVENT,
+
+  'm.identity.migrate': {
+    type: 'object',
+    required: ['sender', 'content', 'signature'],
+    properties: {
+      ...SIGNED_EVENT_PROPERTIES,
+      content: {
+        type: 'object',
+        required: ['old_peer_id', 'new_peer_id'],
+        properties: {
+          old_peer_id: PEER_ID,
+          new_peer_id: PEER_ID
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Get the schema type name of a value
+ *
+ * @param {any} value - Value to inspect
+ * @returns {string} 'null', 'array', 'integer', 'number', or typeof value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {any} value - Value to check
+ * @param {object} schema - Schema (see top of file)
+ * @param {string} path - Field path used in error messages
+ * @returns {string|null} First problem found, or null if valid
+ */
+export function validateSchema(value, schema, path = 'event') {
+  const allowed = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  // An integer is also a number
+  if (allowed.length > 0 && !allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+    return `${path} must be ${allowed.join(' or ')}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} is too short`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} is too long`;
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`;
+  }
+
+  if (actual === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} has too many items`;
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSchema(value[i], schema.items, `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        return `${path}.${key} is required`;
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        const error = validateSchema(value[key], propertySchema, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates inbound events against per-type schemas. Starts with
+ * EVENT_SCHEMAS; new event types add theirs with register().
+ */
+export class EventValidator {
+  constructor(schemas = EVENT_SCHEMAS) {
+    this.schemas = new Map(Object.entries(schemas));
+  }
+
+  /**
+   * Add or replace the schema for an event type
+   *
+   * @param {string} type - Event type
+   * @param {object} schema - Schema for the whole event
+   */
+  register(type, schema) {
+    this.schemas.set(type, schema);
+  }
+
+  /**
+   * Check if an event type has a schema
+   *
+   * @param {string} type - Event type
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.schemas.has(type);
+  }
+
+  /**
+   * Validate an event. Types without a schema are rejected so that every
+   * handled type has to declare one.
+   *
+   * @param {object} event - Parsed event
+   * @returns {{valid: boolean, reason?: string}} Validation result
+   */
+  validate(event) {
+    if (typeOf(event) !== 'object' || typeof event.type !== 'string') {
+      return { valid: false, reason: 'event.type must be a string' };
+    }
+
+    const schema = this.schemas.get(event.type);
+    if (!schema) {
+      return { valid: false, reason: `no schema for ${event.type}` };
+    }
+
+    const error = validateSchema(event, schema);
+    return error ? { valid: false, reason: error } : { valid: true };
+  }
+}
@@ -0,0 +1,87 @@
+import { peerIdFromString } from '@libp2p/peer-id';
+import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+
+// Fields that are never covered by the signature. `unsigned` holds local
+// metadata (delivery state etc.) that may change after the event was signed.
+const UNSIGNED_FIELDS = ['signature', 'unsigned', 'stored_at'];
+
+/**
+ * Serialize a value as JSON with object keys sorted recursively
+ *
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the bytes of an event that the signature covers
+ *
+ * @param {object} event - Chat event
+ * @returns {Uint8Array} Signing payload
+ */
+function getSigningPayload(event) {
+  const signed = { ...event };
+  UNSIGNED_FIELDS.forEach(field => delete signed[field]);
+  return uint8ArrayFromString(canonicalJson(signed));
+}
+
+/**
+ * Sign an event with an Ed25519 private key
+ *
+ * @param {object} event - Chat event (must include `sender`)
+ * @param {object} privateKey - libp2p private key
+ * @returns {Promise<object>} Copy of the event with a base64 `signature`
+ */
+export async function signEvent(event, privateKey) {
+  const signature = await privateKey.sign(getSigningPayload(event));
+
+  return {
+    ...event,
+    signature: uint8ArrayToString(signature, 'base64')
+  };
+}
+
+/**
+ * Verify an event signature against the public key embedded in its sender
+ *
+ * @param {object} event - Signed chat event
+ * @returns {Promise<{valid: boolean, reason?: string}>} Verification result
+ */
+export async function verifyEvent(event) {
+  if (!event || typeof event.signature !== 'string') {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  let publicKey;
+  try {
+    publicKey = peerIdFromString(event.sender).publicKey;
+  } catch {
+    return { valid: false, reason: 'invalid_sender' };
+  }
+
+  if (!publicKey) {
+    return { valid: false, reason: 'no_public_key' };
+  }
+
+  try {
+    const signature = uint8ArrayFromString(event.signature, 'base64');
+    const valid = await publicKey.verify(getSigningPayload(event), signature);
+    return valid ? { valid: true } : { valid: false, reason: 'bad_signature' };
+  } catch {
+    return { valid: false, reason: 'bad_signature' };
+  }
+}
@@ -0,0 +1,824 @@
+import * as lp from 'it-length-prefixed';
+import { pipe } from 'it-pipe';
+import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+import { peerIdFromString } from '@libp2p/peer-id';
+import { MemoryTransferStore } from './transfer-store.js';
+
+// File transfer protocol identifier
+export const FILE_PROTOCOL = '/chat-file/1.0.0';
+
+export const CHUNK_SIZE = 65536; // file bytes per data frame
+export const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+const DIGEST_SIZE = 32; // SHA-256 of the chunk, at the start of every data frame
+
+// Why a transfer is paused
+export const PAUSE_REASONS = {
+  LOCAL: 'paused', // we paused it
+  PEER: 'paused_by_peer', // the other side paused it
+  INTERRUPTED: 'interrupted' // the stream broke; resumes when the peer is back
+};
+
+// Transfers that have not finished one way or another
+const ACTIVE_STATUSES = ['offered', 'accepted', 'transferring', 'paused'];
+
+// Offer/answer events sent over the chat session
+const TRANSFER_ID = { type: 'string', minLength: 1, maxLength: 128 };
+
+export const FILE_EVENT_SCHEMAS = {
+  'm.file.offer': {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      sender: { type: 'string', maxLength: 128 },
+      content: {
+        type: 'object',
+        required: ['transfer_id', 'name', 'size', 'sha256'],
+        properties: {
+          transfer_id: TRANSFER_ID,
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          size: { type: 'integer', minimum: 0 },
+          mime: { type: 'string', maxLength: 255 },
+          sha256: { type: 'string', minLength: 64, maxLength: 64 }
+        }
+      }
+    }
+  },
+  'm.file.accept': {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: {
+        type: 'object',
+        required: ['transfer_id'],
+        properties: {
+          transfer_id: TRANSFER_ID,
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  },
+  'm.file.pause': {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: {
+        type: 'object',
+        required: ['transfer_id'],
+        properties: { transfer_id: TRANSFER_ID }
+      }
+    }
+  },
+  'm.file.decline': {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: {
+        type: 'object',
+        required: ['transfer_id'],
+        properties: {
+          transfer_id: TRANSFER_ID,
+          reason: { type: 'string', maxLength: 64 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * SHA-256 digest
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Data to hash
+ * @returns {Promise<Uint8Array>} 32-byte digest
+ */
+async function sha256(data) {
+  return new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Hex SHA-256 digest
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Data to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(data) {
+  return Array.from(await sha256(data)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "1.5 MB"
+ */
+export function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Whole percent of a transfer done; an empty file is done from the start
+ *
+ * @param {object} transfer - Transfer with bytes and size
+ * @returns {number} 0-100
+ */
+export function transferPercent(transfer) {
+  return transfer.size === 0 ? 100 : Math.floor(transfer.bytes * 100 / transfer.size);
+}
+
+/**
+ * Peer-to-peer file transfer. The sender offers a file over the chat
+ * session (`m.file.offer` with name, size, mime and SHA-256); once the
+ * receiver answers `m.file.accept`, the sender opens a FILE_PROTOCOL stream
+ * and pushes the file in chunks. The receiver checks every chunk's hash,
+ * stores it, and once the file is complete checks the whole file's SHA-256,
+ * replies with the result and hands the file over as a Blob.
+ *
+ * Transfers survive broken streams (relayed connections drop often and cap
+ * how much data they carry): the receiver keeps the chunks it has in the
+ * transfer store and later accepts again with `offset` set to the end of
+ * its last good chunk. The sender resumes by offering the same transfer
+ * again. Either side can pause (`m.file.pause`) or cancel (`m.file.decline`
+ * with reason `cancelled`) a running transfer.
+ *
+ * Wire format of the data stream (length-prefixed):
+ *   -> { transfer_id, offset }    JSON header
+ *   -> <digest><chunk> ...        SHA-256 of the chunk, then at most
+ *                                 CHUNK_SIZE raw bytes
+ *   <- { ok, error?, resume? }    JSON result once the sender closes its
+ *                                 side; `resume` means the chunks so far
+ *                                 were kept and the transfer can resume
+ */
+export class FileTransfer {
+  constructor(node, chatProtocol, eventEmitter, options = {}) {
+    this.node = node;
+    this.chatProtocol = chatProtocol;
+    this.eventEmitter = eventEmitter;
+    this.store = options.store || new MemoryTransferStore();
+    this.getMaxFileSize = options.getMaxFileSize || (() => DEFAULT_MAX_FILE_SIZE); // bytes
+    this.shouldAutoAccept = options.shouldAutoAccept || (() => false); // (peerId) => true to skip asking
+    this.transfers = new Map(); // transfer_id -> transfer
+
+    // Same emit helper as ChatProtocol (EventEmitter or EventTarget)
+    this.emit = (eventName, detail) => {
+      if (this.eventEmitter.emit) {
+        this.eventEmitter.emit(eventName, detail);
+      } else if (this.eventEmitter.dispatchEvent) {
+        this.eventEmitter.dispatchEvent(new CustomEvent(eventName, { detail }));
+      }
+    };
+
+    this.chatProtocol.registerEventType('m.file.offer', FILE_EVENT_SCHEMAS['m.file.offer'],
+      (event, peerId) => this.handleOffer(event, peerId));
+    this.chatProtocol.registerEventType('m.file.accept', FILE_EVENT_SCHEMAS['m.file.accept'],
+      (event, peerId) => this.handleAccept(event, peerId));
+    this.chatProtocol.registerEventType('m.file.decline', FILE_EVENT_SCHEMAS['m.file.decline'],
+      (event, peerId) => this.handleDecline(event, peerId));
+    this.chatProtocol.registerEventType('m.file.pause', FILE_EVENT_SCHEMAS['m.file.pause'],
+      (event, peerId) => this.handlePause(event, peerId));
+
+    this.node.handle(
+      FILE_PROTOCOL,
+      ({ stream, connection }) => this.handleIncomingStream({ stream, connection }),
+      {
+        maxInboundStreams: 4,
+        runOnLimitedConnection: true
+      }
+    );
+  }
+
+  /**
+   * Restore incoming transfers saved by an earlier session. They come back
+   * paused as interrupted and pick up from their stored chunks.
+   */
+  async load() {
+    for (const record of await this.store.getTransfers()) {
+      if (this.transfers.has(record.id)) continue;
+
+      const chunks = await this.store.countChunks(record.id);
+      this.transfers.set(record.id, {
+        ...record,
+        direction: 'incoming',
+        status: 'paused',
+        reason: PAUSE_REASONS.INTERRUPTED,
+        bytes: Math.min(chunks * CHUNK_SIZE, record.size)
+      });
+    }
+  }
+
+  /**
+   * Get a transfer
+   *
+   * @param {string} id - Transfer ID
+   * @returns {object|null} Transfer
+   */
+  getTransfer(id) {
+    return this.transfers.get(id) || null;
+  }
+
+  /**
+   * Get transfers, oldest first
+   *
+   * @param {object} filter - Optional { direction, status }
+   * @returns {object[]} Transfers
+   */
+  getTransfers(filter = {}) {
+    return Array.from(this.transfers.values()).filter(transfer =>
+      (!filter.direction || transfer.direction === filter.direction) &&
+      (!filter.status || transfer.status === filter.status)
+    );
+  }
+
+  /**
+   * Offer a file to a peer. Sending starts when they accept.
+   *
+   * @param {string} peerId - Target peer ID
+   * @param {File|Blob} file - File to send (Blobs need a `name`)
+   * @returns {Promise<object>} Outgoing transfer
+   */
+  async offerFile(peerId, file) {
+    const transfer = {
+      id: this.chatProtocol.generateEventId(),
+      peerId,
+      direction: 'outgoing',
+      name: file.name || 'file',
+      size: file.size,
+      mime: file.type || 'application/octet-stream',
+      sha256: await sha256Hex(await file.arrayBuffer()),
+      status: 'offered',
+      bytes: 0,
+      file
+    };
+    this.transfers.set(transfer.id, transfer);
+
+    try {
+      await this.sendOffer(transfer);
+    } catch (error) {
+      this.transfers.delete(transfer.id);
+      throw error;
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Send m.file.offer for an outgoing transfer
+   *
+   * @param {object} transfer - Outgoing transfer
+   */
+  async sendOffer(transfer) {
+    await this.chatProtocol.sendEvent(transfer.peerId, {
+      type: 'm.file.offer',
+      sender: this.node.peerId.toString(),
+      origin_ts: Date.now(),
+      event_id: this.chatProtocol.generateEventId(),
+      content: {
+        transfer_id: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mime: transfer.mime,
+        sha256: transfer.sha256
+      }
+    });
+  }
+
+  /**
+   * Handle an offer from a peer. Offers over the size limit are declined
+   * right away; auto-accepted peers skip the prompt. An offer for a paused
+   * transfer is the sender asking to resume it.
+   *
+   * @param {object} event - m.file.offer event
+   * @param {string} peerId - Offering peer
+   */
+  async handleOffer(event, peerId) {
+    const { transfer_id: id, name, size, mime, sha256 } = event.content;
+    if (!/^[0-9a-f]{64}$/i.test(sha256)) {
+      console.warn('[FileTransfer] Ignoring offer with a malformed SHA-256 from', peerId);
+      return;
+    }
+
+    const existing = this.transfers.get(id);
+    if (existing) {
+      await this.handleRepeatedOffer(existing, peerId, { size, sha256: sha256.toLowerCase() });
+      return;
+    }
+
+    const transfer = {
+      id,
+      peerId,
+      direction: 'incoming',
+      // Never trust a remote name as a path
+      name: name.replace(/[/\\]/g, '_'),
+      size,
+      mime: mime || 'application/octet-stream',
+      sha256: sha256.toLowerCase(),
+      status: 'offered',
+      bytes: 0
+    };
+    this.transfers.set(id, transfer);
+
+    try {
+      if (size > this.getMaxFileSize()) {
+        await this.declineTransfer(id, 'too_large');
+      } else if (this.shouldAutoAccept(peerId)) {
+        await this.acceptTransfer(id);
+      }
+    } catch (error) {
+      console.error('[FileTransfer] Failed to answer offer', id, error);
+    }
+
+    this.emit('file:offer', { transfer });
+  }
+
+  /**
+   * A transfer we already know was offered again: resume it if it is paused
+   * and we did not pause it ourselves, tell the sender if we cancelled it
+   *
+   * @param {object} transfer - Known transfer
+   * @param {string} peerId - Offering peer
+   * @param {object} offered - { size, sha256 } from the new offer
+   */
+  async handleRepeatedOffer(transfer, peerId, offered) {
+    const sameFile = transfer.direction === 'incoming' && transfer.peerId === peerId &&
+      transfer.size === offered.size && transfer.sha256 === offered.sha256;
+
+    try {
+      if (sameFile && transfer.status === 'paused' && transfer.reason !== PAUSE_REASONS.LOCAL) {
+        await this.resumeTransfer(transfer.id);
+      } else if (sameFile && transfer.status === 'cancelled') {
+        await this.sendAnswer(transfer, 'm.file.decline', { reason: 'cancelled' });
+      } else {
+        console.warn('[FileTransfer] Ignoring duplicate offer', transfer.id, 'from', peerId);
+      }
+    } catch (error) {
+      console.error('[FileTransfer] Failed to answer repeated offer', transfer.id, error);
+    }
+  }
+
+  /**
+   * Accept an incoming offer; the sender then starts streaming
+   *
+   * @param {string} id - Transfer ID
+   */
+  async acceptTransfer(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.status !== 'offered') {
+      throw new Error(`No pending file offer ${id}`);
+    }
+
+    // Saved first so the chunks that arrive can be resumed after a reload
+    await this.store.saveTransfer({
+      id: transfer.id,
+      peerId: transfer.peerId,
+      name: transfer.name,
+      size: transfer.size,
+      mime: transfer.mime,
+      sha256: transfer.sha256
+    });
+    transfer.status = 'accepted';
+    await this.sendAnswer(transfer, 'm.file.accept', { offset: 0 });
+  }
+
+  /**
+   * Decline an incoming offer, or cancel one we made
+   *
+   * @param {string} id - Transfer ID
+   * @param {string} reason - Reason code sent to the peer
+   */
+  async declineTransfer(id, reason = 'declined') {
+    const transfer = this.transfers.get(id);
+    if (!transfer || transfer.status !== 'offered') {
+      throw new Error(`No pending file offer ${id}`);
+    }
+
+    this.stopTransfer(transfer, 'declined', reason);
+    await this.sendAnswer(transfer, 'm.file.decline', { reason });
+  }
+
+  /**
+   * Pause a running transfer. Only the side that paused can resume it.
+   *
+   * @param {string} id - Transfer ID
+   */
+  async pauseTransfer(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || !['accepted', 'transferring'].includes(transfer.status)) {
+      throw new Error(`No running transfer ${id}`);
+    }
+
+    this.stopTransfer(transfer, 'paused', PAUSE_REASONS.LOCAL);
+    this.emit('file:paused', { transfer });
+
+    // Without the event the peer still stops when the stream breaks, but
+    // would treat it as an interruption and try to resume
+    await this.sendAnswer(transfer, 'm.file.pause').catch(error => {
+      console.warn('[FileTransfer] Could not tell', transfer.peerId, 'about the pause:', error.message);
+    });
+  }
+
+  /**
+   * Resume a paused transfer. The receiver accepts again from the end of
+   * the chunks it has; the sender offers the file again and waits for that.
+   *
+   * @param {string} id - Transfer ID
+   */
+  async resumeTransfer(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || transfer.status !== 'paused') {
+      throw new Error(`No paused transfer ${id}`);
+    }
+    if (transfer.reason === PAUSE_REASONS.PEER) {
+      throw new Error(`${transfer.name} was paused by the other side; they have to resume it`);
+    }
+
+    const reason = transfer.reason;
+    delete transfer.reason;
+
+    try {
+      if (transfer.direction === 'incoming') {
+        transfer.status = 'accepted';
+        await this.sendAnswer(transfer, 'm.file.accept', { offset: transfer.bytes });
+      } else {
+        transfer.status = 'offered';
+        await this.sendOffer(transfer);
+      }
+    } catch (error) {
+      transfer.status = 'paused';
+      transfer.reason = reason;
+      throw error;
+    }
+  }
+
+  /**
+   * Resume this peer's interrupted incoming transfers, e.g. after a
+   * reconnect. The receiver knows how far it got, so it drives the resume.
+   *
+   * @param {string} peerId - Peer that is reachable again
+   */
+  resumeInterrupted(peerId) {
+    for (const transfer of this.getTransfers({ direction: 'incoming', status: 'paused' })) {
+      if (transfer.peerId === peerId && transfer.reason === PAUSE_REASONS.INTERRUPTED) {
+        console.log('[FileTransfer] Resuming', transfer.name, 'from byte', transfer.bytes);
+        this.resumeTransfer(transfer.id).catch(error => {
+          console.warn('[FileTransfer] Could not resume', transfer.id, error.message);
+        });
+      }
+    }
+  }
+
+  /**
+   * Cancel a transfer in any unfinished state. Received chunks are dropped.
+   *
+   * @param {string} id - Transfer ID
+   */
+  async cancelTransfer(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || !ACTIVE_STATUSES.includes(transfer.status)) {
+      throw new Error(`No active transfer ${id}`);
+    }
+
+    this.stopTransfer(transfer, 'cancelled', 'cancelled');
+    await this.discard(transfer);
+
+    // A peer we cannot reach learns when it tries to resume
+    await this.sendAnswer(transfer, 'm.file.decline', { reason: 'cancelled' }).catch(error => {
+      console.warn('[FileTransfer] Could not tell', transfer.peerId, 'about the cancellation:', error.message);
+    });
+  }
+
+  /**
+   * Send an answer or control event (m.file.accept / decline / pause) for a
+   * transfer
+   *
+   * @param {object} transfer - Transfer (only `id` and `peerId` are used)
+   * @param {string} type - Event type
+   * @param {object} extra - Extra content fields
+   */
+  async sendAnswer(transfer, type, extra = {}) {
+    await this.chatProtocol.sendEvent(transfer.peerId, {
+      type,
+      sender: this.node.peerId.toString(),
+      origin_ts: Date.now(),
+      event_id: this.chatProtocol.generateEventId(),
+      content: { transfer_id: transfer.id, ...extra }
+    });
+  }
+
+  /**
+   * The receiver accepted one of our offers (or wants to resume from
+   * `offset`): start sending
+   *
+   * @param {object} event - m.file.accept event
+   * @param {string} peerId - Accepting peer
+   */
+  async handleAccept(event, peerId) {
+    const { transfer_id: id, offset = 0 } = event.content;
+    const transfer = this.transfers.get(id);
+
+    if (!transfer || (transfer.peerId === peerId && transfer.status === 'cancelled')) {
+      // Unknown after a reload, or cancelled while they were away: let them drop their chunks
+      await this.sendAnswer({ id, peerId }, 'm.file.decline', { reason: transfer ? 'cancelled' : 'unknown' })
+        .catch(() => {});
+      return;
+    }
+
+    const resumable = transfer.status === 'offered' ||
+      (transfer.status === 'paused' && transfer.reason !== PAUSE_REASONS.LOCAL);
+    if (transfer.direction !== 'outgoing' || transfer.peerId !== peerId || !resumable) {
+      return;
+    }
+    if ((offset % CHUNK_SIZE !== 0 && offset !== transfer.size) || offset > transfer.size) {
+      console.warn('[FileTransfer] Ignoring accept with a bad offset', offset, 'for', id);
+      return;
+    }
+
+    transfer.status = 'accepted';
+    delete transfer.reason;
+    this.emit('file:accepted', { transfer, offset });
+    await this.sendFile(transfer, offset);
+  }
+
+  /**
+   * The other side declined our offer, or cancelled a transfer
+   *
+   * @param {object} event - m.file.decline event
+   * @param {string} peerId - Declining peer
+   */
+  async handleDecline(event, peerId) {
+    const transfer = this.transfers.get(event.content.transfer_id);
+    if (!transfer || transfer.peerId !== peerId || !ACTIVE_STATUSES.includes(transfer.status)) {
+      return;
+    }
+
+    const reason = event.content.reason || 'declined';
+    const declined = transfer.status === 'offered' && transfer.bytes === 0 && reason !== 'cancelled';
+    this.stopTransfer(transfer, declined ? 'declined' : 'cancelled', reason);
+    await this.discard(transfer);
+    this.emit('file:declined', { transfer });
+  }
+
+  /**
+   * The other side paused a transfer
+   *
+   * @param {object} event - m.file.pause event
+   * @param {string} peerId - Pausing peer
+   */
+  handlePause(event, peerId) {
+    const transfer = this.transfers.get(event.content.transfer_id);
+    if (!transfer || transfer.peerId !== peerId) {
+      return;
+    }
+
+    // The broken stream may have been noticed first
+    const interrupted = transfer.status === 'paused' && transfer.reason === PAUSE_REASONS.INTERRUPTED;
+    if (!['accepted', 'transferring'].includes(transfer.status) && !interrupted) {
+      return;
+    }
+
+    this.stopTransfer(transfer, 'paused', PAUSE_REASONS.PEER);
+    this.emit('file:paused', { transfer });
+  }
+
+  /**
+   * Move a transfer to a stopped state and break its stream, if any
+   *
+   * @param {object} transfer - Transfer
+   * @param {string} status - New status
+   * @param {string} reason - Why
+   */
+  stopTransfer(transfer, status, reason) {
+    transfer.status = status;
+    transfer.reason = reason;
+    if (status !== 'paused') {
+      delete transfer.file;
+    }
+
+    const stream = transfer.stream;
+    delete transfer.stream;
+    stream?.abort(new Error(`Transfer ${reason}`));
+  }
+
+  /**
+   * Drop the stored chunks of an incoming transfer
+   *
+   * @param {object} transfer - Transfer
+   */
+  async discard(transfer) {
+    if (transfer.direction !== 'incoming') return;
+
+    try {
+      await this.store.deleteTransfer(transfer.id);
+    } catch (error) {
+      console.warn('[FileTransfer] Could not delete stored chunks of', transfer.id, error);
+    }
+  }
+
+  /**
+   * Stream an accepted outgoing file to its receiver
+   *
+   * @param {object} transfer - Outgoing transfer
+   * @param {number} offset - Byte to start from (a multiple of CHUNK_SIZE)
+   */
+  async sendFile(transfer, offset = 0) {
+    transfer.status = 'transferring';
+    transfer.bytes = offset;
+
+    try {
+      const stream = await this.node.dialProtocol(peerIdFromString(transfer.peerId), FILE_PROTOCOL, {
+        runOnLimitedConnection: true
+      });
+      transfer.stream = stream;
+      const inbound = lp.decode(stream.source)[Symbol.asyncIterator]();
+
+      await pipe(this.readChunks(transfer, offset), lp.encode, stream.sink);
+
+      const { value, done } = await inbound.next();
+      const result = done ? { ok: false, error: 'no result from receiver', resume: true } : JSON.parse(uint8ArrayToString(value.subarray()));
+      delete transfer.stream;
+
+      if (result.ok) {
+        this.finish(transfer);
+      } else if (result.resume) {
+        this.interrupt(transfer, new Error(result.error || 'transfer interrupted'));
+      } else {
+        this.fail(transfer, new Error(result.error || 'receiver refused the file'));
+      }
+    } catch (error) {
+      delete transfer.stream;
+      this.interrupt(transfer, error);
+    }
+  }
+
+  /**
+   * Header frame followed by the file's chunks from `offset`, each with its
+   * SHA-256 in front, reporting progress
+   *
+   * @param {object} transfer - Outgoing transfer
+   * @param {number} offset - Byte to start from
+   */
+  async * readChunks(transfer, offset = 0) {
+    yield uint8ArrayFromString(JSON.stringify({ transfer_id: transfer.id, offset }));
+
+    for (let position = offset; position < transfer.size; position += CHUNK_SIZE) {
+      const chunk = new Uint8Array(await transfer.file.slice(position, position + CHUNK_SIZE).arrayBuffer());
+      const frame = new Uint8Array(DIGEST_SIZE + chunk.length);
+      frame.set(await sha256(chunk));
+      frame.set(chunk, DIGEST_SIZE);
+      yield frame;
+      this.addProgress(transfer, chunk.length);
+    }
+  }
+
+  /**
+   * Receive an accepted incoming file
+   */
+  async handleIncomingStream({ stream, connection }) {
+    const peerId = connection.remotePeer.toString();
+    const source = lp.decode(stream.source, { maxDataLength: DIGEST_SIZE + CHUNK_SIZE })[Symbol.asyncIterator]();
+    let transfer = null;
+
+    try {
+      const { value: header } = await source.next();
+      const { transfer_id: id, offset } = header ? JSON.parse(uint8ArrayToString(header.subarray())) : {};
+      const candidate = this.transfers.get(id);
+      if (!candidate || candidate.direction !== 'incoming' || candidate.peerId !== peerId ||
+        candidate.status !== 'accepted' || offset !== candidate.bytes) {
+        console.warn('[FileTransfer] Refusing unexpected file stream from', peerId);
+        stream.abort?.(new Error('No accepted transfer'));
+        return;
+      }
+
+      transfer = candidate;
+      transfer.status = 'transferring';
+      transfer.stream = stream;
+      let index = transfer.bytes / CHUNK_SIZE;
+
+      for (let next = await source.next(); !next.done; next = await source.next()) {
+        const frame = next.value.subarray();
+        const chunk = frame.subarray(DIGEST_SIZE);
+
+        // Every chunk but the last is full, which keeps resume offsets on chunk boundaries
+        if (chunk.length === 0 || chunk.length !== Math.min(CHUNK_SIZE, transfer.size - transfer.bytes)) {
+          await this.reject(stream, transfer, new Error(`chunk ${index} has the wrong size`));
+          return;
+        }
+
+        const digest = await sha256(chunk);
+        if (digest.some((byte, i) => byte !== frame[i])) {
+          // Resumable: everything before this chunk is good
+          throw new Error(`chunk ${index} failed its hash check`);
+        }
+
+        await this.store.putChunk(transfer.id, index++, chunk.slice());
+        this.addProgress(transfer, chunk.length);
+      }
+
+      if (transfer.bytes !== transfer.size) {
+        throw new Error(`file ended early (${transfer.bytes} of ${transfer.size} bytes)`);
+      }
+
+      const blob = await this.store.readFile(transfer.id, transfer.mime);
+      if (await sha256Hex(await blob.arrayBuffer()) !== transfer.sha256) {
+        await this.reject(stream, transfer, new Error('SHA-256 does not match the offer'));
+        return;
+      }
+
+      await this.reply(stream, { ok: true });
+      delete transfer.stream;
+      await this.discard(transfer);
+      this.finish(transfer, blob);
+    } catch (error) {
+      await this.reply(stream, { ok: false, error: error.message, resume: true }).catch(() => {});
+      if (transfer) {
+        delete transfer.stream;
+        this.interrupt(transfer, error);
+      }
+    }
+  }
+
+  /**
+   * Give up on an incoming transfer whose data cannot be used
+   *
+   * @param {object} stream - File stream
+   * @param {object} transfer - Incoming transfer
+   * @param {Error} error - What was wrong
+   */
+  async reject(stream, transfer, error) {
+    await this.reply(stream, { ok: false, error: error.message }).catch(() => {});
+    delete transfer.stream;
+    await this.discard(transfer);
+    this.fail(transfer, error);
+  }
+
+  /**
+   * Send the receiver's result frame
+   *
+   * @param {object} stream - File stream
+   * @param {object} result - { ok, error?, resume? }
+   */
+  async reply(stream, result) {
+    await pipe([uint8ArrayFromString(JSON.stringify(result))], lp.encode, stream.sink);
+  }
+
+  /**
+   * Count transferred bytes; progress events fire once per whole percent
+   *
+   * @param {object} transfer - Transfer
+   * @param {number} length - Bytes just sent or received
+   */
+  addProgress(transfer, length) {
+    const before = transferPercent(transfer);
+    transfer.bytes += length;
+    if (transferPercent(transfer) !== before) {
+      this.emit('file:progress', { transfer });
+    }
+  }
+
+  /**
+   * Mark a transfer complete
+   *
+   * @param {object} transfer - Transfer
+   * @param {Blob} blob - Received file (incoming only)
+   */
+  finish(transfer, blob = null) {
+    transfer.status = 'complete';
+    delete transfer.file;
+    console.log('[FileTransfer] ✅', transfer.direction, 'transfer complete:', transfer.name);
+    this.emit('file:complete', { transfer, blob });
+  }
+
+  /**
+   * Pause a transfer whose stream broke so it can resume later. Transfers
+   * that were paused or cancelled meanwhile keep that state.
+   *
+   * @param {object} transfer - Transfer
+   * @param {Error} error - What went wrong
+   */
+  interrupt(transfer, error) {
+    if (!['accepted', 'transferring'].includes(transfer.status)) return;
+
+    console.warn('[FileTransfer] Transfer', transfer.id, 'interrupted at byte', transfer.bytes, ':', error.message);
+    transfer.status = 'paused';
+    transfer.reason = PAUSE_REASONS.INTERRUPTED;
+    this.emit('file:paused', { transfer, error: error.message });
+  }
+
+  /**
+   * Mark a transfer failed
+   *
+   * @param {object} transfer - Transfer
+   * @param {Error} error - What went wrong
+   */
+  fail(transfer, error) {
+    console.error('[FileTransfer] ❌ Transfer', transfer.id, 'failed:', error);
+    transfer.status = 'failed';
+    transfer.reason = error.message;
+    delete transfer.file;
+    this.emit('file:failed', { transfer, error: error.message });
+  }
+}
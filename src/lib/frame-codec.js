@@ -0,0 +1,143 @@
+import { encodeCbor, decodeCbor } from './cbor.js';
+
+/**
+ * Wire formats for chat frames. /chat/1.0.0 sends JSON text; /chat/2.0.0
+ * sends a one-byte header followed by CBOR, deflated when the peers agreed
+ * on compression and the frame is large enough to benefit.
+ */
+export const FRAME_FORMATS = {
+  JSON: 'json',
+  CBOR: 'cbor'
+};
+
+export const COMPRESSION_ALGORITHM = 'deflate-raw';
+export const COMPRESSION_THRESHOLD = 1024; // bytes; smaller frames are sent as-is
+
+// First byte of a CBOR frame
+const FRAME_PLAIN = 0;
+const FRAME_DEFLATED = 1;
+
+/**
+ * Compression algorithms this runtime can use
+ *
+ * @returns {string[]} Algorithm names to advertise in the handshake
+ */
+export function supportedCompression() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function'
+    ? [COMPRESSION_ALGORITHM]
+    : [];
+}
+
+/**
+ * Encode a message without compression
+ *
+ * @param {object} message - Message object
+ * @param {string} format - FRAME_FORMATS value
+ * @returns {Uint8Array} Frame payload
+ */
+export function encodeFrame(message, format) {
+  if (format !== FRAME_FORMATS.CBOR) {
+    return new TextEncoder().encode(JSON.stringify(message));
+  }
+
+  const body = encodeCbor(message);
+  const frame = new Uint8Array(body.length + 1);
+  frame[0] = FRAME_PLAIN;
+  frame.set(body, 1);
+  return frame;
+}
+
+/**
+ * Deflate a CBOR frame if that makes it smaller
+ *
+ * @param {Uint8Array} frame - Frame from encodeFrame with FRAME_FORMATS.CBOR
+ * @returns {Promise<Uint8Array>} Deflated frame, or the original
+ */
+export async function compressFrame(frame) {
+  if (frame[0] !== FRAME_PLAIN || frame.length < COMPRESSION_THRESHOLD) {
+    return frame;
+  }
+
+  const body = await transform(frame.subarray(1), new CompressionStream(COMPRESSION_ALGORITHM));
+  if (body.length + 1 >= frame.length) {
+    return frame;
+  }
+
+  const compressed = new Uint8Array(body.length + 1);
+  compressed[0] = FRAME_DEFLATED;
+  compressed.set(body, 1);
+  return compressed;
+}
+
+/**
+ * Decode a frame
+ *
+ * @param {Uint8Array} data - Frame payload
+ * @param {string} format - FRAME_FORMATS value
+ * @param {number} maxSize - Largest size a compressed frame may inflate to
+ *   (the session's maxFrame); guards against deflate bombs
+ * @returns {Promise<object>} Message object
+ * @throws {Error} If the frame is malformed or inflates past maxSize
+ */
+export async function decodeFrame(data, format, maxSize) {
+  if (format !== FRAME_FORMATS.CBOR) {
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  switch (data[0]) {
+    case FRAME_PLAIN:
+      return decodeCbor(data.subarray(1));
+    case FRAME_DEFLATED: {
+      if (supportedCompression().length === 0) {
+        throw new Error('Received a compressed frame but compression is not supported');
+      }
+      const body = await transform(
+        data.subarray(1),
+        new DecompressionStream(COMPRESSION_ALGORITHM),
+        maxSize
+      );
+      return decodeCbor(body);
+    }
+    default:
+      throw new Error(`Unknown frame header ${data[0]}`);
+  }
+}
+
+/**
+ * Run bytes through a (de)compression stream
+ *
+ * @param {Uint8Array} data - Input
+ * @param {TransformStream} stream - CompressionStream or DecompressionStream
+ * @param {number} limit - Maximum output size
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function transform(data, stream, limit = Infinity) {
+  const writer = stream.writable.getWriter();
+  // Errors surface through the reader below
+  writer.write(data).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > limit) {
+      reader.cancel().catch(() => {});
+      throw new Error(`Frame inflates past ${limit} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
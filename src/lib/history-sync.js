@@ -0,0 +1,347 @@
+import * as lp from 'it-length-prefixed';
+import { pipe } from 'it-pipe';
+import { pushable } from 'it-pushable';
+import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+import { peerIdFromString } from '@libp2p/peer-id';
+import { verifyEvent } from './event-signing.js';
+import { EVENT_SCHEMAS, validateSchema } from './event-schemas.js';
+import { ChatProtocol } from './chat-protocol.js';
+import { EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE, getChangeEvents } from './message-edits.js';
+
+// History sync protocol identifier
+export const SYNC_PROTOCOL = '/chat-sync/1.0.0';
+
+// Largest page a peer may ask us for
+const MAX_PAGE_SIZE = 200;
+
+// Event types a sync response may carry
+const SYNC_EVENT_TYPES = ['m.room.message', EDIT_EVENT_TYPE, REDACTION_EVENT_TYPE];
+
+/**
+ * Strip local metadata (delivery state, storage time) from a stored event
+ *
+ * @param {object} message - Stored message
+ * @returns {object} Event as originally sent
+ */
+function toWireEvent(message) {
+  const event = { ...message };
+  delete event.unsigned;
+  delete event.stored_at;
+  return event;
+}
+
+/**
+ * Get the events to serve for a stored message: the message as sent followed
+ * by its latest edit, or only its redaction, since a redacted message no
+ * longer matches its signature
+ *
+ * @param {object} message - Stored message
+ * @returns {object[]} Signed events
+ */
+function toWireEvents(message) {
+  const changes = getChangeEvents(message);
+  if (message.unsigned?.redacted_by) {
+    return changes;
+  }
+  return [toWireEvent(message), ...changes];
+}
+
+/**
+ * History sync - lets two peers catch up on room history they missed while
+ * apart. The requester sends, per room, the latest event it has; the other
+ * side answers with events from its ChatHistoryStorage sent, edited or
+ * redacted after that, one page at a time. Every returned event must carry a
+ * valid signature from its original sender. Messages are deduplicated by
+ * event_id before they are stored; edits and redactions are applied to the
+ * messages they name.
+ *
+ * Wire format (length-prefixed JSON over one stream):
+ *   -> { type: 'm.sync.request', room_id, since: { event_id, origin_ts } | null, offset, limit }
+ *   <- { type: 'm.sync.response', room_id, events: [...], has_more, next_offset }
+ *
+ * `offset` counts stored messages; a message can add more than one event to
+ * a page, so the requester continues from `next_offset`.
+ */
+export class HistorySync {
+  constructor(node, storage, eventEmitter, options = {}) {
+    this.node = node;
+    this.storage = storage;
+    this.eventEmitter = eventEmitter;
+    this.channels = options.channels || null; // ChannelManager, for channel membership checks
+    this.friends = options.friends || null; // FriendsStorage, for DM rooms kept across key rotation
+    this.isContact = options.isContact || (() => true); // (peerId) => false to not pull a peer's DMs
+    this.pageSize = options.pageSize || 100;
+    this.syncing = new Set(); // "peerId/roomId" pairs currently being synced
+
+    // Same emit helper as ChatProtocol (EventEmitter or EventTarget)
+    this.emit = (eventName, detail) => {
+      if (this.eventEmitter.emit) {
+        this.eventEmitter.emit(eventName, detail);
+      } else if (this.eventEmitter.dispatchEvent) {
+        this.eventEmitter.dispatchEvent(new CustomEvent(eventName, { detail }));
+      }
+    };
+
+    this.node.handle(
+      SYNC_PROTOCOL,
+      ({ stream, connection }) => this.handleIncomingStream({ stream, connection }),
+      {
+        maxInboundStreams: 8,
+        runOnLimitedConnection: true
+      }
+    );
+  }
+
+  /**
+   * Get the DM room ID shared with a peer
+   *
+   * @param {string} peerId - Remote peer ID
+   * @returns {Promise<string>} Room ID
+   */
+  async getDirectRoomId(peerId) {
+    const pinned = this.friends?.getFriend(peerId)?.room_id;
+    return pinned || ChatProtocol.generateRoomId(this.node.peerId.toString(), peerId);
+  }
+
+  /**
+   * Rooms we can sync with a peer: our DM with them and every channel we are
+   * both in
+   *
+   * @param {string} peerId - Remote peer ID
+   * @returns {Promise<string[]>} Room IDs
+   */
+  async getSharedRooms(peerId) {
+    const rooms = [await this.getDirectRoomId(peerId)];
+
+    if (this.channels) {
+      this.channels.getChannels()
+        .filter(channel => this.channels.getMembers(channel).includes(peerId))
+        .forEach(channel => rooms.push(channel));
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Check whether a peer may read a room's history from us
+   *
+   * @param {string} peerId - Remote peer ID
+   * @param {string} roomId - Requested room
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async canAccess(peerId, roomId) {
+    return (await this.getSharedRooms(peerId)).includes(roomId);
+  }
+
+  /**
+   * Answer sync requests from a peer
+   */
+  async handleIncomingStream({ stream, connection }) {
+    const peerId = connection.remotePeer.toString();
+    console.log('[HistorySync] 🔄 Sync request stream from:', peerId);
+
+    try {
+      await pipe(
+        stream.source,
+        lp.decode,
+        async function * (source) {
+          for await (const data of source) {
+            const request = JSON.parse(uint8ArrayToString(data.subarray()));
+            const response = await this.buildResponse(request, peerId);
+            yield uint8ArrayFromString(JSON.stringify(response));
+          }
+        }.bind(this),
+        lp.encode,
+        stream.sink
+      );
+    } catch (error) {
+      console.error('[HistorySync] Error serving sync request:', error);
+      stream.abort?.(error);
+    }
+  }
+
+  /**
+   * Build the response to one sync request
+   *
+   * @param {object} request - Sync request
+   * @param {string} peerId - Requesting peer
+   * @returns {Promise<object>} Sync response
+   */
+  async buildResponse(request, peerId) {
+    const roomId = request.room_id;
+
+    if (request.type !== 'm.sync.request' || !(await this.canAccess(peerId, roomId))) {
+      console.warn('[HistorySync] Refusing sync of', roomId, 'for', peerId);
+      return { type: 'm.sync.response', room_id: roomId, events: [], has_more: false, error: 'forbidden' };
+    }
+
+    const limit = Math.min(Math.max(parseInt(request.limit, 10) || this.pageSize, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(request.offset, 10) || 0, 0);
+    const { messages, hasMore } = await this.storage.getMessagesSince(roomId, request.since || null, limit, offset);
+
+    return {
+      type: 'm.sync.response',
+      room_id: roomId,
+      events: messages.flatMap(toWireEvents),
+      has_more: hasMore,
+      next_offset: offset + messages.length
+    };
+  }
+
+  /**
+   * Catch up on rooms we share with a peer
+   *
+   * @param {string} peerId - Remote peer ID
+   * @param {string[]} rooms - Rooms to sync (defaults to every shared room)
+   * @returns {Promise<number>} Number of new events stored
+   */
+  async syncWithPeer(peerId, rooms = null) {
+    const shared = await this.getSharedRooms(peerId);
+    // DMs from a peer who is not a contact are held, not stored, so their DM
+    // history is only pulled once a contact request is accepted
+    const dmRoomId = await this.getDirectRoomId(peerId);
+    const pending = (rooms || shared)
+      .filter(roomId => shared.includes(roomId) && !this.syncing.has(`${peerId}/${roomId}`))
+      .filter(roomId => roomId !== dmRoomId || this.isContact(peerId));
+    if (pending.length === 0) return 0;
+
+    pending.forEach(roomId => this.syncing.add(`${peerId}/${roomId}`));
+    const outbound = pushable();
+    let total = 0;
+
+    try {
+      const stream = await this.node.dialProtocol(peerIdFromString(peerId), SYNC_PROTOCOL, {
+        runOnLimitedConnection: true
+      });
+
+      pipe(outbound, lp.encode, stream.sink).catch(err => {
+        console.error('[HistorySync] Outbound pipe error:', err);
+      });
+      const inbound = lp.decode(stream.source)[Symbol.asyncIterator]();
+
+      const request = async (message) => {
+        outbound.push(uint8ArrayFromString(JSON.stringify(message)));
+        const { value, done } = await inbound.next();
+        if (done) {
+          throw new Error('Sync stream closed by peer');
+        }
+        return JSON.parse(uint8ArrayToString(value.subarray()));
+      };
+
+      for (const roomId of pending) {
+        total += await this.syncRoom(roomId, peerId, request);
+      }
+    } finally {
+      outbound.end();
+      pending.forEach(roomId => this.syncing.delete(`${peerId}/${roomId}`));
+    }
+
+    this.emit('sync:complete', { peerId, count: total });
+    return total;
+  }
+
+  /**
+   * Page through a peer's history of one room
+   *
+   * @param {string} roomId - Room to sync
+   * @param {string} peerId - Remote peer ID
+   * @param {Function} request - Sends a request and resolves with the response
+   * @returns {Promise<number>} Number of new events stored
+   */
+  async syncRoom(roomId, peerId, request) {
+    const latest = await this.storage.getLatestMessage(roomId);
+    const since = latest ? { event_id: latest.event_id, origin_ts: latest.origin_ts } : null;
+    const added = [];
+    const changes = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await request({
+        type: 'm.sync.request',
+        room_id: roomId,
+        since,
+        offset,
+        limit: this.pageSize
+      });
+
+      if (response.error) {
+        console.warn('[HistorySync] Peer refused sync of', roomId, response.error);
+        break;
+      }
+
+      const events = Array.isArray(response.events) ? response.events : [];
+      for (const event of events) {
+        if (!(await this.acceptEvent(roomId, event, peerId))) {
+          continue;
+        }
+        if (event.type !== 'm.room.message') {
+          // Applies only to a message we have, and only if it is newer than what we applied
+          if (await this.storage.applyChange(roomId, event)) {
+            changes.push(event);
+          }
+        } else if (await this.storage.addMessage(roomId, event)) {
+          added.push(event);
+        }
+      }
+
+      // Peers without next_offset send one event per message
+      const nextOffset = Number.isInteger(response.next_offset) ? response.next_offset : offset + events.length;
+      hasMore = response.has_more === true && nextOffset > offset;
+      offset = nextOffset;
+    }
+
+    if (added.length > 0 || changes.length > 0) {
+      console.log('[HistorySync] 🔄 Synced', added.length, 'events and', changes.length, 'edits/redactions in', roomId, 'from', peerId);
+      this.emit('sync:room', { peerId, roomId, events: added, changes });
+    }
+
+    return added.length;
+  }
+
+  /**
+   * Decide whether a synced event should be stored or applied
+   *
+   * @param {string} roomId - Room being synced
+   * @param {object} event - Event returned by the peer
+   * @param {string} peerId - Peer that returned it
+   * @returns {Promise<boolean>} True if the event is authentic and, for a
+   *   message, new
+   */
+  async acceptEvent(roomId, event, peerId) {
+    if (!SYNC_EVENT_TYPES.includes(event?.type) || event.room_id !== roomId) {
+      return false;
+    }
+
+    const invalid = validateSchema(event, EVENT_SCHEMAS[event.type]);
+    if (invalid) {
+      console.warn('[HistorySync] Dropping malformed synced event from', peerId, '-', invalid);
+      return false;
+    }
+
+    if (event.type === 'm.room.message' && await this.storage.hasMessage(roomId, event.event_id)) {
+      return false;
+    }
+
+    // DM history can only contain messages from the two participants
+    if (!roomId.startsWith('#')) {
+      const participants = [
+        this.node.peerId.toString(),
+        peerId,
+        // Retired peer IDs of either side, after a key rotation
+        ...(this.friends?.getFriend(peerId)?.room_aliases || [])
+      ];
+      if (!participants.includes(event.sender)) {
+        return false;
+      }
+    }
+
+    const result = await verifyEvent(event);
+    if (!result.valid) {
+      console.warn('[HistorySync] Dropping synced event', event.event_id, result.reason);
+      return false;
+    }
+
+    return true;
+  }
+}
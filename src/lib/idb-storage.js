@@ -0,0 +1,521 @@
+import { ChatHistoryStorage, DELIVERY_STATES, DEFAULT_PROFILE, profilePrefix } from './storage.js';
+import { applyMessageChange, getLastChangeTs, getTargetEventId } from './message-edits.js';
+
+const DB_NAME = 'libp2p-chat';
+const DB_VERSION = 2;
+const MESSAGES_STORE = 'messages';
+const META_STORE = 'meta';
+
+/**
+ * Wrap an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ *
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Walk a cursor, calling `visit` for each record until it returns false
+ *
+ * @param {IDBRequest} request - Cursor request
+ * @param {Function} visit - Called with each cursor; return false to stop
+ * @param {number} skip - Records to skip before the first visit
+ * @returns {Promise<void>}
+ */
+function walkCursor(request, visit, skip = 0) {
+  return new Promise((resolve, reject) => {
+    let skipped = skip === 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(skip);
+        return;
+      }
+      if (visit(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Key range covering every index entry of a room (index keys start with room_id)
+ *
+ * @param {string} roomId - Room identifier
+ * @param {any} from - Optional lower bound for the second key component
+ * @returns {IDBKeyRange} Key range
+ */
+function roomRange(roomId, from = undefined) {
+  const lower = from === undefined ? [roomId] : [roomId, from];
+  // Arrays sort after every other key type, so [roomId, []] is past the room's last entry
+  return IDBKeyRange.bound(lower, [roomId, []]);
+}
+
+/**
+ * IndexedDB-backed chat history. Same API as ChatHistoryStorage, but every
+ * method is async, each message is its own record, and paging walks cursors
+ * over the room indexes instead of loading the whole room.
+ *
+ * Records: { id, room_id, event_id, lamport, origin_ts, changed_ts, message }
+ *   - room_event:   [room_id, event_id] (unique, deduplication)
+ *   - room_order:   [room_id, lamport, origin_ts, event_id] (display order, see compareEvents)
+ *   - room_ts:      [room_id, origin_ts] (newest event)
+ *   - room_changed: [room_id, changed_ts] (sync queries; changed_ts moves on with edits and redactions)
+ */
+export class IndexedDBChatHistoryStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.MAX_MESSAGES_PER_ROOM = 1000;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   *
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        let messages;
+        if (event.oldVersion < 1) {
+          messages = db.createObjectStore(MESSAGES_STORE, { keyPath: 'id', autoIncrement: true });
+          messages.createIndex('room_event', ['room_id', 'event_id'], { unique: true });
+          messages.createIndex('room_order', ['room_id', 'lamport', 'origin_ts', 'event_id']);
+          messages.createIndex('room_ts', ['room_id', 'origin_ts']);
+          db.createObjectStore(META_STORE);
+        } else {
+          messages = request.transaction.objectStore(MESSAGES_STORE);
+        }
+
+        if (event.oldVersion < 2) {
+          messages.createIndex('room_changed', ['room_id', 'changed_ts']);
+          // Records from version 1 have no changed_ts and would be missing from the index
+          walkCursor(messages.openCursor(), cursor => {
+            cursor.update({ ...cursor.value, changed_ts: getLastChangeTs(cursor.value.message) });
+          });
+        }
+      };
+
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.dbPromise) {
+      (await this.dbPromise).close();
+      this.dbPromise = null;
+    }
+  }
+
+  /**
+   * Add message to room history. Duplicates (same event_id) are dropped.
+   *
+   * @param {string} roomId - Room identifier
+   * @param {object} message - Message object
+   * @returns {Promise<boolean>} False if the event was already stored
+   */
+  async addMessage(roomId, message) {
+    const db = await this.open();
+    const tx = db.transaction([MESSAGES_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore(MESSAGES_STORE);
+
+    if (message.event_id) {
+      const existing = await promisify(store.index('room_event').getKey([roomId, message.event_id]));
+      if (existing !== undefined) {
+        await done;
+        return false;
+      }
+    }
+
+    const meta = tx.objectStore(META_STORE);
+    const clock = (await promisify(meta.get('lamport-clock'))) || 0;
+    if (Number.isInteger(message.lamport) && message.lamport > clock) {
+      meta.put(message.lamport, 'lamport-clock');
+    }
+
+    store.add({
+      room_id: roomId,
+      // Index keys cannot be undefined; messages without an ID still get a unique one
+      event_id: message.event_id || `local_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      lamport: message.lamport || 0,
+      origin_ts: message.origin_ts || 0,
+      changed_ts: getLastChangeTs(message),
+      message: { ...message, stored_at: Date.now() }
+    });
+
+    // Limit message history
+    const count = await promisify(store.index('room_order').count(roomRange(roomId)));
+    let excess = count - this.MAX_MESSAGES_PER_ROOM;
+    if (excess > 0) {
+      await walkCursor(store.index('room_order').openCursor(roomRange(roomId)), cursor => {
+        cursor.delete();
+        return --excess > 0;
+      });
+    }
+
+    await done;
+    return true;
+  }
+
+  /**
+   * Advance the Lamport clock for a new outgoing event
+   *
+   * @returns {Promise<number>} Clock value to stamp on the event
+   */
+  async nextLamport() {
+    const db = await this.open();
+    const tx = db.transaction(META_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    const meta = tx.objectStore(META_STORE);
+
+    const next = ((await promisify(meta.get('lamport-clock'))) || 0) + 1;
+    meta.put(next, 'lamport-clock');
+
+    await done;
+    return next;
+  }
+
+  /**
+   * Read a room newest-first
+   *
+   * @param {string} roomId - Room identifier
+   * @param {number} limit - Maximum messages to read
+   * @param {number} offset - Number of newer messages to skip
+   * @returns {Promise<object[]>} Messages, newest first
+   */
+  async readNewest(roomId, limit, offset = 0) {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_order');
+    const messages = [];
+
+    await walkCursor(index.openCursor(roomRange(roomId), 'prev'), cursor => {
+      messages.push(cursor.value.message);
+      return messages.length < limit;
+    }, offset);
+
+    return messages;
+  }
+
+  /**
+   * Get room history
+   *
+   * @param {string} roomId - Room identifier
+   * @param {number} limit - Maximum messages to return
+   * @returns {Promise<object[]>} Message array
+   */
+  async getHistory(roomId, limit = 100) {
+    const messages = await this.readNewest(roomId, limit || Infinity);
+    return messages.reverse();
+  }
+
+  /**
+   * Get a page of room history, counting back from the newest message
+   *
+   * @param {string} roomId - Room identifier
+   * @param {number} limit - Page size
+   * @param {number} offset - Number of newer messages to skip
+   * @returns {Promise<{messages: object[], hasMore: boolean}>} Messages in room order
+   */
+  async getHistoryPage(roomId, limit = 50, offset = 0) {
+    // Read one extra message to find out whether there is another page
+    const messages = await this.readNewest(roomId, limit + 1, offset);
+    const hasMore = messages.length > limit;
+
+    return {
+      messages: messages.slice(0, limit).reverse(),
+      hasMore
+    };
+  }
+
+  /**
+   * Check whether an event is already stored
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID
+   * @returns {Promise<boolean>} True if stored
+   */
+  async hasMessage(roomId, eventId) {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_event');
+    return (await promisify(index.getKey([roomId, eventId]))) !== undefined;
+  }
+
+  /**
+   * Get a stored event by ID
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID
+   * @returns {Promise<object|null>} Message or null if not stored
+   */
+  async getMessage(roomId, eventId) {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_event');
+    const record = await promisify(index.get([roomId, eventId]));
+    return record ? record.message : null;
+  }
+
+  /**
+   * Get the newest event in a room (by origin timestamp)
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<object|null>} Newest message or null if the room is empty
+   */
+  async getLatestMessage(roomId) {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_ts');
+    let latest = null;
+
+    await walkCursor(index.openCursor(roomRange(roomId), 'prev'), cursor => {
+      latest = cursor.value.message;
+      return false;
+    });
+
+    return latest;
+  }
+
+  /**
+   * Get a page of events sent, edited or redacted after a given event,
+   * oldest change first
+   *
+   * @param {string} roomId - Room identifier
+   * @param {object|null} since - Latest event the caller has ({ event_id, origin_ts }), or null for everything
+   * @param {number} limit - Page size
+   * @param {number} offset - Number of matching events to skip
+   * @returns {Promise<{messages: object[], hasMore: boolean}>} Messages ordered by last change
+   */
+  async getMessagesSince(roomId, since, limit = 100, offset = 0) {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_changed');
+    const messages = [];
+    let skipped = 0;
+
+    // Events with the same timestamp are included; the caller drops what it already has
+    await walkCursor(index.openCursor(roomRange(roomId, since ? since.origin_ts : undefined)), cursor => {
+      const { event_id: eventId, origin_ts: originTs, changed_ts: changedTs } = cursor.value;
+      if (since && eventId === since.event_id && changedTs === originTs) return true;
+      if (skipped < offset) {
+        skipped++;
+        return true;
+      }
+      messages.push(cursor.value.message);
+      return messages.length <= limit;
+    });
+
+    return {
+      messages: messages.slice(0, limit),
+      hasMore: messages.length > limit
+    };
+  }
+
+  /**
+   * Update the local delivery state of a message we sent. States only move
+   * forward (sent -> delivered -> read).
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID of the message
+   * @param {string} status - New delivery state
+   * @param {string} ownPeerId - Our peer ID; messages from anyone else are left alone
+   * @returns {Promise<boolean>} True if the stored state changed
+   */
+  async updateMessageStatus(roomId, eventId, status, ownPeerId) {
+    const db = await this.open();
+    const tx = db.transaction(MESSAGES_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore(MESSAGES_STORE);
+
+    const record = await promisify(store.index('room_event').get([roomId, eventId]));
+    const current = DELIVERY_STATES.indexOf(record?.message.unsigned?.status);
+    const next = DELIVERY_STATES.indexOf(status);
+    const changed = record?.message.sender === ownPeerId && next > current;
+
+    if (changed) {
+      record.message.unsigned = { ...record.message.unsigned, status };
+      store.put(record);
+    }
+
+    await done;
+    return changed;
+  }
+
+  /**
+   * Apply an edit or redaction to the message it refers to. Changes from
+   * anyone but the message's sender are ignored.
+   *
+   * @param {string} roomId - Room identifier
+   * @param {object} event - Verified m.room.edit or m.room.redaction event
+   * @returns {Promise<object|null>} Updated message, or null if nothing changed
+   */
+  async applyChange(roomId, event) {
+    const db = await this.open();
+    const tx = db.transaction(MESSAGES_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore(MESSAGES_STORE);
+
+    const record = await promisify(store.index('room_event').get([roomId, getTargetEventId(event)]));
+    const changed = Boolean(record) && applyMessageChange(record.message, event);
+    if (changed) {
+      record.changed_ts = getLastChangeTs(record.message);
+      store.put(record);
+    }
+
+    await done;
+    return changed ? record.message : null;
+  }
+
+  /**
+   * Clear room history
+   *
+   * @param {string} roomId - Room identifier
+   */
+  async clearHistory(roomId) {
+    const db = await this.open();
+    const tx = db.transaction(MESSAGES_STORE, 'readwrite');
+    const done = transactionDone(tx);
+
+    await walkCursor(tx.objectStore(MESSAGES_STORE).index('room_order').openCursor(roomRange(roomId)), cursor => {
+      cursor.delete();
+    });
+
+    await done;
+  }
+
+  /**
+   * Get all room IDs with history
+   *
+   * @returns {Promise<string[]>} Array of room IDs
+   */
+  async getRoomIds() {
+    const db = await this.open();
+    const index = db.transaction(MESSAGES_STORE).objectStore(MESSAGES_STORE).index('room_ts');
+    const roomIds = [];
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const [roomId] = cursor.key;
+        roomIds.push(roomId);
+        // Jump straight to the next room
+        cursor.continue([roomId, []]);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return roomIds;
+  }
+
+  /**
+   * Clear all rooms and the Lamport clock
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction([MESSAGES_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(tx);
+
+    tx.objectStore(MESSAGES_STORE).clear();
+    tx.objectStore(META_STORE).delete('lamport-clock');
+
+    await done;
+  }
+
+  /**
+   * Move history from the localStorage backend (`libp2p-chat-history-*`
+   * keys) into IndexedDB. Runs once; the old keys are removed afterwards.
+   *
+   * @param {ChatHistoryStorage} legacy - localStorage history to migrate from
+   * @returns {Promise<number>} Number of migrated messages
+   */
+  async migrateFromLocalStorage(legacy = new ChatHistoryStorage()) {
+    const db = await this.open();
+    const migrated = await promisify(db.transaction(META_STORE).objectStore(META_STORE).get('migrated'));
+    if (migrated) return 0;
+
+    let count = 0;
+    for (const roomId of legacy.getRoomIds()) {
+      for (const message of legacy.getHistory(roomId, 0)) {
+        if (await this.addMessage(roomId, message)) {
+          count++;
+        }
+      }
+    }
+
+    const tx = db.transaction(META_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    const meta = tx.objectStore(META_STORE);
+    const clock = (await promisify(meta.get('lamport-clock'))) || 0;
+    meta.put(Math.max(clock, legacy.get('lamport-clock') || 0), 'lamport-clock');
+    meta.put(true, 'migrated');
+    await done;
+
+    legacy.clear();
+    if (count > 0) {
+      console.log('[Storage] Migrated', count, 'messages from localStorage to IndexedDB');
+    }
+    return count;
+  }
+}
+
+/**
+ * Create the chat history backend: IndexedDB when available, otherwise the
+ * localStorage implementation. Each profile gets its own database.
+ *
+ * @param {object} options - { profile }
+ * @returns {Promise<IndexedDBChatHistoryStorage|ChatHistoryStorage>} History storage
+ */
+export async function createChatHistoryStorage(options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+
+  if (globalThis.indexedDB) {
+    const storage = new IndexedDBChatHistoryStorage({ dbName: profilePrefix(DB_NAME, profile) });
+    try {
+      await storage.open();
+      await storage.migrateFromLocalStorage(new ChatHistoryStorage(profile));
+      return storage;
+    } catch (error) {
+      console.warn('[Storage] IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  return new ChatHistoryStorage(profile);
+}
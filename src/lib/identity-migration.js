@@ -0,0 +1,61 @@
+import { signEvent, verifyEvent } from './event-signing.js';
+
+export const MIGRATE_EVENT_TYPE = 'm.identity.migrate';
+
+/**
+ * Create an identity migration statement. The statement is signed by the
+ * old key, so anyone who knows the old peer ID can check that the move to
+ * the new peer ID was made by the key holder and not by an impostor.
+ *
+ * {
+ *   type: 'm.identity.migrate',
+ *   sender: <old peer ID>,
+ *   origin_ts, event_id,
+ *   content: { old_peer_id, new_peer_id },
+ *   signature
+ * }
+ *
+ * @param {object} oldPrivateKey - libp2p private key being retired
+ * @param {string} oldPeerId - Peer ID being retired
+ * @param {string} newPeerId - Peer ID taking over
+ * @returns {Promise<object>} Signed statement
+ */
+export async function createMigrationStatement(oldPrivateKey, oldPeerId, newPeerId) {
+  return signEvent({
+    type: MIGRATE_EVENT_TYPE,
+    sender: oldPeerId,
+    origin_ts: Date.now(),
+    event_id: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+    content: {
+      old_peer_id: oldPeerId,
+      new_peer_id: newPeerId
+    }
+  }, oldPrivateKey);
+}
+
+/**
+ * Verify a migration statement received from a peer. It may arrive from
+ * either identity: from the old one just before the switch, or from the new
+ * one when a friend was offline at the time.
+ *
+ * @param {object} statement - Received statement
+ * @param {string} fromPeerId - Peer the statement arrived from
+ * @returns {Promise<{valid: boolean, reason?: string}>} Verification result
+ */
+export async function verifyMigrationStatement(statement, fromPeerId) {
+  const { old_peer_id: oldPeerId, new_peer_id: newPeerId } = statement?.content || {};
+
+  if (statement?.type !== MIGRATE_EVENT_TYPE || !oldPeerId || !newPeerId || oldPeerId === newPeerId) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (statement.sender !== oldPeerId) {
+    return { valid: false, reason: 'sender_mismatch' };
+  }
+
+  if (fromPeerId !== oldPeerId && fromPeerId !== newPeerId) {
+    return { valid: false, reason: 'unrelated_peer' };
+  }
+
+  return verifyEvent(statement);
+}
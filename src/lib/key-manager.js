@@ -1,33 +1,64 @@
-import { generateKeyPair, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys';
+import { generateKeyPair, generateKeyPairFromSeed, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys';
 import { createEd25519PeerId } from '@libp2p/peer-id-factory';
 import { peerIdFromPrivateKey } from '@libp2p/peer-id';
 import { toString as uint8ArrayToString, fromString as uint8ArrayFromString } from 'uint8arrays';
+import { encryptWithPassphrase, decryptWithPassphrase, isEncryptedEnvelope } from './crypto-utils.js';
+import { createMigrationStatement } from './identity-migration.js';
+import { entropyToMnemonic, mnemonicToEntropy, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+// Ed25519 seed length; 32 bytes of entropy encode to 24 BIP39 words
+const ED25519_SEED_BYTES = 32;
+
+/**
+ * Normalize a typed or pasted recovery phrase: lowercase, single spaces,
+ * and no "1." style word numbers
+ *
+ * @param {string} phrase - Recovery phrase as entered
+ * @returns {string} Normalized phrase
+ */
+function normalizeMnemonic(phrase) {
+  return phrase
+    .toLowerCase()
+    .replace(/\d+[.)]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .join(' ');
+}
 
 /**
  * Manages libp2p cryptographic keys and peer IDs
+ *
+ * Keys are stored either as { privateKey, peerId } or, in lock mode, as
+ * { encrypted, peerId } where encrypted is a crypto-utils envelope of the
+ * base64 private key. Locked keys need a passphrase to load.
  */
 export class KeyManager {
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage;
     this.KEYS_KEY = 'libp2p-keys';
+    
+    // PBKDF2 iterations for lock mode (crypto-utils default when unset)
+    this.iterations = options.iterations;
+    
+    // Base64 private key once loaded, so a locked identity can still be exported
+    this.unlockedKey = null;
   }
 
   /**
    * Generate new Ed25519 keypair and derive PeerID
    * 
+   * @param {object} options - { passphrase } to store the key locked
    * @returns {Promise<{privateKey: object, peerId: object}>} Generated keys and peer ID
    */
-  async generateKeys() {
+  async generateKeys(options = {}) {
     // Generate Ed25519 keypair and PeerId together
     const peerId = await createEd25519PeerId();
     // The privateKey in the peerId is already in protobuf format
     const privateKeyProtobuf = peerId.privateKey;
     
     // Store keys in localStorage
-    this.storage.set(this.KEYS_KEY, {
-      privateKey: uint8ArrayToString(privateKeyProtobuf, 'base64'),
-      peerId: peerId.toString()
-    });
+    await this.storeKeys(uint8ArrayToString(privateKeyProtobuf, 'base64'), peerId.toString(), options.passphrase);
     
     // Return the actual privateKey object (not protobuf)
     const privateKey = await privateKeyFromProtobuf(privateKeyProtobuf);
@@ -35,23 +66,31 @@ export class KeyManager {
   }
 
   /**
-   * Load existing keys from storage
+   * Load existing keys from storage. Locked keys throw if the passphrase is
+   * missing or wrong, rather than returning null, so callers never mistake a
+   * locked identity for a missing one.
    * 
+   * @param {object} options - { passphrase } for locked keys
    * @returns {Promise<{privateKey: object, peerId: object} | null>} Loaded keys or null if not found
    */
-  async loadKeys() {
+  async loadKeys(options = {}) {
     const stored = this.storage.get(this.KEYS_KEY);
     if (!stored) {
       return null;
     }
     
+    const encodedKey = stored.encrypted
+      ? await decryptWithPassphrase(stored.encrypted, options.passphrase)
+      : stored.privateKey;
+    
     try {
       // GOTCHA: Must use privateKeyFromProtobuf to reconstruct key
-      const privateKeyBytes = uint8ArrayFromString(stored.privateKey, 'base64');
+      const privateKeyBytes = uint8ArrayFromString(encodedKey, 'base64');
       const privateKey = await privateKeyFromProtobuf(privateKeyBytes);
       // Recreate the peerId from the private key
       const peerId = await peerIdFromPrivateKey(privateKey);
       
+      this.unlockedKey = encodedKey;
       return { privateKey, peerId };
     } catch (error) {
       console.error('Failed to load keys:', error);
@@ -71,19 +110,100 @@ export class KeyManager {
     }
     
     return {
-      privateKey: stored.privateKey,
+      privateKey: this.getEncodedKey(stored),
+      peerId: stored.peerId,
+      exported: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Export keys encrypted with a passphrase. The peer ID stays readable so
+   * the backup can be identified without decrypting it.
+   * 
+   * @param {string} passphrase - Passphrase to encrypt with
+   * @param {object} options - Encryption options (iterations)
+   * @returns {Promise<object|null>} Encrypted key export
+   */
+  async exportEncryptedKeys(passphrase, options = {}) {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored) {
+      return null;
+    }
+    
+    const envelope = await encryptWithPassphrase(this.getEncodedKey(stored), passphrase, options);
+    return {
+      ...envelope,
       peerId: stored.peerId,
       exported: new Date().toISOString()
     };
   }
 
   /**
-   * Import keys from backup
+   * Export the identity as a 24-word BIP39 recovery phrase. The words encode
+   * the Ed25519 seed, from which the whole key pair (and peer ID) follows.
+   * 
+   * @returns {Promise<string|null>} Recovery phrase, or null if no keys exist
+   */
+  async exportMnemonic() {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored) {
+      return null;
+    }
+    
+    const privateKey = await privateKeyFromProtobuf(uint8ArrayFromString(this.getEncodedKey(stored), 'base64'));
+    if (privateKey.type !== 'Ed25519') {
+      throw new Error(`Recovery phrases are only supported for Ed25519 keys, not ${privateKey.type}`);
+    }
+    
+    // raw is seed (32 bytes) followed by the public key
+    return entropyToMnemonic(privateKey.raw.subarray(0, ED25519_SEED_BYTES), wordlist);
+  }
+
+  /**
+   * Restore the identity from a recovery phrase
+   * 
+   * @param {string} phrase - 24-word recovery phrase
+   * @param {object} options - { lockPassphrase } to store the key locked
+   * @returns {Promise<{privateKey: object, peerId: object}>} Restored keys
+   */
+  async importMnemonic(phrase, options = {}) {
+    const mnemonic = normalizeMnemonic(phrase || '');
+    if (!validateMnemonic(mnemonic, wordlist)) {
+      throw new Error('Invalid recovery phrase. Check the words and their order.');
+    }
+    
+    const seed = mnemonicToEntropy(mnemonic, wordlist);
+    if (seed.length !== ED25519_SEED_BYTES) {
+      throw new Error('Recovery phrase must have 24 words');
+    }
+    
+    const privateKey = await generateKeyPairFromSeed('Ed25519', seed);
+    return this.importKeys(
+      { privateKey: uint8ArrayToString(privateKeyToProtobuf(privateKey), 'base64') },
+      { lockPassphrase: options.lockPassphrase }
+    );
+  }
+
+  /**
+   * Import keys from backup. Encrypted exports need options.passphrase;
+   * options.lockPassphrase stores the imported key locked.
    * 
    * @param {object} keyData - Key data to import
+   * @param {object} options - { passphrase, lockPassphrase }
    * @returns {Promise<{privateKey: object, peerId: object}>} Imported keys
    */
-  async importKeys(keyData) {
+  async importKeys(keyData, options = {}) {
+    if (isEncryptedEnvelope(keyData)) {
+      if (!options.passphrase) {
+        throw new Error('This key backup is encrypted. Enter its passphrase to import it.');
+      }
+      
+      keyData = {
+        privateKey: await decryptWithPassphrase(keyData, options.passphrase),
+        peerId: keyData.peerId
+      };
+    }
+    
     if (!keyData || !keyData.privateKey) {
       throw new Error('Invalid key data');
     }
@@ -94,20 +214,140 @@ export class KeyManager {
     // Recreate the peerId from the private key
     const peerId = await peerIdFromPrivateKey(privateKey);
     
+    if (keyData.peerId && keyData.peerId !== peerId.toString()) {
+      throw new Error('Key data does not match its peer ID');
+    }
+    
     // Store imported keys
-    this.storage.set(this.KEYS_KEY, {
-      privateKey: keyData.privateKey,
-      peerId: peerId.toString()
-    });
+    await this.storeKeys(keyData.privateKey, peerId.toString(), options.lockPassphrase);
     
     return { privateKey, peerId };
   }
 
+  /**
+   * Replace the identity with a new key. The old key signs an
+   * m.identity.migrate statement naming the new peer ID, so friends can
+   * follow us instead of losing us. The old key must have been loaded.
+   * 
+   * @param {object} options - { lockPassphrase } to keep the new key locked
+   * @returns {Promise<{statement: object, privateKey: object, peerId: object}>} Statement and new keys
+   */
+  async rotateKeys(options = {}) {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored) {
+      throw new Error('No identity to rotate');
+    }
+    
+    const oldPrivateKey = await privateKeyFromProtobuf(
+      uint8ArrayFromString(this.getEncodedKey(stored), 'base64')
+    );
+    const oldPeerId = (await peerIdFromPrivateKey(oldPrivateKey)).toString();
+    
+    // Sign the statement before the old key is replaced in storage
+    const peerId = await createEd25519PeerId();
+    const statement = await createMigrationStatement(oldPrivateKey, oldPeerId, peerId.toString());
+    
+    await this.storeKeys(uint8ArrayToString(peerId.privateKey, 'base64'), peerId.toString(), options.lockPassphrase);
+    const privateKey = await privateKeyFromProtobuf(peerId.privateKey);
+    
+    return { statement, privateKey, peerId };
+  }
+
+  /**
+   * Encrypt the stored key under a passphrase (enable lock mode)
+   * 
+   * @param {string} passphrase - New passphrase
+   */
+  async lock(passphrase) {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored) {
+      throw new Error('No identity to lock');
+    }
+    if (stored.encrypted) {
+      throw new Error('Identity is already locked');
+    }
+    
+    await this.storeKeys(stored.privateKey, stored.peerId, passphrase);
+  }
+
+  /**
+   * Re-encrypt the stored key under a new passphrase
+   * 
+   * @param {string} currentPassphrase - Passphrase the key is locked with
+   * @param {string} newPassphrase - Passphrase to lock it with from now on
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored?.encrypted) {
+      throw new Error('Identity is not locked');
+    }
+    
+    const encodedKey = await decryptWithPassphrase(stored.encrypted, currentPassphrase);
+    await this.storeKeys(encodedKey, stored.peerId, newPassphrase);
+  }
+
+  /**
+   * Store the key in plaintext again (disable lock mode)
+   * 
+   * @param {string} passphrase - Passphrase the key is locked with
+   */
+  async removeLock(passphrase) {
+    const stored = this.storage.get(this.KEYS_KEY);
+    if (!stored?.encrypted) {
+      throw new Error('Identity is not locked');
+    }
+    
+    const encodedKey = await decryptWithPassphrase(stored.encrypted, passphrase);
+    await this.storeKeys(encodedKey, stored.peerId);
+  }
+
+  /**
+   * Check if the stored key is encrypted at rest
+   * 
+   * @returns {boolean} True if lock mode is on
+   */
+  isLocked() {
+    return Boolean(this.storage.get(this.KEYS_KEY)?.encrypted);
+  }
+
+  /**
+   * Write keys to storage, encrypted when a passphrase is given
+   * 
+   * @param {string} encodedKey - Base64 protobuf private key
+   * @param {string} peerId - Peer ID string
+   * @param {string} passphrase - Optional lock passphrase
+   */
+  async storeKeys(encodedKey, peerId, passphrase) {
+    if (passphrase) {
+      const encrypted = await encryptWithPassphrase(encodedKey, passphrase, { iterations: this.iterations });
+      this.storage.set(this.KEYS_KEY, { encrypted, peerId });
+    } else {
+      this.storage.set(this.KEYS_KEY, { privateKey: encodedKey, peerId });
+    }
+    
+    this.unlockedKey = encodedKey;
+  }
+
+  /**
+   * Get the base64 private key for export
+   * 
+   * @param {object} stored - Stored key record
+   * @returns {string} Base64 protobuf private key
+   */
+  getEncodedKey(stored) {
+    const encodedKey = stored.privateKey || this.unlockedKey;
+    if (!encodedKey) {
+      throw new Error('Identity is locked. Unlock it first.');
+    }
+    return encodedKey;
+  }
+
   /**
    * Clear stored keys
    */
   clearKeys() {
     this.storage.remove(this.KEYS_KEY);
+    this.unlockedKey = null;
   }
 
   /**
@@ -0,0 +1,113 @@
+export const EDIT_EVENT_TYPE = 'm.room.edit';
+export const REDACTION_EVENT_TYPE = 'm.room.redaction';
+
+/**
+ * Edits and redactions of chat messages.
+ *
+ * Both are signed events in the message's room that name the original by
+ * event ID:
+ *   { type: 'm.room.edit', room_id, content: { relates_to, body } }
+ *   { type: 'm.room.redaction', room_id, content: { redacts, reason? } }
+ *
+ * The original event stays as it was signed; the latest signed edit is kept
+ * next to it in `unsigned.edit`. A redaction drops the body for good and
+ * keeps the signed redaction in `unsigned.redacted_by`. Only the original
+ * sender can do either. The kept events are what history sync serves, so
+ * peers that were offline can apply them too.
+ */
+
+/**
+ * Get the ID of the message an edit or redaction refers to
+ *
+ * @param {object} event - m.room.edit or m.room.redaction event
+ * @returns {string|null} Target event ID
+ */
+export function getTargetEventId(event) {
+  if (event?.type === EDIT_EVENT_TYPE) return event.content?.relates_to || null;
+  if (event?.type === REDACTION_EVENT_TYPE) return event.content?.redacts || null;
+  return null;
+}
+
+/**
+ * Apply an edit or redaction to a stored message, in place
+ *
+ * @param {object} message - Stored message
+ * @param {object} event - Verified m.room.edit or m.room.redaction event
+ * @returns {boolean} True if the message changed
+ */
+export function applyMessageChange(message, event) {
+  if (message.sender !== event.sender || message.unsigned?.redacted_by) {
+    return false;
+  }
+
+  if (event.type === REDACTION_EVENT_TYPE) {
+    const unsigned = { ...message.unsigned };
+    delete unsigned.edit;
+    message.content = {};
+    message.unsigned = { ...unsigned, redacted_by: withoutUnsigned(event) };
+    return true;
+  }
+
+  // Edits can arrive out of order; the newest one wins
+  const current = message.unsigned?.edit;
+  if (current && (current.origin_ts > event.origin_ts ||
+    (current.origin_ts === event.origin_ts && current.event_id >= event.event_id))) {
+    return false;
+  }
+
+  message.unsigned = { ...message.unsigned, edit: withoutUnsigned(event) };
+  return true;
+}
+
+/**
+ * Get the signed edit and redaction events applied to a stored message
+ *
+ * @param {object} message - Stored message
+ * @returns {object[]} The latest edit, or the redaction (which replaces it)
+ */
+export function getChangeEvents(message) {
+  const { edit, redacted_by: redaction } = message.unsigned || {};
+  return [edit, redaction].filter(Boolean);
+}
+
+/**
+ * Get the time of the last change to a message: when it was sent, or when
+ * it was last edited or redacted
+ *
+ * @param {object} message - Stored message
+ * @returns {number} Origin timestamp
+ */
+export function getLastChangeTs(message) {
+  return Math.max(message.origin_ts || 0, ...getChangeEvents(message).map(event => event.origin_ts || 0));
+}
+
+/**
+ * Copy an event without local metadata
+ *
+ * @param {object} event - Event
+ * @returns {object} Event as signed
+ */
+function withoutUnsigned(event) {
+  const copy = { ...event };
+  delete copy.unsigned;
+  return copy;
+}
+
+/**
+ * Get the text to show for a stored message
+ *
+ * @param {object} message - Stored message
+ * @returns {{body: string, edited: boolean, deleted: boolean}} Current body and markers
+ */
+export function getMessageBody(message) {
+  if (message.unsigned?.redacted_by) {
+    return { body: '', edited: false, deleted: true };
+  }
+
+  const edit = message.unsigned?.edit;
+  return {
+    body: edit ? edit.content.body : message.content?.body ?? '',
+    edited: Boolean(edit),
+    deleted: false
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Persistent outbox - keeps direct messages that could not be delivered and
+ * retries them with exponential backoff until the peer is reachable again.
+ */
+export class MessageOutbox {
+  constructor(chatProtocol, storage, eventEmitter, options = {}) {
+    this.chatProtocol = chatProtocol;
+    this.storage = storage;
+    this.eventEmitter = eventEmitter;
+    this.baseDelay = options.baseDelay || 5000;      // First retry after 5 seconds
+    this.maxDelay = options.maxDelay || 300000;      // Never wait more than 5 minutes
+    this.checkInterval = options.checkInterval || 15000;
+    this.flushing = new Set(); // Peers currently being flushed
+    this.timer = null;
+
+    // Same emit helper as ChatProtocol (EventEmitter or EventTarget)
+    this.emit = (eventName, detail) => {
+      if (this.eventEmitter.emit) {
+        this.eventEmitter.emit(eventName, detail);
+      } else if (this.eventEmitter.dispatchEvent) {
+        this.eventEmitter.dispatchEvent(new CustomEvent(eventName, { detail }));
+      }
+    };
+  }
+
+  /**
+   * Start the retry timer
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.retryDue(), this.checkInterval);
+  }
+
+  /**
+   * Stop the retry timer
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a message for later delivery
+   *
+   * @param {string} peerId - Recipient peer ID
+   * @param {string} roomId - Room ID the message belongs to
+   * @param {string} content - Message body
+   * @param {string} [replyTo] - Event ID of the message this one answers
+   * @returns {object} Queued item
+   */
+  queue(peerId, roomId, content, replyTo) {
+    const now = Date.now();
+    const item = {
+      id: this.chatProtocol.generateEventId(),
+      peerId,
+      roomId,
+      content,
+      reply_to: replyTo,
+      queued_at: now,
+      attempts: 0,
+      next_attempt_at: now + this.baseDelay
+    };
+
+    this.storage.enqueue(peerId, item);
+    this.emit('outbox:queued', item);
+    return item;
+  }
+
+  /**
+   * Send queued messages to a peer in order. Stops at the first failure so
+   * later messages never overtake earlier ones.
+   *
+   * @param {string} peerId - Recipient peer ID
+   * @returns {Promise<number>} Number of messages delivered
+   */
+  async flush(peerId) {
+    if (this.flushing.has(peerId)) return 0;
+    this.flushing.add(peerId);
+
+    let sent = 0;
+    try {
+      for (const item of this.storage.getQueue(peerId)) {
+        try {
+          const message = await this.chatProtocol.sendMessage(peerId, item.content, item.roomId, {
+            eventId: item.id,
+            replyTo: item.reply_to
+          });
+          this.storage.removeItem(peerId, item.id);
+          this.emit('outbox:sent', { item, message });
+          sent++;
+        } catch (error) {
+          const attempts = item.attempts + 1;
+          this.storage.updateItem(peerId, item.id, {
+            attempts,
+            next_attempt_at: Date.now() + this.getBackoff(attempts),
+            last_error: error.message
+          });
+          this.emit('outbox:retry', { item: { ...item, attempts }, error });
+          break;
+        }
+      }
+    } finally {
+      this.flushing.delete(peerId);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Retry every peer whose next attempt is due
+   */
+  async retryDue() {
+    const now = Date.now();
+
+    for (const peerId of this.storage.getPeerIds()) {
+      const [next] = this.storage.getQueue(peerId);
+      if (next && next.next_attempt_at <= now) {
+        await this.flush(peerId);
+      }
+    }
+  }
+
+  /**
+   * Cancel a queued message
+   *
+   * @param {string} id - Item ID
+   * @returns {object|null} Cancelled item or null if not found
+   */
+  cancel(id) {
+    const item = this.list().find(entry => entry.id === id);
+    if (!item) return null;
+
+    this.storage.removeItem(item.peerId, item.id);
+    this.emit('outbox:cancelled', item);
+    return item;
+  }
+
+  /**
+   * List all pending messages, oldest first
+   *
+   * @returns {object[]} Queued items
+   */
+  list() {
+    return this.storage.getAllItems();
+  }
+
+  /**
+   * Get the delay before the next attempt
+   *
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoff(attempts) {
+    return Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+  }
+}
@@ -9,6 +9,7 @@ import { dcutr } from '@libp2p/dcutr';
 import { ping } from '@libp2p/ping';
 import { kadDHT } from '@libp2p/kad-dht';
 import { bootstrap } from '@libp2p/bootstrap';
+import { gossipsub } from '@chainsafe/libp2p-gossipsub';
 import { multiaddr } from '@multiformats/multiaddr';
 import { peerIdFromString } from '@libp2p/peer-id';
 
@@ -115,6 +116,12 @@ export async function createP2PNode(privateKey, options = {}) {
       identifyPush: identifyPush(),
       cutr: dcutr(),
       ping: ping(),
+      
+      // Gossipsub for topic-based group channels
+      pubsub: gossipsub({
+        allowPublishToZeroTopicPeers: true,  // Allow posting to a channel nobody else has joined yet
+        runOnLimitedConnection: true          // Browsers are often only reachable via relay
+      }),
     },
     
     // Connection manager settings
@@ -140,6 +147,25 @@ export async function createP2PNode(privateKey, options = {}) {
   return node;
 }
 
+/**
+ * Build a connection gater that refuses blocked peers. Connections are
+ * checked once the remote peer ID is known (after encryption), which also
+ * covers blocked peers coming in over a relay.
+ * 
+ * @param {Function} isBlocked - (peerId string) => true to refuse the peer
+ * @returns {object} libp2p connectionGater
+ */
+export function createBlocklistGater(isBlocked) {
+  const deny = (peerId) => isBlocked(peerId.toString());
+  
+  return {
+    denyDialPeer: deny,
+    denyInboundEncryptedConnection: deny,
+    denyOutboundEncryptedConnection: deny,
+    denyInboundRelayedConnection: (relay, remotePeer) => deny(remotePeer)
+  };
+}
+
 /**
  * Set up event handlers for the libp2p node
  * 
@@ -225,7 +251,7 @@ function setupNodeEventHandlers(node) {
  * 
  * @param {object} node - libp2p node instance
  * @param {string} peer - Peer ID or multiaddr string
- * @param {string} protocol - Optional protocol to dial
+ * @param {string|string[]} protocol - Optional protocol (or protocols, in preference order) to dial
  * @returns {Promise<object>} Connection object or stream if protocol specified
  */
 export async function connectToPeer(node, peer, protocol = null) {
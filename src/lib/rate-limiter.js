@@ -0,0 +1,157 @@
+/**
+ * Default inbound limits. `peer` caps all frames from one peer; `types`
+ * adds tighter caps for event types that are stored or shown to the user.
+ * A peer that is throttled `maxStrikes` times within `strikeWindowMs` is
+ * disconnected.
+ */
+export const DEFAULT_RATE_LIMITS = {
+  peer: { capacity: 60, refillPerSecond: 10 },
+  types: {
+    'm.room.message': { capacity: 20, refillPerSecond: 2 },
+    'm.room.edit': { capacity: 10, refillPerSecond: 1 },
+    'm.room.redaction': { capacity: 10, refillPerSecond: 1 },
+    'm.typing': { capacity: 10, refillPerSecond: 2 },
+    'm.nickname': { capacity: 5, refillPerSecond: 0.2 },
+    'm.contact.request': { capacity: 3, refillPerSecond: 0.05 },
+    'm.file.offer': { capacity: 5, refillPerSecond: 0.1 }
+  },
+  maxStrikes: 20,
+  strikeWindowMs: 60000
+};
+
+/**
+ * Token bucket: holds up to `capacity` tokens and regains
+ * `refillPerSecond` of them every second
+ */
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  /**
+   * Take tokens if enough are available
+   *
+   * @param {number} count - Tokens needed
+   * @returns {boolean} True if taken
+   */
+  take(count = 1) {
+    const now = this.now();
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+
+    if (this.tokens < count) {
+      return false;
+    }
+
+    this.tokens -= count;
+    return true;
+  }
+}
+
+/**
+ * Per-peer, per-event-type inbound rate limiter
+ */
+export class PeerRateLimiter {
+  constructor(limits = {}, options = {}) {
+    this.limits = {
+      ...DEFAULT_RATE_LIMITS,
+      ...limits,
+      types: { ...DEFAULT_RATE_LIMITS.types, ...limits.types }
+    };
+    this.now = options.now || Date.now;
+    this.buckets = new Map(); // peerId -> Map(scope -> TokenBucket)
+    this.strikes = new Map(); // peerId -> timestamps of throttled frames
+  }
+
+  /**
+   * Account for one inbound frame against the peer's overall limit. Call
+   * this before decoding the frame, so frames that fail to decode still
+   * cost the peer.
+   *
+   * @param {string} peerId - Sending peer
+   * @returns {{allowed: boolean, scope?: string, strikes?: number, exceeded?: boolean}}
+   *   `exceeded` means the peer hit `maxStrikes` and should be disconnected
+   */
+  checkPeer(peerId) {
+    if (!this.getBucket(peerId, 'peer', this.limits.peer).take()) {
+      return this.strike(peerId, 'peer');
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Account for one decoded event against the limit for its type
+   *
+   * @param {string} peerId - Sending peer
+   * @param {string} type - Event type
+   * @returns {object} Verdict as for checkPeer(), with the type as `scope`
+   */
+  checkType(peerId, type) {
+    const typeLimit = this.limits.types[type];
+    if (typeLimit && !this.getBucket(peerId, type, typeLimit).take()) {
+      return this.strike(peerId, type);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Account for one inbound event whose type is already known
+   *
+   * @param {string} peerId - Sending peer
+   * @param {string} type - Event type
+   * @returns {object} Verdict as for checkPeer(); `scope` is 'peer' or the
+   *   event type whose limit was hit
+   */
+  check(peerId, type) {
+    const verdict = this.checkPeer(peerId);
+    return verdict.allowed ? this.checkType(peerId, type) : verdict;
+  }
+
+  /**
+   * Get (creating if needed) one of a peer's buckets
+   *
+   * @param {string} peerId - Peer ID
+   * @param {string} scope - 'peer' or an event type
+   * @param {object} limit - { capacity, refillPerSecond }
+   * @returns {TokenBucket} Bucket
+   */
+  getBucket(peerId, scope, limit) {
+    if (!this.buckets.has(peerId)) {
+      this.buckets.set(peerId, new Map());
+    }
+
+    const buckets = this.buckets.get(peerId);
+    if (!buckets.has(scope)) {
+      buckets.set(scope, new TokenBucket(limit, this.now));
+    }
+    return buckets.get(scope);
+  }
+
+  /**
+   * Record a throttled event, or (with scope 'invalid') a frame that could
+   * not be decoded
+   *
+   * @param {string} peerId - Peer ID
+   * @param {string} scope - Limit that was hit, or 'invalid'
+   * @returns {object} Verdict as for checkPeer()
+   */
+  strike(peerId, scope) {
+    const now = this.now();
+    const recent = (this.strikes.get(peerId) || [])
+      .filter(at => now - at < this.limits.strikeWindowMs);
+    recent.push(now);
+    this.strikes.set(peerId, recent);
+
+    return {
+      allowed: false,
+      scope,
+      strikes: recent.length,
+      exceeded: recent.length >= this.limits.maxStrikes
+    };
+  }
+}
@@ -0,0 +1,70 @@
+export const RELATES_TO_KEY = 'm.relates_to';
+
+/**
+ * Replies and threads.
+ *
+ * A reply is an ordinary m.room.message whose content names its parent:
+ *   content: { msgtype, body, 'm.relates_to': { 'm.in_reply_to': { event_id } } }
+ *
+ * The reference is part of the signed content. A thread is a root message
+ * and every reply below it, however deep.
+ */
+
+/**
+ * Build the content of a text message, optionally replying to another one
+ *
+ * @param {string} body - Message text
+ * @param {string|null} replyTo - Event ID of the parent message
+ * @returns {object} Message content
+ */
+export function createMessageContent(body, replyTo = null) {
+  const content = { msgtype: 'm.text', body };
+  if (replyTo) {
+    content[RELATES_TO_KEY] = { 'm.in_reply_to': { event_id: replyTo } };
+  }
+  return content;
+}
+
+/**
+ * Get the ID of the message a reply answers
+ *
+ * @param {object} message - m.room.message event
+ * @returns {string|null} Parent event ID, or null if not a reply
+ */
+export function getReplyTo(message) {
+  return message?.content?.[RELATES_TO_KEY]?.['m.in_reply_to']?.event_id || null;
+}
+
+/**
+ * Filter a room's history down to the thread a message belongs to
+ *
+ * @param {object[]} messages - Room history, in room order
+ * @param {string} eventId - Any message of the thread
+ * @returns {object[]} Root and all replies below it, in room order
+ */
+export function getThread(messages, eventId) {
+  const byId = new Map(messages.map(m => [m.event_id, m]));
+
+  // Walk up to the oldest ancestor we have; the set guards against cycles
+  let rootId = eventId;
+  const seen = new Set();
+  while (!seen.has(rootId) && byId.has(getReplyTo(byId.get(rootId)))) {
+    seen.add(rootId);
+    rootId = getReplyTo(byId.get(rootId));
+  }
+
+  // Collect replies until no new ones turn up, so order in history does not matter
+  const thread = new Set([rootId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const message of messages) {
+      if (!thread.has(message.event_id) && thread.has(getReplyTo(message))) {
+        thread.add(message.event_id);
+        grew = true;
+      }
+    }
+  }
+
+  return messages.filter(m => thread.has(m.event_id));
+}
@@ -0,0 +1,54 @@
+import { peerIdFromString } from '@libp2p/peer-id';
+import {
+  fromString as uint8ArrayFromString,
+  concat as uint8ArrayConcat,
+  compare as uint8ArrayCompare
+} from 'uint8arrays';
+
+// Domain separator, bumped if the derivation ever changes
+const SAFETY_NUMBER_CONTEXT = 'libp2p-chat-safety-number-v1';
+const GROUPS = 6;
+const BYTES_PER_GROUP = 5;
+
+/**
+ * Get the public key bytes embedded in a peer ID
+ *
+ * @param {string} peerId - Peer ID string
+ * @returns {Uint8Array} Raw public key
+ */
+function publicKeyBytes(peerId) {
+  const publicKey = peerIdFromString(peerId).publicKey;
+  if (!publicKey) {
+    throw new Error(`Peer ID ${peerId} does not embed a public key`);
+  }
+  return publicKey.raw;
+}
+
+/**
+ * Derive the safety number for a pair of peers. Both sides get the same
+ * number because the keys are sorted before hashing, so it can be read out
+ * and compared over a call or in person.
+ *
+ * @param {string} localPeerId - Our peer ID
+ * @param {string} remotePeerId - The contact's peer ID
+ * @returns {Promise<string>} Six groups of five digits, e.g. "01234 56789 ..."
+ */
+export async function computeSafetyNumber(localPeerId, remotePeerId) {
+  const keys = [publicKeyBytes(localPeerId), publicKeyBytes(remotePeerId)].sort(uint8ArrayCompare);
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest(
+    'SHA-256',
+    uint8ArrayConcat([uint8ArrayFromString(SAFETY_NUMBER_CONTEXT), ...keys])
+  ));
+
+  const groups = [];
+  for (let i = 0; i < GROUPS; i++) {
+    // 40 bits per group fit safely in a JS number
+    let value = 0;
+    for (let j = 0; j < BYTES_PER_GROUP; j++) {
+      value = value * 256 + digest[i * BYTES_PER_GROUP + j];
+    }
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+
+  return groups.join(' ');
+}
@@ -1,3 +1,35 @@
+import { compareEvents } from './event-order.js';
+import { applyMessageChange, getLastChangeTs, getTargetEventId } from './message-edits.js';
+
+// Profile used when none is chosen. It keeps the original storage prefixes,
+// so data from before profiles existed stays where it is.
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Namespace a storage prefix for a profile
+ * 
+ * @param {string} prefix - Base prefix (e.g. 'libp2p-friends')
+ * @param {string} profile - Profile name
+ * @returns {string} Prefix for that profile
+ */
+export function profilePrefix(prefix, profile = DEFAULT_PROFILE) {
+  return profile === DEFAULT_PROFILE ? prefix : `${prefix}@${profile}`;
+}
+
+/**
+ * Validate and normalize a profile name
+ * 
+ * @param {string} name - Profile name as entered
+ * @returns {string} Lowercase profile name
+ */
+export function normalizeProfileName(name) {
+  const normalized = (name || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(normalized)) {
+    throw new Error('Profile names use letters, digits, - and _ (up to 32 characters)');
+  }
+  return normalized;
+}
+
 /**
  * LocalStorage wrapper with JSON serialization and error handling
  */
@@ -119,36 +151,98 @@ export class Storage {
   }
 }
 
+// Delivery states of our own messages, in order of progression
+export const DELIVERY_STATES = ['sent', 'delivered', 'read'];
+
 /**
  * Chat history storage manager
  */
 export class ChatHistoryStorage extends Storage {
-  constructor() {
-    super('libp2p-chat');
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-chat', profile));
     this.MAX_MESSAGES_PER_ROOM = 1000;
+    this.eventIndexes = new Map(); // roomId -> Set of stored event IDs (built lazily)
   }
 
   /**
-   * Add message to room history
+   * Get the event ID index of a room, building it from history on first use
+   * 
+   * @param {string} roomId - Room identifier
+   * @param {object[]} messages - Stored messages of the room, if already loaded
+   * @returns {Set<string>} Stored event IDs
+   */
+  getEventIndex(roomId, messages = null) {
+    if (!this.eventIndexes.has(roomId)) {
+      const stored = messages || this.get(`history-${roomId}`) || [];
+      this.eventIndexes.set(roomId, new Set(stored.map(m => m.event_id).filter(Boolean)));
+    }
+    return this.eventIndexes.get(roomId);
+  }
+
+  /**
+   * Add message to room history. Duplicates (same event_id) are dropped and
+   * the message is inserted in causal order (see compareEvents) rather than
+   * appended, so late arrivals land where they belong.
    * 
    * @param {string} roomId - Room identifier
    * @param {object} message - Message object
+   * @returns {boolean} False if the event was already stored
    */
   addMessage(roomId, message) {
     const historyKey = `history-${roomId}`;
     const messages = this.get(historyKey) || [];
+    const index = this.getEventIndex(roomId, messages);
+    
+    if (message.event_id && index.has(message.event_id)) {
+      return false;
+    }
     
-    messages.push({
+    this.observeLamport(message.lamport);
+    
+    // Walk back from the newest message; most messages arrive in order
+    let position = messages.length;
+    while (position > 0 && compareEvents(messages[position - 1], message) > 0) {
+      position--;
+    }
+    
+    messages.splice(position, 0, {
       ...message,
       stored_at: Date.now()
     });
+    if (message.event_id) {
+      index.add(message.event_id);
+    }
     
     // Limit message history
     if (messages.length > this.MAX_MESSAGES_PER_ROOM) {
-      messages.splice(0, messages.length - this.MAX_MESSAGES_PER_ROOM);
+      messages.splice(0, messages.length - this.MAX_MESSAGES_PER_ROOM)
+        .forEach(removed => index.delete(removed.event_id));
     }
     
     this.set(historyKey, messages);
+    return true;
+  }
+
+  /**
+   * Advance the Lamport clock for a new outgoing event
+   * 
+   * @returns {number} Clock value to stamp on the event
+   */
+  nextLamport() {
+    const next = (this.get('lamport-clock') || 0) + 1;
+    this.set('lamport-clock', next);
+    return next;
+  }
+
+  /**
+   * Move the Lamport clock past a value seen on a stored event
+   * 
+   * @param {number} lamport - Clock value of the event
+   */
+  observeLamport(lamport) {
+    if (Number.isInteger(lamport) && lamport > (this.get('lamport-clock') || 0)) {
+      this.set('lamport-clock', lamport);
+    }
   }
 
   /**
@@ -169,6 +263,134 @@ export class ChatHistoryStorage extends Storage {
     return messages;
   }
 
+  /**
+   * Get a page of room history, counting back from the newest message
+   * 
+   * @param {string} roomId - Room identifier
+   * @param {number} limit - Page size
+   * @param {number} offset - Number of newer messages to skip
+   * @returns {{messages: object[], hasMore: boolean}} Messages in chronological order
+   */
+  getHistoryPage(roomId, limit = 50, offset = 0) {
+    const messages = this.get(`history-${roomId}`) || [];
+    const end = Math.max(messages.length - offset, 0);
+    const start = Math.max(end - limit, 0);
+    
+    return {
+      messages: messages.slice(start, end),
+      hasMore: start > 0
+    };
+  }
+
+  /**
+   * Check whether an event is already stored
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID
+   * @returns {boolean} True if stored
+   */
+  hasMessage(roomId, eventId) {
+    return this.getEventIndex(roomId).has(eventId);
+  }
+
+  /**
+   * Get a stored event by ID
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID
+   * @returns {object|null} Message or null if not stored
+   */
+  getMessage(roomId, eventId) {
+    const messages = this.get(`history-${roomId}`) || [];
+    return messages.find(m => m.event_id === eventId) || null;
+  }
+
+  /**
+   * Get the newest event in a room (by origin timestamp)
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {object|null} Newest message or null if the room is empty
+   */
+  getLatestMessage(roomId) {
+    const messages = this.get(`history-${roomId}`) || [];
+    return messages.reduce((latest, m) =>
+      (!latest || m.origin_ts > latest.origin_ts ? m : latest), null);
+  }
+
+  /**
+   * Get a page of events sent, edited or redacted after a given event,
+   * oldest change first
+   *
+   * @param {string} roomId - Room identifier
+   * @param {object|null} since - Latest event the caller has ({ event_id, origin_ts }), or null for everything
+   * @param {number} limit - Page size
+   * @param {number} offset - Number of matching events to skip
+   * @returns {{messages: object[], hasMore: boolean}} Messages ordered by last change
+   */
+  getMessagesSince(roomId, since, limit = 100, offset = 0) {
+    const messages = (this.get(`history-${roomId}`) || [])
+      // Events with the same timestamp are included; the caller drops what it already has
+      .filter(m => !since || (getLastChangeTs(m) >= since.origin_ts &&
+        (m.event_id !== since.event_id || getLastChangeTs(m) > m.origin_ts)))
+      .sort((a, b) => getLastChangeTs(a) - getLastChangeTs(b));
+
+    return {
+      messages: messages.slice(offset, offset + limit),
+      hasMore: offset + limit < messages.length
+    };
+  }
+
+  /**
+   * Update the local delivery state of a message we sent. States only move
+   * forward (sent -> delivered -> read).
+   * 
+   * @param {string} roomId - Room identifier
+   * @param {string} eventId - Event ID of the message
+   * @param {string} status - New delivery state
+   * @param {string} ownPeerId - Our peer ID; messages from anyone else are left alone
+   * @returns {boolean} True if the stored state changed
+   */
+  updateMessageStatus(roomId, eventId, status, ownPeerId) {
+    const historyKey = `history-${roomId}`;
+    const messages = this.get(historyKey) || [];
+    const message = messages.find(m => m.event_id === eventId);
+    
+    if (!message || message.sender !== ownPeerId) {
+      return false;
+    }
+    
+    const current = DELIVERY_STATES.indexOf(message.unsigned?.status);
+    const next = DELIVERY_STATES.indexOf(status);
+    if (next === -1 || next <= current) {
+      return false;
+    }
+    
+    message.unsigned = { ...message.unsigned, status };
+    this.set(historyKey, messages);
+    return true;
+  }
+
+  /**
+   * Apply an edit or redaction to the message it refers to. Changes from
+   * anyone but the message's sender are ignored.
+   * 
+   * @param {string} roomId - Room identifier
+   * @param {object} event - Verified m.room.edit or m.room.redaction event
+   * @returns {object|null} Updated message, or null if nothing changed
+   */
+  applyChange(roomId, event) {
+    const historyKey = `history-${roomId}`;
+    const messages = this.get(historyKey) || [];
+    const message = messages.find(m => m.event_id === getTargetEventId(event));
+    
+    if (!message || !applyMessageChange(message, event)) {
+      return null;
+    }
+    
+    this.set(historyKey, messages);
+    return message;
+  }
+
   /**
    * Clear room history
    * 
@@ -177,6 +399,15 @@ export class ChatHistoryStorage extends Storage {
   clearHistory(roomId) {
     const historyKey = `history-${roomId}`;
     this.remove(historyKey);
+    this.eventIndexes.delete(roomId);
+  }
+
+  /**
+   * Clear all rooms and the Lamport clock
+   */
+  clear() {
+    super.clear();
+    this.eventIndexes.clear();
   }
 
   /**
@@ -195,8 +426,8 @@ export class ChatHistoryStorage extends Storage {
  * Settings storage manager
  */
 export class SettingsStorage extends Storage {
-  constructor() {
-    super('libp2p-settings');
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-settings', profile));
     this.defaults = {
       nickname: 'Anonymous',
       theme: 'terminal-green',
@@ -204,7 +435,11 @@ export class SettingsStorage extends Storage {
       soundEnabled: true,
       notificationsEnabled: false,
       autoConnect: true,
-      debugMode: false
+      debugMode: false,
+      channels: ['#terminal'],
+      autoAcceptFiles: false,
+      downloadPath: 'Downloads',
+      maxFileSize: 100 // MB
     };
   }
 
@@ -254,8 +489,8 @@ export class SettingsStorage extends Storage {
  * Friends storage manager
  */
 export class FriendsStorage extends Storage {
-  constructor() {
-    super('libp2p-friends');
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-friends', profile));
   }
 
   /**
@@ -333,4 +568,458 @@ export class FriendsStorage extends Storage {
     const friends = this.get('list') || {};
     return peerId in friends;
   }
-}
\ No newline at end of file
+
+  /**
+   * Mark a friend's key as verified out of band (or clear it)
+   * 
+   * @param {string} peerId - Friend's peer ID
+   * @param {boolean} verified - Whether the safety number was confirmed
+   * @returns {boolean} False if the peer is not a friend
+   */
+  setVerified(peerId, verified) {
+    if (!this.isFriend(peerId)) {
+      return false;
+    }
+    
+    this.updateFriend(peerId, {
+      verified,
+      verified_at: verified ? Date.now() : null
+    });
+    return true;
+  }
+
+  /**
+   * Check if a friend's key has been verified
+   * 
+   * @param {string} peerId - Friend's peer ID
+   * @returns {boolean} True if verified
+   */
+  isVerified(peerId) {
+    return Boolean(this.getFriend(peerId)?.verified);
+  }
+
+  /**
+   * Keep a DM on a fixed room ID across identity changes. The room ID is
+   * derived from both peer IDs, so without this a rotated key would start an
+   * empty room. `alias` is the retired peer ID that sent the room's older
+   * events.
+   * 
+   * @param {string} peerId - Friend's current peer ID
+   * @param {string} roomId - Room ID to keep using
+   * @param {string} alias - Retired peer ID of either participant
+   */
+  pinDirectRoom(peerId, roomId, alias) {
+    const friend = this.getFriend(peerId);
+    if (!friend) {
+      return;
+    }
+    
+    const aliases = new Set(friend.room_aliases || []);
+    aliases.add(alias);
+    this.updateFriend(peerId, {
+      room_id: friend.room_id || roomId,
+      room_aliases: [...aliases]
+    });
+  }
+
+  /**
+   * Move a friend to the new peer ID from a verified migration statement.
+   * Verification is cleared because the key changed.
+   * 
+   * @param {string} oldPeerId - Retired peer ID
+   * @param {string} newPeerId - New peer ID
+   * @param {string} roomId - DM room ID used with the old peer ID
+   * @returns {object|null} Updated friend, or null if oldPeerId was not a friend
+   */
+  migrateFriend(oldPeerId, newPeerId, roomId) {
+    const friends = this.get('list') || {};
+    const friend = friends[oldPeerId];
+    if (!friend) {
+      return null;
+    }
+    
+    delete friends[oldPeerId];
+    friends[newPeerId] = {
+      ...friend,
+      peerId: newPeerId,
+      previous_peer_ids: [...(friend.previous_peer_ids || []), oldPeerId],
+      verified: false,
+      verified_at: null,
+      updated_at: Date.now()
+    };
+    this.set('list', friends);
+    
+    this.pinDirectRoom(newPeerId, roomId, oldPeerId);
+    return this.getFriend(newPeerId);
+  }
+
+  /**
+   * Find friends using a nickname (case-insensitive)
+   * 
+   * @param {string} nickname - Nickname to look for
+   * @returns {object[]} Matching friends
+   */
+  findByNickname(nickname) {
+    const wanted = nickname.trim().toLowerCase();
+    return Object.values(this.getAllFriends()).filter(friend =>
+      friend.nickname && friend.nickname.trim().toLowerCase() === wanted
+    );
+  }
+}
+
+/**
+ * Size of held messages as stored
+ * 
+ * @param {object[]} held - Held messages
+ * @returns {number} Length of their JSON
+ */
+function heldSize(held) {
+  return held ? JSON.stringify(held).length : 0;
+}
+
+/**
+ * Contact request storage - pending friend requests we sent or received,
+ * with any DMs the other peer sent before the request was accepted
+ */
+export class ContactRequestsStorage extends Storage {
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-contact-requests', profile));
+    this.MAX_HELD_MESSAGES = 50; // per request
+    this.MAX_HELD_BYTES = 262144; // across all requests
+    this.MAX_INCOMING_REQUESTS = 100;
+  }
+
+  /**
+   * Store a pending request, replacing any earlier one with the same peer
+   * (messages held with it are kept). New incoming requests are refused
+   * once MAX_INCOMING_REQUESTS are pending.
+   * 
+   * @param {string} peerId - Other peer's ID
+   * @param {string} direction - 'incoming' or 'outgoing'
+   * @param {object} details - Request details (nickname, note)
+   * @returns {boolean} True if stored
+   */
+  addRequest(peerId, direction, details = {}) {
+    const requests = this.get('list') || {};
+    if (direction === 'incoming' && !requests[peerId] &&
+        Object.values(requests).filter(request => request.direction === 'incoming').length >= this.MAX_INCOMING_REQUESTS) {
+      return false;
+    }
+    
+    const held = requests[peerId]?.held;
+    requests[peerId] = {
+      ...details,
+      peerId,
+      direction,
+      created_at: Date.now(),
+      ...(held ? { held } : {})
+    };
+    this.set('list', requests);
+    return true;
+  }
+
+  /**
+   * Hold a DM from a peer with a pending request until the request is
+   * accepted. Only the newest MAX_HELD_MESSAGES are kept, and only as many
+   * as fit in what the other requests leave of MAX_HELD_BYTES.
+   * 
+   * @param {string} peerId - Sender's peer ID
+   * @param {object} message - Verified m.room.message event
+   * @returns {boolean} True if held, false without a request, if already held
+   *   or if there is no room for it
+   */
+  holdMessage(peerId, message) {
+    const requests = this.get('list') || {};
+    const request = requests[peerId];
+    if (!request || (request.held || []).some(m => m.event_id === message.event_id)) {
+      return false;
+    }
+    
+    const budget = Object.values(requests)
+      .filter(other => other !== request)
+      .reduce((left, other) => left - heldSize(other.held), this.MAX_HELD_BYTES);
+    const held = [...(request.held || []), message].slice(-this.MAX_HELD_MESSAGES);
+    while (held.length && heldSize(held) > budget) {
+      held.shift();
+    }
+    if (!held.includes(message)) {
+      return false;
+    }
+    
+    request.held = held;
+    try {
+      this.set('list', requests);
+    } catch (error) {
+      console.error('[ContactRequests] Could not hold message:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the pending request with a peer
+   * 
+   * @param {string} peerId - Other peer's ID
+   * @param {string} direction - Only match this direction if given
+   * @returns {object|null} Request or null
+   */
+  getRequest(peerId, direction = null) {
+    const request = (this.get('list') || {})[peerId];
+    if (!request || (direction && request.direction !== direction)) {
+      return null;
+    }
+    return request;
+  }
+
+  /**
+   * Remove the pending request with a peer
+   * 
+   * @param {string} peerId - Other peer's ID
+   * @returns {boolean} True if there was one
+   */
+  removeRequest(peerId) {
+    const requests = this.get('list') || {};
+    if (!requests[peerId]) {
+      return false;
+    }
+    
+    delete requests[peerId];
+    this.set('list', requests);
+    return true;
+  }
+
+  /**
+   * Get pending requests, oldest first
+   * 
+   * @param {string} direction - 'incoming', 'outgoing' or null for both
+   * @returns {object[]} Requests
+   */
+  getRequests(direction = null) {
+    return Object.values(this.get('list') || {})
+      .filter(request => !direction || request.direction === direction)
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+}
+
+/**
+ * Blocklist storage - peers whose connections and events we refuse
+ */
+export class BlocklistStorage extends Storage {
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-blocklist', profile));
+  }
+
+  /**
+   * Block a peer
+   * 
+   * @param {string} peerId - Peer ID to block
+   * @param {object} metadata - Extra details (nickname at the time, etc)
+   */
+  block(peerId, metadata = {}) {
+    const blocked = this.get('list') || {};
+    blocked[peerId] = {
+      ...metadata,
+      peerId,
+      blocked_at: Date.now()
+    };
+    this.set('list', blocked);
+  }
+
+  /**
+   * Unblock a peer
+   * 
+   * @param {string} peerId - Peer ID to unblock
+   * @returns {boolean} True if the peer was blocked
+   */
+  unblock(peerId) {
+    const blocked = this.get('list') || {};
+    if (!blocked[peerId]) {
+      return false;
+    }
+    
+    delete blocked[peerId];
+    this.set('list', blocked);
+    return true;
+  }
+
+  /**
+   * Check if a peer is blocked
+   * 
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if blocked
+   */
+  isBlocked(peerId) {
+    return Boolean((this.get('list') || {})[peerId]);
+  }
+
+  /**
+   * Get blocked peers, oldest first
+   * 
+   * @returns {object[]} Blocked entries
+   */
+  getBlocked() {
+    return Object.values(this.get('list') || {})
+      .sort((a, b) => a.blocked_at - b.blocked_at);
+  }
+}
+
+/**
+ * Outbox storage manager - queues undeliverable messages per peer
+ */
+export class OutboxStorage extends Storage {
+  constructor(profile = DEFAULT_PROFILE) {
+    super(profilePrefix('libp2p-outbox', profile));
+  }
+
+  /**
+   * Append an item to a peer's queue
+   * 
+   * @param {string} peerId - Recipient peer ID
+   * @param {object} item - Queued message (must include `id`)
+   */
+  enqueue(peerId, item) {
+    const queue = this.getQueue(peerId);
+    queue.push(item);
+    this.set(`queue-${peerId}`, queue);
+  }
+
+  /**
+   * Get a peer's queue in send order
+   * 
+   * @param {string} peerId - Recipient peer ID
+   * @returns {object[]} Queued items
+   */
+  getQueue(peerId) {
+    return this.get(`queue-${peerId}`) || [];
+  }
+
+  /**
+   * Update a queued item
+   * 
+   * @param {string} peerId - Recipient peer ID
+   * @param {string} id - Item ID
+   * @param {object} updates - Fields to update
+   */
+  updateItem(peerId, id, updates) {
+    const queue = this.getQueue(peerId);
+    const item = queue.find(entry => entry.id === id);
+    if (item) {
+      Object.assign(item, updates);
+      this.set(`queue-${peerId}`, queue);
+    }
+  }
+
+  /**
+   * Remove an item from a peer's queue
+   * 
+   * @param {string} peerId - Recipient peer ID
+   * @param {string} id - Item ID
+   * @returns {boolean} True if the item was removed
+   */
+  removeItem(peerId, id) {
+    const queue = this.getQueue(peerId);
+    const remaining = queue.filter(entry => entry.id !== id);
+    
+    if (remaining.length === queue.length) {
+      return false;
+    }
+    
+    if (remaining.length > 0) {
+      this.set(`queue-${peerId}`, remaining);
+    } else {
+      this.remove(`queue-${peerId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Get peer IDs that have queued items
+   * 
+   * @returns {string[]} Peer IDs
+   */
+  getPeerIds() {
+    return this.keys()
+      .filter(key => key.startsWith('queue-'))
+      .map(key => key.substring(6));
+  }
+
+  /**
+   * Get all queued items across peers, oldest first
+   * 
+   * @returns {object[]} Queued items
+   */
+  getAllItems() {
+    return this.getPeerIds()
+      .flatMap(peerId => this.getQueue(peerId))
+      .sort((a, b) => a.queued_at - b.queued_at);
+  }
+}
+
+/**
+ * Registry of named profiles. Each profile has its own key, friends,
+ * history and settings; this registry itself is shared by all of them.
+ */
+export class ProfilesStorage extends Storage {
+  constructor() {
+    super('libp2p-profiles');
+  }
+
+  /**
+   * List profiles, always including the default one
+   * 
+   * @returns {object[]} Profiles ({ name, created_at })
+   */
+  list() {
+    const profiles = this.get('list') || [];
+    if (!profiles.some(profile => profile.name === DEFAULT_PROFILE)) {
+      profiles.unshift({ name: DEFAULT_PROFILE, created_at: null });
+    }
+    return profiles;
+  }
+
+  /**
+   * Check if a profile exists
+   * 
+   * @param {string} name - Profile name
+   * @returns {boolean} True if it exists
+   */
+  hasProfile(name) {
+    return this.list().some(profile => profile.name === name);
+  }
+
+  /**
+   * Create a profile
+   * 
+   * @param {string} name - Profile name
+   * @returns {string} Normalized profile name
+   */
+  create(name) {
+    const normalized = normalizeProfileName(name);
+    if (this.hasProfile(normalized)) {
+      throw new Error(`Profile ${normalized} already exists`);
+    }
+    
+    const profiles = this.list();
+    profiles.push({ name: normalized, created_at: Date.now() });
+    this.set('list', profiles);
+    return normalized;
+  }
+
+  /**
+   * Get the profile used most recently
+   * 
+   * @returns {string} Profile name
+   */
+  getLastUsed() {
+    return this.get('last') || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Remember the profile used most recently
+   * 
+   * @param {string} name - Profile name
+   */
+  setLastUsed(name) {
+    this.set('last', name);
+  }
+}
@@ -0,0 +1,204 @@
+import { DEFAULT_PROFILE, profilePrefix } from './storage.js';
+import { promisify, transactionDone } from './idb-storage.js';
+
+const DB_NAME = 'libp2p-chat-files';
+const DB_VERSION = 1;
+const TRANSFERS_STORE = 'transfers';
+const CHUNKS_STORE = 'chunks';
+
+/**
+ * Key range covering every chunk of a transfer
+ *
+ * @param {string} id - Transfer ID
+ * @returns {IDBKeyRange} Key range
+ */
+function chunkRange(id) {
+  // Arrays sort after numbers, so [id, []] is past the transfer's last chunk
+  return IDBKeyRange.bound([id], [id, []]);
+}
+
+/**
+ * Keeps incoming file transfers and the chunks received so far in
+ * IndexedDB, so an interrupted transfer can resume after a reconnect or a
+ * reload instead of starting over.
+ *
+ * Records:
+ *   - transfers: { id, peerId, name, size, mime, sha256 }
+ *   - chunks:    { transfer_id, index, data } keyed by [transfer_id, index]
+ */
+export class IndexedDBTransferStore {
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   *
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(TRANSFERS_STORE, { keyPath: 'id' });
+        db.createObjectStore(CHUNKS_STORE, { keyPath: ['transfer_id', 'index'] });
+      };
+
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.dbPromise) {
+      (await this.dbPromise).close();
+      this.dbPromise = null;
+    }
+  }
+
+  /**
+   * Save (or replace) a transfer record
+   *
+   * @param {object} record - { id, peerId, name, size, mime, sha256 }
+   */
+  async saveTransfer(record) {
+    const db = await this.open();
+    const tx = db.transaction(TRANSFERS_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(TRANSFERS_STORE).put(record);
+    await done;
+  }
+
+  /**
+   * Get all saved transfer records
+   *
+   * @returns {Promise<object[]>} Records
+   */
+  async getTransfers() {
+    const db = await this.open();
+    return promisify(db.transaction(TRANSFERS_STORE).objectStore(TRANSFERS_STORE).getAll());
+  }
+
+  /**
+   * Store one received chunk
+   *
+   * @param {string} id - Transfer ID
+   * @param {number} index - Chunk number, from 0
+   * @param {Uint8Array} data - Chunk bytes
+   */
+  async putChunk(id, index, data) {
+    const db = await this.open();
+    const tx = db.transaction(CHUNKS_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(CHUNKS_STORE).put({ transfer_id: id, index, data });
+    await done;
+  }
+
+  /**
+   * Count the chunks stored for a transfer
+   *
+   * @param {string} id - Transfer ID
+   * @returns {Promise<number>} Chunk count
+   */
+  async countChunks(id) {
+    const db = await this.open();
+    return promisify(db.transaction(CHUNKS_STORE).objectStore(CHUNKS_STORE).count(chunkRange(id)));
+  }
+
+  /**
+   * Join a transfer's chunks into a file
+   *
+   * @param {string} id - Transfer ID
+   * @param {string} type - MIME type of the Blob
+   * @returns {Promise<Blob>} File contents
+   */
+  async readFile(id, type) {
+    const db = await this.open();
+    const records = await promisify(db.transaction(CHUNKS_STORE).objectStore(CHUNKS_STORE).getAll(chunkRange(id)));
+    return new Blob(records.map(record => record.data), { type });
+  }
+
+  /**
+   * Delete a transfer record and its chunks
+   *
+   * @param {string} id - Transfer ID
+   */
+  async deleteTransfer(id) {
+    const db = await this.open();
+    const tx = db.transaction([TRANSFERS_STORE, CHUNKS_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(TRANSFERS_STORE).delete(id);
+    tx.objectStore(CHUNKS_STORE).delete(chunkRange(id));
+    await done;
+  }
+}
+
+/**
+ * In-memory transfer store with the same API, for browsers without
+ * IndexedDB. Transfers can still resume after a reconnect, but not after a
+ * reload.
+ */
+export class MemoryTransferStore {
+  constructor() {
+    this.transfers = new Map(); // id -> record
+    this.chunks = new Map(); // id -> Uint8Array[] by index
+  }
+
+  async saveTransfer(record) {
+    this.transfers.set(record.id, { ...record });
+  }
+
+  async getTransfers() {
+    return Array.from(this.transfers.values()).map(record => ({ ...record }));
+  }
+
+  async putChunk(id, index, data) {
+    if (!this.chunks.has(id)) {
+      this.chunks.set(id, []);
+    }
+    this.chunks.get(id)[index] = data;
+  }
+
+  async countChunks(id) {
+    return (this.chunks.get(id) || []).filter(Boolean).length;
+  }
+
+  async readFile(id, type) {
+    return new Blob((this.chunks.get(id) || []).filter(Boolean), { type });
+  }
+
+  async deleteTransfer(id) {
+    this.transfers.delete(id);
+    this.chunks.delete(id);
+  }
+}
+
+/**
+ * Create the transfer store: IndexedDB when available, otherwise in
+ * memory. Each profile gets its own database.
+ *
+ * @param {object} options - { profile }
+ * @returns {Promise<IndexedDBTransferStore|MemoryTransferStore>} Transfer store
+ */
+export async function createTransferStore(options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+
+  if (globalThis.indexedDB) {
+    const store = new IndexedDBTransferStore({ dbName: profilePrefix(DB_NAME, profile) });
+    try {
+      await store.open();
+      return store;
+    } catch (error) {
+      console.warn('[FileTransfer] IndexedDB unavailable, resumable transfers will not survive a reload:', error);
+    }
+  }
+
+  return new MemoryTransferStore();
+}
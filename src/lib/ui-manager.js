@@ -1,3 +1,23 @@
+// Minimum length for newly chosen passphrases
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Check a newly chosen passphrase and its confirmation
+ * 
+ * @param {string} passphrase - Passphrase
+ * @param {string} confirmation - Repeated passphrase
+ * @returns {string|null} Error message, or null if acceptable
+ */
+function validateNewPassphrase(passphrase, confirmation) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  if (passphrase !== confirmation) {
+    return 'Passphrases do not match';
+  }
+  return null;
+}
+
 /**
  * UI Manager - Coordinates all UI components and state
  */
@@ -61,6 +81,11 @@ export class UIManager {
       this.showKeyModal('export');
     });
     
+    const showImportBtn = document.getElementById('show-import-keys-btn');
+    showImportBtn.addEventListener('click', () => {
+      this.showKeyModal('import');
+    });
+    
     // Set up modal handlers
     this.setupModalHandlers();
   }
@@ -113,6 +138,18 @@ export class UIManager {
     }
   }
   
+  /**
+   * Update active profile display
+   * 
+   * @param {string} name - Profile name
+   */
+  updateProfile(name) {
+    const profileEl = document.getElementById('profile-name');
+    if (profileEl) {
+      profileEl.textContent = name;
+    }
+  }
+  
   /**
    * Update peer ID display
    * 
@@ -189,25 +226,100 @@ export class UIManager {
     const modal = document.getElementById('key-modal');
     const modalTitle = document.getElementById('modal-title');
     const keyTextarea = document.getElementById('key-textarea');
+    const passphraseInput = document.getElementById('key-passphrase');
+    const confirmInput = document.getElementById('key-passphrase-confirm');
+    const encryptBtn = document.getElementById('encrypt-export-btn');
+    const plainBtn = document.getElementById('plain-export-btn');
+    const recoveryBtn = document.getElementById('recovery-phrase-btn');
     const copyBtn = document.getElementById('copy-keys-btn');
     const importBtn = document.getElementById('import-keys-btn');
     
     modal.classList.remove('hidden');
+    keyTextarea.value = '';
+    passphraseInput.value = '';
+    confirmInput.value = '';
     
     if (mode === 'export') {
       modalTitle.textContent = 'Export Keys';
-      const keyData = this.onExportKeys?.();
-      keyTextarea.value = JSON.stringify(keyData, null, 2);
+      this.setKeyModalHint('Choose a passphrase to encrypt your identity backup.');
+      passphraseInput.placeholder = 'Passphrase';
+      confirmInput.style.display = 'block';
       keyTextarea.readOnly = true;
-      copyBtn.style.display = 'block';
+      encryptBtn.style.display = 'block';
+      plainBtn.style.display = 'block';
+      recoveryBtn.style.display = 'block';
+      copyBtn.style.display = 'none';
       importBtn.style.display = 'none';
     } else {
       modalTitle.textContent = 'Import Keys';
-      keyTextarea.value = '';
+      this.setKeyModalHint('Paste a key backup or type your 24-word recovery phrase. Encrypted backups also need their passphrase.');
+      passphraseInput.placeholder = 'Passphrase (encrypted backups only)';
+      confirmInput.style.display = 'none';
       keyTextarea.readOnly = false;
+      encryptBtn.style.display = 'none';
+      plainBtn.style.display = 'none';
+      recoveryBtn.style.display = 'none';
       copyBtn.style.display = 'none';
       importBtn.style.display = 'block';
     }
+    
+    passphraseInput.focus();
+  }
+  
+  /**
+   * Open the key modal showing the recovery phrase (after a warning)
+   */
+  async showRecoveryPhrase() {
+    this.showKeyModal('export');
+    await this.revealRecoveryPhrase();
+  }
+  
+  /**
+   * Put the recovery phrase in the key modal, numbered four words per line
+   */
+  async revealRecoveryPhrase() {
+    const confirmed = confirm(
+      'Anyone who sees your recovery phrase can take over your identity. ' +
+      'Make sure nobody is watching your screen. Show it now?'
+    );
+    if (!confirmed) {
+      return;
+    }
+    
+    try {
+      const phrase = await this.onExportMnemonic?.();
+      if (!phrase) {
+        throw new Error('No identity keys found');
+      }
+      
+      const words = phrase.split(' ');
+      const lines = [];
+      for (let i = 0; i < words.length; i += 4) {
+        lines.push(words.slice(i, i + 4)
+          .map((word, j) => `${String(i + j + 1).padStart(2, ' ')}. ${word.padEnd(9, ' ')}`)
+          .join(' ')
+          .trimEnd());
+      }
+      
+      const keyTextarea = document.getElementById('key-textarea');
+      keyTextarea.value = lines.join('\n');
+      document.getElementById('copy-keys-btn').style.display = 'block';
+      this.setKeyModalHint('Write these 24 words down in order and keep them offline. They restore this identity on any device.');
+    } catch (error) {
+      this.setKeyModalHint(`Cannot show recovery phrase: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * Set the key modal hint line
+   * 
+   * @param {string} text - Hint text
+   * @param {boolean} isError - Show as an error
+   */
+  setKeyModalHint(text, isError = false) {
+    const hint = document.getElementById('key-modal-hint');
+    hint.textContent = text;
+    hint.classList.toggle('error-message', isError);
   }
   
   /**
@@ -216,6 +328,11 @@ export class UIManager {
   hideKeyModal() {
     const modal = document.getElementById('key-modal');
     modal.classList.add('hidden');
+    
+    // Don't leave secrets sitting in the DOM
+    document.getElementById('key-textarea').value = '';
+    document.getElementById('key-passphrase').value = '';
+    document.getElementById('key-passphrase-confirm').value = '';
   }
   
   /**
@@ -224,9 +341,13 @@ export class UIManager {
   setupModalHandlers() {
     const modal = document.getElementById('key-modal');
     const closeModalBtn = document.getElementById('close-modal');
+    const encryptBtn = document.getElementById('encrypt-export-btn');
+    const plainBtn = document.getElementById('plain-export-btn');
     const copyBtn = document.getElementById('copy-keys-btn');
     const importBtn = document.getElementById('import-keys-btn');
     const keyTextarea = document.getElementById('key-textarea');
+    const passphraseInput = document.getElementById('key-passphrase');
+    const confirmInput = document.getElementById('key-passphrase-confirm');
     
     closeModalBtn.addEventListener('click', () => {
       this.hideKeyModal();
@@ -239,6 +360,47 @@ export class UIManager {
       }
     });
     
+    // Encrypted export
+    encryptBtn.addEventListener('click', async () => {
+      const passphrase = passphraseInput.value;
+      const invalid = validateNewPassphrase(passphrase, confirmInput.value);
+      if (invalid) {
+        this.setKeyModalHint(invalid, true);
+        return;
+      }
+      
+      try {
+        this.setKeyModalHint('Encrypting...');
+        const keyData = await this.onExportKeys?.(passphrase);
+        keyTextarea.value = JSON.stringify(keyData, null, 2);
+        copyBtn.style.display = 'block';
+        this.setKeyModalHint('Encrypted backup ready. The passphrase cannot be recovered - keep it safe.');
+      } catch (error) {
+        this.setKeyModalHint(`Export failed: ${error.message}`, true);
+      }
+    });
+    
+    // Plain export needs an explicit confirmation
+    plainBtn.addEventListener('click', async () => {
+      const confirmed = confirm(
+        'UNSAFE: the backup will contain your private key in plain text. ' +
+        'Anyone who sees it can impersonate you. Export anyway?'
+      );
+      if (!confirmed) {
+        return;
+      }
+      
+      const keyData = await this.onExportKeys?.();
+      keyTextarea.value = JSON.stringify(keyData, null, 2);
+      copyBtn.style.display = 'block';
+      this.setKeyModalHint('Unencrypted backup - store it somewhere private.', true);
+    });
+    
+    // Recovery phrase
+    document.getElementById('recovery-phrase-btn').addEventListener('click', () => {
+      this.revealRecoveryPhrase();
+    });
+    
     // Copy to clipboard
     copyBtn.addEventListener('click', async () => {
       try {
@@ -252,17 +414,89 @@ export class UIManager {
     
     // Import keys
     importBtn.addEventListener('click', async () => {
+      const text = keyTextarea.value.trim();
+      let keyData;
+      if (/^[a-z\d.)\s]+$/i.test(text)) {
+        // Looks like a recovery phrase rather than a JSON backup
+        keyData = { mnemonic: text };
+      } else {
+        try {
+          keyData = JSON.parse(text);
+        } catch (error) {
+          this.setKeyModalHint('Invalid key data', true);
+          return;
+        }
+      }
+      
       try {
-        const keyData = JSON.parse(keyTextarea.value);
-        await this.onImportKeys?.(keyData);
+        this.setKeyModalHint('Importing...');
+        await this.onImportKeys?.(keyData, passphraseInput.value);
         this.terminal.displaySuccess('Keys imported successfully');
         this.hideKeyModal();
       } catch (error) {
-        this.terminal.displayError('Invalid key data');
+        this.setKeyModalHint(error.message || 'Invalid key data', true);
       }
     });
   }
   
+  /**
+   * Ask for a passphrase in a modal
+   * 
+   * @param {object} options - Prompt options
+   * @param {string} options.title - Modal title
+   * @param {string} options.message - Explanation shown above the input
+   * @param {boolean} options.isNew - Choosing a new passphrase (asks twice, checks length)
+   * @param {string} options.error - Error from a previous attempt
+   * @returns {Promise<string|null>} Passphrase, or null if cancelled
+   */
+  promptPassphrase({ title = 'Enter Passphrase', message = '', isNew = false, error = '' } = {}) {
+    const modal = document.getElementById('passphrase-modal');
+    const form = document.getElementById('passphrase-form');
+    const input = document.getElementById('passphrase-input');
+    const confirmInput = document.getElementById('passphrase-confirm');
+    const errorEl = document.getElementById('passphrase-error');
+    const cancelBtn = document.getElementById('passphrase-cancel-btn');
+    
+    document.getElementById('passphrase-title').textContent = title;
+    document.getElementById('passphrase-message').textContent = message;
+    errorEl.textContent = error;
+    input.value = '';
+    input.autocomplete = isNew ? 'new-password' : 'current-password';
+    confirmInput.value = '';
+    confirmInput.style.display = isNew ? 'block' : 'none';
+    modal.classList.remove('hidden');
+    input.focus();
+    
+    return new Promise((resolve) => {
+      const finish = (passphrase) => {
+        form.removeEventListener('submit', onSubmit);
+        cancelBtn.removeEventListener('click', onCancel);
+        modal.classList.add('hidden');
+        input.value = '';
+        confirmInput.value = '';
+        resolve(passphrase);
+      };
+      
+      const onSubmit = (e) => {
+        e.preventDefault();
+        const passphrase = input.value;
+        const invalid = isNew
+          ? validateNewPassphrase(passphrase, confirmInput.value)
+          : (passphrase ? null : 'Passphrase is required');
+        if (invalid) {
+          errorEl.textContent = invalid;
+          return;
+        }
+        finish(passphrase);
+      };
+      
+      const onCancel = () => finish(null);
+      
+      form.addEventListener('submit', onSubmit);
+      cancelBtn.addEventListener('click', onCancel);
+    });
+  }
+  
   /**
    * Show notification
    * 
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+// jsdom has no TextEncoder
+import { encodeCbor, decodeCbor } from '../src/lib/cbor.js';
+
+describe('CBOR', () => {
+  test('round-trips JSON-like values', () => {
+    const value = {
+      type: 'm.room.message',
+      seq: 0,
+      lamport: 300,
+      origin_ts: 1700000000000,
+      offset: -25,
+      ratio: 0.5,
+      flags: [true, false, null],
+      content: { body: 'héllo 👋', msgtype: 'm.text' }
+    };
+
+    expect(decodeCbor(encodeCbor(value))).toEqual(value);
+  });
+
+  test('encodes known RFC 8949 examples', () => {
+    const hex = (value) => Buffer.from(encodeCbor(value)).toString('hex');
+
+    expect(hex(10)).toBe('0a');
+    expect(hex(1000)).toBe('1903e8');
+    expect(hex(-100)).toBe('3863');
+    expect(hex(1.1)).toBe('fb3ff199999999999a');
+    expect(hex('IETF')).toBe('6449455446');
+    expect(hex([1, [2, 3]])).toBe('8201820203');
+    expect(hex({ a: 1 })).toBe('a1616101');
+  });
+
+  test('keeps byte strings as bytes', () => {
+    const decoded = decodeCbor(encodeCbor({ data: new Uint8Array([1, 2, 3]) }));
+    expect(decoded.data).toEqual(new Uint8Array([1, 2, 3]));
+  });
+
+  test('drops undefined members like JSON.stringify', () => {
+    expect(decodeCbor(encodeCbor({ a: 1, b: undefined }))).toEqual({ a: 1 });
+  });
+
+  test('decodes half-precision floats', () => {
+    expect(decodeCbor(new Uint8Array([0xf9, 0x3c, 0x00]))).toBe(1);
+    expect(decodeCbor(new Uint8Array([0xf9, 0x7c, 0x00]))).toBe(Infinity);
+  });
+
+  test('rejects malformed or unsupported input', () => {
+    const encoded = encodeCbor({ body: 'hello' });
+
+    expect(() => decodeCbor(encoded.subarray(0, encoded.length - 1))).toThrow('Truncated');
+    expect(() => decodeCbor(new Uint8Array([...encoded, 0]))).toThrow('Unexpected bytes');
+    expect(() => decodeCbor(new Uint8Array([0x9f, 0xff]))).toThrow('Indefinite-length');
+    expect(() => decodeCbor(new Uint8Array([0xc1, 0x00]))).toThrow('tags');
+    expect(() => decodeCbor(new Uint8Array([0xa1, 0x01, 0x01]))).toThrow('keys must be strings');
+  });
+
+  test('limits nesting depth', () => {
+    const deep = new Uint8Array(100).fill(0x81);
+    expect(() => decodeCbor(deep)).toThrow('nested too deeply');
+  });
+
+  test('does not let __proto__ keys touch the prototype', () => {
+    const decoded = decodeCbor(new Uint8Array([0xa1, 0x69, ...Buffer.from('__proto__'), 0xa1, 0x61, 0x78, 0x01]));
+
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(decoded.x).toBeUndefined();
+  });
+});
@@ -0,0 +1,213 @@
+import { ChannelManager, normalizeChannel, channelTopic, CHANNEL_TOPIC_PREFIX } from '../src/lib/channels.js';
+import { fromString as uint8ArrayFromString, toString as uint8ArrayToString } from 'uint8arrays';
+import { jest } from '@jest/globals';
+
+// Minimal gossipsub stand-in
+class MockPubsub extends EventTarget {
+  constructor() {
+    super();
+    this.topics = new Set();
+    this.subscribers = new Map();
+    this.published = [];
+  }
+
+  subscribe(topic) {
+    this.topics.add(topic);
+  }
+
+  unsubscribe(topic) {
+    this.topics.delete(topic);
+  }
+
+  getSubscribers(topic) {
+    return (this.subscribers.get(topic) || []).map(id => ({ toString: () => id }));
+  }
+
+  async publish(topic, data) {
+    this.published.push({ topic, data });
+  }
+
+  deliver(topic, event, from) {
+    this.dispatchEvent(new CustomEvent('message', {
+      detail: { topic, data: uint8ArrayFromString(JSON.stringify(event)), from: { toString: () => from } }
+    }));
+  }
+}
+
+class MockEventEmitter extends EventTarget {
+  emit(event, data) {
+    this.dispatchEvent(new CustomEvent(event, { detail: data }));
+  }
+}
+
+describe('channels', () => {
+  describe('normalizeChannel / channelTopic', () => {
+    test('normalizes names case-insensitively', () => {
+      expect(normalizeChannel('General')).toBe('#general');
+      expect(normalizeChannel('#general')).toBe('#general');
+    });
+
+    test('rejects empty names', () => {
+      expect(() => normalizeChannel('#')).toThrow('Channel name cannot be empty');
+    });
+
+    test('derives a namespaced topic', () => {
+      expect(channelTopic('#General')).toBe(`${CHANNEL_TOPIC_PREFIX}general`);
+    });
+  });
+
+  describe('ChannelManager', () => {
+    let pubsub;
+    let storage;
+    let chatProtocol;
+    let events;
+    let channels;
+
+    beforeEach(() => {
+      pubsub = new MockPubsub();
+      storage = { addMessage: jest.fn(() => true), nextLamport: jest.fn(() => 1) };
+      events = new MockEventEmitter();
+      chatProtocol = {
+        generateEventId: jest.fn(() => 'evt1'),
+        signEvent: jest.fn(async (event) => ({ ...event, signature: 'sig' })),
+        verifyIncomingEvent: jest.fn(async (event, peerId) => event.sender === peerId),
+        isBlocked: jest.fn((peerId) => peerId === 'blocked-peer'),
+        validateIncomingEvent: jest.fn((event) => typeof event.content?.body === 'string'),
+        applyMessageChange: jest.fn(async () => ({ event_id: 'evt1' }))
+      };
+      const node = { peerId: { toString: () => 'local-peer' }, services: { pubsub } };
+      channels = new ChannelManager(node, chatProtocol, storage, events);
+    });
+
+    test('join and leave subscribe to the channel topic', () => {
+      expect(channels.join('General')).toBe('#general');
+      expect(pubsub.topics.has(channelTopic('#general'))).toBe(true);
+      expect(channels.getChannels()).toEqual(['#general']);
+
+      expect(channels.leave('#general')).toBe(true);
+      expect(pubsub.topics.size).toBe(0);
+      expect(channels.leave('#general')).toBe(false);
+    });
+
+    test('publishes signed messages to the topic', async () => {
+      channels.join('#general');
+
+      const message = await channels.publish('#general', 'Hello all');
+
+      expect(chatProtocol.signEvent).toHaveBeenCalled();
+      expect(message.room_id).toBe('#general');
+      expect(message.lamport).toBe(1);
+      expect(pubsub.published).toHaveLength(1);
+      expect(pubsub.published[0].topic).toBe(channelTopic('#general'));
+      expect(JSON.parse(uint8ArrayToString(pubsub.published[0].data))).toEqual(message);
+      expect(storage.addMessage).toHaveBeenCalledWith('#general', message);
+    });
+
+    test('publishes replies with a reference to the parent', async () => {
+      channels.join('#general');
+
+      const message = await channels.publish('#general', 'Agreed', { replyTo: 'evt0' });
+
+      expect(message.content['m.relates_to']).toEqual({ 'm.in_reply_to': { event_id: 'evt0' } });
+    });
+
+    test('refuses to publish to channels we are not in', async () => {
+      await expect(channels.publish('#general', 'Hello')).rejects.toThrow('Not in channel #general');
+    });
+
+    test('stores and emits verified channel messages', async () => {
+      channels.join('#general');
+      const received = jest.fn();
+      events.addEventListener('message:received', received);
+
+      const event = { type: 'm.room.message', sender: 'remote-peer', room_id: '#general', content: { body: 'Hi' } };
+      pubsub.deliver(channelTopic('#general'), event, 'remote-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chatProtocol.verifyIncomingEvent).toHaveBeenCalledWith(event, 'remote-peer');
+      expect(storage.addMessage).toHaveBeenCalledWith('#general', event);
+      expect(received).toHaveBeenCalled();
+    });
+
+    test('drops messages that fail verification or target another room', async () => {
+      channels.join('#general');
+
+      pubsub.deliver(channelTopic('#general'),
+        { type: 'm.room.message', sender: 'someone-else', room_id: '#general' }, 'remote-peer');
+      pubsub.deliver(channelTopic('#general'),
+        { type: 'm.room.message', sender: 'remote-peer', room_id: '#other' }, 'remote-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(storage.addMessage).not.toHaveBeenCalled();
+    });
+
+    test('drops malformed messages before verifying them', async () => {
+      channels.join('#general');
+
+      pubsub.deliver(channelTopic('#general'),
+        { type: 'm.room.message', sender: 'remote-peer', room_id: '#general', content: {} }, 'remote-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chatProtocol.validateIncomingEvent).toHaveBeenCalled();
+      expect(chatProtocol.verifyIncomingEvent).not.toHaveBeenCalled();
+      expect(storage.addMessage).not.toHaveBeenCalled();
+    });
+
+    test('logs messages that fail to store', async () => {
+      channels.join('#general');
+      storage.addMessage.mockRejectedValueOnce(new Error('QuotaExceededError'));
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      pubsub.deliver(channelTopic('#general'),
+        { type: 'm.room.message', sender: 'remote-peer', room_id: '#general', content: { body: 'Hi' } }, 'remote-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(consoleError).toHaveBeenCalledWith('[Channels] Failed to handle message:', expect.any(Error));
+      consoleError.mockRestore();
+    });
+
+    test('publishes edits and applies verified ones from the topic', async () => {
+      channels.join('#general');
+      const change = { type: 'm.room.edit', sender: 'local-peer', room_id: '#general', content: { relates_to: 'evt1', body: 'Hi!' } };
+
+      await channels.publishChange('#general', change);
+      expect(JSON.parse(uint8ArrayToString(pubsub.published[0].data))).toEqual(change);
+      expect(chatProtocol.applyMessageChange).toHaveBeenCalledWith(change);
+
+      const remote = { ...change, sender: 'remote-peer' };
+      pubsub.deliver(channelTopic('#general'), remote, 'remote-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chatProtocol.verifyIncomingEvent).toHaveBeenCalledWith(remote, 'remote-peer');
+      expect(chatProtocol.applyMessageChange).toHaveBeenLastCalledWith(remote);
+      expect(storage.addMessage).not.toHaveBeenCalled();
+    });
+
+    test('drops messages from blocked peers', async () => {
+      channels.join('#general');
+
+      pubsub.deliver(channelTopic('#general'),
+        { type: 'm.room.message', sender: 'blocked-peer', room_id: '#general' }, 'blocked-peer');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chatProtocol.verifyIncomingEvent).not.toHaveBeenCalled();
+      expect(storage.addMessage).not.toHaveBeenCalled();
+    });
+
+    test('reports channel members on subscription changes', () => {
+      channels.join('#general');
+      pubsub.subscribers.set(channelTopic('#general'), ['peer-a', 'peer-b']);
+      const membersChanged = jest.fn();
+      events.addEventListener('channel:members', membersChanged);
+
+      pubsub.dispatchEvent(new CustomEvent('subscription-change', {
+        detail: { peerId: 'peer-b', subscriptions: [{ topic: channelTopic('#general'), subscribe: true }] }
+      }));
+
+      expect(membersChanged.mock.calls[0][0].detail).toEqual({
+        channel: '#general',
+        members: ['peer-a', 'peer-b']
+      });
+    });
+  });
+});
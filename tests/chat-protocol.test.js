@@ -1,5 +1,11 @@
-import { ChatProtocol, CHAT_PROTOCOL } from '../src/lib/chat-protocol.js';
+import { ChatProtocol, CHAT_PROTOCOL, CHAT_PROTOCOL_V1, CHAT_PROTOCOLS, negotiateCapabilities } from '../src/lib/chat-protocol.js';
+import { signEvent } from '../src/lib/event-signing.js';
+import { createMigrationStatement } from '../src/lib/identity-migration.js';
+import { generateKeyPair } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
 import { jest } from '@jest/globals';
+import { pipe } from 'it-pipe';
+import { encodeFrame, compressFrame, decodeFrame } from '../src/lib/frame-codec.js';
 
 // Mock dependencies
 const mockPushable = {
@@ -26,18 +32,34 @@ jest.mock('it-length-prefixed', () => ({
 class MockStorage {
   constructor() {
     this.messages = {};
+    this.clock = 0;
   }
   
   addMessage(roomId, message) {
     if (!this.messages[roomId]) {
       this.messages[roomId] = [];
     }
+    if (message.event_id && this.messages[roomId].some(m => m.event_id === message.event_id)) {
+      return false;
+    }
     this.messages[roomId].push(message);
+    return true;
+  }
+  
+  nextLamport() {
+    return ++this.clock;
   }
   
   getMessages(roomId) {
     return this.messages[roomId] || [];
   }
+  
+  updateMessageStatus(roomId, eventId, status, ownPeerId) {
+    const message = this.getMessages(roomId).find(m => m.event_id === eventId);
+    if (!message || message.sender !== ownPeerId) return false;
+    message.unsigned = { ...message.unsigned, status };
+    return true;
+  }
 }
 
 // Mock event emitter
@@ -79,13 +101,24 @@ describe('ChatProtocol', () => {
   let mockNode;
   let mockStorage;
   let mockEventEmitter;
+  let privateKey;
+  let remoteKey;
+  let remotePeerId;
+  let dmRoomId;
+  
+  beforeAll(async () => {
+    privateKey = await generateKeyPair('Ed25519');
+    remoteKey = await generateKeyPair('Ed25519');
+    remotePeerId = peerIdFromPrivateKey(remoteKey).toString();
+    dmRoomId = await ChatProtocol.generateRoomId('QmSelf', remotePeerId);
+  });
   
   beforeEach(() => {
     jest.clearAllMocks();
     mockNode = createMockNode();
     mockStorage = new MockStorage();
     mockEventEmitter = new MockEventEmitter();
-    chatProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter);
+    chatProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter, { privateKey });
   });
   
   describe('initialization', () => {
@@ -155,7 +188,7 @@ describe('ChatProtocol', () => {
     test('opens new stream to peer', async () => {
       const session = await chatProtocol.openStream('QmPeer123');
       
-      expect(mockNode.dialProtocol).toHaveBeenCalledWith('QmPeer123', CHAT_PROTOCOL);
+      expect(mockNode.dialProtocol).toHaveBeenCalledWith('QmPeer123', CHAT_PROTOCOLS);
       expect(chatProtocol.sessions.has('QmPeer123')).toBe(true);
     });
     
@@ -198,6 +231,15 @@ describe('ChatProtocol', () => {
       
       expect(message.origin_ts).toBeDefined();
       expect(message.event_id).toBeDefined();
+      expect(message.lamport).toBe(1);
+      expect(typeof message.signature).toBe('string');
+    });
+    
+    test('refuses to send without a private key', async () => {
+      const unsignedProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter);
+      
+      await expect(unsignedProtocol.sendMessage('QmPeer123', 'Test', 'room123'))
+        .rejects.toThrow('No private key available for signing');
     });
     
     test('stores message in history', async () => {
@@ -206,6 +248,7 @@ describe('ChatProtocol', () => {
       const messages = mockStorage.getMessages('room123');
       expect(messages).toHaveLength(1);
       expect(messages[0].content.body).toBe('Test message');
+      expect(messages[0].unsigned.status).toBe('sent');
     });
     
     test('emits message sent event', async () => {
@@ -237,27 +280,195 @@ describe('ChatProtocol', () => {
   
   describe('message handlers', () => {
     test('handles chat messages', async () => {
-      const message = {
+      const message = await signEvent({
         type: 'm.room.message',
-        sender: 'QmPeer123',
-        room_id: 'room123',
+        sender: remotePeerId,
+        room_id: dmRoomId,
         content: { body: 'Hello' }
-      };
+      }, remoteKey);
       
       const eventPromise = new Promise(resolve => {
         mockEventEmitter.addEventListener('message:received', resolve);
       });
       
-      await chatProtocol.handleMessage(message, 'QmPeer123');
+      await chatProtocol.handleMessage(message, remotePeerId);
       
       const event = await eventPromise;
       expect(event.detail).toEqual(message);
       
       // Should store in history
-      const messages = mockStorage.getMessages('room123');
+      const messages = mockStorage.getMessages(dmRoomId);
       expect(messages).toHaveLength(1);
     });
     
+    test('rejects unsigned chat messages', async () => {
+      const message = {
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        content: { body: 'Hello' }
+      };
+      
+      const eventPromise = new Promise(resolve => {
+        mockEventEmitter.addEventListener('message:rejected', resolve);
+      });
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      
+      const event = await eventPromise;
+      expect(event.detail.reason).toBe('unsigned');
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(0);
+    });
+    
+    test('rejects messages whose sender is not the remote peer', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        content: { body: 'Hello' }
+      }, remoteKey);
+      
+      const eventPromise = new Promise(resolve => {
+        mockEventEmitter.addEventListener('message:rejected', resolve);
+      });
+      
+      await chatProtocol.handleMessage(message, 'QmOtherPeer');
+      
+      const event = await eventPromise;
+      expect(event.detail.reason).toBe('sender_mismatch');
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(0);
+    });
+    
+    test('rejects chat messages for rooms other than the DM with the peer', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: '#general',
+        content: { body: 'Hello' }
+      }, remoteKey);
+      
+      const eventPromise = new Promise(resolve => {
+        mockEventEmitter.addEventListener('message:rejected', resolve);
+      });
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      
+      const event = await eventPromise;
+      expect(event.detail.reason).toBe('wrong_room');
+      expect(mockStorage.getMessages('#general')).toHaveLength(0);
+    });
+    
+    test('holds chat messages from peers that are not contacts', async () => {
+      const strangerProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter, {
+        privateKey,
+        isContact: () => false
+      });
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        event_id: 'evt1',
+        content: { body: 'Hello' }
+      }, remoteKey);
+      
+      const received = jest.fn();
+      mockEventEmitter.addEventListener('message:received', received);
+      const eventPromise = new Promise(resolve => {
+        mockEventEmitter.addEventListener('message:held', resolve);
+      });
+      jest.spyOn(strangerProtocol, 'sendReceipt').mockResolvedValue({});
+      
+      await strangerProtocol.handleMessage(message, remotePeerId);
+      
+      const event = await eventPromise;
+      expect(event.detail).toEqual({ peerId: remotePeerId, message });
+      expect(received).not.toHaveBeenCalled();
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(0);
+    });
+    
+    test('sends a delivery receipt for received chat messages', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        event_id: 'evt1',
+        content: { body: 'Hello' }
+      }, remoteKey);
+      
+      const sendReceipt = jest.spyOn(chatProtocol, 'sendReceipt').mockResolvedValue({});
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      
+      expect(sendReceipt).toHaveBeenCalledWith(remotePeerId, dmRoomId, ['evt1'], 'delivered');
+    });
+    
+    test('acknowledges but does not re-emit duplicate events', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        event_id: 'evt1',
+        content: { body: 'Hello' }
+      }, remoteKey);
+      
+      const sendReceipt = jest.spyOn(chatProtocol, 'sendReceipt').mockResolvedValue({});
+      const received = jest.fn();
+      mockEventEmitter.addEventListener('message:received', received);
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      await chatProtocol.handleMessage(message, remotePeerId);
+      
+      expect(received).toHaveBeenCalledTimes(1);
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(1);
+      expect(sendReceipt).toHaveBeenCalledTimes(2);
+    });
+    
+    test('handles receipts for our messages', async () => {
+      mockStorage.addMessage(dmRoomId, { event_id: 'evt1', sender: 'QmSelf', unsigned: { status: 'sent' } });
+      mockStorage.addMessage(dmRoomId, { event_id: 'evt2', sender: remotePeerId });
+      
+      const receipt = await signEvent({
+        type: 'm.receipt',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        content: { receipt_type: 'read', event_ids: ['evt1', 'evt2', 'unknown'] }
+      }, remoteKey);
+      
+      const eventPromise = new Promise(resolve => {
+        mockEventEmitter.addEventListener('message:receipt', resolve);
+      });
+      
+      await chatProtocol.handleMessage(receipt, remotePeerId);
+      
+      const event = await eventPromise;
+      expect(event.detail).toEqual({
+        peerId: remotePeerId,
+        roomId: dmRoomId,
+        eventIds: ['evt1'],
+        receiptType: 'read'
+      });
+      expect(mockStorage.getMessages(dmRoomId)[0].unsigned.status).toBe('read');
+      expect(mockStorage.getMessages(dmRoomId)[1].unsigned).toBeUndefined();
+    });
+    
+    test('ignores receipts for rooms other than the DM with the peer', async () => {
+      mockStorage.addMessage('#general', { event_id: 'evt1', sender: 'QmSelf', unsigned: { status: 'sent' } });
+      const received = jest.fn();
+      mockEventEmitter.addEventListener('message:receipt', received);
+      
+      const receipt = await signEvent({
+        type: 'm.receipt',
+        sender: remotePeerId,
+        room_id: '#general',
+        content: { receipt_type: 'read', event_ids: ['evt1'] }
+      }, remoteKey);
+      
+      await chatProtocol.handleMessage(receipt, remotePeerId);
+      
+      expect(received).not.toHaveBeenCalled();
+      expect(mockStorage.getMessages('#general')[0].unsigned.status).toBe('sent');
+    });
+    
     test('handles handshake messages', async () => {
       const message = {
         type: 'hello',
@@ -295,7 +506,112 @@ describe('ChatProtocol', () => {
       expect(event.detail.nickname).toBe('Alice');
     });
     
-    test('ignores unknown message types', async () => {
+    test('emits verified identity migrations', async () => {
+      const newPeerId = peerIdFromPrivateKey(await generateKeyPair('Ed25519')).toString();
+      const statement = await createMigrationStatement(remoteKey, remotePeerId, newPeerId);
+      const migrated = jest.fn();
+      mockEventEmitter.addEventListener('identity:migrate', migrated);
+      
+      // Arrives from the new identity after the friend restarted
+      await chatProtocol.handleMessage(statement, newPeerId);
+      
+      expect(migrated).toHaveBeenCalledTimes(1);
+      expect(migrated.mock.calls[0][0].detail).toMatchObject({ oldPeerId: remotePeerId, newPeerId });
+    });
+    
+    test('rejects identity migrations signed by another key', async () => {
+      const newPeerId = peerIdFromPrivateKey(await generateKeyPair('Ed25519')).toString();
+      const forged = await createMigrationStatement(privateKey, remotePeerId, newPeerId);
+      const migrated = jest.fn();
+      mockEventEmitter.addEventListener('identity:migrate', migrated);
+      
+      await chatProtocol.handleMessage(forged, remotePeerId);
+      
+      expect(migrated).not.toHaveBeenCalled();
+    });
+    
+    test('emits signed contact requests', async () => {
+      const request = await signEvent({
+        type: 'm.contact.request',
+        sender: remotePeerId,
+        content: { nickname: 'Bob', note: 'We met at the meetup' }
+      }, remoteKey);
+      const requested = jest.fn();
+      mockEventEmitter.addEventListener('contact:request', requested);
+      
+      await chatProtocol.handleMessage(request, remotePeerId);
+      
+      expect(requested).toHaveBeenCalledTimes(1);
+      expect(requested.mock.calls[0][0].detail).toMatchObject({
+        peerId: remotePeerId,
+        nickname: 'Bob',
+        note: 'We met at the meetup'
+      });
+    });
+    
+    test('rejects unsigned contact answers', async () => {
+      const accepted = jest.fn();
+      mockEventEmitter.addEventListener('contact:accept', accepted);
+      
+      await chatProtocol.handleMessage({
+        type: 'm.contact.accept',
+        sender: remotePeerId,
+        content: { nickname: 'Bob' }
+      }, remotePeerId);
+      
+      expect(accepted).not.toHaveBeenCalled();
+    });
+    
+    test('sends signed contact events', async () => {
+      const event = await chatProtocol.sendContactEvent('QmPeer123', 'm.contact.request', {
+        nickname: 'Alice',
+        note: 'x'.repeat(500)
+      });
+      
+      expect(event).toMatchObject({ type: 'm.contact.request', sender: 'QmSelf', content: { nickname: 'Alice' } });
+      expect(event.content.note).toHaveLength(280);
+      expect(typeof event.signature).toBe('string');
+      await expect(chatProtocol.sendContactEvent('QmPeer123', 'm.contact.poke')).rejects.toThrow('Unknown contact event type');
+    });
+    
+    test('rejects and counts malformed events', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        content: { msgtype: 'm.text' }
+      }, remoteKey);
+      const received = jest.fn();
+      const rejected = jest.fn();
+      mockEventEmitter.addEventListener('message:received', received);
+      mockEventEmitter.addEventListener('message:rejected', rejected);
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      await chatProtocol.handleMessage({ type: 'm.typing', typing: 'yes' }, remotePeerId);
+      
+      expect(received).not.toHaveBeenCalled();
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(0);
+      expect(rejected.mock.calls[0][0].detail.reason).toBe('event.content.body is required');
+      expect(rejected.mock.calls[1][0].detail.reason).toBe('event.typing must be boolean');
+      expect(chatProtocol.getInvalidEventCount(remotePeerId)).toBe(2);
+    });
+    
+    test('registers new event types with their schema', async () => {
+      const handler = jest.fn();
+      chatProtocol.registerEventType('m.poke', {
+        type: 'object',
+        required: ['strength'],
+        properties: { strength: { type: 'integer', minimum: 1 } }
+      }, handler);
+      
+      await chatProtocol.handleMessage({ type: 'm.poke', strength: 0 }, remotePeerId);
+      await chatProtocol.handleMessage({ type: 'm.poke', strength: 3 }, remotePeerId);
+      
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].strength).toBe(3);
+    });
+    
+        test('ignores unknown message types', async () => {
       const message = {
         type: 'unknown.type',
         data: 'some data'
@@ -307,6 +623,300 @@ describe('ChatProtocol', () => {
     });
   });
   
+  describe('blocked peers', () => {
+    beforeEach(() => {
+      chatProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter, {
+        privateKey,
+        isBlocked: (peerId) => peerId === remotePeerId
+      });
+    });
+    
+    test('refuses inbound streams', async () => {
+      const stream = { abort: jest.fn(), close: jest.fn() };
+      
+      await chatProtocol.handleIncomingStream({
+        stream,
+        connection: { remotePeer: { toString: () => remotePeerId } }
+      });
+      
+      expect(stream.abort).toHaveBeenCalled();
+      expect(chatProtocol.sessions.has(remotePeerId)).toBe(false);
+    });
+    
+    test('drops their events', async () => {
+      const message = await signEvent({
+        type: 'm.room.message',
+        sender: remotePeerId,
+        room_id: dmRoomId,
+        content: { body: 'Spam' }
+      }, remoteKey);
+      const received = jest.fn();
+      mockEventEmitter.addEventListener('message:received', received);
+      
+      await chatProtocol.handleMessage(message, remotePeerId);
+      
+      expect(received).not.toHaveBeenCalled();
+      expect(mockStorage.getMessages(dmRoomId)).toHaveLength(0);
+    });
+    
+    test('does not open streams to them', async () => {
+      await expect(chatProtocol.openStream(remotePeerId)).rejects.toThrow('Peer is blocked');
+    });
+  });
+  
+  describe('rate limiting', () => {
+    let session;
+    
+    const frame = (message) => new TextEncoder().encode(JSON.stringify(message));
+    
+    beforeEach(async () => {
+      // Keep the inbound pipe open so the session stays active
+      pipe.mockImplementation(() => new Promise(() => {}));
+      
+      chatProtocol = new ChatProtocol(mockNode, mockStorage, mockEventEmitter, {
+        privateKey,
+        rateLimits: {
+          peer: { capacity: 100, refillPerSecond: 0 },
+          types: { 'm.typing': { capacity: 2, refillPerSecond: 0 } },
+          maxStrikes: 2
+        }
+      });
+      session = await chatProtocol.openStream('QmPeer123');
+      await session.handleFrame(frame({ type: 'hello', sender: 'QmPeer123', capabilities: { v: 1, maxFrame: 131072 } }));
+    });
+    
+    afterEach(() => {
+      chatProtocol.closeAllSessions();
+      pipe.mockImplementation(async () => {});
+    });
+    
+    test('drops frames over the limit and emits peer:throttled', async () => {
+      const typing = jest.fn();
+      const throttled = jest.fn();
+      mockEventEmitter.addEventListener('peer:typing', typing);
+      mockEventEmitter.addEventListener('peer:throttled', throttled);
+      
+      for (let i = 0; i < 3; i++) {
+        await session.handleFrame(frame({ type: 'm.typing', typing: true }));
+      }
+      
+      expect(typing).toHaveBeenCalledTimes(2);
+      expect(throttled).toHaveBeenCalledTimes(1);
+      expect(throttled.mock.calls[0][0].detail).toMatchObject({ peerId: 'QmPeer123', type: 'm.typing', strikes: 1 });
+    });
+    
+    test('closes repeat offenders with a reason code', async () => {
+      const disconnected = jest.fn();
+      mockEventEmitter.addEventListener('chat:disconnected', disconnected);
+      
+      for (let i = 0; i < 4; i++) {
+        await session.handleFrame(frame({ type: 'm.typing', typing: true }));
+      }
+      
+      expect(session.isActive).toBe(false);
+      expect(chatProtocol.sessions.has('QmPeer123')).toBe(false);
+      expect(disconnected.mock.calls[0][0].detail).toEqual({ peerId: 'QmPeer123', reason: 'rate_limited', error: null });
+      
+      const bye = mockPushable.push.mock.calls.map(([data]) => JSON.parse(new TextDecoder().decode(data)));
+      expect(bye).toContainEqual({ type: 'bye', reason: 'rate_limited' });
+    });
+    
+    test('counts frames that fail to decode as strikes', async () => {
+      const throttled = jest.fn();
+      mockEventEmitter.addEventListener('peer:throttled', throttled);
+      
+      await session.handleFrame(new TextEncoder().encode('{not json'));
+      await session.handleFrame(new TextEncoder().encode('{not json'));
+      
+      expect(throttled.mock.calls[0][0].detail).toMatchObject({ peerId: 'QmPeer123', type: null, scope: 'invalid', strikes: 1 });
+      expect(session.isActive).toBe(false);
+    });
+  });
+  
+  describe('handshake', () => {
+    let session;
+    
+    const frame = (message) => new TextEncoder().encode(JSON.stringify(message));
+    const hello = (capabilities) => frame({ type: 'hello', sender: 'QmPeer123', capabilities });
+    const sent = () => mockPushable.push.mock.calls.map(([data]) => JSON.parse(new TextDecoder().decode(data)));
+    
+    beforeEach(async () => {
+      // Keep the inbound pipe open so the session stays active
+      pipe.mockImplementation(() => new Promise(() => {}));
+      session = await chatProtocol.openStream('QmPeer123');
+    });
+    
+    afterEach(() => {
+      chatProtocol.closeAllSessions();
+      pipe.mockImplementation(async () => {});
+    });
+    
+    test('advertises our capabilities', () => {
+      expect(sent()[0]).toMatchObject({
+        type: 'hello',
+        sender: 'QmSelf',
+        capabilities: { v: 1, minV: 1, maxFrame: 131072 }
+      });
+    });
+    
+    test('holds outgoing events until the peer hello arrives', async () => {
+      const sending = session.send({ type: 'm.typing', typing: true });
+      await Promise.resolve();
+      expect(sent().map(m => m.type)).toEqual(['hello']);
+      
+      await session.handleFrame(hello({ v: 1, maxFrame: 4096 }));
+      await sending;
+      
+      expect(session.state).toBe('open');
+      expect(session.negotiated).toEqual({ version: 1, maxFrame: 4096 });
+      expect(sent().map(m => m.type)).toEqual(['hello', 'm.typing']);
+    });
+    
+    test('reports the negotiated parameters', async () => {
+      const handshake = jest.fn();
+      mockEventEmitter.addEventListener('peer:handshake', handshake);
+      
+      await session.handleFrame(hello({ v: 1, maxFrame: 4096 }));
+      
+      expect(handshake.mock.calls[0][0].detail.negotiated).toEqual({ version: 1, maxFrame: 4096 });
+    });
+    
+    test('refuses to send frames over the negotiated size', async () => {
+      await session.handleFrame(hello({ v: 1, maxFrame: 4096 }));
+      
+      await expect(session.send({ type: 'm.typing', typing: true, pad: 'x'.repeat(5000) }))
+        .rejects.toThrow('Message too large');
+      expect(session.isActive).toBe(true);
+    });
+    
+    test('closes on inbound frames over our limit', async () => {
+      const disconnected = jest.fn();
+      mockEventEmitter.addEventListener('chat:disconnected', disconnected);
+      await session.handleFrame(hello({ v: 1, maxFrame: 131072 }));
+      
+      await session.handleFrame(new Uint8Array(131073));
+      
+      expect(session.isActive).toBe(false);
+      expect(disconnected.mock.calls[0][0].detail.reason).toBe('frame_too_large');
+    });
+    
+    test('closes incompatible peers with an explanation', async () => {
+      const disconnected = jest.fn();
+      mockEventEmitter.addEventListener('chat:disconnected', disconnected);
+      const pending = session.send({ type: 'm.typing', typing: true });
+      
+      await session.handleFrame(hello({ v: 3, minV: 2, maxFrame: 131072 }));
+      
+      expect(session.isActive).toBe(false);
+      expect(disconnected.mock.calls[0][0].detail).toMatchObject({
+        reason: 'incompatible',
+        error: expect.stringContaining('peer supports v2-v3')
+      });
+      expect(sent()).toContainEqual(expect.objectContaining({ type: 'bye', reason: 'incompatible' }));
+      await expect(pending).rejects.toThrow('incompatible protocol versions');
+    });
+    
+    test('closes peers that skip the hello', async () => {
+      const typing = jest.fn();
+      mockEventEmitter.addEventListener('peer:typing', typing);
+      
+      await session.handleFrame(frame({ type: 'm.typing', typing: true }));
+      
+      expect(typing).not.toHaveBeenCalled();
+      expect(session.closeReason).toBe('handshake_required');
+    });
+    
+    test('closes peers that never send a hello', async () => {
+      jest.useFakeTimers();
+      try {
+        const slow = new ChatProtocol(mockNode, mockStorage, mockEventEmitter, { privateKey, handshakeTimeout: 1000 });
+        const slowSession = await slow.openStream('QmPeer456');
+        
+        jest.advanceTimersByTime(1000);
+        
+        expect(slowSession.closeReason).toBe('handshake_timeout');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+    
+    test('negotiates the lower version and frame size', () => {
+      const local = { v: 2, minV: 1, maxFrame: 131072 };
+      
+      expect(negotiateCapabilities(local, { v: 1, maxFrame: 65536 })).toEqual({ ok: true, version: 1, maxFrame: 65536, compression: null });
+      expect(negotiateCapabilities(local, { v: 3, minV: 2, maxFrame: 262144 })).toEqual({ ok: true, version: 2, maxFrame: 131072, compression: null });
+      expect(negotiateCapabilities(local, { v: 1, maxFrame: 10 }).ok).toBe(false);
+      expect(negotiateCapabilities(local, {}).ok).toBe(false);
+    });
+    
+    test('uses compression only when both sides support it', () => {
+      const local = { v: 1, minV: 1, maxFrame: 131072, compression: ['deflate-raw'] };
+      
+      expect(negotiateCapabilities(local, { v: 1, maxFrame: 131072, compression: ['deflate-raw'] }).compression).toBe('deflate-raw');
+      expect(negotiateCapabilities(local, { v: 1, maxFrame: 131072, compression: ['zstd'] }).compression).toBeNull();
+      expect(negotiateCapabilities(local, { v: 1, maxFrame: 131072 }).compression).toBeNull();
+    });
+  });
+  
+  describe('protocol versions', () => {
+    afterEach(() => {
+      chatProtocol.closeAllSessions();
+      pipe.mockImplementation(async () => {});
+    });
+    
+    test('registers handlers for every chat protocol', () => {
+      for (const protocol of CHAT_PROTOCOLS) {
+        expect(mockNode.handle).toHaveBeenCalledWith(protocol, expect.any(Function), expect.any(Object));
+      }
+      expect(CHAT_PROTOCOLS[0]).toBe(CHAT_PROTOCOL);
+    });
+    
+    test('speaks CBOR when the peer picked v2', async () => {
+      pipe.mockImplementation(() => new Promise(() => {}));
+      mockNode.dialProtocol.mockImplementation(async () => ({ ...createMockStream(), protocol: '/chat/2.0.0' }));
+      
+      const session = await chatProtocol.openStream('QmPeer123');
+      
+      expect(session.format).toBe('cbor');
+      const [hello] = mockPushable.push.mock.calls[0];
+      await expect(decodeFrame(hello, 'cbor')).resolves.toMatchObject({ type: 'hello', sender: 'QmSelf' });
+      
+      const typing = jest.fn();
+      mockEventEmitter.addEventListener('peer:typing', typing);
+      await session.handleFrame(encodeFrame({ type: 'hello', sender: 'QmPeer123', capabilities: { v: 1, maxFrame: 131072 } }, 'cbor'));
+      await session.handleFrame(encodeFrame({ type: 'm.typing', typing: true }, 'cbor'));
+      expect(typing).toHaveBeenCalledTimes(1);
+    });
+    
+    test('applies maxFrame to frames before compression', async () => {
+      pipe.mockImplementation(() => new Promise(() => {}));
+      mockNode.dialProtocol.mockImplementation(async () => ({ ...createMockStream(), protocol: '/chat/2.0.0' }));
+      const session = await chatProtocol.openStream('QmPeer123');
+      await session.handleFrame(encodeFrame({ type: 'hello', sender: 'QmPeer123', capabilities: { v: 1, maxFrame: 4096, compression: ['deflate-raw'] } }, 'cbor'));
+      const large = { type: 'm.typing', typing: true, pad: 'x'.repeat(8000) };
+      const throttled = jest.fn();
+      mockEventEmitter.addEventListener('peer:throttled', throttled);
+      
+      const compressed = await compressFrame(encodeFrame(large, 'cbor'));
+      expect(compressed.byteLength).toBeLessThan(4096);
+      await session.handleFrame(compressed);
+      
+      expect(throttled.mock.calls[0][0].detail.scope).toBe('invalid');
+      await expect(session.send(large)).rejects.toThrow('Message too large');
+    });
+    
+    test('falls back to JSON frames on v1', async () => {
+      pipe.mockImplementation(() => new Promise(() => {}));
+      mockNode.dialProtocol.mockImplementation(async () => ({ ...createMockStream(), protocol: CHAT_PROTOCOL_V1 }));
+      
+      const session = await chatProtocol.openStream('QmPeer123');
+      
+      expect(session.format).toBe('json');
+      const [hello] = mockPushable.push.mock.calls[0];
+      expect(JSON.parse(new TextDecoder().decode(hello))).toMatchObject({ type: 'hello', sender: 'QmSelf' });
+    });
+  });
+  
   describe('session management', () => {
     test('closes session with peer', async () => {
       await chatProtocol.openStream('QmPeer123');
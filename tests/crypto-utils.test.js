@@ -0,0 +1,75 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  isEncryptedEnvelope,
+  ENVELOPE_VERSION,
+  MAX_KDF_ITERATIONS
+} from '../src/lib/crypto-utils.js';
+
+// Keep PBKDF2 cheap in tests
+const options = { iterations: 1000 };
+
+describe('crypto-utils', () => {
+  beforeAll(() => {
+    // jsdom lacks WebCrypto subtle and TextEncoder
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+    globalThis.TextEncoder ??= TextEncoder;
+    globalThis.TextDecoder ??= TextDecoder;
+  });
+
+  test('round-trips plaintext with the right passphrase', async () => {
+    const envelope = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    expect(envelope.version).toBe(ENVELOPE_VERSION);
+    expect(envelope.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 });
+    expect(envelope.cipher.name).toBe('AES-GCM');
+    expect(envelope.ciphertext).not.toContain('secret key');
+    await expect(decryptWithPassphrase(envelope, 'correct horse')).resolves.toBe('secret key');
+  });
+
+  test('uses a fresh salt and IV each time', async () => {
+    const a = await encryptWithPassphrase('secret key', 'correct horse', options);
+    const b = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    expect(a.kdf.salt).not.toBe(b.kdf.salt);
+    expect(a.cipher.iv).not.toBe(b.cipher.iv);
+    expect(a.ciphertext).not.toBe(b.ciphertext);
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    const envelope = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    await expect(decryptWithPassphrase(envelope, 'wrong horse'))
+      .rejects.toThrow('Wrong passphrase or corrupted data');
+  });
+
+  test('rejects unknown versions', async () => {
+    const envelope = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    await expect(decryptWithPassphrase({ ...envelope, version: 99 }, 'correct horse'))
+      .rejects.toThrow('Unsupported encryption version: 99');
+  });
+
+  test('rejects KDF iteration counts that are not positive or too large', async () => {
+    const envelope = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    for (const iterations of [0, -1, 1.5, '1000', MAX_KDF_ITERATIONS + 1]) {
+      await expect(decryptWithPassphrase({ ...envelope, kdf: { ...envelope.kdf, iterations } }, 'correct horse'))
+        .rejects.toThrow('Unsupported KDF iteration count');
+    }
+  });
+
+  test('requires a passphrase', async () => {
+    await expect(encryptWithPassphrase('secret key', '', options)).rejects.toThrow('Passphrase is required');
+  });
+
+  test('isEncryptedEnvelope distinguishes plain exports', async () => {
+    const envelope = await encryptWithPassphrase('secret key', 'correct horse', options);
+
+    expect(isEncryptedEnvelope(envelope)).toBe(true);
+    expect(isEncryptedEnvelope({ privateKey: 'abc', peerId: 'peer' })).toBe(false);
+    expect(isEncryptedEnvelope(null)).toBe(false);
+  });
+});
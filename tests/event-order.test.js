@@ -0,0 +1,28 @@
+import { compareEvents } from '../src/lib/event-order.js';
+
+describe('compareEvents', () => {
+  test('orders by Lamport clock before timestamp', () => {
+    const reply = { lamport: 2, origin_ts: 100, event_id: 'b' };
+    const original = { lamport: 1, origin_ts: 200, event_id: 'a' };
+
+    expect(compareEvents(original, reply)).toBeLessThan(0);
+    expect(compareEvents(reply, original)).toBeGreaterThan(0);
+  });
+
+  test('breaks ties by timestamp, then event ID', () => {
+    expect(compareEvents({ lamport: 1, origin_ts: 100 }, { lamport: 1, origin_ts: 200 })).toBeLessThan(0);
+    expect(compareEvents(
+      { lamport: 1, origin_ts: 100, event_id: 'b' },
+      { lamport: 1, origin_ts: 100, event_id: 'a' }
+    )).toBeGreaterThan(0);
+  });
+
+  test('sorts events without a clock by timestamp, before clocked events', () => {
+    expect(compareEvents({ origin_ts: 300 }, { origin_ts: 100 })).toBeGreaterThan(0);
+    expect(compareEvents({ origin_ts: 300 }, { lamport: 1, origin_ts: 100 })).toBeLessThan(0);
+  });
+
+  test('treats identical keys as equal', () => {
+    expect(compareEvents({ origin_ts: 100 }, { origin_ts: 100 })).toBe(0);
+  });
+});
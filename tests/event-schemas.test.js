@@ -0,0 +1,94 @@
+import { EventValidator, validateSchema, EVENT_SCHEMAS } from '../src/lib/event-schemas.js';
+
+describe('validateSchema', () => {
+  test('checks types, including unions and integers', () => {
+    expect(validateSchema('a', { type: 'string' })).toBeNull();
+    expect(validateSchema(null, { type: ['string', 'null'] })).toBeNull();
+    expect(validateSchema(1.5, { type: 'integer' }, 'n')).toBe('n must be integer');
+    expect(validateSchema(2, { type: 'number' })).toBeNull();
+    expect(validateSchema([], { type: 'object' }, 'o')).toBe('o must be object');
+  });
+
+  test('checks string, number and array limits', () => {
+    expect(validateSchema('abc', { type: 'string', maxLength: 2 }, 's')).toBe('s is too long');
+    expect(validateSchema('', { type: 'string', minLength: 1 }, 's')).toBe('s is too short');
+    expect(validateSchema('x', { type: 'string', enum: ['a', 'b'] }, 's')).toBe('s must be one of a, b');
+    expect(validateSchema(-1, { type: 'integer', minimum: 0 }, 'n')).toBe('n must be at least 0');
+    expect(validateSchema([1, 'a'], { type: 'array', items: { type: 'integer' } }, 'a')).toBe('a[1] must be integer');
+    expect(validateSchema([1, 2], { type: 'array', maxItems: 1 }, 'a')).toBe('a has too many items');
+  });
+
+  test('checks required and nested properties, allowing unknown fields', () => {
+    const schema = {
+      type: 'object',
+      required: ['content'],
+      properties: { content: { type: 'object', required: ['body'], properties: { body: { type: 'string' } } } }
+    };
+
+    expect(validateSchema({}, schema)).toBe('event.content is required');
+    expect(validateSchema({ content: { body: 1 } }, schema)).toBe('event.content.body must be string');
+    expect(validateSchema({ content: { body: 'hi', extra: true }, other: 1 }, schema)).toBeNull();
+  });
+});
+
+describe('EventValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new EventValidator();
+  });
+
+  test('has schemas for the built-in event types', () => {
+    ['hello', 'm.room.message', 'm.receipt', 'm.typing', 'm.nickname', 'm.contact.request', 'm.identity.migrate', 'm.room.edit', 'm.room.redaction']
+      .forEach(type => expect(validator.has(type)).toBe(true));
+  });
+
+  test('accepts well-formed events', () => {
+    expect(validator.validate({
+      type: 'm.room.message',
+      sender: 'peer1',
+      room_id: 'room1',
+      origin_ts: 1000,
+      event_id: 'evt1',
+      lamport: 3,
+      content: { msgtype: 'm.text', body: 'Hello', 'm.relates_to': { 'm.in_reply_to': { event_id: 'evt0' } } },
+      signature: 'sig'
+    })).toEqual({ valid: true });
+    expect(validator.validate({ type: 'hello', sender: 'peer1', capabilities: { v: 1 } })).toEqual({ valid: true });
+    expect(validator.validate({
+      type: 'm.room.edit', sender: 'peer1', room_id: 'room1', origin_ts: 1000, event_id: 'evt2',
+      content: { relates_to: 'evt1', body: 'Hello again' }
+    })).toEqual({ valid: true });
+    expect(validator.validate({
+      type: 'm.room.redaction', sender: 'peer1', room_id: 'room1', origin_ts: 1000, event_id: 'evt3',
+      content: { redacts: 'evt1', reason: null }
+    })).toEqual({ valid: true });
+  });
+
+  test('rejects malformed events with a reason', () => {
+    expect(validator.validate({ type: 'm.room.message', sender: 'peer1', room_id: 'room1', content: {} }))
+      .toEqual({ valid: false, reason: 'event.content.body is required' });
+    expect(validator.validate({ type: 'm.receipt', sender: 'p', room_id: 'r', content: { receipt_type: 'seen', event_ids: [] } }))
+      .toEqual({ valid: false, reason: 'event.content.receipt_type must be one of delivered, read' });
+    expect(validator.validate({
+      type: 'm.room.message', sender: 'p', room_id: 'r', content: { body: 'Hi', 'm.relates_to': { 'm.in_reply_to': {} } }
+    })).toEqual({ valid: false, reason: 'event.content.m.relates_to.m.in_reply_to.event_id is required' });
+    expect(validator.validate({ type: 'm.room.edit', sender: 'p', room_id: 'r', content: { body: 'Hi' } }))
+      .toEqual({ valid: false, reason: 'event.content.relates_to is required' });
+    expect(validator.validate('hello')).toEqual({ valid: false, reason: 'event.type must be a string' });
+  });
+
+  test('rejects types without a schema until one is registered', () => {
+    expect(validator.validate({ type: 'm.poke' })).toEqual({ valid: false, reason: 'no schema for m.poke' });
+
+    validator.register('m.poke', { type: 'object' });
+    expect(validator.validate({ type: 'm.poke' })).toEqual({ valid: true });
+  });
+
+  test('registering does not change the shared defaults', () => {
+    validator.register('m.typing', { type: 'object' });
+
+    expect(new EventValidator().validate({ type: 'm.typing' }).valid).toBe(false);
+    expect(EVENT_SCHEMAS['m.typing'].required).toEqual(['typing']);
+  });
+});
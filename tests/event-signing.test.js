@@ -0,0 +1,78 @@
+import { canonicalJson, signEvent, verifyEvent } from '../src/lib/event-signing.js';
+import { generateKeyPair } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
+
+describe('event signing', () => {
+  let privateKey;
+  let peerId;
+
+  beforeAll(async () => {
+    privateKey = await generateKeyPair('Ed25519');
+    peerId = peerIdFromPrivateKey(privateKey).toString();
+  });
+
+  const createEvent = (sender) => ({
+    type: 'm.room.message',
+    sender,
+    room_id: 'room123',
+    origin_ts: 1234567890,
+    event_id: 'evt_1',
+    content: { msgtype: 'm.text', body: 'Hello' }
+  });
+
+  describe('canonicalJson', () => {
+    test('sorts keys recursively', () => {
+      expect(canonicalJson({ b: 1, a: { d: 2, c: 3 } }))
+        .toBe('{"a":{"c":3,"d":2},"b":1}');
+    });
+
+    test('keeps array order', () => {
+      expect(canonicalJson([3, { b: 1, a: 2 }])).toBe('[3,{"a":2,"b":1}]');
+    });
+  });
+
+  describe('signEvent / verifyEvent', () => {
+    test('signed events verify against the sender', async () => {
+      const signed = await signEvent(createEvent(peerId), privateKey);
+
+      expect(typeof signed.signature).toBe('string');
+      await expect(verifyEvent(signed)).resolves.toEqual({ valid: true });
+    });
+
+    test('ignores local metadata when verifying', async () => {
+      const signed = await signEvent(createEvent(peerId), privateKey);
+      const stored = { ...signed, stored_at: Date.now(), unsigned: { status: 'read' } };
+
+      await expect(verifyEvent(stored)).resolves.toEqual({ valid: true });
+    });
+
+    test('rejects unsigned events', async () => {
+      const result = await verifyEvent(createEvent(peerId));
+      expect(result).toEqual({ valid: false, reason: 'unsigned' });
+    });
+
+    test('rejects tampered events', async () => {
+      const signed = await signEvent(createEvent(peerId), privateKey);
+      signed.content.body = 'Tampered';
+
+      const result = await verifyEvent(signed);
+      expect(result.reason).toBe('bad_signature');
+    });
+
+    test('rejects events claiming another sender', async () => {
+      const otherKey = await generateKeyPair('Ed25519');
+      const otherPeerId = peerIdFromPrivateKey(otherKey).toString();
+      const signed = await signEvent(createEvent(otherPeerId), privateKey);
+
+      const result = await verifyEvent(signed);
+      expect(result).toEqual({ valid: false, reason: 'bad_signature' });
+    });
+
+    test('rejects malformed sender IDs', async () => {
+      const signed = await signEvent(createEvent('not-a-peer-id'), privateKey);
+
+      const result = await verifyEvent(signed);
+      expect(result).toEqual({ valid: false, reason: 'invalid_sender' });
+    });
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * @jest-environment node
+ */
+// Needs Blob.arrayBuffer and crypto.subtle, which jsdom lacks
+import { FileTransfer, FILE_PROTOCOL, FILE_EVENT_SCHEMAS, CHUNK_SIZE, PAUSE_REASONS, sha256Hex, formatFileSize, transferPercent } from '../src/lib/file-transfer.js';
+import { MemoryTransferStore } from '../src/lib/transfer-store.js';
+import { validateSchema } from '../src/lib/event-schemas.js';
+import { jest } from '@jest/globals';
+import * as lp from 'it-length-prefixed';
+
+class MockEventEmitter extends EventTarget {
+  emit(event, data) {
+    this.dispatchEvent(new CustomEvent(event, { detail: data }));
+  }
+}
+
+// Stream whose source yields the given frames, length-prefixed
+const createStream = (frames) => {
+  const stream = {
+    source: (async function * () {
+      for (const frame of frames) {
+        yield lp.encode.single(frame).subarray();
+      }
+    })(),
+    replies: [],
+    sink: jest.fn(async (source) => {
+      for await (const data of source) {
+        stream.replies.push(data);
+      }
+    }),
+    abort: jest.fn()
+  };
+  return stream;
+};
+
+const collect = async (iterable) => {
+  const frames = [];
+  for await (const frame of iterable) {
+    frames.push(frame);
+  }
+  return frames;
+};
+
+const decodeReply = async (stream) => {
+  const [frame] = await collect(lp.decode(stream.replies));
+  return JSON.parse(new TextDecoder().decode(frame.subarray()));
+};
+
+describe('FileTransfer', () => {
+  const remotePeerId = 'QmRemotePeer123';
+  const connection = { remotePeer: { toString: () => remotePeerId } };
+  let node;
+  let chatProtocol;
+  let events;
+  let store;
+  let transfer;
+  let maxFileSize;
+  let autoAccept;
+
+  const offer = (content = {}) => ({
+    type: 'm.file.offer',
+    sender: remotePeerId,
+    content: {
+      transfer_id: 'transfer_1',
+      name: 'notes.txt',
+      size: 5,
+      mime: 'text/plain',
+      sha256: 'a'.repeat(64),
+      ...content
+    }
+  });
+
+  beforeEach(() => {
+    node = {
+      peerId: { toString: () => 'QmSelf' },
+      handle: jest.fn(),
+      dialProtocol: jest.fn()
+    };
+    let n = 0;
+    chatProtocol = {
+      registerEventType: jest.fn(),
+      generateEventId: jest.fn(() => `evt_${n++}`),
+      sendEvent: jest.fn(async () => {})
+    };
+    events = new MockEventEmitter();
+    store = new MemoryTransferStore();
+    maxFileSize = 1024;
+    autoAccept = false;
+    transfer = new FileTransfer(node, chatProtocol, events, {
+      store,
+      getMaxFileSize: () => maxFileSize,
+      shouldAutoAccept: () => autoAccept
+    });
+  });
+
+  test('registers the file protocol and offer/answer events', () => {
+    expect(node.handle).toHaveBeenCalledWith(FILE_PROTOCOL, expect.any(Function), expect.any(Object));
+    expect(chatProtocol.registerEventType.mock.calls.map(([type]) => type))
+      .toEqual(['m.file.offer', 'm.file.accept', 'm.file.decline', 'm.file.pause']);
+  });
+
+  test('offers name, size, mime and SHA-256', async () => {
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+    const outgoing = await transfer.offerFile(remotePeerId, file);
+
+    const [peerId, event] = chatProtocol.sendEvent.mock.calls[0];
+    expect(peerId).toBe(remotePeerId);
+    expect(event.type).toBe('m.file.offer');
+    expect(event.content).toEqual({
+      transfer_id: outgoing.id,
+      name: 'hello.txt',
+      size: 5,
+      mime: 'text/plain',
+      sha256: '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+    });
+    expect(validateSchema(event, FILE_EVENT_SCHEMAS['m.file.offer'])).toBeNull();
+    expect(outgoing.status).toBe('offered');
+  });
+
+  test('asks before accepting offers', async () => {
+    const offered = jest.fn();
+    events.addEventListener('file:offer', offered);
+
+    await transfer.handleOffer(offer(), remotePeerId);
+
+    expect(offered.mock.calls[0][0].detail.transfer).toMatchObject({ id: 'transfer_1', status: 'offered', direction: 'incoming' });
+    expect(chatProtocol.sendEvent).not.toHaveBeenCalled();
+  });
+
+  test('declines offers over the size limit', async () => {
+    maxFileSize = 4;
+
+    await transfer.handleOffer(offer(), remotePeerId);
+
+    expect(transfer.getTransfer('transfer_1')).toMatchObject({ status: 'declined', reason: 'too_large' });
+    const [, event] = chatProtocol.sendEvent.mock.calls[0];
+    expect(event).toMatchObject({ type: 'm.file.decline', content: { transfer_id: 'transfer_1', reason: 'too_large' } });
+  });
+
+  test('auto-accepts when allowed', async () => {
+    autoAccept = true;
+
+    await transfer.handleOffer(offer(), remotePeerId);
+
+    expect(transfer.getTransfer('transfer_1').status).toBe('accepted');
+    expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({ type: 'm.file.accept', content: { transfer_id: 'transfer_1', offset: 0 } });
+    expect(await store.getTransfers()).toEqual([
+      expect.objectContaining({ id: 'transfer_1', peerId: remotePeerId, size: 5 })
+    ]);
+  });
+
+  test('strips path separators from offered names', async () => {
+    await transfer.handleOffer(offer({ name: '../../etc/passwd' }), remotePeerId);
+
+    expect(transfer.getTransfer('transfer_1').name).toBe('.._.._etc_passwd');
+  });
+
+  test('ignores duplicate offers and malformed hashes', async () => {
+    await transfer.handleOffer(offer({ sha256: 'not-a-hash'.padEnd(64, '!') }), remotePeerId);
+    expect(transfer.getTransfers()).toHaveLength(0);
+
+    await transfer.handleOffer(offer(), remotePeerId);
+    await transfer.handleOffer(offer({ name: 'other.txt' }), 'QmSomeoneElse');
+    expect(transfer.getTransfer('transfer_1')).toMatchObject({ name: 'notes.txt', peerId: remotePeerId });
+  });
+
+  test('only the offered peer can accept or decline', async () => {
+    const outgoing = await transfer.offerFile(remotePeerId, new File(['hello'], 'hello.txt'));
+    transfer.sendFile = jest.fn();
+
+    await transfer.handleAccept({ content: { transfer_id: outgoing.id } }, 'QmSomeoneElse');
+    await transfer.handleDecline({ content: { transfer_id: outgoing.id } }, 'QmSomeoneElse');
+    expect(outgoing.status).toBe('offered');
+
+    await transfer.handleAccept({ content: { transfer_id: outgoing.id } }, remotePeerId);
+    expect(transfer.sendFile).toHaveBeenCalledWith(outgoing, 0);
+  });
+
+  test('reports declined offers', async () => {
+    const declined = jest.fn();
+    events.addEventListener('file:declined', declined);
+    const outgoing = await transfer.offerFile(remotePeerId, new File(['hello'], 'hello.txt'));
+
+    await transfer.handleDecline({ content: { transfer_id: outgoing.id, reason: 'too_large' } }, remotePeerId);
+
+    expect(outgoing).toMatchObject({ status: 'declined', reason: 'too_large' });
+    expect(outgoing.file).toBeUndefined();
+    expect(declined).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses data streams for transfers that were not accepted', async () => {
+    await transfer.handleOffer(offer(), remotePeerId);
+    const stream = createStream([new TextEncoder().encode(JSON.stringify({ transfer_id: 'transfer_1', offset: 0 }))]);
+
+    await transfer.handleIncomingStream({ stream, connection });
+
+    expect(stream.abort).toHaveBeenCalled();
+  });
+
+  describe('chunked transfers', () => {
+    const size = 2 * CHUNK_SIZE + 10;
+    let data;
+    let outgoing;
+    let incoming;
+
+    // Offer from a second instance so both ends run the real code
+    beforeEach(async () => {
+      maxFileSize = size;
+      data = new Uint8Array(size).map((_, i) => i % 251);
+      const sender = new FileTransfer(node, chatProtocol, new MockEventEmitter());
+      outgoing = await sender.offerFile(remotePeerId, new File([data], 'data.bin'));
+      outgoing.sender = sender;
+
+      await transfer.handleOffer({ content: chatProtocol.sendEvent.mock.calls[0][1].content }, remotePeerId);
+      await transfer.acceptTransfer(outgoing.id);
+      incoming = transfer.getTransfer(outgoing.id);
+      chatProtocol.sendEvent.mockClear();
+    });
+
+    const framesFrom = (offset) => collect(outgoing.sender.readChunks({ ...outgoing, bytes: offset }, offset));
+
+    test('checks every chunk and the whole file', async () => {
+      const complete = jest.fn();
+      events.addEventListener('file:complete', complete);
+      const stream = createStream(await framesFrom(0));
+
+      await transfer.handleIncomingStream({ stream, connection });
+
+      expect(await decodeReply(stream)).toEqual({ ok: true });
+      expect(incoming.status).toBe('complete');
+      const { blob } = complete.mock.calls[0][0].detail;
+      expect(new Uint8Array(await blob.arrayBuffer())).toEqual(data);
+      // Stored chunks are dropped once the file is handed over
+      expect(await store.getTransfers()).toEqual([]);
+    });
+
+    test('keeps the good chunks of a broken stream and resumes after them', async () => {
+      const frames = await framesFrom(0);
+      frames[2] = frames[2].slice();
+      // Flip a data byte of chunk 1 (frames: header, chunk 0, chunk 1, ...)
+      frames[2][40] ^= 0xff;
+      const broken = createStream(frames.slice(0, 3));
+
+      await transfer.handleIncomingStream({ stream: broken, connection });
+
+      expect(await decodeReply(broken)).toMatchObject({ ok: false, resume: true, error: 'chunk 1 failed its hash check' });
+      expect(incoming).toMatchObject({ status: 'paused', reason: PAUSE_REASONS.INTERRUPTED, bytes: CHUNK_SIZE });
+      expect(await store.countChunks(incoming.id)).toBe(1);
+
+      await transfer.resumeTransfer(incoming.id);
+      expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({
+        type: 'm.file.accept',
+        content: { transfer_id: incoming.id, offset: CHUNK_SIZE }
+      });
+
+      const resumed = createStream(await framesFrom(CHUNK_SIZE));
+      await transfer.handleIncomingStream({ stream: resumed, connection });
+
+      expect(await decodeReply(resumed)).toEqual({ ok: true });
+      expect(incoming.status).toBe('complete');
+    });
+
+    test('refuses streams that start somewhere else', async () => {
+      const stream = createStream((await framesFrom(CHUNK_SIZE)).slice(0, 1));
+
+      await transfer.handleIncomingStream({ stream, connection });
+
+      expect(stream.abort).toHaveBeenCalled();
+      expect(incoming.status).toBe('accepted');
+    });
+
+    test('restores saved transfers after a reload', async () => {
+      await transfer.handleIncomingStream({ stream: createStream((await framesFrom(0)).slice(0, 2)), connection });
+
+      const reloaded = new FileTransfer(node, chatProtocol, events, { store });
+      await reloaded.load();
+
+      expect(reloaded.getTransfer(incoming.id)).toMatchObject({
+        direction: 'incoming',
+        status: 'paused',
+        reason: PAUSE_REASONS.INTERRUPTED,
+        bytes: CHUNK_SIZE,
+        sha256: incoming.sha256
+      });
+    });
+
+    test('resumes interrupted downloads when the sender is back', async () => {
+      await transfer.handleIncomingStream({ stream: createStream((await framesFrom(0)).slice(0, 2)), connection });
+
+      transfer.resumeInterrupted(remotePeerId);
+      await Promise.resolve();
+
+      expect(incoming.status).toBe('accepted');
+      expect(chatProtocol.sendEvent.mock.calls[0][1].content).toEqual({ transfer_id: incoming.id, offset: CHUNK_SIZE });
+    });
+
+    test('resumes when the sender offers the transfer again', async () => {
+      await transfer.handleIncomingStream({ stream: createStream((await framesFrom(0)).slice(0, 2)), connection });
+
+      await transfer.handleOffer(offer({ transfer_id: incoming.id, size, sha256: incoming.sha256 }), remotePeerId);
+
+      expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({ type: 'm.file.accept', content: { offset: CHUNK_SIZE } });
+    });
+
+    test('fails when the file does not match the offer', async () => {
+      incoming.sha256 = 'b'.repeat(64);
+      const failed = jest.fn();
+      events.addEventListener('file:failed', failed);
+      const stream = createStream(await framesFrom(0));
+
+      await transfer.handleIncomingStream({ stream, connection });
+
+      expect(await decodeReply(stream)).toEqual({ ok: false, error: 'SHA-256 does not match the offer' });
+      expect(incoming.status).toBe('failed');
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(await store.getTransfers()).toEqual([]);
+    });
+  });
+
+  describe('pause, resume and cancel', () => {
+    let outgoing;
+
+    beforeEach(async () => {
+      outgoing = await transfer.offerFile(remotePeerId, new File(['hello'], 'hello.txt'));
+      chatProtocol.sendEvent.mockClear();
+      outgoing.status = 'transferring';
+      outgoing.stream = { abort: jest.fn() };
+    });
+
+    test('pausing breaks the stream and tells the peer', async () => {
+      const { stream } = outgoing;
+
+      await transfer.pauseTransfer(outgoing.id);
+
+      expect(outgoing).toMatchObject({ status: 'paused', reason: PAUSE_REASONS.LOCAL });
+      expect(stream.abort).toHaveBeenCalled();
+      expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({ type: 'm.file.pause', content: { transfer_id: outgoing.id } });
+      // The peer cannot restart what we paused
+      transfer.sendFile = jest.fn();
+      await transfer.handleAccept({ content: { transfer_id: outgoing.id, offset: 0 } }, remotePeerId);
+      expect(transfer.sendFile).not.toHaveBeenCalled();
+    });
+
+    test('only the side that paused can resume', async () => {
+      transfer.handlePause({ content: { transfer_id: outgoing.id } }, remotePeerId);
+
+      expect(outgoing).toMatchObject({ status: 'paused', reason: PAUSE_REASONS.PEER });
+      await expect(transfer.resumeTransfer(outgoing.id)).rejects.toThrow('paused by the other side');
+    });
+
+    test('the sender resumes by offering again', async () => {
+      await transfer.pauseTransfer(outgoing.id);
+      chatProtocol.sendEvent.mockClear();
+
+      await transfer.resumeTransfer(outgoing.id);
+
+      expect(outgoing.status).toBe('offered');
+      expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({ type: 'm.file.offer', content: { transfer_id: outgoing.id } });
+    });
+
+    test('cancelling tells the peer and refuses later resumes', async () => {
+      await transfer.cancelTransfer(outgoing.id);
+
+      expect(outgoing.status).toBe('cancelled');
+      expect(outgoing.file).toBeUndefined();
+      expect(chatProtocol.sendEvent.mock.calls[0][1]).toMatchObject({ type: 'm.file.decline', content: { reason: 'cancelled' } });
+
+      await transfer.handleAccept({ content: { transfer_id: outgoing.id, offset: 0 } }, remotePeerId);
+      expect(chatProtocol.sendEvent.mock.calls[1][1]).toMatchObject({ type: 'm.file.decline', content: { reason: 'cancelled' } });
+    });
+
+    test('peers that cancel drop our stored chunks', async () => {
+      await transfer.handleOffer(offer(), remotePeerId);
+      await transfer.acceptTransfer('transfer_1');
+      await store.putChunk('transfer_1', 0, new Uint8Array([1, 2, 3]));
+      const declined = jest.fn();
+      events.addEventListener('file:declined', declined);
+
+      await transfer.handleDecline({ content: { transfer_id: 'transfer_1', reason: 'cancelled' } }, remotePeerId);
+
+      expect(transfer.getTransfer('transfer_1').status).toBe('cancelled');
+      expect(await store.getTransfers()).toEqual([]);
+      expect(await store.countChunks('transfer_1')).toBe(0);
+      expect(declined).toHaveBeenCalledTimes(1);
+    });
+
+    test('tells the receiver when we no longer have a transfer', async () => {
+      await transfer.handleAccept({ content: { transfer_id: 'gone', offset: CHUNK_SIZE } }, remotePeerId);
+
+      expect(chatProtocol.sendEvent).toHaveBeenCalledWith(remotePeerId, expect.objectContaining({
+        type: 'm.file.decline',
+        content: { transfer_id: 'gone', reason: 'unknown' }
+      }));
+    });
+  });
+});
+
+describe('file helpers', () => {
+  test('sha256Hex', async () => {
+    await expect(sha256Hex(new TextEncoder().encode('abc')))
+      .resolves.toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  test('formatFileSize', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(100 * 1024 * 1024)).toBe('100.0 MB');
+  });
+
+  test('transferPercent', () => {
+    expect(transferPercent({ bytes: 512, size: 1536 })).toBe(33);
+    expect(transferPercent({ bytes: 0, size: 0 })).toBe(100);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+// CompressionStream is not available in jsdom
+import {
+  FRAME_FORMATS,
+  COMPRESSION_THRESHOLD,
+  supportedCompression,
+  encodeFrame,
+  compressFrame,
+  decodeFrame
+} from '../src/lib/frame-codec.js';
+
+describe('frame codec', () => {
+  const message = { type: 'm.room.message', sender: 'QmPeer', content: { body: 'hi' } };
+
+  test('v1 frames are JSON text', async () => {
+    const frame = encodeFrame(message, FRAME_FORMATS.JSON);
+
+    expect(new TextDecoder().decode(frame)).toBe(JSON.stringify(message));
+    await expect(decodeFrame(frame, FRAME_FORMATS.JSON)).resolves.toEqual(message);
+  });
+
+  test('v2 frames are smaller than JSON', async () => {
+    const frame = encodeFrame(message, FRAME_FORMATS.CBOR);
+
+    expect(frame[0]).toBe(0);
+    expect(frame.length).toBeLessThan(JSON.stringify(message).length);
+    await expect(decodeFrame(frame, FRAME_FORMATS.CBOR)).resolves.toEqual(message);
+  });
+
+  test('compresses large frames', async () => {
+    expect(supportedCompression()).toEqual(['deflate-raw']);
+    const large = { ...message, content: { body: 'hello '.repeat(1000) } };
+    const frame = encodeFrame(large, FRAME_FORMATS.CBOR);
+
+    const compressed = await compressFrame(frame);
+
+    expect(compressed[0]).toBe(1);
+    expect(compressed.length).toBeLessThan(frame.length / 10);
+    await expect(decodeFrame(compressed, FRAME_FORMATS.CBOR, 131072)).resolves.toEqual(large);
+  });
+
+  test('leaves small frames alone', async () => {
+    const frame = encodeFrame(message, FRAME_FORMATS.CBOR);
+    expect(frame.length).toBeLessThan(COMPRESSION_THRESHOLD);
+
+    await expect(compressFrame(frame)).resolves.toBe(frame);
+  });
+
+  test('refuses frames that inflate past the limit', async () => {
+    const frame = await compressFrame(encodeFrame({ body: 'a'.repeat(8000) }, FRAME_FORMATS.CBOR));
+    expect(frame.length).toBeLessThan(4096);
+
+    await expect(decodeFrame(frame, FRAME_FORMATS.CBOR, 4096)).rejects.toThrow('inflates past 4096 bytes');
+    await expect(decodeFrame(frame, FRAME_FORMATS.CBOR, 131072)).resolves.toEqual({ body: 'a'.repeat(8000) });
+  });
+
+  test('rejects unknown frame headers', async () => {
+    await expect(decodeFrame(new Uint8Array([7, 0]), FRAME_FORMATS.CBOR)).rejects.toThrow('Unknown frame header');
+  });
+});
@@ -0,0 +1,264 @@
+import { HistorySync, SYNC_PROTOCOL } from '../src/lib/history-sync.js';
+import { ChatProtocol } from '../src/lib/chat-protocol.js';
+import { signEvent } from '../src/lib/event-signing.js';
+import {
+  EDIT_EVENT_TYPE,
+  REDACTION_EVENT_TYPE,
+  applyMessageChange,
+  getLastChangeTs,
+  getTargetEventId
+} from '../src/lib/message-edits.js';
+import { generateKeyPair } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
+import { jest } from '@jest/globals';
+
+// In-memory room history with the queries sync needs
+class MockStorage {
+  constructor() {
+    this.rooms = {};
+  }
+
+  addMessage(roomId, message) {
+    if (this.hasMessage(roomId, message.event_id)) {
+      return false;
+    }
+    this.rooms[roomId] = [...(this.rooms[roomId] || []), { ...message, stored_at: Date.now() }];
+    return true;
+  }
+
+  hasMessage(roomId, eventId) {
+    return (this.rooms[roomId] || []).some(m => m.event_id === eventId);
+  }
+
+  getLatestMessage(roomId) {
+    const messages = this.rooms[roomId] || [];
+    return messages[messages.length - 1] || null;
+  }
+
+  getMessagesSince(roomId, since, limit, offset) {
+    const messages = (this.rooms[roomId] || [])
+      .filter(m => !since || (getLastChangeTs(m) >= since.origin_ts &&
+        (m.event_id !== since.event_id || getLastChangeTs(m) > m.origin_ts)))
+      .sort((a, b) => getLastChangeTs(a) - getLastChangeTs(b));
+    return { messages: messages.slice(offset, offset + limit), hasMore: offset + limit < messages.length };
+  }
+
+  applyChange(roomId, event) {
+    const message = (this.rooms[roomId] || []).find(m => m.event_id === getTargetEventId(event));
+    return message && applyMessageChange(message, event) ? message : null;
+  }
+}
+
+class MockEventEmitter extends EventTarget {
+  emit(event, data) {
+    this.dispatchEvent(new CustomEvent(event, { detail: data }));
+  }
+}
+
+describe('HistorySync', () => {
+  let localKey;
+  let remoteKey;
+  let localPeerId;
+  let remotePeerId;
+  let dmRoomId;
+  let node;
+  let storage;
+  let channels;
+  let sync;
+
+  beforeAll(async () => {
+    localKey = await generateKeyPair('Ed25519');
+    remoteKey = await generateKeyPair('Ed25519');
+    localPeerId = peerIdFromPrivateKey(localKey).toString();
+    remotePeerId = peerIdFromPrivateKey(remoteKey).toString();
+    dmRoomId = await ChatProtocol.generateRoomId(localPeerId, remotePeerId);
+  });
+
+  beforeEach(() => {
+    node = {
+      peerId: { toString: () => localPeerId },
+      handle: jest.fn(),
+      dialProtocol: jest.fn()
+    };
+    storage = new MockStorage();
+    channels = {
+      getChannels: jest.fn(() => ['#general', '#private']),
+      getMembers: jest.fn(channel => (channel === '#general' ? [remotePeerId] : []))
+    };
+    sync = new HistorySync(node, storage, new MockEventEmitter(), { channels, pageSize: 2 });
+  });
+
+  const createEvent = (key, sender, roomId, n) => signEvent({
+    type: 'm.room.message',
+    sender,
+    room_id: roomId,
+    origin_ts: 1000 + n,
+    event_id: `evt_${n}`,
+    content: { msgtype: 'm.text', body: `Message ${n}` }
+  }, key);
+
+  const createChange = (type, n, content) => signEvent({
+    type,
+    sender: remotePeerId,
+    room_id: dmRoomId,
+    origin_ts: 2000 + n,
+    event_id: `change_${n}`,
+    content
+  }, remoteKey);
+
+  // The remote peer's side of the sync, answering our requests from its own storage
+  const createServer = () => {
+    const serverStorage = new MockStorage();
+    const server = new HistorySync({
+      peerId: { toString: () => remotePeerId },
+      handle: jest.fn()
+    }, serverStorage, new MockEventEmitter());
+    const request = jest.fn(message => server.buildResponse(message, localPeerId));
+    return { serverStorage, request };
+  };
+
+  test('registers the sync protocol handler', () => {
+    expect(node.handle).toHaveBeenCalledWith(SYNC_PROTOCOL, expect.any(Function), expect.any(Object));
+  });
+
+  test('shares the DM room and channels both peers are in', async () => {
+    await expect(sync.getSharedRooms(remotePeerId)).resolves.toEqual([dmRoomId, '#general']);
+  });
+
+  describe('buildResponse', () => {
+    test('returns a page of newer events without local metadata', async () => {
+      for (let i = 0; i < 3; i++) {
+        const event = await createEvent(localKey, localPeerId, '#general', i);
+        storage.addMessage('#general', { ...event, unsigned: { status: 'sent' } });
+      }
+
+      const response = await sync.buildResponse({
+        type: 'm.sync.request',
+        room_id: '#general',
+        since: { event_id: 'evt_0', origin_ts: 1000 },
+        offset: 0,
+        limit: 10
+      }, remotePeerId);
+
+      expect(response.events.map(e => e.event_id)).toEqual(['evt_1', 'evt_2']);
+      expect(response.events[0].unsigned).toBeUndefined();
+      expect(response.events[0].stored_at).toBeUndefined();
+      expect(response.has_more).toBe(false);
+    });
+
+    test('refuses rooms the requester is not part of', async () => {
+      storage.addMessage('#private', await createEvent(localKey, localPeerId, '#private', 0));
+
+      const response = await sync.buildResponse({
+        type: 'm.sync.request',
+        room_id: '#private',
+        since: null
+      }, remotePeerId);
+
+      expect(response.error).toBe('forbidden');
+      expect(response.events).toEqual([]);
+    });
+  });
+
+  describe('syncRoom', () => {
+    test('pages through responses and stores new events', async () => {
+      const events = [];
+      for (let i = 0; i < 3; i++) {
+        events.push(await createEvent(remoteKey, remotePeerId, dmRoomId, i));
+      }
+      const request = jest.fn(async ({ offset, limit }) => ({
+        type: 'm.sync.response',
+        room_id: dmRoomId,
+        events: events.slice(offset, offset + limit),
+        has_more: offset + limit < events.length
+      }));
+
+      await expect(sync.syncRoom(dmRoomId, remotePeerId, request)).resolves.toBe(3);
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(storage.rooms[dmRoomId].map(m => m.event_id)).toEqual(['evt_0', 'evt_1', 'evt_2']);
+    });
+
+    test('deduplicates by event ID', async () => {
+      const event = await createEvent(remoteKey, remotePeerId, dmRoomId, 0);
+      storage.addMessage(dmRoomId, event);
+      const request = jest.fn(async () => ({ events: [event], has_more: false }));
+
+      await expect(sync.syncRoom(dmRoomId, remotePeerId, request)).resolves.toBe(0);
+      expect(storage.rooms[dmRoomId]).toHaveLength(1);
+    });
+
+    test('drops tampered events and DM events from third parties', async () => {
+      const otherKey = await generateKeyPair('Ed25519');
+      const otherPeerId = peerIdFromPrivateKey(otherKey).toString();
+      const tampered = await createEvent(remoteKey, remotePeerId, dmRoomId, 0);
+      tampered.content.body = 'Tampered';
+      const thirdParty = await createEvent(otherKey, otherPeerId, dmRoomId, 1);
+      const request = jest.fn(async () => ({ events: [tampered, thirdParty], has_more: false }));
+
+      await expect(sync.syncRoom(dmRoomId, remotePeerId, request)).resolves.toBe(0);
+      expect(storage.rooms[dmRoomId]).toBeUndefined();
+    });
+
+    test('skips the DM room with peers that are not contacts', async () => {
+      sync = new HistorySync(node, storage, new MockEventEmitter(), { channels, isContact: () => false });
+
+      await expect(sync.syncWithPeer(remotePeerId, [dmRoomId])).resolves.toBe(0);
+      expect(node.dialProtocol).not.toHaveBeenCalled();
+    });
+
+    test('asks only for events after the newest one we have', async () => {
+      storage.addMessage('#general', await createEvent(remoteKey, remotePeerId, '#general', 5));
+      const request = jest.fn(async () => ({ events: [], has_more: false }));
+
+      await sync.syncRoom('#general', remotePeerId, request);
+
+      expect(request).toHaveBeenCalledWith(expect.objectContaining({
+        since: { event_id: 'evt_5', origin_ts: 1005 }
+      }));
+    });
+
+    test('applies edits made to messages we already have', async () => {
+      const { serverStorage, request } = createServer();
+      const original = await createEvent(remoteKey, remotePeerId, dmRoomId, 0);
+      const newest = await createEvent(remoteKey, remotePeerId, dmRoomId, 1);
+      const edit = await createChange(EDIT_EVENT_TYPE, 0, { relates_to: 'evt_0', body: 'Edited' });
+      for (const event of [original, newest]) {
+        serverStorage.addMessage(dmRoomId, event);
+        storage.addMessage(dmRoomId, event);
+      }
+      serverStorage.applyChange(dmRoomId, edit);
+
+      const response = await request({ type: 'm.sync.request', room_id: dmRoomId, since: { event_id: 'evt_1', origin_ts: 1001 } });
+      expect(response.events).toEqual([original, edit]);
+      expect(response.next_offset).toBe(1);
+
+      const synced = jest.fn();
+      sync.eventEmitter.addEventListener('sync:room', synced);
+      await expect(sync.syncRoom(dmRoomId, remotePeerId, request)).resolves.toBe(0);
+
+      expect(storage.rooms[dmRoomId][0].unsigned.edit).toEqual(edit);
+      expect(synced.mock.calls[0][0].detail).toEqual(expect.objectContaining({ events: [], changes: [edit] }));
+    });
+
+    test('applies redactions without ever receiving the redacted content', async () => {
+      const { serverStorage, request } = createServer();
+      const original = await createEvent(remoteKey, remotePeerId, dmRoomId, 0);
+      const redaction = await createChange(REDACTION_EVENT_TYPE, 0, { redacts: 'evt_0', reason: null });
+      serverStorage.addMessage(dmRoomId, original);
+      serverStorage.applyChange(dmRoomId, redaction);
+      storage.addMessage(dmRoomId, original);
+
+      const response = await request({ type: 'm.sync.request', room_id: dmRoomId, since: null });
+      expect(response.events).toEqual([redaction]);
+
+      await sync.syncRoom(dmRoomId, remotePeerId, request);
+      expect(storage.rooms[dmRoomId][0].content).toEqual({});
+      expect(storage.rooms[dmRoomId][0].unsigned.redacted_by).toEqual(redaction);
+
+      // A peer that never had the message does not get it back
+      storage.rooms = {};
+      await expect(sync.syncRoom(dmRoomId, remotePeerId, request)).resolves.toBe(0);
+      expect(storage.rooms[dmRoomId]).toBeUndefined();
+    });
+  });
+});
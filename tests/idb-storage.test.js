@@ -0,0 +1,280 @@
+import v8 from 'v8';
+import { IndexedDBChatHistoryStorage, createChatHistoryStorage } from '../src/lib/idb-storage.js';
+import { ChatHistoryStorage } from '../src/lib/storage.js';
+
+describe('IndexedDBChatHistoryStorage', () => {
+  let IDBFactory;
+  let chatHistory;
+
+  beforeAll(async () => {
+    // jsdom has no structuredClone, which fake-indexeddb needs
+    globalThis.structuredClone ??= (value) => v8.deserialize(v8.serialize(value));
+    ({ IDBFactory } = await import('fake-indexeddb'));
+    await import('fake-indexeddb/auto');
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    // Fresh database per test
+    chatHistory = new IndexedDBChatHistoryStorage({ indexedDB: new IDBFactory() });
+  });
+
+  afterEach(async () => {
+    await chatHistory.close();
+  });
+
+  describe('message management', () => {
+    test('adds messages and drops duplicates', async () => {
+      await expect(chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hi' } })).resolves.toBe(true);
+      await expect(chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hi' } })).resolves.toBe(false);
+
+      const history = await chatHistory.getHistory('room1');
+      expect(history).toHaveLength(1);
+      expect(history[0].stored_at).toBeDefined();
+    });
+
+    test('keeps rooms separate', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1' });
+      await chatHistory.addMessage('room2', { event_id: 'evt1' });
+
+      expect(await chatHistory.getHistory('room1')).toHaveLength(1);
+      expect((await chatHistory.getRoomIds()).sort()).toEqual(['room1', 'room2']);
+    });
+
+    test('gets a stored message by event ID', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hello' } });
+
+      expect((await chatHistory.getMessage('room1', 'evt1')).content.body).toBe('Hello');
+      await expect(chatHistory.getMessage('room1', 'missing')).resolves.toBeNull();
+      await expect(chatHistory.getMessage('room2', 'evt1')).resolves.toBeNull();
+    });
+
+    test('orders by Lamport clock, then timestamp, then event ID', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'c', lamport: 3, origin_ts: 100 });
+      await chatHistory.addMessage('room1', { event_id: 'a', lamport: 1, origin_ts: 300 });
+      await chatHistory.addMessage('room1', { event_id: 'b2', lamport: 2, origin_ts: 200 });
+      await chatHistory.addMessage('room1', { event_id: 'b1', lamport: 2, origin_ts: 200 });
+
+      const history = await chatHistory.getHistory('room1');
+      expect(history.map(m => m.event_id)).toEqual(['a', 'b1', 'b2', 'c']);
+    });
+
+    test('limits message history per room', async () => {
+      chatHistory.MAX_MESSAGES_PER_ROOM = 5;
+      for (let i = 0; i < 8; i++) {
+        await chatHistory.addMessage('room1', { event_id: `evt${i}`, lamport: i + 1 });
+      }
+
+      const history = await chatHistory.getHistory('room1', 0);
+      expect(history.map(m => m.event_id)).toEqual(['evt3', 'evt4', 'evt5', 'evt6', 'evt7']);
+    });
+
+    test('getHistoryPage pages back from the newest message', async () => {
+      for (let i = 0; i < 25; i++) {
+        await chatHistory.addMessage('room1', { event_id: `evt${i}`, lamport: i + 1, content: { body: `Message ${i}` } });
+      }
+
+      const newest = await chatHistory.getHistoryPage('room1', 10);
+      expect(newest.messages).toHaveLength(10);
+      expect(newest.messages[0].content.body).toBe('Message 15');
+      expect(newest.hasMore).toBe(true);
+
+      const oldest = await chatHistory.getHistoryPage('room1', 10, 20);
+      expect(oldest.messages.map(m => m.content.body)).toEqual([
+        'Message 0', 'Message 1', 'Message 2', 'Message 3', 'Message 4'
+      ]);
+      expect(oldest.hasMore).toBe(false);
+    });
+
+    test('clearHistory removes only that room', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1' });
+      await chatHistory.addMessage('room2', { event_id: 'evt2' });
+
+      await chatHistory.clearHistory('room1');
+
+      expect(await chatHistory.getHistory('room1')).toHaveLength(0);
+      expect(await chatHistory.getHistory('room2')).toHaveLength(1);
+    });
+  });
+
+  describe('delivery status', () => {
+    test('updateMessageStatus only moves forward', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1', sender: 'self', unsigned: { status: 'sent' } });
+
+      await expect(chatHistory.updateMessageStatus('room1', 'evt1', 'read', 'self')).resolves.toBe(true);
+      await expect(chatHistory.updateMessageStatus('room1', 'evt1', 'delivered', 'self')).resolves.toBe(false);
+      await expect(chatHistory.updateMessageStatus('room1', 'missing', 'read', 'self')).resolves.toBe(false);
+
+      const [message] = await chatHistory.getHistory('room1');
+      expect(message.unsigned.status).toBe('read');
+    });
+
+    test('updateMessageStatus ignores messages we did not send', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1', sender: 'peer1', origin_ts: 1 });
+
+      await expect(chatHistory.updateMessageStatus('room1', 'evt1', 'read', 'self')).resolves.toBe(false);
+
+      const [message] = await chatHistory.getHistory('room1');
+      expect(message.unsigned?.status).toBeUndefined();
+    });
+  });
+
+  describe('edits and redactions', () => {
+    test('applyChange updates the stored message for its sender only', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1', sender: 'peer1', content: { body: 'Helo' } });
+
+      const edited = await chatHistory.applyChange('room1', {
+        type: 'm.room.edit', sender: 'peer1', origin_ts: 1000, event_id: 'edit1', content: { relates_to: 'evt1', body: 'Hello' }
+      });
+      expect(edited.unsigned.edit.content.body).toBe('Hello');
+
+      await expect(chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer2', origin_ts: 2000, event_id: 'r1', content: { redacts: 'evt1' }
+      })).resolves.toBeNull();
+      await expect(chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer1', origin_ts: 2000, event_id: 'r2', content: { redacts: 'missing' }
+      })).resolves.toBeNull();
+
+      const [message] = await chatHistory.getHistory('room1');
+      expect(message.content.body).toBe('Helo');
+      expect(message.unsigned.edit.content.body).toBe('Hello');
+    });
+  });
+
+  describe('Lamport clock', () => {
+    test('advances past stored events', async () => {
+      await expect(chatHistory.nextLamport()).resolves.toBe(1);
+
+      await chatHistory.addMessage('room1', { event_id: 'evt1', lamport: 10 });
+      await expect(chatHistory.nextLamport()).resolves.toBe(11);
+    });
+  });
+
+  describe('sync queries', () => {
+    beforeEach(async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt1', origin_ts: 100 });
+      await chatHistory.addMessage('room1', { event_id: 'evt3', origin_ts: 300 });
+      await chatHistory.addMessage('room1', { event_id: 'evt2', origin_ts: 200 });
+    });
+
+    test('hasMessage and getLatestMessage', async () => {
+      await expect(chatHistory.hasMessage('room1', 'evt2')).resolves.toBe(true);
+      await expect(chatHistory.hasMessage('room1', 'missing')).resolves.toBe(false);
+      expect((await chatHistory.getLatestMessage('room1')).event_id).toBe('evt3');
+      await expect(chatHistory.getLatestMessage('empty')).resolves.toBeNull();
+    });
+
+    test('getMessagesSince pages through newer events', async () => {
+      const since = await chatHistory.getMessagesSince('room1', { event_id: 'evt1', origin_ts: 100 });
+      expect(since.messages.map(m => m.event_id)).toEqual(['evt2', 'evt3']);
+      expect(since.hasMore).toBe(false);
+
+      const first = await chatHistory.getMessagesSince('room1', null, 2);
+      expect(first.messages.map(m => m.event_id)).toEqual(['evt1', 'evt2']);
+      expect(first.hasMore).toBe(true);
+
+      const second = await chatHistory.getMessagesSince('room1', null, 2, 2);
+      expect(second.messages.map(m => m.event_id)).toEqual(['evt3']);
+      expect(second.hasMore).toBe(false);
+    });
+
+    test('getMessagesSince includes messages edited after the marker', async () => {
+      await chatHistory.addMessage('room1', { event_id: 'evt0', sender: 'peer1', origin_ts: 50, content: { body: 'Helo' } });
+      await chatHistory.addMessage('room1', { event_id: 'evt4', sender: 'peer1', origin_ts: 400, content: { body: 'Bye' } });
+      await chatHistory.applyChange('room1', {
+        type: 'm.room.edit', sender: 'peer1', origin_ts: 500, event_id: 'edit1', content: { relates_to: 'evt0', body: 'Hello' }
+      });
+
+      const since = await chatHistory.getMessagesSince('room1', { event_id: 'evt4', origin_ts: 400 });
+      expect(since.messages.map(m => m.event_id)).toEqual(['evt0']);
+
+      await chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer1', origin_ts: 600, event_id: 'redact1', content: { redacts: 'evt4' }
+      });
+      const later = await chatHistory.getMessagesSince('room1', { event_id: 'evt4', origin_ts: 400 });
+      expect(later.messages.map(m => m.event_id)).toEqual(['evt0', 'evt4']);
+    });
+  });
+
+  describe('migration', () => {
+    test('upgrades a version 1 database so sync still finds old messages', async () => {
+      const indexedDB = new IDBFactory();
+      await new Promise((resolve, reject) => {
+        const request = indexedDB.open('libp2p-chat-v1', 1);
+        request.onupgradeneeded = () => {
+          const messages = request.result.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+          messages.createIndex('room_event', ['room_id', 'event_id'], { unique: true });
+          messages.createIndex('room_order', ['room_id', 'lamport', 'origin_ts', 'event_id']);
+          messages.createIndex('room_ts', ['room_id', 'origin_ts']);
+          request.result.createObjectStore('meta');
+          messages.add({
+            room_id: 'room1', event_id: 'evt1', lamport: 1, origin_ts: 100,
+            message: { event_id: 'evt1', origin_ts: 100, content: { body: 'Old' } }
+          });
+        };
+        request.onsuccess = () => {
+          request.result.close();
+          resolve();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      const upgraded = new IndexedDBChatHistoryStorage({ dbName: 'libp2p-chat-v1', indexedDB });
+      try {
+        const { messages } = await upgraded.getMessagesSince('room1', null);
+        expect(messages.map(m => m.event_id)).toEqual(['evt1']);
+      } finally {
+        await upgraded.close();
+      }
+    });
+
+    test('moves localStorage history into IndexedDB once', async () => {
+      const legacy = new ChatHistoryStorage();
+      legacy.addMessage('room1', { event_id: 'evt1', lamport: 7, content: { body: 'Old' } });
+      legacy.addMessage('room2', { event_id: 'evt2', lamport: 8, content: { body: 'Older' } });
+
+      await expect(chatHistory.migrateFromLocalStorage(legacy)).resolves.toBe(2);
+
+      expect((await chatHistory.getHistory('room1'))[0].content.body).toBe('Old');
+      expect(legacy.getRoomIds()).toHaveLength(0);
+      await expect(chatHistory.nextLamport()).resolves.toBe(9);
+
+      // Later history written to localStorage is not migrated again
+      legacy.addMessage('room1', { event_id: 'evt3' });
+      await expect(chatHistory.migrateFromLocalStorage(legacy)).resolves.toBe(0);
+    });
+  });
+
+  describe('createChatHistoryStorage', () => {
+    test('uses IndexedDB when available', async () => {
+      const storage = await createChatHistoryStorage();
+      expect(storage).toBeInstanceOf(IndexedDBChatHistoryStorage);
+      await storage.close();
+    });
+
+    test('opens a separate database per profile', async () => {
+      const defaultStorage = await createChatHistoryStorage();
+      const aliceStorage = await createChatHistoryStorage({ profile: 'alice' });
+      try {
+        await aliceStorage.addMessage('room1', { event_id: 'evt1' });
+
+        expect(aliceStorage.dbName).toBe('libp2p-chat@alice');
+        expect(await aliceStorage.getHistory('room1')).toHaveLength(1);
+        expect(await defaultStorage.getHistory('room1')).toHaveLength(0);
+      } finally {
+        await defaultStorage.close();
+        await aliceStorage.close();
+      }
+    });
+
+    test('falls back to localStorage without IndexedDB', async () => {
+      const { indexedDB } = globalThis;
+      delete globalThis.indexedDB;
+      try {
+        expect(await createChatHistoryStorage()).toBeInstanceOf(ChatHistoryStorage);
+      } finally {
+        globalThis.indexedDB = indexedDB;
+      }
+    });
+  });
+});
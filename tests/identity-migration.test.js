@@ -0,0 +1,54 @@
+import { generateKeyPair } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
+import { createMigrationStatement, verifyMigrationStatement, MIGRATE_EVENT_TYPE } from '../src/lib/identity-migration.js';
+
+describe('identity migration', () => {
+  let oldKey;
+  let oldPeerId;
+  let newPeerId;
+
+  beforeAll(async () => {
+    oldKey = await generateKeyPair('Ed25519');
+    oldPeerId = peerIdFromPrivateKey(oldKey).toString();
+    newPeerId = peerIdFromPrivateKey(await generateKeyPair('Ed25519')).toString();
+  });
+
+  test('statements are signed by the old key', async () => {
+    const statement = await createMigrationStatement(oldKey, oldPeerId, newPeerId);
+
+    expect(statement.type).toBe(MIGRATE_EVENT_TYPE);
+    expect(statement.sender).toBe(oldPeerId);
+    expect(statement.content).toEqual({ old_peer_id: oldPeerId, new_peer_id: newPeerId });
+    expect(statement.signature).toBeDefined();
+  });
+
+  test('accepts statements from either identity', async () => {
+    const statement = await createMigrationStatement(oldKey, oldPeerId, newPeerId);
+
+    await expect(verifyMigrationStatement(statement, oldPeerId)).resolves.toEqual({ valid: true });
+    await expect(verifyMigrationStatement(statement, newPeerId)).resolves.toEqual({ valid: true });
+  });
+
+  test('rejects statements relayed by unrelated peers', async () => {
+    const statement = await createMigrationStatement(oldKey, oldPeerId, newPeerId);
+
+    const result = await verifyMigrationStatement(statement, 'QmSomeoneElse');
+    expect(result).toEqual({ valid: false, reason: 'unrelated_peer' });
+  });
+
+  test('rejects tampered targets', async () => {
+    const statement = await createMigrationStatement(oldKey, oldPeerId, newPeerId);
+    const otherPeerId = peerIdFromPrivateKey(await generateKeyPair('Ed25519')).toString();
+    const tampered = { ...statement, content: { ...statement.content, new_peer_id: otherPeerId } };
+
+    const result = await verifyMigrationStatement(tampered, otherPeerId);
+    expect(result).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  test('rejects statements whose sender is not the old peer', async () => {
+    const statement = await createMigrationStatement(oldKey, oldPeerId, newPeerId);
+
+    const result = await verifyMigrationStatement({ ...statement, sender: newPeerId }, newPeerId);
+    expect(result).toEqual({ valid: false, reason: 'sender_mismatch' });
+  });
+});
@@ -1,5 +1,7 @@
 import { KeyManager } from '../src/lib/key-manager.js';
 import { jest } from '@jest/globals';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
 
 // Mock storage
 class MockStorage {
@@ -28,9 +30,17 @@ describe('KeyManager', () => {
   let keyManager;
   let mockStorage;
   
+  beforeAll(() => {
+    // jsdom lacks WebCrypto subtle and TextEncoder
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+    globalThis.TextEncoder ??= TextEncoder;
+    globalThis.TextDecoder ??= TextDecoder;
+  });
+  
   beforeEach(() => {
     mockStorage = new MockStorage();
-    keyManager = new KeyManager(mockStorage);
+    // Keep PBKDF2 cheap in tests
+    keyManager = new KeyManager(mockStorage, { iterations: 1000 });
   });
   
   describe('generateKeys', () => {
@@ -102,6 +112,34 @@ describe('KeyManager', () => {
     });
   });
   
+  describe('exportEncryptedKeys', () => {
+    test('does not expose the private key', async () => {
+      const { peerId } = await keyManager.generateKeys();
+      const { privateKey } = keyManager.exportKeys();
+      
+      const exported = await keyManager.exportEncryptedKeys('correct horse', { iterations: 1000 });
+      
+      expect(exported.version).toBe(1);
+      expect(exported.peerId).toBe(peerId.toString());
+      expect(exported.privateKey).toBeUndefined();
+      expect(JSON.stringify(exported)).not.toContain(privateKey);
+    });
+    
+    test('imports with the right passphrase only', async () => {
+      const generated = await keyManager.generateKeys();
+      const exported = await keyManager.exportEncryptedKeys('correct horse', { iterations: 1000 });
+      mockStorage.remove('libp2p-keys');
+      
+      await expect(keyManager.importKeys(exported)).rejects.toThrow('encrypted');
+      await expect(keyManager.importKeys(exported, { passphrase: 'wrong horse' }))
+        .rejects.toThrow('Wrong passphrase');
+      expect(mockStorage.has('libp2p-keys')).toBe(false);
+      
+      const imported = await keyManager.importKeys(exported, { passphrase: 'correct horse' });
+      expect(imported.peerId.toString()).toBe(generated.peerId.toString());
+    });
+  });
+  
   describe('importKeys', () => {
     test('throws error for invalid key data', async () => {
       await expect(keyManager.importKeys(null)).rejects.toThrow('Invalid key data');
@@ -122,6 +160,132 @@ describe('KeyManager', () => {
       expect(imported.peerId.toString()).toBe(generated.peerId.toString());
       expect(mockStorage.has('libp2p-keys')).toBe(true);
     });
+    
+    test('rejects key data whose peer ID does not match', async () => {
+      await keyManager.generateKeys();
+      const exported = keyManager.exportKeys();
+      mockStorage.remove('libp2p-keys');
+      
+      await expect(keyManager.importKeys({ ...exported, peerId: 'someone-else' }))
+        .rejects.toThrow('does not match');
+      expect(mockStorage.has('libp2p-keys')).toBe(false);
+    });
+  });
+  
+  describe('lock mode', () => {
+    test('stores the key encrypted and needs the passphrase to load', async () => {
+      const generated = await keyManager.generateKeys({ passphrase: 'correct horse' });
+      
+      const stored = mockStorage.get('libp2p-keys');
+      expect(stored.privateKey).toBeUndefined();
+      expect(stored.encrypted).toBeDefined();
+      expect(stored.peerId).toBe(generated.peerId.toString());
+      expect(keyManager.isLocked()).toBe(true);
+      
+      const fresh = new KeyManager(mockStorage);
+      await expect(fresh.loadKeys()).rejects.toThrow('Passphrase is required');
+      await expect(fresh.loadKeys({ passphrase: 'wrong horse' })).rejects.toThrow('Wrong passphrase');
+      
+      const loaded = await fresh.loadKeys({ passphrase: 'correct horse' });
+      expect(loaded.peerId.toString()).toBe(generated.peerId.toString());
+    });
+    
+    test('lock, change passphrase and remove lock', async () => {
+      const generated = await keyManager.generateKeys();
+      expect(keyManager.isLocked()).toBe(false);
+      
+      await keyManager.lock('first passphrase');
+      expect(keyManager.isLocked()).toBe(true);
+      await expect(keyManager.lock('again')).rejects.toThrow('already locked');
+      
+      await expect(keyManager.changePassphrase('wrong', 'second passphrase')).rejects.toThrow('Wrong passphrase');
+      await keyManager.changePassphrase('first passphrase', 'second passphrase');
+      await expect(keyManager.loadKeys({ passphrase: 'first passphrase' })).rejects.toThrow('Wrong passphrase');
+      
+      await keyManager.removeLock('second passphrase');
+      expect(keyManager.isLocked()).toBe(false);
+      expect((await keyManager.loadKeys()).peerId.toString()).toBe(generated.peerId.toString());
+    });
+    
+    test('exports a locked identity once it is unlocked', async () => {
+      await keyManager.generateKeys({ passphrase: 'correct horse' });
+      
+      const fresh = new KeyManager(mockStorage);
+      expect(() => fresh.exportKeys()).toThrow('locked');
+      
+      await fresh.loadKeys({ passphrase: 'correct horse' });
+      expect(fresh.exportKeys().privateKey).toBeDefined();
+    });
+    
+    test('imports keys locked under a new passphrase', async () => {
+      const generated = await keyManager.generateKeys();
+      const exported = keyManager.exportKeys();
+      mockStorage.remove('libp2p-keys');
+      
+      await keyManager.importKeys(exported, { lockPassphrase: 'correct horse' });
+      
+      expect(keyManager.isLocked()).toBe(true);
+      const loaded = await new KeyManager(mockStorage).loadKeys({ passphrase: 'correct horse' });
+      expect(loaded.peerId.toString()).toBe(generated.peerId.toString());
+    });
+  });
+  
+  describe('recovery phrase', () => {
+    test('exports 24 words that restore the same peer ID', async () => {
+      const generated = await keyManager.generateKeys();
+      const phrase = await keyManager.exportMnemonic();
+      expect(phrase.split(' ')).toHaveLength(24);
+      
+      mockStorage.remove('libp2p-keys');
+      const restored = await keyManager.importMnemonic(phrase);
+      
+      expect(restored.peerId.toString()).toBe(generated.peerId.toString());
+      expect(restored.privateKey.raw).toEqual(generated.privateKey.raw);
+    });
+    
+    test('accepts numbered, mixed-case phrases', async () => {
+      const generated = await keyManager.generateKeys();
+      const phrase = await keyManager.exportMnemonic();
+      const numbered = phrase.split(' ').map((word, i) => `${i + 1}. ${word.toUpperCase()}`).join('\n');
+      
+      const restored = await keyManager.importMnemonic(numbered);
+      expect(restored.peerId.toString()).toBe(generated.peerId.toString());
+    });
+    
+    test('rejects invalid phrases', async () => {
+      await keyManager.generateKeys();
+      const phrase = await keyManager.exportMnemonic();
+      const swapped = phrase.split(' ').reverse().join(' ');
+      
+      await expect(keyManager.importMnemonic(swapped)).rejects.toThrow('Invalid recovery phrase');
+      await expect(keyManager.importMnemonic('abandon '.repeat(11) + 'about')).rejects.toThrow('24 words');
+    });
+  });
+  
+  describe('rotateKeys', () => {
+    test('replaces the key and signs a migration statement with the old one', async () => {
+      const old = await keyManager.generateKeys();
+      
+      const rotated = await keyManager.rotateKeys();
+      
+      expect(rotated.peerId.toString()).not.toBe(old.peerId.toString());
+      expect(keyManager.getPeerId()).toBe(rotated.peerId.toString());
+      expect(rotated.statement.type).toBe('m.identity.migrate');
+      expect(rotated.statement.sender).toBe(old.peerId.toString());
+      expect(rotated.statement.content).toEqual({
+        old_peer_id: old.peerId.toString(),
+        new_peer_id: rotated.peerId.toString()
+      });
+      expect(rotated.statement.signature).toBeDefined();
+    });
+    
+    test('keeps the new key locked when asked', async () => {
+      await keyManager.generateKeys();
+      
+      await keyManager.rotateKeys({ lockPassphrase: 'correct horse' });
+      
+      expect(keyManager.isLocked()).toBe(true);
+    });
   });
   
   describe('utility methods', () => {
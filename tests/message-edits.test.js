@@ -0,0 +1,82 @@
+import {
+  EDIT_EVENT_TYPE,
+  REDACTION_EVENT_TYPE,
+  getTargetEventId,
+  applyMessageChange,
+  getChangeEvents,
+  getLastChangeTs,
+  getMessageBody
+} from '../src/lib/message-edits.js';
+
+const original = () => ({ event_id: 'evt1', sender: 'peer1', room_id: 'room1', content: { msgtype: 'm.text', body: 'Helo' }, unsigned: { status: 'sent' } });
+const edit = (body, originTs, eventId = `edit-${originTs}`, sender = 'peer1') => ({
+  type: EDIT_EVENT_TYPE, sender, room_id: 'room1', origin_ts: originTs, event_id: eventId, content: { relates_to: 'evt1', body }
+});
+const redaction = (sender = 'peer1') => ({
+  type: REDACTION_EVENT_TYPE, sender, room_id: 'room1', origin_ts: 5000, event_id: 'redact1', content: { redacts: 'evt1', reason: null }
+});
+
+describe('getTargetEventId', () => {
+  test('reads the target of edits and redactions', () => {
+    expect(getTargetEventId(edit('Hello', 1000))).toBe('evt1');
+    expect(getTargetEventId(redaction())).toBe('evt1');
+    expect(getTargetEventId({ type: 'm.room.message', content: { body: 'Hi' } })).toBeNull();
+  });
+});
+
+describe('applyMessageChange', () => {
+  test('keeps the signed content and stores the edit beside it', () => {
+    const message = original();
+
+    expect(applyMessageChange(message, edit('Hello', 1000))).toBe(true);
+    expect(message.content.body).toBe('Helo');
+    expect(message.unsigned).toEqual({ status: 'sent', edit: edit('Hello', 1000) });
+    expect(getMessageBody(message)).toEqual({ body: 'Hello', edited: true, deleted: false });
+  });
+
+  test('keeps the newest edit when they arrive out of order', () => {
+    const message = original();
+
+    applyMessageChange(message, edit('Third', 3000));
+    expect(applyMessageChange(message, edit('Second', 2000))).toBe(false);
+    expect(applyMessageChange(message, edit('Third again', 3000, 'edit-0'))).toBe(false);
+    expect(getMessageBody(message).body).toBe('Third');
+  });
+
+  test('redaction drops the body and any edit for good', () => {
+    const message = original();
+    applyMessageChange(message, edit('Hello', 1000));
+
+    expect(applyMessageChange(message, redaction())).toBe(true);
+    expect(message.content).toEqual({});
+    expect(message.unsigned).toEqual({ status: 'sent', redacted_by: redaction() });
+    expect(getMessageBody(message)).toEqual({ body: '', edited: false, deleted: true });
+
+    expect(applyMessageChange(message, edit('Back', 9000))).toBe(false);
+    expect(getMessageBody(message).deleted).toBe(true);
+  });
+
+  test('only the original sender can edit or redact', () => {
+    const message = original();
+
+    expect(applyMessageChange(message, edit('Hacked', 1000, 'edit1', 'peer2'))).toBe(false);
+    expect(applyMessageChange(message, redaction('peer2'))).toBe(false);
+    expect(getMessageBody(message)).toEqual({ body: 'Helo', edited: false, deleted: false });
+  });
+});
+
+describe('getChangeEvents', () => {
+  test('returns the signed edit or redaction kept with a message', () => {
+    const message = { ...original(), origin_ts: 500 };
+    expect(getChangeEvents(message)).toEqual([]);
+    expect(getLastChangeTs(message)).toBe(500);
+
+    applyMessageChange(message, { ...edit('Hello', 1000), unsigned: { status: 'received' } });
+    expect(getChangeEvents(message)).toEqual([edit('Hello', 1000)]);
+    expect(getLastChangeTs(message)).toBe(1000);
+
+    applyMessageChange(message, redaction());
+    expect(getChangeEvents(message)).toEqual([redaction()]);
+    expect(getLastChangeTs(message)).toBe(5000);
+  });
+});
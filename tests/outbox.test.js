@@ -0,0 +1,141 @@
+import { MessageOutbox } from '../src/lib/outbox.js';
+import { jest } from '@jest/globals';
+
+// In-memory outbox storage
+class MockOutboxStorage {
+  constructor() {
+    this.queues = {};
+  }
+  
+  enqueue(peerId, item) {
+    this.queues[peerId] = [...this.getQueue(peerId), item];
+  }
+  
+  getQueue(peerId) {
+    return this.queues[peerId] || [];
+  }
+  
+  updateItem(peerId, id, updates) {
+    const item = this.getQueue(peerId).find(entry => entry.id === id);
+    if (item) Object.assign(item, updates);
+  }
+  
+  removeItem(peerId, id) {
+    this.queues[peerId] = this.getQueue(peerId).filter(entry => entry.id !== id);
+    if (this.queues[peerId].length === 0) delete this.queues[peerId];
+    return true;
+  }
+  
+  getPeerIds() {
+    return Object.keys(this.queues);
+  }
+  
+  getAllItems() {
+    return this.getPeerIds().flatMap(peerId => this.getQueue(peerId));
+  }
+}
+
+class MockEventEmitter extends EventTarget {
+  emit(event, data) {
+    this.dispatchEvent(new CustomEvent(event, { detail: data }));
+  }
+}
+
+describe('MessageOutbox', () => {
+  let outbox;
+  let storage;
+  let chatProtocol;
+  let events;
+  let eventCounter;
+  
+  beforeEach(() => {
+    eventCounter = 0;
+    storage = new MockOutboxStorage();
+    events = new MockEventEmitter();
+    chatProtocol = {
+      generateEventId: jest.fn(() => `evt${++eventCounter}`),
+      sendMessage: jest.fn(async (peerId, content, roomId, options) => ({
+        event_id: options.eventId,
+        content: { body: content }
+      }))
+    };
+    outbox = new MessageOutbox(chatProtocol, storage, events, { baseDelay: 1000, maxDelay: 4000 });
+  });
+  
+  afterEach(() => {
+    outbox.stop();
+  });
+  
+  test('queues messages with a pre-assigned event ID', () => {
+    const listener = jest.fn();
+    events.addEventListener('outbox:queued', listener);
+    
+    const item = outbox.queue('peer1', 'room1', 'Hello');
+    
+    expect(item.id).toBe('evt1');
+    expect(storage.getQueue('peer1')).toHaveLength(1);
+    expect(listener).toHaveBeenCalled();
+  });
+  
+  test('flush sends queued messages in order and empties the queue', async () => {
+    outbox.queue('peer1', 'room1', 'First');
+    outbox.queue('peer1', 'room1', 'Second');
+    
+    const sent = await outbox.flush('peer1');
+    
+    expect(sent).toBe(2);
+    expect(chatProtocol.sendMessage.mock.calls.map(call => call[1])).toEqual(['First', 'Second']);
+    expect(chatProtocol.sendMessage).toHaveBeenCalledWith('peer1', 'First', 'room1', { eventId: 'evt1' });
+    expect(storage.getQueue('peer1')).toHaveLength(0);
+  });
+  
+  test('flush keeps the reply reference of queued replies', async () => {
+    outbox.queue('peer1', 'room1', 'Agreed', 'evt0');
+    
+    await outbox.flush('peer1');
+    
+    expect(chatProtocol.sendMessage).toHaveBeenCalledWith('peer1', 'Agreed', 'room1', { eventId: 'evt1', replyTo: 'evt0' });
+  });
+  
+  test('flush stops at the first failure and schedules a retry', async () => {
+    outbox.queue('peer1', 'room1', 'First');
+    outbox.queue('peer1', 'room1', 'Second');
+    chatProtocol.sendMessage.mockRejectedValueOnce(new Error('Not connected'));
+    
+    const sent = await outbox.flush('peer1');
+    
+    expect(sent).toBe(0);
+    expect(chatProtocol.sendMessage).toHaveBeenCalledTimes(1);
+    
+    const [first] = storage.getQueue('peer1');
+    expect(first.attempts).toBe(1);
+    expect(first.last_error).toBe('Not connected');
+    expect(first.next_attempt_at).toBeGreaterThan(Date.now());
+  });
+  
+  test('backoff grows exponentially up to the maximum', () => {
+    expect(outbox.getBackoff(1)).toBe(1000);
+    expect(outbox.getBackoff(2)).toBe(2000);
+    expect(outbox.getBackoff(3)).toBe(4000);
+    expect(outbox.getBackoff(10)).toBe(4000);
+  });
+  
+  test('retryDue only flushes peers whose retry is due', async () => {
+    outbox.queue('peer1', 'room1', 'Due');
+    outbox.queue('peer2', 'room2', 'Later');
+    storage.updateItem('peer1', 'evt1', { next_attempt_at: Date.now() - 1 });
+    
+    await outbox.retryDue();
+    
+    expect(chatProtocol.sendMessage).toHaveBeenCalledTimes(1);
+    expect(storage.getQueue('peer2')).toHaveLength(1);
+  });
+  
+  test('cancel removes a queued message', () => {
+    const item = outbox.queue('peer1', 'room1', 'Hello');
+    
+    expect(outbox.cancel(item.id)).toEqual(item);
+    expect(outbox.list()).toHaveLength(0);
+    expect(outbox.cancel('missing')).toBeNull();
+  });
+});
@@ -40,6 +40,10 @@ jest.mock('@libp2p/bootstrap', () => ({
   bootstrap: jest.fn(() => 'bootstrap')
 }));
 
+jest.mock('@chainsafe/libp2p-gossipsub', () => ({
+  gossipsub: jest.fn(() => 'gossipsub')
+}));
+
 // Mock node instance
 const createMockNode = () => ({
   peerId: { toString: () => 'QmMockPeerId123' },
@@ -112,7 +116,8 @@ describe('P2P Node', () => {
           services: expect.objectContaining({
             dht: 'kad-dht',
             identify: 'identify',
-            identifyPush: 'identify-push'
+            identifyPush: 'identify-push',
+            pubsub: 'gossipsub'
           })
         })
       );
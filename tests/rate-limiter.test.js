@@ -0,0 +1,94 @@
+import { TokenBucket, PeerRateLimiter } from '../src/lib/rate-limiter.js';
+
+describe('TokenBucket', () => {
+  test('allows bursts up to capacity, then refills over time', () => {
+    let now = 0;
+    const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 1 }, () => now);
+
+    expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+
+    now = 1000;
+    expect(bucket.take()).toBe(true);
+    expect(bucket.take()).toBe(false);
+
+    // Never refills past capacity
+    now = 60000;
+    expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+  });
+});
+
+describe('PeerRateLimiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 0;
+    limiter = new PeerRateLimiter({
+      peer: { capacity: 5, refillPerSecond: 1 },
+      types: { 'm.room.message': { capacity: 2, refillPerSecond: 1 } },
+      maxStrikes: 3,
+      strikeWindowMs: 10000
+    }, { now: () => now });
+  });
+
+  test('limits event types separately from the peer total', () => {
+    expect(limiter.check('peer1', 'm.room.message').allowed).toBe(true);
+    expect(limiter.check('peer1', 'm.room.message').allowed).toBe(true);
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ allowed: false, scope: 'm.room.message' });
+
+    // Other types still get through until the peer total runs out; the
+    // dropped message was charged to it too
+    expect(limiter.check('peer1', 'm.receipt').allowed).toBe(true);
+    expect(limiter.check('peer1', 'm.receipt').allowed).toBe(true);
+    expect(limiter.check('peer1', 'm.receipt')).toMatchObject({ allowed: false, scope: 'peer' });
+  });
+
+  test('charges the peer before the type is known', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.checkPeer('peer1').allowed).toBe(true);
+    }
+
+    expect(limiter.checkPeer('peer1')).toMatchObject({ allowed: false, scope: 'peer' });
+    expect(limiter.checkType('peer1', 'm.room.message').allowed).toBe(true);
+  });
+
+  test('counts undecodable frames as strikes', () => {
+    expect(limiter.strike('peer1', 'invalid')).toMatchObject({ allowed: false, scope: 'invalid', strikes: 1 });
+    expect(limiter.strike('peer1', 'invalid')).toMatchObject({ strikes: 2, exceeded: false });
+    limiter.check('peer1', 'm.room.message');
+    limiter.check('peer1', 'm.room.message');
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 3, exceeded: true });
+  });
+
+  test('keeps peers apart', () => {
+    limiter.check('peer1', 'm.room.message');
+    limiter.check('peer1', 'm.room.message');
+
+    expect(limiter.check('peer1', 'm.room.message').allowed).toBe(false);
+    expect(limiter.check('peer2', 'm.room.message').allowed).toBe(true);
+  });
+
+  test('flags repeat offenders within the strike window', () => {
+    limiter.check('peer1', 'm.room.message');
+    limiter.check('peer1', 'm.room.message');
+
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 1, exceeded: false });
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 2, exceeded: false });
+
+    // Old strikes expire
+    now = 10000;
+    limiter.check('peer1', 'm.room.message');
+    limiter.check('peer1', 'm.room.message');
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 1, exceeded: false });
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 2, exceeded: false });
+    expect(limiter.check('peer1', 'm.room.message')).toMatchObject({ strikes: 3, exceeded: true });
+  });
+
+  test('merges custom limits with the defaults', () => {
+    const custom = new PeerRateLimiter({ types: { 'm.typing': { capacity: 1, refillPerSecond: 0 } } });
+
+    expect(custom.limits.types['m.room.message']).toBeDefined();
+    expect(custom.check('peer1', 'm.typing').allowed).toBe(true);
+    expect(custom.check('peer1', 'm.typing').allowed).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+import { RELATES_TO_KEY, createMessageContent, getReplyTo, getThread } from '../src/lib/replies.js';
+
+const message = (eventId, replyTo = null) => ({ event_id: eventId, content: createMessageContent(eventId, replyTo) });
+
+describe('createMessageContent / getReplyTo', () => {
+  test('adds a reply reference only when given', () => {
+    expect(createMessageContent('Hi')).toEqual({ msgtype: 'm.text', body: 'Hi' });
+    expect(createMessageContent('Hi', 'evt1')).toEqual({
+      msgtype: 'm.text',
+      body: 'Hi',
+      [RELATES_TO_KEY]: { 'm.in_reply_to': { event_id: 'evt1' } }
+    });
+  });
+
+  test('reads the parent of a reply', () => {
+    expect(getReplyTo(message('b', 'a'))).toBe('a');
+    expect(getReplyTo(message('a'))).toBeNull();
+    expect(getReplyTo(undefined)).toBeNull();
+  });
+});
+
+describe('getThread', () => {
+  const history = [
+    message('root'),
+    message('other'),
+    message('r1', 'root'),
+    message('r1a', 'r1'),
+    message('other-reply', 'other'),
+    message('r2', 'root')
+  ];
+
+  test('finds the whole thread from any of its messages, in room order', () => {
+    const expected = ['root', 'r1', 'r1a', 'r2'];
+
+    expect(getThread(history, 'root').map(m => m.event_id)).toEqual(expected);
+    expect(getThread(history, 'r1a').map(m => m.event_id)).toEqual(expected);
+  });
+
+  test('starts at the oldest ancestor still in history', () => {
+    const partial = [message('r1', 'missing'), message('r1a', 'r1'), message('other')];
+
+    expect(getThread(partial, 'r1a').map(m => m.event_id)).toEqual(['r1', 'r1a']);
+  });
+
+  test('collects replies stored before their parent', () => {
+    const outOfOrder = [message('r1a', 'r1'), message('root'), message('r1', 'root')];
+
+    expect(getThread(outOfOrder, 'root').map(m => m.event_id)).toEqual(['r1a', 'root', 'r1']);
+  });
+
+  test('does not loop on reply cycles', () => {
+    const cycle = [message('a', 'b'), message('b', 'a'), message('c')];
+
+    expect(getThread(cycle, 'a').map(m => m.event_id)).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,30 @@
+import { webcrypto } from 'crypto';
+import { createEd25519PeerId } from '@libp2p/peer-id-factory';
+import { computeSafetyNumber } from '../src/lib/safety-number.js';
+
+describe('computeSafetyNumber', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    // jsdom lacks WebCrypto subtle
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+    alice = (await createEd25519PeerId()).toString();
+    bob = (await createEd25519PeerId()).toString();
+    carol = (await createEd25519PeerId()).toString();
+  });
+
+  test('is six groups of five digits', async () => {
+    expect(await computeSafetyNumber(alice, bob)).toMatch(/^(\d{5} ){5}\d{5}$/);
+  });
+
+  test('is the same from both sides', async () => {
+    expect(await computeSafetyNumber(alice, bob)).toBe(await computeSafetyNumber(bob, alice));
+  });
+
+  test('differs when either key differs', async () => {
+    expect(await computeSafetyNumber(alice, bob)).not.toBe(await computeSafetyNumber(alice, carol));
+  });
+});
@@ -1,4 +1,15 @@
-import { Storage, ChatHistoryStorage, SettingsStorage, FriendsStorage } from '../src/lib/storage.js';
+import {
+  Storage,
+  ChatHistoryStorage,
+  SettingsStorage,
+  FriendsStorage,
+  OutboxStorage,
+  ContactRequestsStorage,
+  BlocklistStorage,
+  ProfilesStorage,
+  profilePrefix,
+  normalizeProfileName
+} from '../src/lib/storage.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -124,6 +135,14 @@ describe('ChatHistoryStorage', () => {
       expect(history[0].stored_at).toBeDefined();
     });
     
+    test('gets a stored message by event ID', () => {
+      chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hello' } });
+      
+      expect(chatHistory.getMessage('room1', 'evt1').content.body).toBe('Hello');
+      expect(chatHistory.getMessage('room1', 'missing')).toBeNull();
+      expect(chatHistory.getMessage('room2', 'evt1')).toBeNull();
+    });
+    
     test('limits message history per room', () => {
       // Add more than max messages
       for (let i = 0; i < 1100; i++) {
@@ -149,6 +168,29 @@ describe('ChatHistoryStorage', () => {
       expect(limited[0].content.body).toBe('Message 40'); // Last 10
     });
     
+    test('getHistoryPage pages back from the newest message', () => {
+      for (let i = 0; i < 25; i++) {
+        chatHistory.addMessage('room1', {
+          content: { body: `Message ${i}` }
+        });
+      }
+      
+      const newest = chatHistory.getHistoryPage('room1', 10);
+      expect(newest.messages).toHaveLength(10);
+      expect(newest.messages[0].content.body).toBe('Message 15');
+      expect(newest.hasMore).toBe(true);
+      
+      const oldest = chatHistory.getHistoryPage('room1', 10, 20);
+      expect(oldest.messages.map(m => m.content.body)).toEqual([
+        'Message 0', 'Message 1', 'Message 2', 'Message 3', 'Message 4'
+      ]);
+      expect(oldest.hasMore).toBe(false);
+    });
+    
+    test('getHistoryPage handles empty rooms', () => {
+      expect(chatHistory.getHistoryPage('empty', 10)).toEqual({ messages: [], hasMore: false });
+    });
+    
     test('clearHistory removes room messages', () => {
       chatHistory.addMessage('room1', { content: { body: 'Test' } });
       expect(chatHistory.getHistory('room1')).toHaveLength(1);
@@ -167,6 +209,163 @@ describe('ChatHistoryStorage', () => {
       expect(roomIds).toHaveLength(2);
     });
   });
+  
+  describe('delivery status', () => {
+    beforeEach(() => {
+      chatHistory.addMessage('room1', {
+        event_id: 'evt1',
+        sender: 'self',
+        content: { body: 'Hello' },
+        unsigned: { status: 'sent' }
+      });
+    });
+    
+    test('updateMessageStatus advances the delivery state', () => {
+      expect(chatHistory.updateMessageStatus('room1', 'evt1', 'delivered', 'self')).toBe(true);
+      expect(chatHistory.getHistory('room1')[0].unsigned.status).toBe('delivered');
+      
+      expect(chatHistory.updateMessageStatus('room1', 'evt1', 'read', 'self')).toBe(true);
+      expect(chatHistory.getHistory('room1')[0].unsigned.status).toBe('read');
+    });
+    
+    test('updateMessageStatus never moves backwards', () => {
+      chatHistory.updateMessageStatus('room1', 'evt1', 'read', 'self');
+      
+      expect(chatHistory.updateMessageStatus('room1', 'evt1', 'delivered', 'self')).toBe(false);
+      expect(chatHistory.getHistory('room1')[0].unsigned.status).toBe('read');
+    });
+    
+    test('updateMessageStatus ignores unknown messages', () => {
+      expect(chatHistory.updateMessageStatus('room1', 'missing', 'read', 'self')).toBe(false);
+    });
+    
+    test('updateMessageStatus ignores messages we did not send', () => {
+      chatHistory.addMessage('room1', { event_id: 'evt2', sender: 'peer1', content: { body: 'Hi' } });
+      
+      expect(chatHistory.updateMessageStatus('room1', 'evt2', 'read', 'self')).toBe(false);
+      expect(chatHistory.updateMessageStatus('room1', 'evt1', 'read', 'peer1')).toBe(false);
+      expect(chatHistory.getHistory('room1').map(m => m.unsigned?.status)).toEqual(['sent', undefined]);
+    });
+  });
+
+  describe('edits and redactions', () => {
+    beforeEach(() => {
+      chatHistory.addMessage('room1', { event_id: 'evt1', sender: 'peer1', content: { body: 'Helo' } });
+    });
+    
+    test('applyChange updates the stored message', () => {
+      const edited = chatHistory.applyChange('room1', {
+        type: 'm.room.edit', sender: 'peer1', origin_ts: 1000, event_id: 'edit1', content: { relates_to: 'evt1', body: 'Hello' }
+      });
+      
+      expect(edited.unsigned.edit.content.body).toBe('Hello');
+      expect(chatHistory.getHistory('room1')[0].unsigned.edit.content.body).toBe('Hello');
+      
+      chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer1', origin_ts: 2000, event_id: 'redact1', content: { redacts: 'evt1' }
+      });
+      expect(chatHistory.getHistory('room1')[0].content).toEqual({});
+    });
+    
+    test('applyChange ignores unknown messages and other senders', () => {
+      expect(chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer1', origin_ts: 1000, event_id: 'r1', content: { redacts: 'missing' }
+      })).toBeNull();
+      expect(chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer2', origin_ts: 1000, event_id: 'r2', content: { redacts: 'evt1' }
+      })).toBeNull();
+      expect(chatHistory.getHistory('room1')[0].content.body).toBe('Helo');
+    });
+  });
+  
+  describe('deduplication and ordering', () => {
+    test('drops events that are already stored', () => {
+      expect(chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hi' } })).toBe(true);
+      expect(chatHistory.addMessage('room1', { event_id: 'evt1', content: { body: 'Hi' } })).toBe(false);
+      expect(chatHistory.getHistory('room1')).toHaveLength(1);
+    });
+
+    test('deduplicates against history stored by an earlier session', () => {
+      chatHistory.addMessage('room1', { event_id: 'evt1' });
+
+      const reopened = new ChatHistoryStorage();
+      expect(reopened.addMessage('room1', { event_id: 'evt1' })).toBe(false);
+    });
+
+    test('orders by Lamport clock, then timestamp, then event ID', () => {
+      chatHistory.addMessage('room1', { event_id: 'c', lamport: 3, origin_ts: 100 });
+      chatHistory.addMessage('room1', { event_id: 'a', lamport: 1, origin_ts: 300 });
+      chatHistory.addMessage('room1', { event_id: 'b2', lamport: 2, origin_ts: 200 });
+      chatHistory.addMessage('room1', { event_id: 'b1', lamport: 2, origin_ts: 200 });
+
+      expect(chatHistory.getHistory('room1').map(m => m.event_id)).toEqual(['a', 'b1', 'b2', 'c']);
+    });
+
+    test('advances the Lamport clock past stored events', () => {
+      expect(chatHistory.nextLamport()).toBe(1);
+
+      chatHistory.addMessage('room1', { event_id: 'evt1', lamport: 10 });
+      expect(chatHistory.nextLamport()).toBe(11);
+
+      chatHistory.addMessage('room1', { event_id: 'evt2', lamport: 4 });
+      expect(chatHistory.nextLamport()).toBe(12);
+    });
+  });
+
+  describe('sync queries', () => {
+    beforeEach(() => {
+      chatHistory.addMessage('room1', { event_id: 'evt1', origin_ts: 100 });
+      chatHistory.addMessage('room1', { event_id: 'evt3', origin_ts: 300 });
+      chatHistory.addMessage('room1', { event_id: 'evt2', origin_ts: 200 });
+    });
+
+    test('hasMessage checks by event ID', () => {
+      expect(chatHistory.hasMessage('room1', 'evt2')).toBe(true);
+      expect(chatHistory.hasMessage('room1', 'missing')).toBe(false);
+    });
+
+    test('getLatestMessage returns the newest event by timestamp', () => {
+      expect(chatHistory.getLatestMessage('room1').event_id).toBe('evt3');
+      expect(chatHistory.getLatestMessage('empty')).toBeNull();
+    });
+
+    test('getMessagesSince returns newer events oldest first', () => {
+      const { messages, hasMore } = chatHistory.getMessagesSince('room1', { event_id: 'evt1', origin_ts: 100 });
+      expect(messages.map(m => m.event_id)).toEqual(['evt2', 'evt3']);
+      expect(hasMore).toBe(false);
+    });
+
+    test('getMessagesSince pages through everything without a marker', () => {
+      const first = chatHistory.getMessagesSince('room1', null, 2);
+      expect(first.messages.map(m => m.event_id)).toEqual(['evt1', 'evt2']);
+      expect(first.hasMore).toBe(true);
+
+      const second = chatHistory.getMessagesSince('room1', null, 2, 2);
+      expect(second.messages.map(m => m.event_id)).toEqual(['evt3']);
+      expect(second.hasMore).toBe(false);
+    });
+
+    test('getMessagesSince includes messages edited after the marker', () => {
+      chatHistory.addMessage('room1', { event_id: 'evt0', sender: 'peer1', origin_ts: 50, content: { body: 'Helo' } });
+      chatHistory.applyChange('room1', {
+        type: 'm.room.edit', sender: 'peer1', origin_ts: 400, event_id: 'edit1', content: { relates_to: 'evt0', body: 'Hello' }
+      });
+
+      const { messages } = chatHistory.getMessagesSince('room1', { event_id: 'evt3', origin_ts: 300 });
+      expect(messages.map(m => m.event_id)).toEqual(['evt0']);
+    });
+
+    test('getMessagesSince includes the marker itself once it is edited', () => {
+      chatHistory.addMessage('room1', { event_id: 'evt4', sender: 'peer1', origin_ts: 400, content: { body: 'Helo' } });
+      expect(chatHistory.getMessagesSince('room1', { event_id: 'evt4', origin_ts: 400 }).messages).toEqual([]);
+
+      chatHistory.applyChange('room1', {
+        type: 'm.room.redaction', sender: 'peer1', origin_ts: 500, event_id: 'redact1', content: { redacts: 'evt4' }
+      });
+      const { messages } = chatHistory.getMessagesSince('room1', { event_id: 'evt4', origin_ts: 400 });
+      expect(messages.map(m => m.event_id)).toEqual(['evt4']);
+    });
+  });
 });
 
 describe('SettingsStorage', () => {
@@ -264,4 +463,282 @@ describe('FriendsStorage', () => {
       friends.updateFriend('nonexistent', { nickname: 'Test' });
     });
   });
-});
\ No newline at end of file
+  
+  describe('verification', () => {
+    test('marks and clears verified friends', () => {
+      friends.addFriend('peer123', { nickname: 'Alice' });
+      expect(friends.isVerified('peer123')).toBe(false);
+      
+      expect(friends.setVerified('peer123', true)).toBe(true);
+      expect(friends.isVerified('peer123')).toBe(true);
+      expect(friends.getFriend('peer123').verified_at).toBeDefined();
+      
+      friends.setVerified('peer123', false);
+      expect(friends.isVerified('peer123')).toBe(false);
+    });
+    
+    test('only friends can be verified', () => {
+      expect(friends.setVerified('stranger', true)).toBe(false);
+      expect(friends.isFriend('stranger')).toBe(false);
+    });
+    
+    test('migrateFriend moves the entry and keeps the DM room', () => {
+      friends.addFriend('old-peer', { nickname: 'Alice' });
+      friends.setVerified('old-peer', true);
+      
+      const migrated = friends.migrateFriend('old-peer', 'new-peer', 'room-ab');
+      
+      expect(friends.isFriend('old-peer')).toBe(false);
+      expect(migrated.peerId).toBe('new-peer');
+      expect(migrated.nickname).toBe('Alice');
+      expect(migrated.previous_peer_ids).toEqual(['old-peer']);
+      expect(migrated.room_id).toBe('room-ab');
+      expect(migrated.room_aliases).toEqual(['old-peer']);
+      expect(friends.isVerified('new-peer')).toBe(false);
+      expect(friends.migrateFriend('stranger', 'other', 'room')).toBeNull();
+    });
+    
+    test('pinDirectRoom keeps the first room ID and collects aliases', () => {
+      friends.addFriend('peer1');
+      friends.pinDirectRoom('peer1', 'room-1', 'our-old-id');
+      friends.pinDirectRoom('peer1', 'room-2', 'our-older-id');
+      
+      const friend = friends.getFriend('peer1');
+      expect(friend.room_id).toBe('room-1');
+      expect(friend.room_aliases).toEqual(['our-old-id', 'our-older-id']);
+    });
+    
+    test('finds friends by nickname case-insensitively', () => {
+      friends.addFriend('peer1', { nickname: 'Alice' });
+      friends.addFriend('peer2', { nickname: 'Bob' });
+      
+      expect(friends.findByNickname(' alice ').map(f => f.peerId)).toEqual(['peer1']);
+      expect(friends.findByNickname('Carol')).toEqual([]);
+    });
+  });
+});
+
+describe('OutboxStorage', () => {
+  let outbox;
+  
+  beforeEach(() => {
+    localStorageMock.clear();
+    outbox = new OutboxStorage();
+  });
+  
+  describe('queue management', () => {
+    test('enqueues items per peer in order', () => {
+      outbox.enqueue('peer1', { id: 'a', queued_at: 1 });
+      outbox.enqueue('peer1', { id: 'b', queued_at: 2 });
+      outbox.enqueue('peer2', { id: 'c', queued_at: 3 });
+      
+      expect(outbox.getQueue('peer1').map(item => item.id)).toEqual(['a', 'b']);
+      expect(outbox.getPeerIds().sort()).toEqual(['peer1', 'peer2']);
+    });
+    
+    test('updates and removes items', () => {
+      outbox.enqueue('peer1', { id: 'a', attempts: 0 });
+      
+      outbox.updateItem('peer1', 'a', { attempts: 2 });
+      expect(outbox.getQueue('peer1')[0].attempts).toBe(2);
+      
+      expect(outbox.removeItem('peer1', 'a')).toBe(true);
+      expect(outbox.removeItem('peer1', 'a')).toBe(false);
+      expect(outbox.getPeerIds()).toHaveLength(0);
+    });
+    
+    test('getAllItems returns items across peers oldest first', () => {
+      outbox.enqueue('peer2', { id: 'late', queued_at: 20 });
+      outbox.enqueue('peer1', { id: 'early', queued_at: 10 });
+      
+      expect(outbox.getAllItems().map(item => item.id)).toEqual(['early', 'late']);
+    });
+  });
+});
+
+describe('ContactRequestsStorage', () => {
+  let requests;
+  
+  beforeEach(() => {
+    localStorageMock.clear();
+    requests = new ContactRequestsStorage();
+  });
+  
+  describe('request management', () => {
+    test('stores requests by direction', () => {
+      requests.addRequest('peer1', 'incoming', { nickname: 'Bob', note: 'Hi' });
+      requests.addRequest('peer2', 'outgoing', { note: '' });
+      
+      expect(requests.getRequest('peer1')).toMatchObject({ nickname: 'Bob', note: 'Hi', direction: 'incoming' });
+      expect(requests.getRequest('peer1', 'outgoing')).toBeNull();
+      expect(requests.getRequests('incoming').map(request => request.peerId)).toEqual(['peer1']);
+      expect(requests.getRequests()).toHaveLength(2);
+    });
+    
+    test('a newer request replaces the old one', () => {
+      requests.addRequest('peer1', 'outgoing');
+      requests.addRequest('peer1', 'incoming', { nickname: 'Bob' });
+      
+      expect(requests.getRequests()).toHaveLength(1);
+      expect(requests.getRequest('peer1').direction).toBe('incoming');
+    });
+    
+    test('refuses new incoming requests past the limit', () => {
+      requests.MAX_INCOMING_REQUESTS = 2;
+      
+      expect(requests.addRequest('peer1', 'incoming')).toBe(true);
+      expect(requests.addRequest('peer2', 'incoming')).toBe(true);
+      expect(requests.addRequest('peer3', 'incoming')).toBe(false);
+      expect(requests.addRequest('peer2', 'incoming', { note: 'Again' })).toBe(true);
+      expect(requests.addRequest('peer4', 'outgoing')).toBe(true);
+      expect(requests.getRequest('peer3')).toBeNull();
+    });
+    
+    test('removes requests', () => {
+      requests.addRequest('peer1', 'incoming');
+      
+      expect(requests.removeRequest('peer1')).toBe(true);
+      expect(requests.removeRequest('peer1')).toBe(false);
+      expect(requests.getRequest('peer1')).toBeNull();
+    });
+  });
+  
+  describe('held messages', () => {
+    test('holds DMs only for peers with a pending request', () => {
+      expect(requests.holdMessage('peer1', { event_id: 'evt1' })).toBe(false);
+      
+      requests.addRequest('peer1', 'incoming');
+      expect(requests.holdMessage('peer1', { event_id: 'evt1' })).toBe(true);
+      expect(requests.holdMessage('peer1', { event_id: 'evt1' })).toBe(false);
+      expect(requests.getRequest('peer1').held.map(m => m.event_id)).toEqual(['evt1']);
+      
+      // Kept when the request is replaced, dropped with it
+      requests.addRequest('peer1', 'outgoing');
+      expect(requests.getRequest('peer1').held).toHaveLength(1);
+      requests.removeRequest('peer1');
+      requests.addRequest('peer1', 'incoming');
+      expect(requests.getRequest('peer1').held).toBeUndefined();
+    });
+    
+    test('keeps only the newest held messages', () => {
+      requests.MAX_HELD_MESSAGES = 2;
+      requests.addRequest('peer1', 'incoming');
+      ['evt1', 'evt2', 'evt3'].forEach(eventId => requests.holdMessage('peer1', { event_id: eventId }));
+      
+      expect(requests.getRequest('peer1').held.map(m => m.event_id)).toEqual(['evt2', 'evt3']);
+    });
+    
+    test('caps held bytes across all requests', () => {
+      const message = eventId => ({ event_id: eventId, content: { body: 'x'.repeat(100) } });
+      requests.MAX_HELD_BYTES = JSON.stringify([message('evt1'), message('evt2')]).length;
+      requests.addRequest('peer1', 'incoming');
+      requests.addRequest('peer2', 'incoming');
+      
+      expect(requests.holdMessage('peer1', message('evt1'))).toBe(true);
+      expect(requests.holdMessage('peer2', message('evt2'))).toBe(false);
+      expect(requests.holdMessage('peer1', message('evt3'))).toBe(true);
+      expect(requests.getRequest('peer1').held.map(m => m.event_id)).toEqual(['evt1', 'evt3']);
+      
+      // Older messages make room for newer ones from the same peer
+      expect(requests.holdMessage('peer1', message('evt4'))).toBe(true);
+      expect(requests.getRequest('peer1').held.map(m => m.event_id)).toEqual(['evt3', 'evt4']);
+      expect(requests.getRequest('peer2').held).toBeUndefined();
+    });
+    
+    test('does not hold messages when storage is full', () => {
+      requests.addRequest('peer1', 'incoming');
+      const setItem = jest.spyOn(localStorageMock, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+      
+      expect(requests.holdMessage('peer1', { event_id: 'evt1' })).toBe(false);
+      
+      setItem.mockRestore();
+      expect(requests.getRequest('peer1').held).toBeUndefined();
+    });
+  });
+});
+
+describe('BlocklistStorage', () => {
+  let blocklist;
+  
+  beforeEach(() => {
+    localStorageMock.clear();
+    blocklist = new BlocklistStorage();
+  });
+  
+  describe('blocking', () => {
+    test('blocks and unblocks peers', () => {
+      blocklist.block('peer1', { nickname: 'Spammer' });
+      
+      expect(blocklist.isBlocked('peer1')).toBe(true);
+      expect(blocklist.isBlocked('peer2')).toBe(false);
+      expect(blocklist.getBlocked()[0]).toMatchObject({ peerId: 'peer1', nickname: 'Spammer' });
+      
+      expect(blocklist.unblock('peer1')).toBe(true);
+      expect(blocklist.unblock('peer1')).toBe(false);
+      expect(blocklist.isBlocked('peer1')).toBe(false);
+    });
+    
+    test('is kept per profile', () => {
+      new BlocklistStorage('alice').block('peer1');
+      
+      expect(new BlocklistStorage('alice').isBlocked('peer1')).toBe(true);
+      expect(blocklist.isBlocked('peer1')).toBe(false);
+    });
+  });
+});
+
+describe('ProfilesStorage', () => {
+  let profiles;
+  
+  beforeEach(() => {
+    localStorageMock.clear();
+    profiles = new ProfilesStorage();
+  });
+  
+  describe('profile management', () => {
+    test('always lists the default profile', () => {
+      expect(profiles.list().map(profile => profile.name)).toEqual(['default']);
+      expect(profiles.getLastUsed()).toBe('default');
+    });
+    
+    test('creates normalized profiles once', () => {
+      expect(profiles.create(' Alice ')).toBe('alice');
+      expect(profiles.hasProfile('alice')).toBe(true);
+      expect(profiles.list().map(profile => profile.name)).toEqual(['default', 'alice']);
+      expect(() => profiles.create('alice')).toThrow('Profile alice already exists');
+    });
+    
+    test('rejects invalid names', () => {
+      expect(() => normalizeProfileName('')).toThrow();
+      expect(() => normalizeProfileName('bad name')).toThrow();
+      expect(() => normalizeProfileName('-dash')).toThrow();
+      expect(normalizeProfileName('work_2')).toBe('work_2');
+    });
+    
+    test('remembers the last used profile', () => {
+      profiles.setLastUsed('alice');
+      expect(new ProfilesStorage().getLastUsed()).toBe('alice');
+    });
+  });
+  
+  describe('namespacing', () => {
+    test('default profile keeps the legacy prefixes', () => {
+      expect(profilePrefix('libp2p', 'default')).toBe('libp2p');
+      
+      new FriendsStorage().addFriend('peer1', 'Bob');
+      expect(new FriendsStorage('default').isFriend('peer1')).toBe(true);
+    });
+    
+    test('profiles do not share data', () => {
+      new FriendsStorage('alice').addFriend('peer1', 'Bob');
+      new SettingsStorage('alice').setSetting('nickname', 'Alice');
+      
+      expect(new FriendsStorage('alice').isFriend('peer1')).toBe(true);
+      expect(new FriendsStorage().isFriend('peer1')).toBe(false);
+      expect(new FriendsStorage('bob').isFriend('peer1')).toBe(false);
+      expect(new SettingsStorage().getSetting('nickname')).not.toBe('Alice');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+// Needs Blob.arrayBuffer, which jsdom lacks
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBTransferStore, MemoryTransferStore } from '../src/lib/transfer-store.js';
+
+const record = (id) => ({ id, peerId: 'QmPeer', name: `${id}.bin`, size: 6, mime: 'application/octet-stream', sha256: 'a'.repeat(64) });
+
+describe.each([
+  ['IndexedDBTransferStore', () => new IndexedDBTransferStore({ indexedDB: new IDBFactory() })],
+  ['MemoryTransferStore', () => new MemoryTransferStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(async () => {
+    await store.close?.();
+  });
+
+  test('saves transfer records', async () => {
+    await store.saveTransfer(record('t1'));
+    await store.saveTransfer({ ...record('t1'), name: 'renamed.bin' });
+    await store.saveTransfer(record('t2'));
+
+    const records = await store.getTransfers();
+    expect(records.map(r => r.id).sort()).toEqual(['t1', 't2']);
+    expect(records.find(r => r.id === 't1').name).toBe('renamed.bin');
+  });
+
+  test('joins chunks in order', async () => {
+    await store.saveTransfer(record('t1'));
+    await store.putChunk('t1', 1, new Uint8Array([4, 5, 6]));
+    await store.putChunk('t1', 0, new Uint8Array([1, 2, 3]));
+    await store.putChunk('t2', 0, new Uint8Array([9]));
+
+    expect(await store.countChunks('t1')).toBe(2);
+    const blob = await store.readFile('t1', 'text/plain');
+    expect(blob.type).toBe('text/plain');
+    expect(Array.from(new Uint8Array(await blob.arrayBuffer()))).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('deletes a transfer with its chunks only', async () => {
+    await store.saveTransfer(record('t1'));
+    await store.saveTransfer(record('t2'));
+    await store.putChunk('t1', 0, new Uint8Array([1]));
+    await store.putChunk('t2', 0, new Uint8Array([2]));
+
+    await store.deleteTransfer('t1');
+
+    expect((await store.getTransfers()).map(r => r.id)).toEqual(['t2']);
+    expect(await store.countChunks('t1')).toBe(0);
+    expect(await store.countChunks('t2')).toBe(1);
+  });
+});